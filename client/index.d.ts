@@ -0,0 +1,995 @@
+// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.
+
+export interface Overview {
+  name: string;
+  version: string;
+  status: string;
+  features: string[];
+  endpoints: Record<string, string>;
+}
+
+export interface Health {
+  status: string;
+  timestamp: string;
+  /** Seconds */
+  uptime: number;
+  memory: Record<string, number>;
+  environment: string;
+  storage: "supabase" | "sqlite" | "memory";
+  features: Record<string, boolean>;
+  rateLimit: {
+    tokens: Array<{
+      label: string;
+      pausedUntil: string | null;
+      resources: Record<string, {
+        limit: number;
+        remaining: number;
+        reset: string;
+        updatedAt: string | null;
+      }>;
+    }>;
+    resources: Record<string, {
+      limit: number;
+      remaining: number;
+    }>;
+    etagCache: {
+      entries: number;
+      hits: number;
+      misses: number;
+    };
+  };
+}
+
+/** The scoring rule file (see rules/scoring.json) */
+export interface Ruleset {
+  name: string;
+  version: string;
+  description?: string;
+  accountModel?: unknown;
+  rules: unknown[];
+  [key: string]: unknown;
+}
+
+export interface Repository {
+  /** owner/name */
+  fullName: string;
+  stars: number;
+  forks: number;
+  createdAt: string;
+  language: string | null;
+  description: string | null;
+  openIssues: number;
+  watchers: number;
+}
+
+/** Repository as returned by GitHub's REST API */
+export interface GitHubRepository {
+  full_name: string;
+  stargazers_count: number;
+  forks_count?: number;
+  created_at?: string;
+  language?: string | null;
+  description?: string | null;
+  [key: string]: unknown;
+}
+
+export interface Coverage {
+  source: "graphql" | "rest";
+  fetched: number;
+  totalStars: number | null;
+  ratio: number;
+  complete: boolean;
+  partialReason: "maxStars" | "error" | "restPaginationLimit" | null;
+  error: string | null;
+  resumedFrom: number;
+}
+
+export interface StarBurst {
+  start: string;
+  end: string;
+  stars: number;
+  expectedStars: number;
+  excessStars: number;
+  peak: number;
+  peakTime: string;
+  maxZScore: number;
+}
+
+export interface StarWindow {
+  /** First star of the burst */
+  start: string;
+  /** Last star of the burst */
+  end: string;
+  count: number;
+  /** Stars the baseline rate predicts in the window */
+  expected: number;
+  /** Window size (seconds) that found it */
+  window: number;
+  /** -log10 of the chance of the window by chance, corrected for the windows tried */
+  significance: number;
+  logins: string[];
+}
+
+export interface UsernameScore {
+  login: string;
+  score: number;
+  reasons: Array<"random-letters" | "repetitive" | "digit-heavy" | "digit-suffix" | "generic-word" | "sequence-family">;
+}
+
+export interface UsernameFamily {
+  stem: string;
+  count: number;
+  /** Lowest number in the batch */
+  from: number;
+  /** Highest number in the batch */
+  to: number;
+}
+
+export interface OrganicActivity {
+  /** In the last 90 days */
+  issuesOpened: number | null;
+  /** In the last 90 days */
+  pullRequestsOpened: number | null;
+  /** People who opened them */
+  participants: number | null;
+  /** Up to 100 */
+  contributors: number | null;
+  releases: number | null;
+  /** Asset downloads over all releases */
+  releaseDownloads: number | null;
+  watchers: number | null;
+  /** Top traffic sources; null without push access */
+  topReferrers: string[] | null;
+}
+
+export interface BurstExplanation {
+  start: string;
+  end: string;
+  stars: number;
+  /** Tag published shortly before or during the burst */
+  release: string | null;
+  /** Day of a traffic spike at the burst */
+  trafficSpike: string | null;
+  explained: boolean;
+}
+
+export interface GrowthExplanation {
+  /** Points the organic growth signals took off the score */
+  offset: number;
+  reasons: string[];
+  activity: OrganicActivity;
+  explainedBursts: BurstExplanation[];
+}
+
+/** Fields reported by the detectors; null when a detector lacked the data it needs (see Analysis.detectors). Custom detectors add their own fields */
+export interface Patterns {
+  genericUsernames: number | null;
+  genericUsernamesList: string[] | null;
+  botLikeNames: number | null;
+  botLikeNamesList: string[] | null;
+  /** Generic and bot-like logins, highest score first */
+  suspiciousUsernames: UsernameScore[] | null;
+  /** Batches of sequentially numbered logins */
+  usernameFamilies: UsernameFamily[] | null;
+  /** Daily star bursts, largest first */
+  starVelocitySpikes: StarBurst[] | null;
+  newAccounts: number | null;
+  noRepos: number | null;
+  noEmail: number | null;
+  lowEngagement: number | null;
+  realStars: number | null;
+  fakeStars: number | null;
+  sameDayPattern: number | null;
+  coordinated: number | null;
+  /** Coordinated starring bursts, most unlikely first */
+  suspiciousTimeWindows: StarWindow[] | null;
+  /** Profiled accounts created per day (YYYY-MM-DD) */
+  suspiciousCreationDates: Record<string, number> | null;
+  /** Forks per star */
+  forkRatio: number | null;
+  onlyStarring: number | null;
+  rapidStarring: number | null;
+  promotedOverlap: number | null;
+  promotedReposStarred: Record<string, number> | null;
+  organicActivity: OrganicActivity | null;
+  /** Daily star bursts and whether growth context explains them */
+  burstExplanations: BurstExplanation[] | null;
+  [key: string]: unknown;
+}
+
+export interface TimelineEntry {
+  date: string;
+  user: string;
+  isFake: 0 | 1;
+  /** Days */
+  accountAge: number;
+  followers: number;
+  repos: number;
+}
+
+export interface Account {
+  login: string;
+  score: number;
+  verdict: string;
+  signals: Array<{
+    id: string;
+    weight: number;
+    description: string;
+  }>;
+  starredAt: string;
+  createdAt: string;
+  followers: number;
+  following: number;
+  publicRepos: number;
+  activity?: {
+    events: number;
+    contributions: number | null;
+    starredRepos: number;
+    maxStarsInWindow: number;
+    promotedStarred: string[];
+  };
+}
+
+export interface Sampling {
+  strategy: "oldest" | "uniform" | "stratified" | "spikes";
+  seed: number;
+  population: number;
+  sampleSize: number;
+  representative: boolean;
+  strata?: Array<{
+    start: string;
+    end: string;
+    population: number;
+    sampled: number;
+  }>;
+  spikeDays?: string[];
+  spikeWeight?: number;
+}
+
+export interface Estimate {
+  estimate: number;
+  lower: number;
+  upper: number;
+  confidence: number;
+  sampleSize: number;
+  effectiveSampleSize: number;
+}
+
+export interface ScoreContribution {
+  rule: string;
+  signal: string;
+  value: number;
+  points: number;
+  indicator: string | null;
+  /** Message of a rule that took points off */
+  offset: string | null;
+}
+
+export interface DetectorStatus {
+  ran: boolean;
+  /** Data the detector needs but the analysis lacked */
+  missing: Array<"stargazers" | "profiles" | "activity" | "repository" | "growth">;
+}
+
+/** Every analysis has the same fields. timeline is empty and accounts, accountVerdicts, sampling and confidenceIntervals are null without profiled stargazers */
+export interface Analysis {
+  totalStars: number;
+  /** Stargazers fetched */
+  analyzedSample: number;
+  /** Stargazers profiled */
+  detailedSample: number;
+  /** Accounts activity-checked */
+  activitySample: number;
+  patterns: Patterns;
+  /** Whether each detector ran, by detector id */
+  detectors: Record<string, DetectorStatus>;
+  timeline: TimelineEntry[];
+  suspicionScore: number;
+  suspicionIndicators: string[];
+  /** null when the growth context was not fetched */
+  growthExplanation: GrowthExplanation | null;
+  scoreBreakdown: ScoreContribution[];
+  ruleset: {
+    name: string | null;
+    version: string;
+  };
+  coverage?: Coverage;
+  accounts: Account[] | null;
+  accountVerdicts: Record<string, number> | null;
+  sampling: Sampling | null;
+  confidenceIntervals: Record<string, Estimate | null> | null;
+}
+
+export interface BenchmarkMetric {
+  value: number;
+  percentile: number;
+  /** Median among the peers */
+  median: number;
+  peers: number;
+}
+
+export interface Benchmark {
+  cohort: {
+    description: string;
+    language: string | null;
+    /** Star band, null when widened */
+    stars: string | null;
+    /** Age band, null when widened */
+    age: string | null;
+    /** Repositories in the cohort */
+    repos: number;
+  };
+  /** null when the analysis or too few peers lack it */
+  metrics: {
+    newAccountRatio: BenchmarkMetric | null;
+    lowEngagementRatio: BenchmarkMetric | null;
+    sameDayRatio: BenchmarkMetric | null;
+    forkRatio: BenchmarkMetric | null;
+  };
+  summary: string[];
+}
+
+export interface AnalysisResult {
+  id: string;
+  repository: Repository;
+  analysis: Analysis;
+  shareUrl: string;
+  metadata: {
+    analyzedAt: string;
+    analysisType: "advanced" | "basic";
+    sampleSize: number;
+    detailedSample: number;
+    coverage: Coverage | null;
+    /** A recent stored result was returned */
+    fromCache: boolean;
+    /** Milliseconds */
+    processingTime: number;
+  };
+  /** Present when benchmark was requested */
+  benchmark: Benchmark | null;
+}
+
+export interface JobAccepted {
+  jobId: string;
+  status: "queued";
+  /** Batch jobs only */
+  repos?: string[];
+  statusUrl: string;
+  eventsUrl: string;
+}
+
+export interface BatchSummary {
+  summary: Array<{
+    rank: number;
+    repository: string;
+    status: "completed" | "failed" | "skipped";
+    id?: string;
+    suspicionScore?: number;
+    analysisType?: "advanced" | "basic";
+    stars?: number;
+    sampleSize?: number;
+    detailedSample?: number;
+    fromCache?: boolean;
+    topIndicators?: string[];
+    /** Why a repo was skipped */
+    reason?: string;
+    /** Why a repo failed */
+    error?: string;
+  }>;
+  totals: {
+    repos: number;
+    completed: number;
+    failed: number;
+    skipped: number;
+  };
+  budget: {
+    share: number;
+    /** Requests per resource; null without a quota reading */
+    limit: Record<string, number | null>;
+    spent: Record<string, number>;
+  };
+}
+
+export interface Job {
+  id: string;
+  type: "analysis" | "batch";
+  status: "queued" | "running" | "completed" | "failed";
+  phase: string;
+  /** Analysis jobs only */
+  repository: string | null;
+  progress: {
+    pagesFetched?: number;
+    stargazersFetched?: number;
+    expectedStargazers?: number | null;
+    usersProfiled?: number;
+    usersToProfile?: number | null;
+    accountsChecked?: number;
+    accountsToCheck?: number | null;
+    reposTotal?: number | null;
+    reposCompleted?: number;
+    reposFailed?: number;
+    reposSkipped?: number;
+    currentRepo?: string | null;
+  };
+  eta: {
+    seconds: number;
+    estimatedCompletion: string | null;
+  };
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  /** AnalysisResult or BatchSummary once completed */
+  result: AnalysisResult | BatchSummary | null;
+  error: {
+    code: string;
+    message: string;
+    details: unknown | null;
+  } | null;
+}
+
+export interface StarHistory {
+  repository: string;
+  interval: "day" | "hour";
+  window: number;
+  threshold: number;
+  coverage: Coverage;
+  series: Array<{
+    time: string;
+    count: number;
+    cumulative: number;
+    zScore?: number;
+    isBurst?: boolean;
+  }>;
+  bursts: StarBurst[];
+}
+
+export interface ResultSummary {
+  id: string;
+  analyzedAt: string;
+  analysisType: "advanced" | "basic";
+  suspicionScore: number;
+  totalStars: number;
+  analyzedSample: number;
+  detailedSample: number;
+  /** Rule set version */
+  ruleset: string | null;
+  /** Number of indicators */
+  indicators: number;
+  /** Tracked signal values; null when unavailable */
+  signals: Record<string, number | null>;
+}
+
+export interface History {
+  repository: string;
+  count: number;
+  trend: {
+    from: string;
+    to: string;
+    scoreChange: number;
+    minScore: number;
+    maxScore: number;
+  } | null;
+  history: ResultSummary[];
+}
+
+export interface StoredResult {
+  id: string;
+  repository: GitHubRepository;
+  analysis: Analysis;
+  createdAt: string;
+  shareUrl: string;
+}
+
+export interface ResultDiff {
+  repository: string;
+  from: ResultSummary;
+  to: ResultSummary;
+  scoreChange: number;
+  sameRuleset: boolean;
+  indicators: {
+    appeared: Array<{
+      rule: string | null;
+      message: string;
+    }>;
+    disappeared: Array<{
+      rule: string | null;
+      message: string;
+    }>;
+    changed: Array<{
+      rule: string | null;
+      from: string;
+      to: string;
+    }>;
+    unchanged: Array<{
+      rule: string | null;
+      message: string;
+    }>;
+  };
+  signals: Record<string, {
+    from: number | null;
+    to: number | null;
+    change: number | null;
+  }>;
+}
+
+export interface AccountPage {
+  id: string;
+  verdicts: Record<string, number>;
+  total: number;
+  page: number;
+  perPage: number;
+  totalPages: number;
+  accounts: Account[];
+}
+
+export interface Overlap {
+  id: string;
+  repository: string;
+  windowMinutes: number;
+  checkedAccounts: number;
+  overlappingAccounts: Array<{
+    login: string;
+    otherRepos: Array<{
+      repo: string;
+      starredAt: string;
+      deltaMinutes: number | null;
+      withinWindow: boolean;
+    }>;
+  }>;
+  sharedWindows: Array<{
+    repo: string;
+    start: string;
+    end: string;
+    count: number;
+    members: string[];
+  }>;
+  rings: Array<{
+    size: number;
+    members: string[];
+    repos: string[];
+    suspiciousMembers: number;
+  }>;
+}
+
+export interface Watch {
+  id: string;
+  repository: string;
+  schedule: string;
+  intervalMinutes: number;
+  threshold: number;
+  deepAnalysis: boolean;
+  maxStars: number;
+  maxUsers: number;
+  enabled: boolean;
+  lastRunAt: string | null;
+  nextRunAt: string | null;
+  lastResultId: string | null;
+  lastScore: number | null;
+  lastError: string | null;
+  createdAt: string;
+}
+
+export interface WatchList {
+  watches: Watch[];
+}
+
+export interface WatchRun {
+  watch: Watch;
+  resultId: string | null;
+  events: Array<"score.threshold_crossed" | "burst.detected" | "indicator.appeared">;
+}
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: Array<"score.threshold_crossed" | "burst.detected" | "indicator.appeared">;
+  enabled: boolean;
+  lastDeliveryAt: string | null;
+  /** HTTP status of the last delivery attempt */
+  lastDeliveryStatus: number | null;
+  lastDeliveryError: string | null;
+  createdAt: string;
+}
+
+export interface WebhookCreated {
+  id: string;
+  url: string;
+  events: Array<"score.threshold_crossed" | "burst.detected" | "indicator.appeared">;
+  enabled: boolean;
+  lastDeliveryAt: string | null;
+  /** HTTP status of the last delivery attempt */
+  lastDeliveryStatus: number | null;
+  lastDeliveryError: string | null;
+  createdAt: string;
+  /** Only returned when the webhook is created */
+  secret: string;
+}
+
+export interface WebhookList {
+  webhooks: Webhook[];
+}
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  /** First characters of the key */
+  prefix: string;
+  quotas: {
+    /** null means unlimited */
+    analysesPerDay: number | null;
+    /** null means unlimited */
+    deepAnalysesPerDay: number | null;
+    /** null means unlimited */
+    maxStars: number | null;
+    /** null means unlimited */
+    maxUsers: number | null;
+    /** null means unlimited */
+    requestsPerMinute: number | null;
+  };
+  createdAt: string;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+}
+
+export interface ApiKeyCreated {
+  id: string;
+  name: string;
+  /** First characters of the key */
+  prefix: string;
+  quotas: {
+    /** null means unlimited */
+    analysesPerDay: number | null;
+    /** null means unlimited */
+    deepAnalysesPerDay: number | null;
+    /** null means unlimited */
+    maxStars: number | null;
+    /** null means unlimited */
+    maxUsers: number | null;
+    /** null means unlimited */
+    requestsPerMinute: number | null;
+  };
+  createdAt: string;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  /** Only returned when the key is issued */
+  key: string;
+}
+
+export interface ApiKeyUsage {
+  id: string;
+  name: string;
+  /** First characters of the key */
+  prefix: string;
+  quotas: {
+    /** null means unlimited */
+    analysesPerDay: number | null;
+    /** null means unlimited */
+    deepAnalysesPerDay: number | null;
+    /** null means unlimited */
+    maxStars: number | null;
+    /** null means unlimited */
+    maxUsers: number | null;
+    /** null means unlimited */
+    requestsPerMinute: number | null;
+  };
+  createdAt: string;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  usage: {
+    day: string;
+    analyses: number;
+    deepAnalyses: number;
+  };
+}
+
+export interface ApiKeyList {
+  keys: ApiKey[];
+}
+
+export interface Error {
+  error: {
+    code: "invalid_request" | "unauthorized" | "forbidden" | "not_found" | "unprocessable" | "rate_limited" | "quota_exceeded" | "limit_exceeded" | "internal_error" | "not_implemented" | "upstream_error" | "unavailable";
+    message: string;
+    /** For invalid_request, the offending fields as [{ field, message }]; for 429s, retryAfter */
+    details?: unknown | null;
+  };
+}
+
+export interface AnalyzeInput {
+  /** https://github.com/<owner>/<repo> */
+  repoUrl?: string;
+  /** GitHub user or organization */
+  owner?: string;
+  /** Repository name */
+  repo?: string;
+  /** Profile a sample of stargazers */
+  deepAnalysis?: boolean;
+  /** Stargazers to fetch */
+  maxStars?: number;
+  /** Stargazers to profile in a deep analysis */
+  maxUsers?: number;
+  /** How profiled stargazers are picked */
+  sampling?: "oldest" | "uniform" | "stratified" | "spikes";
+  /** Seed to reproduce a random sample */
+  sampleSeed?: number;
+  /** Check the recent activity of profiled accounts */
+  activityAnalysis?: boolean;
+  maxActivityUsers?: number;
+  /** Compare pattern ratios with stored analyses of similar repositories */
+  benchmark?: boolean;
+  /** Return a job to poll instead of waiting for the result */
+  async?: boolean;
+}
+
+export interface AnalyzeBatchInput {
+  /** GitHub URLs or owner/repo names */
+  repos?: string[];
+  /** Analyze an organization's repositories */
+  org?: string;
+  /** Analyze a user's repositories */
+  user?: string;
+  includeForks?: boolean;
+  maxRepos?: number;
+  /** Profile a sample of stargazers */
+  deepAnalysis?: boolean;
+  /** Stargazers to fetch */
+  maxStars?: number;
+  /** Stargazers to profile in a deep analysis */
+  maxUsers?: number;
+  /** How profiled stargazers are picked */
+  sampling?: "oldest" | "uniform" | "stratified" | "spikes";
+  /** Seed to reproduce a random sample */
+  sampleSeed?: number;
+  async?: boolean;
+}
+
+export interface GetJobInput {
+  id: string;
+}
+
+export interface StreamJobEventsInput {
+  id: string;
+}
+
+export interface GetRepoInput {
+  /** GitHub user or organization */
+  owner: string;
+  /** Repository name */
+  repo: string;
+}
+
+export interface GetStarHistoryInput {
+  /** GitHub user or organization */
+  owner: string;
+  /** Repository name */
+  repo: string;
+  interval?: "hour" | "day";
+  maxStars?: number;
+  /** z-score a bucket must exceed to count as a burst */
+  threshold?: number;
+  /** Trailing buckets in the baseline (default per interval) */
+  window?: number;
+}
+
+export interface GetHistoryInput {
+  /** GitHub user or organization */
+  owner: string;
+  /** Repository name */
+  repo: string;
+  limit?: number;
+}
+
+export interface GetBadgeInput {
+  /** GitHub user or organization */
+  owner: string;
+  /** Repository name */
+  repo: string;
+  /** Start a basic analysis when there is no recent result */
+  analyze?: boolean;
+}
+
+export interface GetResultInput {
+  id: string;
+  /** Export format; defaults to the Accept header, then json */
+  format?: "json" | "csv" | "ndjson" | "html" | "pdf";
+}
+
+export interface DiffResultsInput {
+  id: string;
+  otherId: string;
+}
+
+export interface GetAccountsInput {
+  id: string;
+  /** Only accounts with it */
+  verdict?: string;
+  page?: number;
+  perPage?: number;
+}
+
+export interface GetOverlapInput {
+  id: string;
+  windowMinutes?: number;
+  minGroup?: number;
+}
+
+export interface CreateWatchInput {
+  /** https://github.com/<owner>/<repo> */
+  repoUrl?: string;
+  /** GitHub user or organization */
+  owner?: string;
+  /** Repository name */
+  repo?: string;
+  /** @hourly, @daily, @weekly or an interval like 30m, 6h, 2d */
+  schedule?: string;
+  threshold?: number;
+  deepAnalysis?: boolean;
+  maxStars?: number;
+  maxUsers?: number;
+  enabled?: boolean;
+}
+
+export interface GetWatchInput {
+  id: string;
+}
+
+export interface UpdateWatchInput {
+  id: string;
+  /** @hourly, @daily, @weekly or an interval like 30m, 6h, 2d */
+  schedule?: string;
+  threshold?: number;
+  deepAnalysis?: boolean;
+  maxStars?: number;
+  maxUsers?: number;
+  enabled?: boolean;
+}
+
+export interface DeleteWatchInput {
+  id: string;
+}
+
+export interface RunWatchInput {
+  id: string;
+}
+
+export interface CreateWebhookInput {
+  /** http or https URL */
+  url: string;
+  /** Events to send; all when omitted */
+  events?: Array<"score.threshold_crossed" | "burst.detected" | "indicator.appeared">;
+  enabled?: boolean;
+  /** Signing secret; generated when missing */
+  secret?: string;
+}
+
+export interface GetWebhookInput {
+  id: string;
+}
+
+export interface UpdateWebhookInput {
+  id: string;
+  /** http or https URL */
+  url?: string;
+  /** Events to send; all when omitted */
+  events?: Array<"score.threshold_crossed" | "burst.detected" | "indicator.appeared">;
+  enabled?: boolean;
+}
+
+export interface DeleteWebhookInput {
+  id: string;
+}
+
+export interface CreateApiKeyInput {
+  name: string;
+  analysesPerDay?: number | null;
+  deepAnalysesPerDay?: number | null;
+  maxStars?: number | null;
+  maxUsers?: number | null;
+  requestsPerMinute?: number | null;
+}
+
+export interface GetApiKeyInput {
+  id: string;
+}
+
+export interface RevokeApiKeyInput {
+  id: string;
+}
+
+export interface ClientOptions {
+  /** Base URL of the API, e.g. https://stars.example.com */
+  baseUrl: string;
+  /** Sent as X-API-Key */
+  apiKey?: string;
+  /** fetch implementation; defaults to the global fetch */
+  fetch?: typeof fetch;
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+}
+
+export interface StarBusterClient {
+  /** API overview (GET /) */
+  getOverview(): Promise<Overview>;
+  /** Health check (GET /health) */
+  getHealth(): Promise<Health>;
+  /** This OpenAPI document (GET /openapi.json) */
+  getOpenApi(): Promise<Record<string, unknown>>;
+  /** Active scoring rule set (GET /rules) */
+  getRules(): Promise<Ruleset>;
+  /** Analyze a repository's stargazers (POST /analyze) */
+  analyze(input?: AnalyzeInput): Promise<AnalysisResult | JobAccepted>;
+  /** Analyze many repositories, ranked by suspicion score (POST /analyze/batch) */
+  analyzeBatch(input?: AnalyzeBatchInput): Promise<BatchSummary | JobAccepted>;
+  /** Analysis job status (GET /jobs/{id}) */
+  getJob(input: GetJobInput): Promise<Job>;
+  /** Job progress as server-sent events (GET /jobs/{id}/events) */
+  streamJobEvents(input: StreamJobEventsInput): Promise<Response>;
+  /** Repository information (GET /repo/{owner}/{repo}) */
+  getRepo(input: GetRepoInput): Promise<Repository>;
+  /** Star history with flagged bursts (GET /repo/{owner}/{repo}/star-history) */
+  getStarHistory(input: GetStarHistoryInput): Promise<StarHistory>;
+  /** Stored analyses of a repository, oldest first (GET /repo/{owner}/{repo}/history) */
+  getHistory(input: GetHistoryInput): Promise<History>;
+  /** SVG badge with the repository's suspicion score (GET /badge/{owner}/{repo}.svg) */
+  getBadge(input: GetBadgeInput): Promise<string>;
+  /** Stored analysis result, as JSON or an export format (GET /results/{id}) */
+  getResult(input: GetResultInput): Promise<StoredResult | string | ArrayBuffer>;
+  /** Compare two results of the same repository (GET /results/{id}/diff/{otherId}) */
+  diffResults(input: DiffResultsInput): Promise<ResultDiff>;
+  /** Per-account verdicts of a result (GET /results/{id}/accounts) */
+  getAccounts(input: GetAccountsInput): Promise<AccountPage>;
+  /** Cross-repository overlap of suspicious stargazers (GET /results/{id}/overlap) */
+  getOverlap(input: GetOverlapInput): Promise<Overlap>;
+  /** Watch a repository (POST /watches) */
+  createWatch(input?: CreateWatchInput): Promise<Watch>;
+  /** List watches (GET /watches) */
+  listWatches(): Promise<WatchList>;
+  /** Get a watch (GET /watches/{id}) */
+  getWatch(input: GetWatchInput): Promise<Watch>;
+  /** Update a watch (PATCH /watches/{id}) */
+  updateWatch(input: UpdateWatchInput): Promise<Watch>;
+  /** Delete a watch (DELETE /watches/{id}) */
+  deleteWatch(input: DeleteWatchInput): Promise<void>;
+  /** Run a watch now (POST /watches/{id}/run) */
+  runWatch(input: RunWatchInput): Promise<WatchRun>;
+  /** Register a webhook (POST /webhooks) */
+  createWebhook(input: CreateWebhookInput): Promise<WebhookCreated>;
+  /** List webhooks (GET /webhooks) */
+  listWebhooks(): Promise<WebhookList>;
+  /** Get a webhook (GET /webhooks/{id}) */
+  getWebhook(input: GetWebhookInput): Promise<Webhook>;
+  /** Update a webhook (PATCH /webhooks/{id}) */
+  updateWebhook(input: UpdateWebhookInput): Promise<Webhook>;
+  /** Delete a webhook (DELETE /webhooks/{id}) */
+  deleteWebhook(input: DeleteWebhookInput): Promise<void>;
+  /** Issue an API key (POST /admin/keys) */
+  createApiKey(input: CreateApiKeyInput): Promise<ApiKeyCreated>;
+  /** List API keys (GET /admin/keys) */
+  listApiKeys(): Promise<ApiKeyList>;
+  /** Get an API key with today's usage (GET /admin/keys/{id}) */
+  getApiKey(input: GetApiKeyInput): Promise<ApiKeyUsage>;
+  /** Revoke an API key (DELETE /admin/keys/{id}) */
+  revokeApiKey(input: RevokeApiKeyInput): Promise<ApiKey>;
+}
+
+/** Error response of the API ({ error: { code, message, details } }) */
+export class StarBusterError extends Error {
+  status: number;
+  code: string;
+  details: unknown;
+  /** Seconds to wait, from the Retry-After header of 429 responses */
+  retryAfter: number | null;
+}
+
+export function createClient(options: ClientOptions): StarBusterClient;
+
+export const operations: Record<
+  string,
+  {
+    method: string;
+    path: string;
+    pathParams: string[];
+    query: string[];
+    body: boolean;
+  }
+>;
@@ -0,0 +1,108 @@
+const operations = require("./operations");
+
+// Error response of the API, or a response that is not one
+class StarBusterError extends Error {
+  constructor(status, { code, message, details } = {}, retryAfter = null) {
+    super(message || `Request failed with status ${status}`);
+    this.name = "StarBusterError";
+    this.status = status;
+    this.code = code || "unknown_error";
+    this.details = details ?? null;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function buildUrl(baseUrl, operation, input) {
+  const path = operation.path.replace(/\{(\w+)\}/g, (_, name) => {
+    if (input[name] === undefined) {
+      throw new TypeError(`Missing path parameter: ${name}`);
+    }
+    return encodeURIComponent(input[name]);
+  });
+  const url = new URL(baseUrl.replace(/\/+$/, "") + path);
+
+  // Operations without a body take everything else in the query string
+  const queryNames = operation.body
+    ? operation.query
+    : Object.keys(input).filter((name) => !operation.pathParams.includes(name));
+  queryNames.forEach((name) => {
+    if (input[name] !== undefined && input[name] !== null) {
+      url.searchParams.set(name, String(input[name]));
+    }
+  });
+  return url;
+}
+
+function bodyOf(operation, input) {
+  const body = {};
+  Object.entries(input).forEach(([name, value]) => {
+    if (
+      !operation.pathParams.includes(name) &&
+      !operation.query.includes(name)
+    ) {
+      body[name] = value;
+    }
+  });
+  return body;
+}
+
+async function parseResponse(response) {
+  const contentType = response.headers.get("content-type") || "";
+
+  if (!response.ok) {
+    const body = contentType.includes("json")
+      ? await response.json().catch(() => ({}))
+      : {};
+    const retryAfter = response.headers.get("retry-after");
+    throw new StarBusterError(
+      response.status,
+      body.error,
+      retryAfter ? Number(retryAfter) : null
+    );
+  }
+
+  if (response.status === 204) return undefined;
+  if (contentType.includes("text/event-stream")) return response;
+  if (contentType.includes("json")) return response.json();
+  if (contentType.includes("application/pdf")) return response.arrayBuffer();
+  return response.text();
+}
+
+// Client with one method per API operation. Methods take one flat input
+// object: path parameters, query parameters and body fields alike.
+function createClient({
+  baseUrl,
+  apiKey,
+  fetch = globalThis.fetch,
+  headers = {},
+}) {
+  if (!baseUrl) throw new TypeError("baseUrl is required");
+  if (typeof fetch !== "function") {
+    throw new TypeError("No fetch implementation; pass one as options.fetch");
+  }
+
+  const call = async (operation, input = {}) => {
+    const requestHeaders = { Accept: "application/json", ...headers };
+    if (apiKey) requestHeaders["X-API-Key"] = apiKey;
+
+    const request = { method: operation.method, headers: requestHeaders };
+    if (operation.body) {
+      requestHeaders["Content-Type"] = "application/json";
+      request.body = JSON.stringify(bodyOf(operation, input));
+    }
+    if (operation.path.endsWith("/events")) {
+      requestHeaders.Accept = "text/event-stream";
+    }
+
+    const response = await fetch(buildUrl(baseUrl, operation, input), request);
+    return parseResponse(response);
+  };
+
+  const client = {};
+  Object.entries(operations).forEach(([operationId, operation]) => {
+    client[operationId] = (input) => call(operation, input);
+  });
+  return client;
+}
+
+module.exports = { createClient, StarBusterError, operations };
@@ -0,0 +1,282 @@
+// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.
+
+module.exports = {
+  "getOverview": {
+    "method": "GET",
+    "path": "/",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getHealth": {
+    "method": "GET",
+    "path": "/health",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getOpenApi": {
+    "method": "GET",
+    "path": "/openapi.json",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getRules": {
+    "method": "GET",
+    "path": "/rules",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "analyze": {
+    "method": "POST",
+    "path": "/analyze",
+    "pathParams": [],
+    "query": [],
+    "body": true
+  },
+  "analyzeBatch": {
+    "method": "POST",
+    "path": "/analyze/batch",
+    "pathParams": [],
+    "query": [],
+    "body": true
+  },
+  "getJob": {
+    "method": "GET",
+    "path": "/jobs/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "streamJobEvents": {
+    "method": "GET",
+    "path": "/jobs/{id}/events",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "getRepo": {
+    "method": "GET",
+    "path": "/repo/{owner}/{repo}",
+    "pathParams": [
+      "owner",
+      "repo"
+    ],
+    "query": [],
+    "body": false
+  },
+  "getStarHistory": {
+    "method": "GET",
+    "path": "/repo/{owner}/{repo}/star-history",
+    "pathParams": [
+      "owner",
+      "repo"
+    ],
+    "query": [
+      "interval",
+      "maxStars",
+      "threshold",
+      "window"
+    ],
+    "body": false
+  },
+  "getHistory": {
+    "method": "GET",
+    "path": "/repo/{owner}/{repo}/history",
+    "pathParams": [
+      "owner",
+      "repo"
+    ],
+    "query": [
+      "limit"
+    ],
+    "body": false
+  },
+  "getBadge": {
+    "method": "GET",
+    "path": "/badge/{owner}/{repo}.svg",
+    "pathParams": [
+      "owner",
+      "repo"
+    ],
+    "query": [
+      "analyze"
+    ],
+    "body": false
+  },
+  "getResult": {
+    "method": "GET",
+    "path": "/results/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [
+      "format"
+    ],
+    "body": false
+  },
+  "diffResults": {
+    "method": "GET",
+    "path": "/results/{id}/diff/{otherId}",
+    "pathParams": [
+      "id",
+      "otherId"
+    ],
+    "query": [],
+    "body": false
+  },
+  "getAccounts": {
+    "method": "GET",
+    "path": "/results/{id}/accounts",
+    "pathParams": [
+      "id"
+    ],
+    "query": [
+      "verdict",
+      "page",
+      "perPage"
+    ],
+    "body": false
+  },
+  "getOverlap": {
+    "method": "GET",
+    "path": "/results/{id}/overlap",
+    "pathParams": [
+      "id"
+    ],
+    "query": [
+      "windowMinutes",
+      "minGroup"
+    ],
+    "body": false
+  },
+  "createWatch": {
+    "method": "POST",
+    "path": "/watches",
+    "pathParams": [],
+    "query": [],
+    "body": true
+  },
+  "listWatches": {
+    "method": "GET",
+    "path": "/watches",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getWatch": {
+    "method": "GET",
+    "path": "/watches/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "updateWatch": {
+    "method": "PATCH",
+    "path": "/watches/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": true
+  },
+  "deleteWatch": {
+    "method": "DELETE",
+    "path": "/watches/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "runWatch": {
+    "method": "POST",
+    "path": "/watches/{id}/run",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "createWebhook": {
+    "method": "POST",
+    "path": "/webhooks",
+    "pathParams": [],
+    "query": [],
+    "body": true
+  },
+  "listWebhooks": {
+    "method": "GET",
+    "path": "/webhooks",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getWebhook": {
+    "method": "GET",
+    "path": "/webhooks/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "updateWebhook": {
+    "method": "PATCH",
+    "path": "/webhooks/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": true
+  },
+  "deleteWebhook": {
+    "method": "DELETE",
+    "path": "/webhooks/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "createApiKey": {
+    "method": "POST",
+    "path": "/admin/keys",
+    "pathParams": [],
+    "query": [],
+    "body": true
+  },
+  "listApiKeys": {
+    "method": "GET",
+    "path": "/admin/keys",
+    "pathParams": [],
+    "query": [],
+    "body": false
+  },
+  "getApiKey": {
+    "method": "GET",
+    "path": "/admin/keys/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  },
+  "revokeApiKey": {
+    "method": "DELETE",
+    "path": "/admin/keys/{id}",
+    "pathParams": [
+      "id"
+    ],
+    "query": [],
+    "body": false
+  }
+};
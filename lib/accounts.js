@@ -0,0 +1,75 @@
+// Per-account signals and the explanation shown when one is triggered
+const ACCOUNT_SIGNALS = {
+  sameDay: "Account created, last updated and starred on the same day",
+  fakeProfile: "Matches every fake profile criterion",
+  coordinatedWindow: "Starred inside a coordinated starring window",
+  newAccount: "Account was less than 30 days old when it starred",
+  lowEngagement: "Fewer than 2 followers and fewer than 2 following",
+  noRepos: "No public repositories",
+  namePattern: "Username scores as generic or bot-like",
+  onlyStarring: "Starring is its only public activity",
+  rapidStarring: "Starred 5 or more repos within 10 minutes",
+  promotedOverlap: "Also starred repos flagged as promoted",
+};
+
+const DEFAULT_ACCOUNTS_PER_PAGE = 50;
+const MAX_ACCOUNTS_PER_PAGE = 200;
+
+// Logistic score from the triggered signals: 1 / (1 + e^-(bias + sum of weights))
+function scoreAccount(signals, model) {
+  const triggered = Object.keys(ACCOUNT_SIGNALS).filter((id) => signals[id]);
+  const logit = triggered.reduce(
+    (sum, id) => sum + (model.weights[id] || 0),
+    model.bias
+  );
+  const score = 1 / (1 + Math.exp(-logit));
+  const verdict = model.verdicts.find((v) => score >= v.minScore)?.verdict;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    verdict,
+    signals: triggered.map((id) => ({
+      id,
+      weight: model.weights[id] || 0,
+      description: ACCOUNT_SIGNALS[id],
+    })),
+  };
+}
+
+// Count accounts per verdict
+function summarizeVerdicts(accounts, model) {
+  const summary = {};
+  model.verdicts.forEach((v) => (summary[v.verdict] = 0));
+  accounts.forEach((account) => summary[account.verdict]++);
+  return summary;
+}
+
+// One page of accounts, most suspicious first, optionally filtered by verdict
+function pageAccounts(accounts, { verdict, page = 1, perPage } = {}) {
+  perPage = Math.min(
+    Math.max(perPage || DEFAULT_ACCOUNTS_PER_PAGE, 1),
+    MAX_ACCOUNTS_PER_PAGE
+  );
+  page = Math.max(page || 1, 1);
+
+  const filtered = accounts
+    .filter((account) => !verdict || account.verdict === verdict)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    total: filtered.length,
+    page,
+    perPage,
+    totalPages: Math.ceil(filtered.length / perPage),
+    accounts: filtered.slice((page - 1) * perPage, page * perPage),
+  };
+}
+
+module.exports = {
+  ACCOUNT_SIGNALS,
+  DEFAULT_ACCOUNTS_PER_PAGE,
+  MAX_ACCOUNTS_PER_PAGE,
+  scoreAccount,
+  summarizeVerdicts,
+  pageAccounts,
+};
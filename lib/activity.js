@@ -0,0 +1,156 @@
+const {
+  GITHUB_API,
+  GITHUB_TOKEN,
+  makeGitHubRequest,
+  makeGitHubGraphQLRequest,
+} = require("./github");
+const { mapWithConcurrency } = require("./profiles");
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_ACTIVITY_USERS = 50;
+const MAX_ACTIVITY_USERS = 200;
+
+// "Starred N repos within minutes": this many stars inside the window
+const RAPID_STAR_WINDOW_MINUTES = 10;
+const RAPID_STAR_MIN = 5;
+
+// Analyzed repos with a live result scoring at least this count as promoted
+const PROMOTED_MIN_SCORE = 70;
+
+// Contributions over the last year; needs a token
+const CONTRIBUTIONS_QUERY = `
+  query ($login: String!) {
+    user(login: $login) {
+      contributionsCollection {
+        contributionCalendar {
+          totalContributions
+        }
+      }
+    }
+  }
+`;
+
+// Most stars inside any window of windowMs, from starred_at timestamps
+function maxStarsInWindow(times, windowMs) {
+  const sorted = [...times].sort((a, b) => a - b);
+  let best = 0;
+  let start = 0;
+
+  for (let end = 0; end < sorted.length; end++) {
+    while (sorted[end] - sorted[start] > windowMs) start++;
+    best = Math.max(best, end - start + 1);
+  }
+
+  return best;
+}
+
+async function fetchContributions(login) {
+  if (!GITHUB_TOKEN) return null;
+  const data = await makeGitHubGraphQLRequest(CONTRIBUTIONS_QUERY, { login });
+  return (
+    data.user?.contributionsCollection.contributionCalendar
+      .totalContributions ?? null
+  );
+}
+
+// Public events (last 90 days), the 100 most recent stars and last year's
+// contribution count of one account, reduced to activity signals.
+// `repo` is the analyzed "owner/name", left out of the promoted overlap.
+async function fetchAccountActivity(login, { promotedRepos, repo }) {
+  const [events, starred, contributions] = await Promise.all([
+    makeGitHubRequest(`${GITHUB_API}/users/${login}/events/public`, {
+      per_page: 100,
+    }),
+    makeGitHubRequest(
+      `${GITHUB_API}/users/${login}/starred`,
+      { per_page: 100, sort: "created", direction: "desc" },
+      { accept: "application/vnd.github.v3.star+json" }
+    ),
+    fetchContributions(login),
+  ]);
+
+  const eventTypes = {};
+  events.forEach((event) => {
+    eventTypes[event.type] = (eventTypes[event.type] || 0) + 1;
+  });
+
+  const rapidStars = maxStarsInWindow(
+    starred.map((s) => new Date(s.starred_at).getTime()),
+    RAPID_STAR_WINDOW_MINUTES * MINUTE_MS
+  );
+
+  const self = repo.toLowerCase();
+  const promotedStarred = starred
+    .map((s) => s.repo.full_name.toLowerCase())
+    .filter((name) => name !== self && promotedRepos.has(name));
+
+  return {
+    events: events.length,
+    eventTypes,
+    contributions,
+    starredRepos: starred.length,
+    maxStarsInWindow: rapidStars,
+    // Stars are all it does: no other public events, no contributions
+    onlyStarring:
+      starred.length > 0 &&
+      Object.keys(eventTypes).every((type) => type === "WatchEvent") &&
+      !(contributions > 0),
+    rapidStarring: rapidStars >= RAPID_STAR_MIN,
+    promotedStarred,
+  };
+}
+
+// Attach `activity` to up to `count` profiled users, a few at a time.
+// The users are spread evenly over the profiled sample so they keep its
+// coverage. Accounts whose activity cannot be fetched are left without it.
+async function analyzeAccountActivity(
+  users,
+  { count, concurrency, promotedRepos, repo, onProgress = () => {} }
+) {
+  const step = Math.max(users.length / count, 1);
+  const selected = [];
+  for (let i = 0; i < users.length && selected.length < count; i += step) {
+    selected.push(users[Math.floor(i)]);
+  }
+
+  let checked = 0;
+
+  onProgress({
+    phase: "activity",
+    accountsChecked: 0,
+    accountsToCheck: selected.length,
+  });
+
+  await mapWithConcurrency(selected, concurrency, async (user) => {
+    try {
+      user.activity = await fetchAccountActivity(user.login, {
+        promotedRepos,
+        repo,
+      });
+    } catch (error) {
+      console.error(
+        `Error fetching activity for ${user.login}:`,
+        error.message
+      );
+    } finally {
+      onProgress({
+        phase: "activity",
+        accountsChecked: ++checked,
+        accountsToCheck: selected.length,
+      });
+    }
+  });
+
+  return selected.filter((user) => user.activity).length;
+}
+
+module.exports = {
+  DEFAULT_ACTIVITY_USERS,
+  MAX_ACTIVITY_USERS,
+  RAPID_STAR_WINDOW_MINUTES,
+  RAPID_STAR_MIN,
+  PROMOTED_MIN_SCORE,
+  maxStarsInWindow,
+  analyzeAccountActivity,
+};
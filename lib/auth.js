@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const {
+  AuthenticationError,
+  ForbiddenError,
+  RateLimitError,
+  UnavailableError,
+} = require("./errors");
+
+const MINUTE_MS = 60 * 1000;
+
+const KEY_PREFIX = "sbk_";
+
+const DEFAULT_ANONYMOUS_REQUESTS_PER_MINUTE = 60;
+
+// Quotas given to new keys unless the admin sets them; null means unlimited
+const DEFAULT_KEY_QUOTAS = {
+  analyses_per_day: 100,
+  deep_analyses_per_day: 20,
+  max_stars: 5000,
+  max_users: 200,
+  requests_per_minute: 60,
+};
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// New random key; only its hash is stored
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+}
+
+// Constant-time comparison of two secrets of any length
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(a), "hex"),
+    Buffer.from(hashKey(b), "hex")
+  );
+}
+
+// UTC day quotas are counted in, e.g. "2025-01-31"
+function usageDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Seconds until the daily quotas reset at UTC midnight
+function secondsUntilReset(now = new Date()) {
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function keyFromRequest(req) {
+  const bearer = req.get("authorization")?.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.get("x-api-key") || null;
+}
+
+// Auth settings from env config. Keys are required once an admin key is
+// set, unless API_KEYS_REQUIRED says otherwise.
+function authConfig(env = process.env) {
+  const adminKey = env.ADMIN_API_KEY || null;
+  const anonymousLimit = parseInt(env.ANONYMOUS_REQUESTS_PER_MINUTE);
+
+  return {
+    adminKey,
+    required: env.API_KEYS_REQUIRED
+      ? env.API_KEYS_REQUIRED === "true"
+      : Boolean(adminKey),
+    anonymousRequestsPerMinute:
+      anonymousLimit >= 0
+        ? anonymousLimit
+        : DEFAULT_ANONYMOUS_REQUESTS_PER_MINUTE,
+  };
+}
+
+// API key authentication, per-minute request limits and daily analysis
+// quotas. Request counters live in process memory; daily usage is stored.
+function createAuth({
+  storage,
+  adminKey,
+  required,
+  anonymousRequestsPerMinute,
+}) {
+  // client id -> { windowStart, count } for the current minute
+  const windows = new Map();
+
+  // Fixed one-minute window per key, or per IP for anonymous clients.
+  // Throws a RateLimitError once the window's requests are used up.
+  function checkRate(req, res) {
+    const client = req.client;
+    if (client?.admin) return;
+
+    const limit = client
+      ? client.key.requests_per_minute
+      : anonymousRequestsPerMinute;
+    if (limit === null || limit === undefined || limit === 0) return;
+
+    const id = client ? `key:${client.key.id}` : `ip:${req.ip}`;
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || now - window.windowStart >= MINUTE_MS) {
+      window = { windowStart: now, count: 0 };
+      windows.set(id, window);
+    }
+    window.count++;
+
+    res.set({
+      "X-RateLimit-Limit": String(limit),
+      "X-RateLimit-Remaining": String(Math.max(limit - window.count, 0)),
+      "X-RateLimit-Reset": String(
+        Math.ceil((window.windowStart + MINUTE_MS) / 1000)
+      ),
+    });
+
+    if (window.count > limit) {
+      throw new RateLimitError(
+        `Rate limit exceeded: ${limit} requests per minute`,
+        {
+          retryAfter: Math.max(
+            Math.ceil((window.windowStart + MINUTE_MS - now) / 1000),
+            1
+          ),
+        }
+      );
+    }
+  }
+
+  // Identify the client from its API key (req.client: null when anonymous)
+  // and apply its request rate limit
+  async function authenticate(req, res, next) {
+    try {
+      const key = keyFromRequest(req);
+      req.client = null;
+
+      if (key) {
+        if (adminKey && safeEqual(key, adminKey)) {
+          req.client = { admin: true, key: null };
+        } else {
+          const row = await storage.findApiKeyByHash(hashKey(key));
+          if (!row || row.revoked_at) {
+            throw new AuthenticationError("Invalid or revoked API key");
+          }
+          req.client = { admin: false, key: row };
+          storage
+            .updateApiKey(row.id, { last_used_at: new Date().toISOString() })
+            .catch((error) =>
+              console.error("Error updating API key usage:", error.message)
+            );
+        }
+      }
+
+      checkRate(req, res);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Routes that spend GitHub quota need a key when keys are required
+  function requireApiKey(req, res, next) {
+    if (required && !req.client) {
+      throw new AuthenticationError(
+        "An API key is required (Authorization: Bearer <key> or X-API-Key)"
+      );
+    }
+    next();
+  }
+
+  // Watches, webhooks and key management need the admin key, and are
+  // disabled until one is set: webhooks make the server call any URL
+  function requireAdmin(req, res, next) {
+    if (!adminKey) {
+      throw new UnavailableError(
+        "Admin API is disabled: ADMIN_API_KEY is not set"
+      );
+    }
+    if (!req.client?.admin) {
+      throw new ForbiddenError("Admin API key required");
+    }
+    next();
+  }
+
+  // Check a request for `count` analyses against the client's key quotas and
+  // record them. Throws a RateLimitError for requests beyond the key's caps
+  // or once a daily quota is used up. Returns a function that gives back
+  // analyses that did not happen (all `count` by default), for callers to
+  // call when the work fails.
+  async function consumeAnalysisQuota(
+    client,
+    { deepAnalysis, maxStars, maxUsers, count = 1 }
+  ) {
+    if (!client || client.admin) return async () => {};
+    const key = client.key;
+
+    const capped =
+      key.max_stars !== null && maxStars > key.max_stars
+        ? { field: "maxStars", limit: key.max_stars }
+        : deepAnalysis && key.max_users !== null && maxUsers > key.max_users
+        ? { field: "maxUsers", limit: key.max_users }
+        : null;
+    if (capped) {
+      throw new RateLimitError(
+        `${capped.field} is limited to ${capped.limit} for this API key`,
+        {
+          code: "limit_exceeded",
+          retryAfter: secondsUntilReset(),
+          details: capped,
+        }
+      );
+    }
+
+    // Count the analyses first and check the totals storage returns, so
+    // concurrent requests cannot both spend the last one; over-quota
+    // requests give theirs back
+    const day = usageDay();
+    const added = (n) => ({
+      analyses: n,
+      deepAnalyses: deepAnalysis ? n : 0,
+    });
+    const giveBack = (n) =>
+      storage.addApiKeyUsage(key.id, day, {
+        analyses: -added(n).analyses,
+        deepAnalyses: -added(n).deepAnalyses,
+      });
+    const usage = await storage.addApiKeyUsage(key.id, day, added(count));
+
+    const exceeded =
+      key.analyses_per_day !== null && usage.analyses > key.analyses_per_day
+        ? `${key.analyses_per_day} analyses`
+        : deepAnalysis &&
+          key.deep_analyses_per_day !== null &&
+          usage.deep_analyses > key.deep_analyses_per_day
+        ? `${key.deep_analyses_per_day} deep analyses`
+        : null;
+    if (exceeded) {
+      await giveBack(count);
+      throw new RateLimitError(`Daily quota exceeded: ${exceeded} per day`, {
+        code: "quota_exceeded",
+        retryAfter: secondsUntilReset(),
+      });
+    }
+
+    return async (n = count) => {
+      if (n <= 0) return;
+      try {
+        await giveBack(n);
+      } catch (error) {
+        console.error("Error refunding API key usage:", error.message);
+      }
+    };
+  }
+
+  // Run `task` charged to the client's quota; a task that throws gets its
+  // analyses back
+  async function withAnalysisQuota(client, params, task) {
+    const refund = await consumeAnalysisQuota(client, params);
+    try {
+      return await task();
+    } catch (error) {
+      await refund();
+      throw error;
+    }
+  }
+
+  // Forget request windows that have ended
+  function pruneWindows() {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (now - window.windowStart >= MINUTE_MS) windows.delete(id);
+    });
+  }
+  setInterval(pruneWindows, MINUTE_MS).unref();
+
+  return {
+    required,
+    authenticate,
+    requireApiKey,
+    requireAdmin,
+    consumeAnalysisQuota,
+    withAnalysisQuota,
+  };
+}
+
+module.exports = {
+  DEFAULT_KEY_QUOTAS,
+  hashKey,
+  generateKey,
+  usageDay,
+  authConfig,
+  createAuth,
+};
@@ -0,0 +1,117 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BADGE_LABEL = "star suspicion";
+
+// Results older than this show as "not analyzed"
+const DEFAULT_BADGE_MAX_AGE_DAYS = 7;
+
+// Seconds clients and CDNs may cache a badge
+const BADGE_CACHE_SECONDS = 60 * 60;
+const PENDING_BADGE_CACHE_SECONDS = 5 * 60;
+
+const BADGE_COLORS = {
+  low: "#44cc11",
+  medium: "#dfb317",
+  high: "#e05d44",
+  none: "#9f9f9f",
+};
+
+// How old a result may be to still be shown on a badge
+function badgeConfig(env = process.env) {
+  const days = parseFloat(env.BADGE_MAX_AGE_DAYS);
+  return {
+    maxAgeMs:
+      (Number.isFinite(days) && days > 0 ? days : DEFAULT_BADGE_MAX_AGE_DAYS) *
+      DAY_MS,
+  };
+}
+
+// Suspicion band of a 0-100 score, as in the README
+function scoreBand(score) {
+  if (score >= 70) return "high";
+  if (score >= 40) return "medium";
+  return "low";
+}
+
+function scoreColor(score) {
+  return BADGE_COLORS[scoreBand(score)];
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Approximate width of Verdana 11px text, close enough to size the badge
+function textWidth(text) {
+  return [...text].reduce((width, char) => {
+    if (/[ijlt.,:;!|' ]/.test(char)) return width + 3.5;
+    if (/[mwMW]/.test(char)) return width + 10;
+    if (/[A-Z]/.test(char)) return width + 7.5;
+    return width + 6.8;
+  }, 0);
+}
+
+// Shields-style flat badge: grey label on the left, coloured message right
+function renderBadge({ label = BADGE_LABEL, message, color }) {
+  const labelWidth = Math.round(textWidth(label) + 10);
+  const messageWidth = Math.round(textWidth(message) + 10);
+  const width = labelWidth + messageWidth;
+  const title = escapeXml(`${label}: ${message}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${
+      labelWidth / 2
+    }" y="15" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+    <text x="${
+      labelWidth + messageWidth / 2
+    }" y="15" fill="#010101" fill-opacity=".3">${escapeXml(message)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(
+    message
+  )}</text>
+  </g>
+</svg>
+`;
+}
+
+// Badge of a stored result: score and band, coloured by band
+function scoreBadge(score) {
+  return {
+    message: `${score}/100 ${scoreBand(score)}`,
+    color: scoreColor(score),
+  };
+}
+
+// Badge for a repo without a fresh result, or one being analyzed
+function pendingBadge(analyzing) {
+  return {
+    message: analyzing ? "analyzing" : "not analyzed",
+    color: BADGE_COLORS.none,
+  };
+}
+
+module.exports = {
+  BADGE_CACHE_SECONDS,
+  PENDING_BADGE_CACHE_SECONDS,
+  badgeConfig,
+  scoreColor,
+  renderBadge,
+  scoreBadge,
+  pendingBadge,
+};
@@ -0,0 +1,220 @@
+const {
+  GITHUB_API,
+  GITHUB_TOKEN,
+  makeGitHubRequest,
+  fetchRateLimit,
+} = require("./github");
+const { NotFoundError } = require("./errors");
+
+const DEFAULT_BATCH_REPOS = 50;
+const MAX_BATCH_REPOS = 100;
+
+// Share of the remaining quota all running batches together may spend, so
+// single analyses are not starved
+const BATCH_BUDGET_SHARE = 0.8;
+
+// Quota reserved by running batches and not spent yet, per resource. Shared by
+// every batch in the process: a batch only gets the share left over by the
+// ones already running.
+const reserved = { core: 0, graphql: 0 };
+
+// List an org's or user's public repos, most recently pushed first
+async function expandOwnerRepos({ org, user }, { maxRepos, includeForks }) {
+  const url = org
+    ? `${GITHUB_API}/orgs/${org}/repos`
+    : `${GITHUB_API}/users/${user}/repos`;
+  const repos = [];
+
+  for (let page = 1; repos.length < maxRepos; page++) {
+    let data;
+    try {
+      data = await makeGitHubRequest(url, {
+        per_page: 100,
+        page,
+        sort: "pushed",
+        type: org ? "public" : "owner",
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new NotFoundError(
+          org ? "Organization not found" : "User not found"
+        );
+      }
+      throw error;
+    }
+
+    repos.push(
+      ...data.filter((repo) => !repo.archived && (includeForks || !repo.fork))
+    );
+    if (data.length < 100) break;
+  }
+
+  return repos.slice(0, maxRepos).map((repo) => ({
+    repoOwner: repo.owner.login,
+    repoName: repo.name,
+    stars: repo.stargazers_count,
+  }));
+}
+
+// Rough quota one analysis spends, per rate-limit resource.
+// With a token, stargazers come from GraphQL with their profiles; without
+// one, every page and every profiled user is a REST call.
+function estimateAnalysisCost({ deepAnalysis, maxStars, maxUsers }, stars) {
+  const starCount = Math.min(maxStars, stars ?? maxStars);
+  const pages = Math.ceil(starCount / 100);
+  const users = deepAnalysis ? Math.min(maxUsers, starCount) : 0;
+
+  return GITHUB_TOKEN
+    ? { core: 1, graphql: pages }
+    : { core: 1 + pages + users, graphql: 0 };
+}
+
+// Remaining quota per resource, or null when GitHub cannot tell us
+async function readRemaining() {
+  try {
+    const resources = await fetchRateLimit();
+    return {
+      core: resources.core.remaining,
+      graphql: resources.graphql?.remaining ?? 0,
+    };
+  } catch (error) {
+    console.error("Error reading rate limit:", error.message);
+    return null;
+  }
+}
+
+// Reserve a batch's budget out of the shared share of the remaining quota.
+// Unknown quota means no limit, and nothing to reserve.
+function reserveBudget(start) {
+  const budget = {};
+  const held = { core: 0, graphql: 0 };
+  ["core", "graphql"].forEach((resource) => {
+    if (!start) {
+      budget[resource] = Infinity;
+      return;
+    }
+    budget[resource] = Math.max(
+      Math.floor(start[resource] * BATCH_BUDGET_SHARE) - reserved[resource],
+      0
+    );
+    held[resource] = budget[resource];
+    reserved[resource] += held[resource];
+  });
+  return { budget, held };
+}
+
+// Once spent, quota shows in what GitHub reports as remaining and no longer
+// needs holding; `amounts` missing releases everything still held
+function releaseBudget(held, amounts = held) {
+  ["core", "graphql"].forEach((resource) => {
+    const released = Math.min(held[resource], amounts[resource]);
+    held[resource] -= released;
+    reserved[resource] -= released;
+  });
+}
+
+// Run analyses one after another within a budget reserved from the quota
+// shared by all batches. A repo whose estimated cost no longer fits is
+// skipped, not queued behind a rate-limit reset. Results are ranked by
+// suspicion score.
+async function runBatch(targets, params, { runAnalysis, onProgress }) {
+  const start = await readRemaining();
+  const { budget, held } = reserveBudget(start);
+  const spent = { core: 0, graphql: 0 };
+
+  const rows = [];
+  const counts = { reposCompleted: 0, reposFailed: 0, reposSkipped: 0 };
+  let remaining = start;
+
+  onProgress({ phase: "batch", reposTotal: targets.length, ...counts });
+
+  try {
+    for (const target of targets) {
+      const repository = `${target.repoOwner}/${target.repoName}`;
+      onProgress({ phase: "batch", currentRepo: repository });
+
+      const cost = estimateAnalysisCost(params, target.stars);
+      const exceeds = ["core", "graphql"].filter(
+        (resource) => spent[resource] + cost[resource] > budget[resource]
+      );
+
+      if (exceeds.length > 0) {
+        counts.reposSkipped++;
+        rows.push({
+          repository,
+          status: "skipped",
+          reason: `Rate-limit budget exhausted (${exceeds.join(", ")})`,
+        });
+        onProgress({ phase: "batch", ...counts });
+        continue;
+      }
+
+      try {
+        const result = await runAnalysis({ ...params, ...target });
+        counts.reposCompleted++;
+        rows.push({
+          repository,
+          status: "completed",
+          id: result.id,
+          suspicionScore: result.analysis.suspicionScore,
+          analysisType: result.metadata.analysisType,
+          stars: result.analysis.totalStars,
+          sampleSize: result.metadata.sampleSize,
+          detailedSample: result.metadata.detailedSample,
+          fromCache: result.metadata.fromCache === true,
+          topIndicators: result.analysis.suspicionIndicators.slice(0, 3),
+        });
+      } catch (error) {
+        counts.reposFailed++;
+        rows.push({ repository, status: "failed", error: error.message });
+      }
+
+      // Charge what the analysis actually used; fall back to the estimate
+      const now = await readRemaining();
+      const used = {};
+      ["core", "graphql"].forEach((resource) => {
+        used[resource] =
+          remaining && now
+            ? Math.max(remaining[resource] - now[resource], 0)
+            : cost[resource];
+        spent[resource] += used[resource];
+      });
+      releaseBudget(held, used);
+      remaining = now;
+
+      onProgress({ phase: "batch", ...counts });
+    }
+  } finally {
+    releaseBudget(held);
+  }
+
+  // Completed analyses first, most suspicious on top
+  const ranked = rows
+    .sort((a, b) => {
+      if (a.status !== b.status) return a.status === "completed" ? -1 : 1;
+      return (b.suspicionScore ?? 0) - (a.suspicionScore ?? 0);
+    })
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+  return {
+    summary: ranked,
+    totals: {
+      repos: targets.length,
+      completed: counts.reposCompleted,
+      failed: counts.reposFailed,
+      skipped: counts.reposSkipped,
+    },
+    budget: {
+      share: BATCH_BUDGET_SHARE,
+      limit: budget,
+      spent,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_REPOS,
+  MAX_BATCH_REPOS,
+  expandOwnerRepos,
+  runBatch,
+};
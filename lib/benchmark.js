@@ -0,0 +1,172 @@
+const { SIGNALS } = require("./rules");
+
+// Benchmarks an analysis against stored analyses of similar repositories:
+// same language, similar star count and similar age when analyzed. Each
+// metric is placed as a percentile among those peers.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pattern ratios compared, with how they are named in summaries
+const BENCHMARK_METRICS = {
+  newAccountRatio: "new-account ratio",
+  lowEngagementRatio: "low-engagement ratio",
+  sameDayRatio: "same-day ratio",
+  forkRatio: "fork ratio",
+};
+
+const SIZE_BANDS = [
+  { below: 100, label: "under 100 stars" },
+  { below: 1000, label: "100-1k stars" },
+  { below: 10000, label: "1k-10k stars" },
+  { below: Infinity, label: "10k+ stars" },
+];
+
+const AGE_BANDS = [
+  { belowDays: 90, label: "under 3 months old" },
+  { belowDays: 365, label: "under a year old" },
+  { belowDays: 3 * 365, label: "1-3 years old" },
+  { belowDays: Infinity, label: "over 3 years old" },
+];
+
+// Fewest peers a percentile is reported against; smaller cohorts are
+// widened by dropping the age, then the size criterion
+const MIN_PEERS = 5;
+
+// Newest stored results of the language considered
+const MAX_BASELINE_RESULTS = 1000;
+
+const sizeBand = (stars) => SIZE_BANDS.findIndex((b) => stars < b.below);
+
+// Band of a repository's age (days) at a given time
+function ageBand(repoInfo, at) {
+  const days = (new Date(at) - new Date(repoInfo.created_at)) / DAY_MS;
+  return AGE_BANDS.findIndex((b) => days < b.belowDays);
+}
+
+// Signal values of the metrics, null when the analysis lacks one
+function metricValues(analysis, repoInfo) {
+  const values = {};
+  Object.keys(BENCHMARK_METRICS).forEach((name) => {
+    const signal = SIGNALS[name](analysis, repoInfo);
+    values[name] =
+      signal && Number.isFinite(signal.value) ? signal.value : null;
+  });
+  return values;
+}
+
+// Share of values below `value`, counting ties as half, 0-100
+function percentileOf(value, values) {
+  const below = values.filter((v) => v < value).length;
+  const equal = values.filter((v) => v === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function ordinal(n) {
+  const suffix =
+    n % 100 >= 11 && n % 100 <= 13
+      ? "th"
+      : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+// "JavaScript repos with 1k-10k stars under a year old"
+function describeCohort(language, criteria) {
+  return [
+    language ? `${language} repos` : "repos without a detected language",
+    criteria.size !== null && `with ${SIZE_BANDS[criteria.size].label}`,
+    criteria.age !== null && AGE_BANDS[criteria.age].label,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Compare an analysis of `repoInfo` with stored results (rows of the same
+// language, newest first). Uses the latest result of each other repository.
+// Returns { cohort, metrics, summary }; metrics without enough peers are null.
+function buildBenchmark(analysis, repoInfo, rows, { now = new Date() } = {}) {
+  const fullName = repoInfo.full_name.toLowerCase();
+  const seen = new Set();
+  const peers = [];
+  rows.forEach((row) => {
+    const name = `${row.repo_owner}/${row.repo_name}`.toLowerCase();
+    if (name === fullName || seen.has(name)) return;
+    seen.add(name);
+    peers.push({
+      size: sizeBand(row.total_stars),
+      age: ageBand(row.repository_data, row.created_at),
+      values: metricValues(row.analysis_data, row.repository_data),
+    });
+  });
+
+  const own = {
+    size: sizeBand(repoInfo.stargazers_count),
+    age: ageBand(repoInfo, now),
+  };
+  const cohorts = [
+    { size: own.size, age: own.age },
+    { size: own.size, age: null },
+    { size: null, age: null },
+  ];
+  const inCohort = (peer, criteria) =>
+    (criteria.size === null || peer.size === criteria.size) &&
+    (criteria.age === null || peer.age === criteria.age);
+
+  const criteria =
+    cohorts.find(
+      (c) => peers.filter((peer) => inCohort(peer, c)).length >= MIN_PEERS
+    ) || cohorts[cohorts.length - 1];
+  const cohortPeers = peers.filter((peer) => inCohort(peer, criteria));
+  const description = describeCohort(repoInfo.language, criteria);
+
+  const values = metricValues(analysis, repoInfo);
+  const metrics = {};
+  const summary = [];
+  Object.entries(BENCHMARK_METRICS).forEach(([name, label]) => {
+    const peerValues = cohortPeers
+      .map((peer) => peer.values[name])
+      .filter((value) => value !== null);
+    if (values[name] === null || peerValues.length < MIN_PEERS) {
+      metrics[name] = null;
+      return;
+    }
+
+    const percentile = percentileOf(values[name], peerValues);
+    metrics[name] = {
+      value: Math.round(values[name] * 10000) / 10000,
+      percentile,
+      median: Math.round(median(peerValues) * 10000) / 10000,
+      peers: peerValues.length,
+    };
+    summary.push(
+      `${label[0].toUpperCase()}${label.slice(1)} is in the ${ordinal(
+        percentile
+      )} percentile for ${description} (${peerValues.length} repos)`
+    );
+  });
+
+  return {
+    cohort: {
+      description,
+      language: repoInfo.language || null,
+      stars: criteria.size === null ? null : SIZE_BANDS[criteria.size].label,
+      age: criteria.age === null ? null : AGE_BANDS[criteria.age].label,
+      repos: cohortPeers.length,
+    },
+    metrics,
+    summary,
+  };
+}
+
+module.exports = {
+  BENCHMARK_METRICS,
+  MIN_PEERS,
+  MAX_BASELINE_RESULTS,
+  percentileOf,
+  buildBenchmark,
+};
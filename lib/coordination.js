@@ -0,0 +1,180 @@
+// Coordinated starring: sliding windows over every stargazer's starred_at,
+// flagged when they hold far more stars than the repo's baseline rate makes
+// likely, and clustered into bursts.
+
+const SECOND_MS = 1000;
+const HOUR_MS = 60 * 60 * SECOND_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const UNITS = { s: SECOND_MS, m: 60 * SECOND_MS, h: HOUR_MS };
+
+const DEFAULT_WINDOWS = "10s,1m,10m,1h";
+const MAX_WINDOW_MS = 24 * HOUR_MS;
+
+// Baseline: stars in this much time either side of a window, never below
+// the repo's long-run rate. A launch day raises its own baseline, so steady
+// viral growth is left to the velocity detector.
+const CONTEXT_MS = 12 * HOUR_MS;
+
+// A window needs this many stars, and a chance of at most ALPHA of holding
+// that many by chance across all windows of its size
+const MIN_WINDOW_STARS = 4;
+const ALPHA = 0.001;
+
+// "90s", "10m", "1h" or plain seconds to milliseconds
+function parseDuration(text) {
+  const match = String(text)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)([smh]?)$/);
+  if (!match) return null;
+  const ms = Number(match[1]) * UNITS[match[2] || "s"];
+  return ms > 0 ? ms : null;
+}
+
+// Window sizes from env config (COORDINATION_WINDOWS, comma-separated
+// durations from seconds up to a day), shortest first
+function coordinationConfig(env = process.env) {
+  const text = env.COORDINATION_WINDOWS || DEFAULT_WINDOWS;
+  const windows = text.split(",").map((part) => {
+    const ms = parseDuration(part);
+    if (!ms || ms > MAX_WINDOW_MS) {
+      throw new Error(
+        `Invalid COORDINATION_WINDOWS entry: ${part.trim()} (use durations like 30s, 5m or 2h, up to 24h)`
+      );
+    }
+    return ms;
+  });
+  return { windows: [...new Set(windows)].sort((a, b) => a - b) };
+}
+
+const logFactorials = [0];
+
+function logFactorial(n) {
+  for (let i = logFactorials.length; i <= n; i++) {
+    logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+  }
+  return logFactorials[n];
+}
+
+// Natural log of P(X >= k) for X ~ Poisson(mean). Only tails above the mean
+// matter here; anything at or below it is treated as certain.
+function logPoissonTail(k, mean) {
+  if (k <= mean || k === 0) return 0;
+  if (mean <= 0) return -Infinity;
+
+  const logTerm = (j) => j * Math.log(mean) - mean - logFactorial(j);
+  const first = logTerm(k);
+  let sum = 1;
+  for (let j = k + 1; j < k + 1000; j++) {
+    const ratio = Math.exp(logTerm(j) - first);
+    sum += ratio;
+    if (ratio < 1e-12) break;
+  }
+  return Math.min(first + Math.log(sum), 0);
+}
+
+// Index of the first time >= t (times sorted ascending)
+function lowerBound(times, t) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Bursts of stars that are unlikely given the baseline rate, most unlikely
+// first: { start, end, count, expected, window, significance, logins }.
+// window is the size (seconds) that found the burst most unlikely and
+// significance is -log10 of that chance, corrected for the number of
+// windows of that size tried.
+function findCoordinatedWindows(
+  stargazers,
+  {
+    windows = coordinationConfig({}).windows,
+    contextMs = CONTEXT_MS,
+    minStars = MIN_WINDOW_STARS,
+    alpha = ALPHA,
+  } = {}
+) {
+  const stars = stargazers
+    .map((s) => ({
+      time: new Date(s.starred_at).getTime(),
+      login: s.user.login,
+    }))
+    .filter((s) => Number.isFinite(s.time))
+    .sort((a, b) => a.time - b.time);
+  if (stars.length < minStars) return [];
+
+  const times = stars.map((s) => s.time);
+  const span = Math.max(times[times.length - 1] - times[0], DAY_MS);
+  const longRunRate = stars.length / span;
+  const threshold = -Math.log10(alpha);
+
+  // Significant windows as index ranges [from, to] into stars
+  const candidates = [];
+  windows.forEach((windowMs) => {
+    const tests = Math.log10(Math.max(span / windowMs, 1));
+    let to = 0;
+
+    for (let from = 0; from < stars.length; from++) {
+      while (to + 1 < stars.length && times[to + 1] - times[from] < windowMs) {
+        to++;
+      }
+      const count = to - from + 1;
+      if (count < minStars) continue;
+
+      const around =
+        lowerBound(times, times[from] + windowMs + contextMs) -
+        lowerBound(times, times[from] - contextMs) -
+        count;
+      const rate = Math.max(around / (2 * contextMs), longRunRate);
+      const expected = rate * windowMs;
+      const significance = -logPoissonTail(count, expected) / Math.LN10 - tests;
+
+      if (significance >= threshold) {
+        candidates.push({ from, to, windowMs, expected, significance });
+      }
+    }
+  });
+
+  // Merge overlapping windows into bursts, keeping the most unlikely window
+  candidates.sort((a, b) => a.from - b.from || b.to - a.to);
+  const bursts = [];
+  candidates.forEach((candidate) => {
+    const last = bursts[bursts.length - 1];
+    if (last && candidate.from <= last.to) {
+      last.to = Math.max(last.to, candidate.to);
+      if (candidate.significance > last.best.significance) {
+        last.best = candidate;
+      }
+    } else {
+      bursts.push({ from: candidate.from, to: candidate.to, best: candidate });
+    }
+  });
+
+  return bursts
+    .map(({ from, to, best }) => {
+      const members = stars.slice(from, to + 1);
+      return {
+        start: new Date(times[from]).toISOString(),
+        end: new Date(times[to]).toISOString(),
+        count: members.length,
+        expected: Math.round(best.expected * 10000) / 10000,
+        window: best.windowMs / SECOND_MS,
+        significance: Math.round(best.significance * 10) / 10,
+        logins: members.map((s) => s.login),
+      };
+    })
+    .sort((a, b) => b.significance - a.significance || b.count - a.count);
+}
+
+module.exports = {
+  DEFAULT_WINDOWS,
+  parseDuration,
+  coordinationConfig,
+  logPoissonTail,
+  findCoordinatedWindows,
+};
@@ -0,0 +1,338 @@
+const {
+  GITHUB_API,
+  GITHUB_TOKEN,
+  delay,
+  makeGitHubRequest,
+  makeGitHubGraphQLRequest,
+} = require("./github");
+const { UpstreamError } = require("./errors");
+
+// GitHub's REST stargazers endpoint stops paginating after 400 pages
+const REST_PAGE_LIMIT = 400;
+
+// Checkpoint the cursor every N GraphQL pages so a crash loses little work
+const CHECKPOINT_EVERY_PAGES = 10;
+
+// Saved crawls older than this are started over instead of resumed
+const CRAWL_STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Stargazers with the profile fields the deep analysis needs, in one request
+const STARGAZERS_QUERY = `
+  query ($owner: String!, $name: String!, $first: Int!, $after: String) {
+    repository(owner: $owner, name: $name) {
+      stargazerCount
+      stargazers(
+        first: $first
+        after: $after
+        orderBy: { field: STARRED_AT, direction: ASC }
+      ) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          starredAt
+          node {
+            login
+            databaseId
+            name
+            email
+            bio
+            company
+            location
+            websiteUrl
+            isHireable
+            createdAt
+            updatedAt
+            followers {
+              totalCount
+            }
+            following {
+              totalCount
+            }
+            repositories(privacy: PUBLIC, ownerAffiliations: OWNER) {
+              totalCount
+            }
+            gists(privacy: PUBLIC) {
+              totalCount
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Map a GraphQL stargazer edge to the REST star+json shape, plus the profile
+function toStargazer(edge) {
+  const node = edge.node;
+
+  return {
+    starred_at: edge.starredAt,
+    user: {
+      login: node.login,
+      id: node.databaseId,
+    },
+    // Same field names as GET /users/:login so the analysis can use it as-is.
+    // REST only ever reports hireable as true or null, so false maps to null.
+    profile: {
+      login: node.login,
+      id: node.databaseId,
+      name: node.name,
+      email: node.email || null,
+      bio: node.bio,
+      company: node.company,
+      location: node.location,
+      blog: node.websiteUrl || "",
+      hireable: node.isHireable ? true : null,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      followers: node.followers.totalCount,
+      following: node.following.totalCount,
+      public_repos: node.repositories.totalCount,
+      public_gists: node.gists.totalCount,
+    },
+  };
+}
+
+// Describe how much of the repo's stargazer list a crawl actually covered
+function buildCoverage({
+  source,
+  fetched,
+  totalStars,
+  complete,
+  error,
+  limitReason,
+  resumedFrom = 0,
+}) {
+  let partialReason = null;
+  if (error) partialReason = "error";
+  else if (!complete) partialReason = limitReason;
+
+  return {
+    source,
+    fetched,
+    totalStars,
+    ratio: totalStars > 0 ? Math.min(fetched / totalStars, 1) : 1,
+    complete: !partialReason,
+    partialReason,
+    error: error ? error.message : null,
+    resumedFrom,
+  };
+}
+
+// Fetch stargazers with timestamps through REST page numbers
+async function fetchAllStargazersWithDates(
+  owner,
+  repo,
+  maxStars = 10000,
+  onProgress = () => {}
+) {
+  const stargazers = [];
+  let page = 1;
+  let exhausted = false;
+  let hitPageLimit = false;
+  let fetchError = null;
+
+  console.log(`Fetching stargazers with timestamps for ${owner}/${repo}...`);
+  onProgress({ phase: "stargazers", pagesFetched: 0, stargazersFetched: 0 });
+
+  while (stargazers.length < maxStars) {
+    if (page > REST_PAGE_LIMIT) {
+      hitPageLimit = true;
+      break;
+    }
+
+    try {
+      // Use the correct Accept header for starred_at timestamps
+      const data = await makeGitHubRequest(
+        `${GITHUB_API}/repos/${owner}/${repo}/stargazers`,
+        { page, per_page: 100 },
+        { accept: "application/vnd.github.v3.star+json" }
+      );
+
+      if (data.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      stargazers.push(...data);
+      onProgress({
+        phase: "stargazers",
+        pagesFetched: page,
+        stargazersFetched: stargazers.length,
+      });
+      page++;
+
+      await delay(100);
+    } catch (error) {
+      // GitHub answers 422 once the pagination limit is reached
+      if (error.response?.status === 422) {
+        hitPageLimit = true;
+        break;
+      }
+
+      console.error(`Error fetching stargazers page ${page}:`, error.message);
+      fetchError = error;
+      break;
+    }
+  }
+
+  return {
+    stargazers: stargazers.slice(0, maxStars),
+    exhausted,
+    hitPageLimit,
+    error: fetchError,
+  };
+}
+
+// Crawl stargazers through GraphQL cursors, resuming a saved crawl if present
+async function crawlStargazersGraphQL(
+  owner,
+  repo,
+  maxStars,
+  { storage, onProgress = () => {} }
+) {
+  const saved = await storage.getCrawlState(owner, repo);
+  const isResumable =
+    saved &&
+    Date.now() - new Date(saved.updated_at).getTime() < CRAWL_STATE_TTL_MS;
+
+  const stargazers = isResumable ? saved.stargazers : [];
+  let cursor = isResumable ? saved.cursor : null;
+  let hasNextPage = isResumable ? saved.has_next_page : true;
+  let totalStars = isResumable ? saved.total_stars : null;
+  const resumedFrom = stargazers.length;
+  let pagesFetched = 0;
+  let fetchError = null;
+
+  if (resumedFrom > 0) {
+    console.log(
+      `Resuming stargazer crawl for ${owner}/${repo} at ${resumedFrom} stargazers...`
+    );
+  } else {
+    console.log(`Crawling stargazers via GraphQL for ${owner}/${repo}...`);
+  }
+  onProgress({
+    phase: "stargazers",
+    pagesFetched: 0,
+    stargazersFetched: stargazers.length,
+  });
+
+  const checkpoint = () =>
+    storage.saveCrawlState({
+      repo_owner: owner,
+      repo_name: repo,
+      cursor,
+      has_next_page: hasNextPage,
+      total_stars: totalStars,
+      stargazers,
+      updated_at: new Date().toISOString(),
+    });
+
+  while (hasNextPage && stargazers.length < maxStars) {
+    try {
+      const data = await makeGitHubGraphQLRequest(STARGAZERS_QUERY, {
+        owner,
+        name: repo,
+        first: Math.min(100, maxStars - stargazers.length),
+        after: cursor,
+      });
+
+      if (!data?.repository) throw new Error("Repository not found");
+
+      const connection = data.repository.stargazers;
+      totalStars = data.repository.stargazerCount;
+      stargazers.push(...connection.edges.map(toStargazer));
+      cursor = connection.pageInfo.endCursor;
+      hasNextPage = connection.pageInfo.hasNextPage;
+      pagesFetched++;
+
+      onProgress({
+        phase: "stargazers",
+        pagesFetched,
+        stargazersFetched: stargazers.length,
+      });
+
+      if (pagesFetched % CHECKPOINT_EVERY_PAGES === 0) await checkpoint();
+    } catch (error) {
+      console.error(
+        `Error crawling stargazers after ${stargazers.length}:`,
+        error.message
+      );
+      fetchError = error;
+      break;
+    }
+  }
+
+  // Keep the cursor only when an error cut the crawl short; crawls that
+  // reached maxStars or the last page are dropped so the next analysis sees
+  // new stars. A resume that fetched nothing keeps its old timestamp, so the
+  // checkpoint still expires.
+  if (fetchError && hasNextPage && stargazers.length > 0) {
+    if (pagesFetched > 0) await checkpoint();
+  } else {
+    await storage.deleteCrawlState(owner, repo);
+  }
+
+  return {
+    stargazers: stargazers.slice(0, maxStars),
+    coverage: buildCoverage({
+      source: "graphql",
+      fetched: Math.min(stargazers.length, maxStars),
+      totalStars,
+      complete: !hasNextPage && stargazers.length <= maxStars,
+      error: fetchError,
+      limitReason: "maxStars",
+      resumedFrom,
+    }),
+  };
+}
+
+// Fetch up to maxStars stargazers and report how complete the crawl was.
+// GraphQL needs a token; without one we fall back to REST page numbers.
+async function crawlStargazers(owner, repo, maxStars, options) {
+  let result;
+
+  if (GITHUB_TOKEN) {
+    result = await crawlStargazersGraphQL(owner, repo, maxStars, options);
+  } else {
+    const rest = await fetchAllStargazersWithDates(
+      owner,
+      repo,
+      maxStars,
+      options.onProgress
+    );
+
+    result = {
+      stargazers: rest.stargazers,
+      coverage: buildCoverage({
+        source: "rest",
+        fetched: rest.stargazers.length,
+        totalStars: options.totalStars ?? null,
+        complete: rest.exhausted,
+        error: rest.error,
+        limitReason: rest.hitPageLimit ? "restPaginationLimit" : "maxStars",
+      }),
+    };
+  }
+
+  if (result.stargazers.length === 0 && result.coverage.error) {
+    throw new UpstreamError(
+      `Failed to fetch stargazers: ${result.coverage.error}`
+    );
+  }
+
+  if (!result.coverage.complete) {
+    console.warn(
+      `Partial stargazer coverage for ${owner}/${repo}: ${result.coverage.fetched}/${result.coverage.totalStars} (${result.coverage.partialReason})`
+    );
+  }
+
+  return result;
+}
+
+module.exports = {
+  crawlStargazers,
+  fetchAllStargazersWithDates,
+};
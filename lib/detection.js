@@ -0,0 +1,152 @@
+const { estimateProportion } = require("./sampling");
+const { evaluateRuleset } = require("./rules");
+const { scoreAccount, summarizeVerdicts } = require("./accounts");
+const { listDetectors, runDetectors } = require("./detectors");
+const { validateStar } = require("./detectors/profile");
+
+// Detection pipeline. Every analysis runs the registered detectors (see
+// lib/detectors) whose data it has, so basic and deep analyses share one
+// result shape; fields of detectors that could not run are null. Everything
+// here is a pure function of its input, so it runs without GitHub or
+// storage; `now` pins "today" for account ages.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Analyze stargazers, optionally with the profiles of a sample of them (and
+// their activity) and the repository's growth context (see lib/growth), and
+// score the result with a rule set. `options` holds per-detector settings by
+// detector id.
+function analyzeStargazers({
+  stargazers,
+  profiles = [],
+  repository,
+  growth = null,
+  sample = null,
+  rules,
+  now = new Date(),
+  options = {},
+  detectors = listDetectors(),
+}) {
+  const observations = profiles.map((user) => ({
+    user,
+    weight: sample?.weights?.[user.login] ?? 1,
+    flags: {},
+    accountSignals: {},
+  }));
+  const activityChecked = profiles.filter((user) => user.activity);
+
+  const { patterns, status } = runDetectors(
+    { stargazers, observations, repository, growth, now, options },
+    {
+      stargazers: Array.isArray(stargazers),
+      profiles: profiles.length > 0,
+      activity: activityChecked.length > 0,
+      repository: Boolean(repository),
+      growth: Boolean(growth),
+    },
+    detectors
+  );
+
+  const analysis = {
+    totalStars: repository.stargazers_count,
+    analyzedSample: stargazers.length,
+    detailedSample: profiles.length,
+    activitySample: activityChecked.length,
+    patterns,
+    detectors: status,
+    timeline: observations.map(({ user, flags }) => ({
+      date: new Date(user.starred_at).toISOString().split("T")[0],
+      user: user.login,
+      isFake: flags.fakeStars ? 1 : 0,
+      accountAge: Math.round(
+        (new Date(now) - new Date(user.created_at)) / DAY_MS
+      ),
+      followers: user.followers,
+      repos: user.public_repos,
+    })),
+    accounts: null,
+    accountVerdicts: null,
+    sampling: sample ? sample.meta : null,
+    confidenceIntervals: null,
+    suspicionIndicators: [],
+    suspicionScore: 0,
+  };
+
+  // Per-account verdicts with the signals that triggered them
+  if (profiles.length > 0 && rules.accountModel) {
+    analysis.accounts = observations.map(({ user, accountSignals }) => ({
+      login: user.login,
+      ...scoreAccount(accountSignals, rules.accountModel),
+      starredAt: user.starred_at,
+      createdAt: user.created_at,
+      followers: user.followers,
+      following: user.following,
+      publicRepos: user.public_repos,
+      ...(user.activity && {
+        activity: {
+          events: user.activity.events,
+          contributions: user.activity.contributions,
+          starredRepos: user.activity.starredRepos,
+          maxStarsInWindow: user.activity.maxStarsInWindow,
+          promotedStarred: user.activity.promotedStarred,
+        },
+      }),
+    }));
+    analysis.accountVerdicts = summarizeVerdicts(
+      analysis.accounts,
+      rules.accountModel
+    );
+  }
+
+  // Estimate population ratios with confidence intervals from the sample,
+  // over the accounts each detector flagged one way or the other
+  if (analysis.sampling) {
+    analysis.confidenceIntervals = {};
+    detectors
+      .filter((detector) => status[detector.id].ran)
+      .forEach((detector) => {
+        (detector.estimates || []).forEach((field) => {
+          analysis.confidenceIntervals[field] = estimateProportion(
+            observations
+              .filter((o) => o.flags[field] !== undefined)
+              .map((o) => ({ weight: o.weight, value: o.flags[field] })),
+            sample.meta.population
+          );
+        });
+      });
+  }
+
+  // Calculate suspicion score and indicators
+  return applyScoringRules(analysis, repository, rules);
+}
+
+// Score an analysis with a rule set and record which version scored it.
+// growthExplanation says what the organic growth context took off the score
+// (null when the growth detector did not run).
+function applyScoringRules(analysis, repoInfo, rules) {
+  const evaluation = evaluateRuleset(rules, analysis, repoInfo);
+
+  analysis.suspicionScore = evaluation.score;
+  analysis.suspicionIndicators = evaluation.indicators;
+  analysis.growthExplanation =
+    analysis.patterns.organicActivity == null
+      ? null
+      : {
+          offset: evaluation.offsets.points,
+          reasons: evaluation.offsets.reasons,
+          activity: analysis.patterns.organicActivity,
+          explainedBursts: (analysis.patterns.burstExplanations || []).filter(
+            (burst) => burst.explained
+          ),
+        };
+  analysis.scoreBreakdown = evaluation.breakdown;
+  analysis.ruleset = evaluation.ruleset;
+
+  return analysis;
+}
+
+module.exports = {
+  validateStar,
+  analyzeStargazers,
+  applyScoringRules,
+};
@@ -0,0 +1,49 @@
+// What else the accounts the activity tier checked do besides starring.
+// Accounts it did not check get no flags, so estimates only cover the
+// checked ones.
+const activityDetector = {
+  id: "activity",
+  description:
+    "Accounts that only star, star in rapid runs or star promoted repos",
+  requires: ["activity"],
+  fields: [
+    "onlyStarring",
+    "rapidStarring",
+    "promotedOverlap",
+    "promotedReposStarred",
+  ],
+  estimates: ["onlyStarring", "rapidStarring", "promotedOverlap"],
+  detect({ observations }) {
+    const patterns = {
+      onlyStarring: 0,
+      rapidStarring: 0,
+      promotedOverlap: 0,
+      promotedReposStarred: {},
+    };
+
+    observations.forEach(({ user, flags, accountSignals }) => {
+      if (!user.activity) return;
+
+      flags.onlyStarring = user.activity.onlyStarring;
+      flags.rapidStarring = user.activity.rapidStarring;
+      flags.promotedOverlap = user.activity.promotedStarred.length > 0;
+      Object.assign(accountSignals, {
+        onlyStarring: flags.onlyStarring,
+        rapidStarring: flags.rapidStarring,
+        promotedOverlap: flags.promotedOverlap,
+      });
+
+      ["onlyStarring", "rapidStarring", "promotedOverlap"].forEach(
+        (field) => flags[field] && patterns[field]++
+      );
+      user.activity.promotedStarred.forEach((repo) => {
+        patterns.promotedReposStarred[repo] =
+          (patterns.promotedReposStarred[repo] || 0) + 1;
+      });
+    });
+
+    return patterns;
+  },
+};
+
+module.exports = { activityDetector };
@@ -0,0 +1,32 @@
+const { findCoordinatedWindows } = require("../coordination");
+
+// Bursts of stars far above the baseline rate, over every stargazer (see
+// lib/coordination). Profiled accounts inside a burst get the
+// coordinatedWindow signal. options.coordination.windows sets the window
+// sizes (ms).
+const coordinationDetector = {
+  id: "coordination",
+  description: "Stars packed into windows far above the baseline rate",
+  requires: ["stargazers"],
+  fields: ["coordinated", "suspiciousTimeWindows"],
+  detect({ stargazers, observations, options }) {
+    const suspiciousTimeWindows = findCoordinatedWindows(
+      stargazers,
+      options.coordination
+    );
+
+    const coordinatedLogins = new Set(
+      suspiciousTimeWindows.flatMap((w) => w.logins)
+    );
+    observations.forEach(({ user, accountSignals }) => {
+      accountSignals.coordinatedWindow = coordinatedLogins.has(user.login);
+    });
+
+    return {
+      coordinated: coordinatedLogins.size,
+      suspiciousTimeWindows,
+    };
+  },
+};
+
+module.exports = { coordinationDetector };
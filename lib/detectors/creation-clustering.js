@@ -0,0 +1,20 @@
+// Profiled accounts created per day, to spot batches made together
+const creationClusteringDetector = {
+  id: "creationClustering",
+  description: "Profiled accounts created on the same day",
+  requires: ["profiles"],
+  fields: ["suspiciousCreationDates"],
+  detect({ observations }) {
+    const suspiciousCreationDates = {};
+    observations.forEach(({ user }) => {
+      const creationDate = new Date(user.created_at)
+        .toISOString()
+        .split("T")[0];
+      suspiciousCreationDates[creationDate] =
+        (suspiciousCreationDates[creationDate] || 0) + 1;
+    });
+    return { suspiciousCreationDates };
+  },
+};
+
+module.exports = { creationClusteringDetector };
@@ -0,0 +1,13 @@
+// Forks per star; real interest usually brings some forks along
+const forkRatioDetector = {
+  id: "forkRatio",
+  description: "Forks per star of the repository",
+  requires: ["repository"],
+  fields: ["forkRatio"],
+  detect: ({ repository }) => ({
+    forkRatio:
+      repository.forks_count / Math.max(repository.stargazers_count, 1),
+  }),
+};
+
+module.exports = { forkRatioDetector };
@@ -0,0 +1,23 @@
+const { findStarVelocitySpikes } = require("../star-history");
+const { summarizeGrowth, explainBursts } = require("../growth");
+
+// Organic growth context (see lib/growth): issue and pull request activity,
+// contributors, release downloads and watchers, and which daily star bursts
+// line up with a release or a traffic spike. Rules use it to take points
+// off the score.
+const growthDetector = {
+  id: "growth",
+  description:
+    "Organic activity around the stars and star bursts explained by releases or traffic",
+  requires: ["stargazers", "growth"],
+  fields: ["organicActivity", "burstExplanations"],
+  detect: ({ stargazers, growth, now }) => ({
+    organicActivity: summarizeGrowth(growth, now),
+    burstExplanations: explainBursts(
+      findStarVelocitySpikes(stargazers),
+      growth
+    ),
+  }),
+};
+
+module.exports = { growthDetector };
@@ -0,0 +1,146 @@
+const path = require("path");
+const { SIGNALS } = require("../rules");
+const { usernameDetector } = require("./username");
+const { velocityDetector } = require("./velocity");
+const { profileDetector } = require("./profile");
+const { sameDayDetector } = require("./same-day");
+const { coordinationDetector } = require("./coordination");
+const { creationClusteringDetector } = require("./creation-clustering");
+const { forkRatioDetector } = require("./fork-ratio");
+const { activityDetector } = require("./activity");
+const { growthDetector } = require("./growth");
+
+// Data a detector can require, and where an analysis gets it
+const DATA_SOURCES = {
+  stargazers: "Every fetched stargazer with its starred_at time",
+  profiles: "Profiles of the sampled stargazers (deep analysis)",
+  activity: "Activity of profiled accounts (activityAnalysis)",
+  repository: "Repository metadata",
+  growth: "Issues, pull requests, contributors, releases and traffic",
+};
+
+const BUILTIN_DETECTORS = [
+  usernameDetector,
+  velocityDetector,
+  profileDetector,
+  sameDayDetector,
+  coordinationDetector,
+  creationClusteringDetector,
+  forkRatioDetector,
+  activityDetector,
+  growthDetector,
+];
+
+// Registered detectors, in the order they run
+const detectors = [];
+
+// Check a detector and throw a descriptive error if it is malformed or
+// clashes with a registered one
+function validateDetector(detector, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid detector in ${source}: ${message}`);
+  };
+  const isNameList = (list) =>
+    Array.isArray(list) &&
+    list.length > 0 &&
+    list.every((name) => typeof name === "string" && name);
+
+  if (!detector || typeof detector !== "object") fail("expected an object");
+  if (typeof detector.id !== "string" || !detector.id) {
+    fail("id must be a non-empty string");
+  }
+  if (detectors.some((d) => d.id === detector.id)) {
+    fail(`duplicate detector id ${detector.id}`);
+  }
+  if (typeof detector.detect !== "function") {
+    fail(`detector ${detector.id} needs a detect function`);
+  }
+
+  if (
+    !isNameList(detector.requires) ||
+    !detector.requires.every((data) => DATA_SOURCES[data])
+  ) {
+    fail(
+      `detector ${detector.id} must require some of ${Object.keys(
+        DATA_SOURCES
+      ).join(", ")}`
+    );
+  }
+
+  if (!isNameList(detector.fields)) {
+    fail(`detector ${detector.id} must list the pattern fields it reports`);
+  }
+  detector.fields.forEach((field) => {
+    const owner = detectors.find((d) => d.fields.includes(field));
+    if (owner) fail(`field ${field} is already reported by ${owner.id}`);
+  });
+  if (
+    detector.estimates !== undefined &&
+    !(
+      Array.isArray(detector.estimates) &&
+      detector.estimates.every((field) => detector.fields.includes(field))
+    )
+  ) {
+    fail(`detector ${detector.id} can only estimate its own fields`);
+  }
+
+  Object.entries(detector.signals || {}).forEach(([name, signal]) => {
+    if (typeof signal !== "function") fail(`signal ${name} must be a function`);
+    if (SIGNALS[name]) fail(`signal ${name} already exists`);
+  });
+
+  return detector;
+}
+
+// Add a detector to every analysis from now on. Its signals become
+// available to scoring rules, so register before loading rules that use them.
+function registerDetector(detector, source = detector?.id) {
+  validateDetector(detector, source);
+  Object.assign(SIGNALS, detector.signals);
+  detectors.push(detector);
+  return detector;
+}
+
+// Register the detectors exported by each module (one detector or an array)
+function loadDetectors(files = []) {
+  return files.flatMap((file) => {
+    const source = path.resolve(file);
+    return [].concat(require(source)).map((d) => registerDetector(d, source));
+  });
+}
+
+function listDetectors() {
+  return [...detectors];
+}
+
+// Run every detector whose data is available. Returns the merged patterns,
+// with null for the fields of detectors that were skipped, and per detector
+// whether it ran and which data it lacked.
+function runDetectors(input, available, list = detectors) {
+  const patterns = {};
+  const status = {};
+
+  list.forEach((detector) => {
+    const missing = detector.requires.filter((data) => !available[data]);
+    status[detector.id] = { ran: missing.length === 0, missing };
+
+    const found = missing.length === 0 ? detector.detect(input) || {} : {};
+    detector.fields.forEach((field) => {
+      patterns[field] = found[field] === undefined ? null : found[field];
+    });
+  });
+
+  return { patterns, status };
+}
+
+BUILTIN_DETECTORS.forEach((detector) => registerDetector(detector, "built-in"));
+
+module.exports = {
+  DATA_SOURCES,
+  BUILTIN_DETECTORS,
+  validateDetector,
+  registerDetector,
+  loadDetectors,
+  listDetectors,
+  runDetectors,
+};
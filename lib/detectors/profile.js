@@ -0,0 +1,90 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Advanced fake detection algorithm
+function validateStar(user) {
+  const createdAt = new Date(user.created_at);
+  const updatedAt = new Date(user.updated_at);
+  const starredAt = new Date(user.starred_at);
+
+  const createdDate = createdAt.toDateString();
+  const updatedDate = updatedAt.toDateString();
+  const starredDate = starredAt.toDateString();
+
+  const isFake =
+    user.followers < 2 &&
+    user.following < 2 &&
+    user.public_gists === 0 &&
+    user.public_repos < 5 &&
+    createdAt > new Date("2022-01-01") &&
+    !user.email &&
+    createdDate === updatedDate &&
+    updatedDate === starredDate &&
+    user.hireable !== true &&
+    user.hireable !== false;
+
+  return isFake ? 1 : 0;
+}
+
+// Profile criteria of each profiled account: age, repos, email, engagement
+// and the fake profile check
+const profileDetector = {
+  id: "profile",
+  description: "New, empty and fake-looking profiles among profiled accounts",
+  requires: ["profiles"],
+  fields: [
+    "newAccounts",
+    "noRepos",
+    "noEmail",
+    "lowEngagement",
+    "realStars",
+    "fakeStars",
+  ],
+  estimates: [
+    "fakeStars",
+    "lowEngagement",
+    "newAccounts",
+    "noRepos",
+    "noEmail",
+  ],
+  detect({ observations, now }) {
+    const patterns = {
+      newAccounts: 0,
+      noRepos: 0,
+      noEmail: 0,
+      lowEngagement: 0,
+      realStars: 0,
+      fakeStars: 0,
+    };
+
+    observations.forEach(({ user, flags, accountSignals }) => {
+      const createdAt = new Date(user.created_at);
+      const accountAge = (new Date(now) - createdAt) / DAY_MS;
+
+      flags.newAccounts = accountAge < 30;
+      flags.noRepos = user.public_repos === 0;
+      flags.noEmail = !user.email;
+      flags.lowEngagement = user.followers < 2 && user.following < 2;
+      flags.fakeStars = validateStar(user) === 1;
+
+      ["newAccounts", "noRepos", "noEmail", "lowEngagement"].forEach(
+        (field) => flags[field] && patterns[field]++
+      );
+      if (flags.fakeStars) {
+        patterns.fakeStars++;
+      } else {
+        patterns.realStars++;
+      }
+
+      Object.assign(accountSignals, {
+        fakeProfile: flags.fakeStars,
+        newAccount: (new Date(user.starred_at) - createdAt) / DAY_MS < 30,
+        lowEngagement: flags.lowEngagement,
+        noRepos: flags.noRepos,
+      });
+    });
+
+    return patterns;
+  },
+};
+
+module.exports = { validateStar, profileDetector };
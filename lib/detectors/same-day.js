@@ -0,0 +1,26 @@
+// Accounts created, last updated and starred on the same day
+const sameDayDetector = {
+  id: "sameDay",
+  description: "Accounts created, last updated and starred on the same day",
+  requires: ["profiles"],
+  fields: ["sameDayPattern"],
+  estimates: ["sameDayPattern"],
+  detect({ observations }) {
+    let sameDayPattern = 0;
+
+    observations.forEach(({ user, flags, accountSignals }) => {
+      const createdDate = new Date(user.created_at).toDateString();
+      const updatedDate = new Date(user.updated_at).toDateString();
+      const starredDate = new Date(user.starred_at).toDateString();
+
+      flags.sameDayPattern =
+        createdDate === updatedDate && updatedDate === starredDate;
+      accountSignals.sameDay = flags.sameDayPattern;
+      if (flags.sameDayPattern) sameDayPattern++;
+    });
+
+    return { sameDayPattern };
+  },
+};
+
+module.exports = { sameDayDetector };
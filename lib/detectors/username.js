@@ -0,0 +1,55 @@
+const {
+  GENERIC_THRESHOLD,
+  BOT_LIKE_THRESHOLD,
+  scoreUsernames,
+} = require("../usernames");
+
+// Username scores of all stargazers (see lib/usernames). Logins scoring
+// from GENERIC_THRESHOLD up to BOT_LIKE_THRESHOLD are generic, higher ones
+// bot-like. Profiled accounts with a generic or bot-like login get the
+// namePattern signal.
+const usernameDetector = {
+  id: "username",
+  description: "Generic, random-looking and sequentially numbered usernames",
+  requires: ["stargazers"],
+  fields: [
+    "genericUsernames",
+    "genericUsernamesList",
+    "botLikeNames",
+    "botLikeNamesList",
+    "suspiciousUsernames",
+    "usernameFamilies",
+  ],
+  detect({ stargazers, observations }) {
+    const { scores, families } = scoreUsernames(
+      stargazers.map((stargazer) => stargazer.user.login.toLowerCase())
+    );
+    const scoring = (from, to = Infinity) =>
+      scores.filter((s) => s.score >= from && s.score < to).map((s) => s.login);
+    const genericUsernamesList = scoring(GENERIC_THRESHOLD, BOT_LIKE_THRESHOLD);
+    const botLikeNamesList = scoring(BOT_LIKE_THRESHOLD);
+
+    const suspiciousNames = new Set([
+      ...genericUsernamesList,
+      ...botLikeNamesList,
+    ]);
+    observations.forEach((o) => {
+      o.accountSignals.namePattern = suspiciousNames.has(
+        o.user.login.toLowerCase()
+      );
+    });
+
+    return {
+      genericUsernames: genericUsernamesList.length,
+      genericUsernamesList,
+      botLikeNames: botLikeNamesList.length,
+      botLikeNamesList,
+      suspiciousUsernames: scores
+        .filter((s) => s.score >= GENERIC_THRESHOLD)
+        .sort((a, b) => b.score - a.score),
+      usernameFamilies: families.map(({ logins, ...family }) => family),
+    };
+  },
+};
+
+module.exports = { usernameDetector };
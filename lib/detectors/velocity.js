@@ -0,0 +1,14 @@
+const { findStarVelocitySpikes } = require("../star-history");
+
+// Bursts in the daily star history of all stargazers
+const velocityDetector = {
+  id: "velocity",
+  description: "Bursts in the daily star history",
+  requires: ["stargazers"],
+  fields: ["starVelocitySpikes"],
+  detect: ({ stargazers }) => ({
+    starVelocitySpikes: findStarVelocitySpikes(stargazers),
+  }),
+};
+
+module.exports = { velocityDetector };
@@ -0,0 +1,136 @@
+// Errors the API reports as { error: { code, message, details } }
+
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Malformed request: bad JSON, failed schema checks. details lists the
+// offending fields as [{ field, message }].
+class ValidationError extends ApiError {
+  constructor(message, details = null) {
+    super(400, "invalid_request", message, details);
+  }
+}
+
+class AuthenticationError extends ApiError {
+  constructor(message) {
+    super(401, "unauthorized", message);
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message, details = null) {
+    super(403, "forbidden", message, details);
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message) {
+    super(404, "not_found", message);
+  }
+}
+
+// Well-formed request the resources it points at cannot satisfy
+class UnprocessableError extends ApiError {
+  constructor(message, details = null) {
+    super(422, "unprocessable", message, details);
+  }
+}
+
+// Request rate limit, daily quota or per-key cap; retryAfter (seconds) is sent as the
+// Retry-After header
+class RateLimitError extends ApiError {
+  constructor(message, { retryAfter, code = "rate_limited", details } = {}) {
+    super(429, code, message, { retryAfter, ...details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// GitHub failed or kept rate limiting us after all retries
+class UpstreamError extends ApiError {
+  constructor(message, details = null) {
+    super(502, "upstream_error", message, details);
+  }
+}
+
+class UnavailableError extends ApiError {
+  constructor(message, details = null) {
+    super(503, "unavailable", message, details);
+  }
+}
+
+const ERROR_CODES = {
+  invalid_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  unprocessable: 422,
+  rate_limited: 429,
+  quota_exceeded: 429,
+  limit_exceeded: 429,
+  internal_error: 500,
+  not_implemented: 501,
+  upstream_error: 502,
+  unavailable: 503,
+};
+
+// Any thrown error as an ApiError. Failed GitHub calls become 502s; other
+// unexpected errors are internal and only show their message outside
+// production.
+function toApiError(error, env = process.env) {
+  if (error instanceof ApiError) return error;
+
+  // express.json() body errors (malformed JSON, payload too large)
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return new ValidationError(
+      error.type === "entity.parse.failed"
+        ? "Request body is not valid JSON"
+        : error.message
+    );
+  }
+
+  if (error.isAxiosError || error.response || error.graphqlErrors) {
+    return new UpstreamError("GitHub API request failed", {
+      status: error.response?.status || null,
+      reason: error.message,
+    });
+  }
+
+  return new ApiError(
+    500,
+    "internal_error",
+    env.NODE_ENV === "production" ? "Something went wrong" : error.message
+  );
+}
+
+// Response body of an error
+function errorBody(error) {
+  return {
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    },
+  };
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  UnprocessableError,
+  RateLimitError,
+  UpstreamError,
+  UnavailableError,
+  ERROR_CODES,
+  toApiError,
+  errorBody,
+};
@@ -0,0 +1,432 @@
+const { default: puppeteer } = require("puppeteer");
+const { scoreColor } = require("./badge");
+const { ApiError, UnavailableError } = require("./errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// format parameter -> content type; JSON stays the default
+const EXPORT_FORMATS = {
+  json: "application/json",
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  html: "text/html",
+  pdf: "application/pdf",
+};
+
+const TIMELINE_COLUMNS = [
+  "date",
+  "user",
+  "isFake",
+  "accountAge",
+  "followers",
+  "repos",
+  "verdict",
+  "accountScore",
+];
+
+// Bars drawn at most per chart; longer series are bucketed
+const MAX_BARS = 60;
+const MAX_CLUSTER_ROWS = 20;
+
+const COLORS = {
+  real: "#4c78a8",
+  fake: "#e45756",
+  window: "#f58518",
+  cluster: "#72b7b2",
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// File name for Content-Disposition, e.g. owner-repo-<id>.csv
+function exportFilename(row, format) {
+  return `${row.repo_owner}-${row.repo_name}-${row.id}.${format}`.replace(
+    /[^\w.-]/g,
+    "_"
+  );
+}
+
+// Verdict and score per login, when the analysis has per-account verdicts
+function accountsByLogin(analysis) {
+  return new Map((analysis.accounts || []).map((a) => [a.login, a]));
+}
+
+// One CSV row per profiled user in the analysis timeline
+function toCsv(analysis) {
+  const accounts = accountsByLogin(analysis);
+  const rows = (analysis.timeline || []).map((entry) => {
+    const account = accounts.get(entry.user);
+    return [
+      entry.date,
+      entry.user,
+      entry.isFake,
+      entry.accountAge,
+      entry.followers,
+      entry.repos,
+      account?.verdict,
+      account?.score,
+    ]
+      .map(csvCell)
+      .join(",");
+  });
+
+  return [TIMELINE_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// One JSON line per profiled stargazer: the per-account verdicts when
+// present, otherwise the timeline entries
+function toNdjson(analysis) {
+  const records = analysis.accounts?.length
+    ? analysis.accounts
+    : analysis.timeline || [];
+  return records.map((record) => JSON.stringify(record) + "\n").join("");
+}
+
+// Vertical bar chart with stacked series as an inline SVG
+function barChart(bars, series, { width = 720, height = 220 } = {}) {
+  if (bars.length === 0) return '<p class="empty">No data</p>';
+
+  const padding = { top: 10, right: 10, bottom: 40, left: 40 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const max = Math.max(
+    ...bars.map((bar) => series.reduce((sum, s) => sum + (bar[s.key] || 0), 0)),
+    1
+  );
+  const barWidth = plotWidth / bars.length;
+
+  const rects = bars
+    .map((bar, i) => {
+      let y = padding.top + plotHeight;
+      return series
+        .map((s) => {
+          const h = ((bar[s.key] || 0) / max) * plotHeight;
+          y -= h;
+          if (h === 0) return "";
+          return `<rect x="${(padding.left + i * barWidth + 1).toFixed(
+            1
+          )}" y="${y.toFixed(1)}" width="${Math.max(barWidth - 2, 1).toFixed(
+            1
+          )}" height="${h.toFixed(1)}" fill="${s.color}"><title>${escapeHtml(
+            bar.label
+          )}: ${bar[s.key]} ${escapeHtml(s.name)}</title></rect>`;
+        })
+        .join("");
+    })
+    .join("");
+
+  const first = escapeHtml(bars[0].label);
+  const last = escapeHtml(bars[bars.length - 1].label);
+  const legend = series
+    .map(
+      (s, i) =>
+        `<rect x="${padding.left + i * 110}" y="${
+          height - 14
+        }" width="10" height="10" fill="${s.color}"/><text x="${
+          padding.left + i * 110 + 14
+        }" y="${height - 5}">${escapeHtml(s.name)}</text>`
+    )
+    .join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="11">
+  <line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${
+    width - padding.right
+  }" y2="${padding.top + plotHeight}" stroke="#999"/>
+  <text x="${padding.left - 4}" y="${
+    padding.top + 8
+  }" text-anchor="end">${max}</text>
+  <text x="${padding.left - 4}" y="${
+    padding.top + plotHeight
+  }" text-anchor="end">0</text>
+  ${rects}
+  <text x="${padding.left}" y="${padding.top + plotHeight + 14}">${first}</text>
+  <text x="${width - padding.right}" y="${
+    padding.top + plotHeight + 14
+  }" text-anchor="end">${last}</text>
+  ${legend}
+</svg>`;
+}
+
+// Horizontal bar chart of labelled counts as an inline SVG
+function horizontalBarChart(rows, color, { width = 720 } = {}) {
+  if (rows.length === 0) return '<p class="empty">No data</p>';
+
+  const rowHeight = 18;
+  const labelWidth = 140;
+  const plotWidth = width - labelWidth - 50;
+  const max = Math.max(...rows.map((r) => r.count), 1);
+
+  const bars = rows
+    .map((row, i) => {
+      const y = i * rowHeight;
+      const w = (row.count / max) * plotWidth;
+      return `<text x="${labelWidth - 6}" y="${
+        y + 13
+      }" text-anchor="end">${escapeHtml(row.label)}</text>
+  <rect x="${labelWidth}" y="${y + 3}" width="${w.toFixed(1)}" height="${
+        rowHeight - 6
+      }" fill="${color}"/>
+  <text x="${labelWidth + w + 4}" y="${y + 13}">${row.count}</text>`;
+    })
+    .join("\n  ");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${
+    rows.length * rowHeight
+  }" font-family="sans-serif" font-size="11">
+  ${bars}
+</svg>`;
+}
+
+// Profiled stars per period, split into real and fake, in at most MAX_BARS
+function timelineBars(timeline) {
+  if (!timeline?.length) return [];
+
+  const times = timeline.map((entry) => Date.parse(entry.date));
+  const start = Math.min(...times);
+  const days = Math.round((Math.max(...times) - start) / DAY_MS) + 1;
+  const bucketDays = Math.ceil(days / MAX_BARS);
+
+  const bars = Array.from({ length: Math.ceil(days / bucketDays) }, (_, i) => ({
+    label: new Date(start + i * bucketDays * DAY_MS).toISOString().slice(0, 10),
+    real: 0,
+    fake: 0,
+  }));
+
+  timeline.forEach((entry, i) => {
+    const bucket = Math.floor((times[i] - start) / DAY_MS / bucketDays);
+    bars[bucket][entry.isFake ? "fake" : "real"]++;
+  });
+
+  return bars;
+}
+
+// Standalone HTML report: summary, indicators, score breakdown and charts
+function toHtml(row) {
+  const analysis = row.analysis_data;
+  const repo = row.repository_data || {};
+  const patterns = analysis.patterns || {};
+  const score = analysis.suspicionScore;
+
+  const windows = (patterns.suspiciousTimeWindows || [])
+    .slice()
+    .sort((a, b) => (a.time || a.start).localeCompare(b.time || b.start))
+    .slice(-MAX_BARS)
+    .map((w) => ({ label: w.time || w.start, count: w.count }));
+
+  const clusters = Object.entries(patterns.suspiciousCreationDates || {})
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CLUSTER_ROWS)
+    .map(([label, count]) => ({ label, count }));
+
+  const bursts = patterns.starVelocitySpikes || [];
+
+  const breakdownRows = (analysis.scoreBreakdown || [])
+    .map(
+      (entry) =>
+        `<tr><td>${escapeHtml(entry.rule)}</td><td>${escapeHtml(
+          entry.value
+        )}</td><td>${escapeHtml(entry.points)}</td></tr>`
+    )
+    .join("");
+
+  const burstRows = bursts
+    .map(
+      (b) =>
+        `<tr><td>${escapeHtml(b.start)}</td><td>${escapeHtml(
+          b.end
+        )}</td><td>${escapeHtml(b.stars)}</td><td>${escapeHtml(
+          b.expectedStars
+        )}</td></tr>`
+    )
+    .join("");
+
+  const verdicts = analysis.accountVerdicts
+    ? Object.entries(analysis.accountVerdicts)
+        .map(([verdict, count]) => `${escapeHtml(verdict)}: ${count}`)
+        .join(", ")
+    : null;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Star analysis: ${escapeHtml(repo.full_name)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em auto; max-width: 760px; color: #222; }
+  h1 { font-size: 1.4em; }
+  h2 { font-size: 1.1em; margin-top: 2em; border-bottom: 1px solid #ddd; }
+  .score { display: inline-block; padding: 0.2em 0.6em; border-radius: 4px; color: #fff; font-weight: bold; background: ${scoreColor(
+    score
+  )}; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+  td, th { border-bottom: 1px solid #eee; padding: 4px; text-align: left; }
+  .empty { color: #888; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; }
+  dt { color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(repo.full_name)} <span class="score">${score}/100</span></h1>
+<dl>
+  <dt>Analyzed</dt><dd>${escapeHtml(row.created_at)}</dd>
+  <dt>Stars</dt><dd>${escapeHtml(analysis.totalStars)}</dd>
+  <dt>Stargazers analyzed</dt><dd>${escapeHtml(analysis.analyzedSample)}</dd>
+  <dt>Profiles checked</dt><dd>${escapeHtml(analysis.detailedSample || 0)}</dd>
+  <dt>Rule set</dt><dd>${escapeHtml(analysis.ruleset?.name)} ${escapeHtml(
+    analysis.ruleset?.version
+  )}</dd>
+  ${verdicts ? `<dt>Account verdicts</dt><dd>${verdicts}</dd>` : ""}
+  <dt>Result id</dt><dd>${escapeHtml(row.id)}</dd>
+</dl>
+
+<h2>Indicators</h2>
+${
+  analysis.suspicionIndicators.length
+    ? `<ul>${analysis.suspicionIndicators
+        .map((i) => `<li>${escapeHtml(i)}</li>`)
+        .join("")}</ul>`
+    : '<p class="empty">No indicators raised</p>'
+}
+
+<h2>Score breakdown</h2>
+${
+  breakdownRows
+    ? `<table><tr><th>Rule</th><th>Value</th><th>Points</th></tr>${breakdownRows}</table>`
+    : '<p class="empty">No data</p>'
+}
+
+<h2>Profiled stars over time</h2>
+${barChart(timelineBars(analysis.timeline), [
+  { key: "real", name: "real", color: COLORS.real },
+  { key: "fake", name: "fake", color: COLORS.fake },
+])}
+
+<h2>Coordinated starring windows</h2>
+${barChart(windows, [
+  { key: "count", name: "stars in window", color: COLORS.window },
+])}
+
+<h2>Account creation clustering</h2>
+${horizontalBarChart(clusters, COLORS.cluster)}
+
+<h2>Star bursts</h2>
+${
+  burstRows
+    ? `<table><tr><th>Start</th><th>End</th><th>Stars</th><th>Expected</th></tr>${burstRows}</table>`
+    : '<p class="empty">No bursts detected</p>'
+}
+</body>
+</html>
+`;
+}
+
+// One headless Chrome is shared by every PDF export, and it renders at most
+// PDF_CONCURRENCY reports at a time; other exports wait for a free slot, up
+// to PDF_QUEUE_TIMEOUT_MS. A render gets PDF_RENDER_TIMEOUT_MS per step, so
+// a stuck page gives its slot back.
+const PDF_CONCURRENCY = 2;
+const PDF_QUEUE_TIMEOUT_MS = 30 * 1000;
+const PDF_RENDER_TIMEOUT_MS = 30 * 1000;
+let browser = null;
+let rendering = 0;
+const waiting = [];
+
+// The shared browser, launched on first use and again after it crashes or
+// fails to start. A launch failure means Chrome is missing or broken here.
+function sharedBrowser() {
+  if (!browser) {
+    browser = puppeteer
+      .launch({
+        args: (process.env.PUPPETEER_ARGS || "").split(" ").filter(Boolean),
+      })
+      .then(
+        (instance) => {
+          instance.on("disconnected", () => {
+            browser = null;
+          });
+          return instance;
+        },
+        (error) => {
+          browser = null;
+          console.error("Error launching Chrome:", error.message);
+          throw new ApiError(
+            501,
+            "not_implemented",
+            "PDF export is unavailable on this server"
+          );
+        }
+      );
+  }
+  return browser;
+}
+
+async function acquireRenderSlot() {
+  if (rendering < PDF_CONCURRENCY) {
+    rendering++;
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const waiter = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      reject(new UnavailableError("PDF export is busy, try again later"));
+    }, PDF_QUEUE_TIMEOUT_MS);
+    waiting.push(waiter);
+  });
+}
+
+// Hand the slot to the next waiting export, if any
+function releaseRenderSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else rendering--;
+}
+
+// Render the HTML report to PDF in a new page of the shared browser
+async function toPdf(row) {
+  await acquireRenderSlot();
+  let page = null;
+
+  try {
+    page = await (await sharedBrowser()).newPage();
+    page.setDefaultTimeout(PDF_RENDER_TIMEOUT_MS);
+    await page.setContent(toHtml(row), { waitUntil: "load" });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      timeout: PDF_RENDER_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    console.error("Error rendering PDF:", error.message);
+    throw new ApiError(500, "internal_error", "PDF rendering failed");
+  } finally {
+    if (page) await page.close().catch(() => {});
+    releaseRenderSlot();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFilename,
+  toCsv,
+  toNdjson,
+  toHtml,
+  toPdf,
+};
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const FIXTURE_MODES = ["record", "replay"];
+const DEFAULT_FIXTURES_DIR = "fixtures/github";
+
+// Response headers worth keeping; the rest is noise in a recording
+const RECORDED_HEADERS = /^(etag|link|retry-after|x-ratelimit-.*)$/i;
+
+// Fixture settings from env config (GITHUB_FIXTURES=record|replay,
+// GITHUB_FIXTURES_DIR). Returns null when fixtures are off.
+function fixtureConfig(env = process.env) {
+  const mode = env.GITHUB_FIXTURES;
+  if (!mode) return null;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown GITHUB_FIXTURES mode: ${mode} (use ${FIXTURE_MODES.join(
+        " or "
+      )})`
+    );
+  }
+  return { mode, dir: env.GITHUB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR };
+}
+
+// What identifies a request: method, path below the API root, sorted query
+// parameters, media type and body. Tokens and conditional headers are left
+// out, so recordings replay under any token.
+function requestKey(config, baseUrl) {
+  const url = config.url.startsWith(baseUrl)
+    ? config.url.slice(baseUrl.length)
+    : config.url;
+  const params = config.params || {};
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+
+  return {
+    method: (config.method || "get").toUpperCase(),
+    path: url,
+    query,
+    accept: config.headers?.Accept || null,
+    body: config.data === undefined ? null : config.data,
+  };
+}
+
+// Readable, collision-free file name for a request
+function fixtureFile(key) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(key))
+    .digest("hex")
+    .slice(0, 10);
+  const slug = `${key.method} ${key.path} ${key.query}`
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 100);
+  return `${slug}-${hash}.json`;
+}
+
+function recordedHeaders(headers = {}) {
+  const kept = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (RECORDED_HEADERS.test(name)) kept[name.toLowerCase()] = value;
+  });
+  return kept;
+}
+
+function isTransient({ status, headers = {} }) {
+  return (
+    status === 304 ||
+    status === 429 ||
+    status >= 500 ||
+    (status === 403 &&
+      (headers["retry-after"] !== undefined ||
+        headers["x-ratelimit-remaining"] === "0"))
+  );
+}
+
+// Error shaped like axios's for a non-2xx response
+function responseError(config, response) {
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.config = config;
+  error.response = response;
+  return error;
+}
+
+// Transport that replays recorded GitHub responses from `dir`, or records
+// what `transport` (the live API) returns into it. A transport takes an axios
+// request config and resolves to { status, headers, data }, rejecting on
+// statuses its validateStatus refuses, like axios.request.
+function createFixtureTransport({ mode, dir, baseUrl, transport }) {
+  const fileOf = (config) =>
+    path.join(dir, fixtureFile(requestKey(config, baseUrl)));
+
+  if (mode === "replay") {
+    return async (config) => {
+      const file = fileOf(config);
+      if (!fs.existsSync(file)) {
+        const { method, path: url, query } = requestKey(config, baseUrl);
+        throw new Error(
+          `No recorded GitHub fixture for ${method} ${url}${
+            query ? `?${query}` : ""
+          } (${file})`
+        );
+      }
+
+      const { response } = JSON.parse(fs.readFileSync(file, "utf8"));
+      const validateStatus =
+        config.validateStatus || ((s) => s >= 200 && s < 300);
+      if (!validateStatus(response.status)) {
+        throw responseError(config, response);
+      }
+      return response;
+    };
+  }
+
+  const save = (config, response) => {
+    // A 304 only means "unchanged"; keep the recorded full response. Rate
+    // limits and server errors are transient and would replay as retries.
+    if (isTransient(response)) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      fileOf(config),
+      JSON.stringify(
+        {
+          request: requestKey(config, baseUrl),
+          response: {
+            status: response.status,
+            headers: recordedHeaders(response.headers),
+            data: response.data,
+          },
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  };
+
+  return async (config) => {
+    try {
+      const response = await transport(config);
+      save(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) save(config, error.response);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  fixtureConfig,
+  fixtureFile,
+  requestKey,
+  createFixtureTransport,
+};
@@ -0,0 +1,418 @@
+const axios = require("axios");
+const { UpstreamError } = require("./errors");
+const { fixtureConfig, createFixtureTransport } = require("./fixtures");
+
+// GitHub API configuration (GITHUB_API_URL points elsewhere, e.g. at a
+// local stand-in in tests)
+const GITHUB_API = (process.env.GITHUB_API_URL || "https://api.github.com")
+  .trim()
+  .replace(/\/+$/, "");
+
+// GITHUB_TOKENS takes a comma-separated pool; GITHUB_TOKEN still works alone
+const GITHUB_TOKENS = [
+  ...new Set(
+    [process.env.GITHUB_TOKEN, ...(process.env.GITHUB_TOKENS || "").split(",")]
+      .map((token) => token?.trim())
+      .filter(Boolean)
+  ),
+];
+const GITHUB_TOKEN = GITHUB_TOKENS[0];
+
+const DEFAULT_ACCEPT = "application/vnd.github.v3+json";
+
+// Below this share of a token's quota, requests are spread out over the time
+// left until the reset instead of running the quota dry
+const THROTTLE_BELOW = 0.1;
+const MAX_THROTTLE_MS = 60 * 1000;
+
+// GitHub asks for at least a minute when a secondary limit has no retry-after
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+const MAX_RETRIES = 5;
+const ETAG_CACHE_SIZE = 500;
+
+// Every GitHub request goes through the transport: axios by default, recorded
+// fixtures with GITHUB_FIXTURES, or whatever setGitHubTransport installs
+const fixtures = fixtureConfig();
+let transport = fixtures
+  ? createFixtureTransport({
+      ...fixtures,
+      baseUrl: GITHUB_API,
+      transport: (config) => axios.request(config),
+    })
+  : (config) => axios.request(config);
+
+// Replace how requests reach GitHub, e.g. with a stub in tests. Takes an
+// axios request config and resolves to { status, headers, data }.
+function setGitHubTransport(next) {
+  transport = next;
+}
+
+// Enhanced delay with exponential backoff
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One slot per token (or a single anonymous slot) with the last known quota
+// per resource, as reported by the x-ratelimit-* headers
+const pool = (GITHUB_TOKENS.length ? GITHUB_TOKENS : [null]).map(
+  (token, index) => ({
+    token,
+    label: token ? `token-${index + 1}` : "anonymous",
+    resources: {},
+    pausedUntil: 0,
+  })
+);
+let nextSlot = 0;
+
+// Conditional request cache: key -> { etag, data }, oldest entry evicted first
+const etagCache = new Map();
+const cacheStats = { hits: 0, misses: 0 };
+
+function quotaOf(slot, resource) {
+  const quota = slot.resources[resource];
+  if (!quota) return null;
+  // A reset in the past means the quota is full again
+  if (quota.reset * 1000 <= Date.now()) {
+    return { ...quota, remaining: quota.limit };
+  }
+  return quota;
+}
+
+// Slot with the most remaining quota for a resource, rotating between ties.
+// Returns the slot and how long to wait before it can be used.
+function pickSlot(resource, { requireToken = false } = {}) {
+  const now = Date.now();
+  let best = null;
+
+  for (let i = 0; i < pool.length; i++) {
+    const slot = pool[(nextSlot + i) % pool.length];
+    if (requireToken && !slot.token) continue;
+
+    const quota = quotaOf(slot, resource);
+    const remaining = quota ? quota.remaining : Infinity;
+    const readyAt = Math.max(
+      slot.pausedUntil,
+      remaining > 0 ? now : quota.reset * 1000 + 1000
+    );
+
+    if (
+      !best ||
+      readyAt < best.readyAt ||
+      (readyAt === best.readyAt && remaining > best.remaining)
+    ) {
+      best = { slot, remaining, readyAt };
+    }
+  }
+
+  if (!best) throw new Error("GitHub GraphQL API requires GITHUB_TOKEN");
+
+  nextSlot = (pool.indexOf(best.slot) + 1) % pool.length;
+  return { slot: best.slot, waitMs: best.readyAt - now };
+}
+
+// Pace requests once a token is low: spread what is left until the reset
+function throttleMs(slot, resource) {
+  const quota = quotaOf(slot, resource);
+  if (!quota || quota.remaining >= quota.limit * THROTTLE_BELOW) return 0;
+
+  const untilReset = quota.reset * 1000 - Date.now();
+  return Math.min(untilReset / Math.max(quota.remaining, 1), MAX_THROTTLE_MS);
+}
+
+// Record the quota a response (or error response) reports
+function updateQuota(slot, headers = {}, fallbackResource) {
+  if (headers["x-ratelimit-remaining"] === undefined) return;
+
+  const resource = headers["x-ratelimit-resource"] || fallbackResource;
+  slot.resources[resource] = {
+    limit: parseInt(headers["x-ratelimit-limit"]),
+    remaining: parseInt(headers["x-ratelimit-remaining"]),
+    reset: parseInt(headers["x-ratelimit-reset"]),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Rate limit handler with retry logic.
+// Primary limits park the token until its reset so the next attempt can use
+// another one; secondary limits pause it for retry-after (or a minute).
+async function handleRateLimit(error, retryCount, slot) {
+  const status = error.response?.status;
+  const headers = error.response?.headers || {};
+
+  if (status === 403 || status === 429) {
+    const retryAfter = parseInt(headers["retry-after"]);
+    if (headers["x-ratelimit-remaining"] === "0") {
+      console.log(
+        `Rate limit hit on ${slot.label}. Resets at ${new Date(
+          parseInt(headers["x-ratelimit-reset"]) * 1000
+        ).toISOString()}`
+      );
+      return true;
+    }
+
+    const isSecondary =
+      !Number.isNaN(retryAfter) ||
+      /secondary rate limit/i.test(error.response?.data?.message || "");
+    if (isSecondary) {
+      const waitTime = Number.isNaN(retryAfter)
+        ? SECONDARY_LIMIT_WAIT_MS * Math.pow(2, retryCount)
+        : retryAfter * 1000;
+      console.log(
+        `Secondary rate limit on ${slot.label}. Pausing it for ${Math.round(
+          waitTime / 1000
+        )} seconds...`
+      );
+      slot.pausedUntil = Date.now() + waitTime;
+      return true;
+    }
+  }
+
+  if (status === 502 || status === 503) {
+    const waitTime = Math.min(1000 * Math.pow(2, retryCount), 30000);
+    console.log(`Server error. Retrying in ${waitTime / 1000} seconds...`);
+    await delay(waitTime);
+    return retryCount < 3;
+  }
+
+  return false;
+}
+
+// ETags belong to the resource, not the token, so any token can revalidate
+function cacheKey(url, params, accept) {
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+  return `${accept} ${url}?${query}`;
+}
+
+function rememberEtag(key, etag, data) {
+  etagCache.delete(key);
+  etagCache.set(key, { etag, data });
+  if (etagCache.size > ETAG_CACHE_SIZE) {
+    etagCache.delete(etagCache.keys().next().value);
+  }
+}
+
+// Send one request through the token pool, waiting for quota and retrying
+// on rate limits and server errors
+async function sendRequest(config, resource, { requireToken, cache }) {
+  let retryCount = 0;
+
+  while (retryCount < MAX_RETRIES) {
+    const { slot, waitMs } = pickSlot(resource, { requireToken });
+    if (waitMs > 0) {
+      console.log(
+        `No GitHub token has ${resource} quota left. Waiting ${Math.round(
+          waitMs / 1000
+        )} seconds...`
+      );
+      await delay(waitMs);
+    }
+
+    const pace = throttleMs(slot, resource);
+    if (pace > 0) await delay(pace);
+
+    const headers = { ...config.headers };
+    if (slot.token) headers.Authorization = `token ${slot.token}`;
+
+    const key = cache
+      ? cacheKey(config.url, config.params || {}, headers.Accept)
+      : null;
+    const cached = key && etagCache.get(key);
+    if (cached) headers["If-None-Match"] = cached.etag;
+
+    // Reserve one request until the response reports the real number
+    const quota = slot.resources[resource];
+    if (quota?.remaining > 0) quota.remaining--;
+
+    try {
+      const response = await transport({
+        ...config,
+        headers,
+        validateStatus: (s) => (s >= 200 && s < 300) || s === 304,
+      });
+      updateQuota(slot, response.headers, resource);
+
+      if (response.status === 304) {
+        cacheStats.hits++;
+        rememberEtag(key, cached.etag, cached.data);
+        return { data: cached.data, headers: response.headers, slot };
+      }
+
+      if (key) {
+        cacheStats.misses++;
+        if (response.headers.etag) {
+          rememberEtag(key, response.headers.etag, response.data);
+        }
+      }
+      return { data: response.data, headers: response.headers, slot };
+    } catch (error) {
+      updateQuota(slot, error.response?.headers, resource);
+      const shouldRetry = await handleRateLimit(error, retryCount, slot);
+      if (shouldRetry) {
+        retryCount++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  throw new UpstreamError("GitHub API retries exhausted");
+}
+
+// Enhanced API call with retry logic.
+// `accept` overrides the media type (e.g. star+json for starred_at); repeat
+// fetches are conditional so unchanged resources cost no quota.
+async function makeGitHubRequest(url, params = {}, { accept } = {}) {
+  const { data } = await sendRequest(
+    {
+      method: "get",
+      url,
+      params,
+      headers: { Accept: accept || DEFAULT_ACCEPT },
+    },
+    "core",
+    { cache: true }
+  );
+  return data;
+}
+
+// GraphQL API call with the same retry logic.
+// GraphQL reports rate limiting in the body with a 200 status, so that case
+// is turned into the 403 shape handleRateLimit already understands.
+async function makeGitHubGraphQLRequest(query, variables = {}) {
+  if (!GITHUB_TOKEN) {
+    throw new Error("GitHub GraphQL API requires GITHUB_TOKEN");
+  }
+
+  let retryCount = 0;
+
+  while (retryCount < MAX_RETRIES) {
+    const {
+      data: body,
+      headers,
+      slot,
+    } = await sendRequest(
+      {
+        method: "post",
+        url: `${GITHUB_API}/graphql`,
+        data: { query, variables },
+        headers: { Accept: DEFAULT_ACCEPT },
+      },
+      "graphql",
+      { requireToken: true, cache: false }
+    );
+    const { data, errors } = body;
+
+    if (errors?.some((e) => e.type === "RATE_LIMITED")) {
+      const error = new Error("GraphQL rate limit exceeded");
+      error.response = {
+        status: 403,
+        headers: { ...headers, "x-ratelimit-remaining": "0" },
+      };
+      updateQuota(slot, error.response.headers, "graphql");
+      await handleRateLimit(error, retryCount, slot);
+      retryCount++;
+      continue;
+    }
+
+    if (errors?.length) {
+      const error = new Error(errors.map((e) => e.message).join("; "));
+      error.graphqlErrors = errors;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  throw new UpstreamError("GitHub API retries exhausted");
+}
+
+// Current quota per resource (core, graphql, ...) summed over the token pool.
+// This call costs nothing and refreshes what getRateLimitStatus reports.
+async function fetchRateLimit() {
+  const perSlot = await Promise.all(
+    pool.map(async (slot) => {
+      const response = await transport({
+        method: "get",
+        url: `${GITHUB_API}/rate_limit`,
+        headers: {
+          Accept: DEFAULT_ACCEPT,
+          ...(slot.token && { Authorization: `token ${slot.token}` }),
+        },
+      });
+      const updatedAt = new Date().toISOString();
+      Object.entries(response.data.resources).forEach(([resource, quota]) => {
+        slot.resources[resource] = { ...quota, updatedAt };
+      });
+      return response.data.resources;
+    })
+  );
+
+  const totals = {};
+  perSlot.forEach((resources) => {
+    Object.entries(resources).forEach(([resource, quota]) => {
+      const total = totals[resource];
+      totals[resource] = total
+        ? {
+            limit: total.limit + quota.limit,
+            remaining: total.remaining + quota.remaining,
+            used: (total.used || 0) + (quota.used || 0),
+            reset: Math.min(total.reset, quota.reset),
+          }
+        : { ...quota };
+    });
+  });
+  return totals;
+}
+
+// Last known quota per token and resource, without calling GitHub
+function getRateLimitStatus() {
+  const resources = {};
+  const tokens = pool.map((slot) => {
+    const known = {};
+    Object.keys(slot.resources).forEach((resource) => {
+      const quota = quotaOf(slot, resource);
+      known[resource] = {
+        limit: quota.limit,
+        remaining: quota.remaining,
+        reset: new Date(quota.reset * 1000).toISOString(),
+        updatedAt: quota.updatedAt,
+      };
+
+      const total = resources[resource] || { limit: 0, remaining: 0 };
+      resources[resource] = {
+        limit: total.limit + quota.limit,
+        remaining: total.remaining + quota.remaining,
+      };
+    });
+
+    return {
+      label: slot.label,
+      pausedUntil:
+        slot.pausedUntil > Date.now()
+          ? new Date(slot.pausedUntil).toISOString()
+          : null,
+      resources: known,
+    };
+  });
+
+  return {
+    tokens,
+    resources,
+    etagCache: { entries: etagCache.size, ...cacheStats },
+  };
+}
+
+module.exports = {
+  GITHUB_API,
+  GITHUB_TOKEN,
+  GITHUB_TOKENS,
+  delay,
+  makeGitHubRequest,
+  makeGitHubGraphQLRequest,
+  fetchRateLimit,
+  getRateLimitStatus,
+  setGitHubTransport,
+};
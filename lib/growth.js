@@ -0,0 +1,198 @@
+const { GITHUB_API, makeGitHubRequest } = require("./github");
+
+// Organic growth context: what besides stars shows people using a repo
+// (issues, pull requests, contributors, release downloads, watchers) and
+// whether its star bursts line up with releases or traffic spikes. Real
+// launches come with these; bought stars usually do not.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Issues and pull requests opened this many days before the analysis count
+// as current activity
+const ACTIVITY_WINDOW_DAYS = 90;
+
+// A release published this many days before a burst, or during it,
+// explains it
+const RELEASE_LEAD_DAYS = 2;
+
+// A day with this many times the median daily views (and at least
+// MIN_SPIKE_VIEWS) is a traffic spike
+const TRAFFIC_SPIKE_RATIO = 3;
+const MIN_SPIKE_VIEWS = 20;
+
+// Fetch one part of the context, or null when GitHub will not give it.
+// Traffic needs push access, so its 403 and 404 are expected and not logged.
+async function optional(label, fetch, expectedStatuses = []) {
+  try {
+    return await fetch();
+  } catch (error) {
+    if (!expectedStatuses.includes(error.response?.status)) {
+      console.error(`Error fetching ${label}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Fetch the growth context of a repository: its latest 100 issues and pull
+// requests, up to 100 contributors, its releases with download counts and,
+// when the token can see them, the last 14 days of traffic. Parts that
+// cannot be fetched are null.
+async function fetchGrowthContext(owner, repo, repoInfo) {
+  const root = `${GITHUB_API}/repos/${owner}/${repo}`;
+  const [issues, contributors, releases, views, referrers] = await Promise.all([
+    optional(`issues of ${owner}/${repo}`, () =>
+      makeGitHubRequest(`${root}/issues`, {
+        state: "all",
+        sort: "created",
+        direction: "desc",
+        per_page: 100,
+      })
+    ),
+    optional(`contributors of ${owner}/${repo}`, () =>
+      makeGitHubRequest(`${root}/contributors`, { per_page: 100 })
+    ),
+    optional(`releases of ${owner}/${repo}`, () =>
+      makeGitHubRequest(`${root}/releases`, { per_page: 100 })
+    ),
+    optional(
+      `traffic of ${owner}/${repo}`,
+      () => makeGitHubRequest(`${root}/traffic/views`),
+      [403, 404]
+    ),
+    optional(
+      `referrers of ${owner}/${repo}`,
+      () => makeGitHubRequest(`${root}/traffic/popular/referrers`),
+      [403, 404]
+    ),
+  ]);
+
+  return growthContext(
+    { issues, contributors, releases, views, referrers },
+    repoInfo
+  );
+}
+
+// Reduce GitHub's issues, contributors, releases and traffic responses (each
+// null when unavailable) to the growth context the growth detector reads
+function growthContext(
+  { issues, contributors, releases, views = null, referrers = null },
+  repoInfo
+) {
+  return {
+    issues:
+      issues &&
+      issues.map((issue) => ({
+        createdAt: issue.created_at,
+        author: issue.user?.login ?? null,
+        pullRequest: Boolean(issue.pull_request),
+      })),
+    // An empty repository answers 204 with no body
+    contributors: contributors === null ? null : contributors.length || 0,
+    releases:
+      releases &&
+      releases
+        .filter((release) => !release.draft && release.published_at)
+        .map((release) => ({
+          tag: release.tag_name,
+          publishedAt: release.published_at,
+          downloads: (release.assets || []).reduce(
+            (sum, asset) => sum + (asset.download_count || 0),
+            0
+          ),
+        })),
+    watchers: repoInfo.subscribers_count ?? null,
+    traffic: views && {
+      views: (views.views || []).map((day) => ({
+        date: day.timestamp,
+        count: day.count,
+        uniques: day.uniques,
+      })),
+      referrers: (referrers || []).map((r) => ({
+        referrer: r.referrer,
+        count: r.count,
+        uniques: r.uniques,
+      })),
+    },
+  };
+}
+
+// Counts of the organic signals at `now`; a count is null when its part of
+// the context could not be fetched
+function summarizeGrowth(growth, now = new Date()) {
+  const since = new Date(now).getTime() - ACTIVITY_WINDOW_DAYS * DAY_MS;
+  const recent =
+    growth.issues &&
+    growth.issues.filter(
+      (issue) => new Date(issue.createdAt).getTime() >= since
+    );
+
+  return {
+    issuesOpened: recent && recent.filter((i) => !i.pullRequest).length,
+    pullRequestsOpened: recent && recent.filter((i) => i.pullRequest).length,
+    participants:
+      recent && new Set(recent.map((i) => i.author).filter(Boolean)).size,
+    contributors: growth.contributors,
+    releases: growth.releases && growth.releases.length,
+    releaseDownloads:
+      growth.releases &&
+      growth.releases.reduce((sum, release) => sum + release.downloads, 0),
+    watchers: growth.watchers,
+    topReferrers: growth.traffic
+      ? growth.traffic.referrers.slice(0, 3).map((r) => r.referrer)
+      : null,
+  };
+}
+
+// Days of the traffic window with far more views than usual
+function findTrafficSpikes(views) {
+  const counts = views.map((day) => day.count).sort((a, b) => a - b);
+  const median = counts.length ? counts[Math.floor(counts.length / 2)] : 0;
+  return views
+    .filter(
+      (day) =>
+        day.count >= MIN_SPIKE_VIEWS &&
+        day.count >= TRAFFIC_SPIKE_RATIO * median
+    )
+    .map((day) => day.date);
+}
+
+// Whether each star burst (see lib/star-history) lines up with a release
+// published shortly before or during it, or with a traffic spike. Traffic
+// only covers the last 14 days, so older bursts can only match releases.
+function explainBursts(spikes, growth) {
+  const trafficSpikes = growth.traffic
+    ? findTrafficSpikes(growth.traffic.views)
+    : [];
+
+  return spikes.map((spike) => {
+    const start = new Date(spike.start).getTime();
+    const end = new Date(spike.end).getTime();
+    const release = (growth.releases || []).find((r) => {
+      const published = new Date(r.publishedAt).getTime();
+      return published >= start - RELEASE_LEAD_DAYS * DAY_MS && published < end;
+    });
+    const traffic = trafficSpikes.find((date) => {
+      const day = new Date(date).getTime();
+      return day >= start - DAY_MS && day < end;
+    });
+
+    return {
+      start: spike.start,
+      end: spike.end,
+      stars: spike.stars,
+      release: release ? release.tag : null,
+      trafficSpike: traffic || null,
+      explained: Boolean(release || traffic),
+    };
+  });
+}
+
+module.exports = {
+  ACTIVITY_WINDOW_DAYS,
+  RELEASE_LEAD_DAYS,
+  fetchGrowthContext,
+  growthContext,
+  summarizeGrowth,
+  findTrafficSpikes,
+  explainBursts,
+};
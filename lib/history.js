@@ -0,0 +1,182 @@
+const { SIGNALS } = require("./rules");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_RETENTION_DAYS = 180;
+const DEFAULT_CACHE_HOURS = 24;
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+// Signals tracked over time and compared between results
+const TRACKED_SIGNALS = [
+  "sameDayRatio",
+  "fakeRatio",
+  "lowEngagementRatio",
+  "newAccountRatio",
+  "onlyStarringRatio",
+  "rapidStarringRatio",
+  "promotedOverlapRatio",
+  "genericRatio",
+  "botRatio",
+  "coordinated",
+  "burstCount",
+  "burstVelocity",
+];
+
+// How long results are kept and how old a result may be to be reused.
+// RESULT_RETENTION_DAYS=0 keeps results forever.
+function historyConfig(env = process.env) {
+  const retentionDays = parseFloat(env.RESULT_RETENTION_DAYS);
+  const cacheHours = parseFloat(env.ANALYSIS_CACHE_HOURS);
+
+  const days =
+    Number.isFinite(retentionDays) && retentionDays >= 0
+      ? retentionDays
+      : DEFAULT_RETENTION_DAYS;
+
+  return {
+    retentionMs: days > 0 ? days * DAY_MS : null,
+    cacheMaxAgeMs:
+      (Number.isFinite(cacheHours) && cacheHours >= 0
+        ? cacheHours
+        : DEFAULT_CACHE_HOURS) * HOUR_MS,
+  };
+}
+
+// Values of the tracked signals for one stored result (null when unavailable)
+function trackedSignals(analysis, repoInfo) {
+  const values = {};
+  TRACKED_SIGNALS.forEach((name) => {
+    const signal = SIGNALS[name](analysis, repoInfo);
+    values[name] =
+      signal && Number.isFinite(signal.value)
+        ? Math.round(signal.value * 10000) / 10000
+        : null;
+  });
+  return values;
+}
+
+// One history entry: score, sample and key ratios of a stored result
+function summarizeResult(row) {
+  const analysis = row.analysis_data;
+  return {
+    id: row.id,
+    analyzedAt: row.created_at,
+    analysisType: analysis.detailedSample > 0 ? "advanced" : "basic",
+    suspicionScore: analysis.suspicionScore,
+    totalStars: analysis.totalStars,
+    analyzedSample: analysis.analyzedSample,
+    detailedSample: analysis.detailedSample || 0,
+    ruleset: analysis.ruleset?.version || null,
+    indicators: analysis.suspicionIndicators.length,
+    signals: trackedSignals(analysis, row.repository_data),
+  };
+}
+
+// Score trend over a repo's results, oldest first
+function buildHistory(rows) {
+  const entries = rows.map(summarizeResult).reverse();
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+
+  return {
+    count: entries.length,
+    trend: first
+      ? {
+          from: first.analyzedAt,
+          to: last.analyzedAt,
+          scoreChange: last.suspicionScore - first.suspicionScore,
+          minScore: Math.min(...entries.map((e) => e.suspicionScore)),
+          maxScore: Math.max(...entries.map((e) => e.suspicionScore)),
+        }
+      : null,
+    history: entries,
+  };
+}
+
+// Whether the breakdown records which rule raised each indicator
+function hasRuleIndicators(analysis) {
+  return (analysis.scoreBreakdown || []).some((entry) => "indicator" in entry);
+}
+
+// Indicator message per rule id, or per message for results scored before
+// breakdowns carried indicators. Rules that took points off are skipped,
+// including those scored before 1.4.1 that kept their message in `indicator`.
+function indicatorsByKey(analysis, byRule) {
+  const byKey = new Map();
+
+  if (byRule) {
+    analysis.scoreBreakdown.forEach((entry) => {
+      if (entry.indicator && entry.points >= 0) {
+        byKey.set(entry.rule, entry.indicator);
+      }
+    });
+  } else {
+    analysis.suspicionIndicators.forEach((message) =>
+      byKey.set(message, message)
+    );
+  }
+
+  return byKey;
+}
+
+// What changed between two results of the same repo: score, indicators that
+// appeared, went away or changed wording, and the tracked signals
+function diffResults(fromRow, toRow) {
+  const from = fromRow.analysis_data;
+  const to = toRow.analysis_data;
+  const byRule = hasRuleIndicators(from) && hasRuleIndicators(to);
+  const before = indicatorsByKey(from, byRule);
+  const after = indicatorsByKey(to, byRule);
+
+  const appeared = [];
+  const disappeared = [];
+  const changed = [];
+  const unchanged = [];
+
+  after.forEach((message, key) => {
+    const rule = byRule ? key : null;
+    if (!before.has(key)) appeared.push({ rule, message });
+    else if (before.get(key) !== message) {
+      changed.push({ rule, from: before.get(key), to: message });
+    } else unchanged.push({ rule, message });
+  });
+  before.forEach((message, key) => {
+    if (!after.has(key)) {
+      disappeared.push({ rule: byRule ? key : null, message });
+    }
+  });
+
+  const fromSignals = trackedSignals(from, fromRow.repository_data);
+  const toSignals = trackedSignals(to, toRow.repository_data);
+  const signals = {};
+  TRACKED_SIGNALS.forEach((name) => {
+    const a = fromSignals[name];
+    const b = toSignals[name];
+    signals[name] = {
+      from: a,
+      to: b,
+      change:
+        a !== null && b !== null ? Math.round((b - a) * 10000) / 10000 : null,
+    };
+  });
+
+  return {
+    from: summarizeResult(fromRow),
+    to: summarizeResult(toRow),
+    scoreChange: to.suspicionScore - from.suspicionScore,
+    sameRuleset: from.ruleset?.version === to.ruleset?.version,
+    indicators: { appeared, disappeared, changed, unchanged },
+    signals,
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  MAX_HISTORY_LIMIT,
+  historyConfig,
+  buildHistory,
+  diffResults,
+};
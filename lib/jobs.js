@@ -0,0 +1,212 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const { toApiError } = require("./errors");
+
+// Finished jobs are kept around for an hour so clients can still poll them
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Rough per-unit costs used before we have measured anything
+const ESTIMATED_PAGE_MS = 400;
+const ESTIMATED_USER_MS = 400;
+const ESTIMATED_ACCOUNT_MS = 1200;
+const ESTIMATED_REPO_MS = 60 * 1000;
+
+const jobs = new Map();
+
+// Starting counters for each kind of job
+const INITIAL_PROGRESS = {
+  analysis: () => ({
+    pagesFetched: 0,
+    stargazersFetched: 0,
+    expectedStargazers: null,
+    usersProfiled: 0,
+    usersToProfile: null,
+    accountsChecked: 0,
+    accountsToCheck: null,
+  }),
+  batch: () => ({
+    reposTotal: null,
+    reposCompleted: 0,
+    reposFailed: 0,
+    reposSkipped: 0,
+    currentRepo: null,
+  }),
+};
+
+// Create a new queued job ("analysis" for one repo, "batch" for many)
+function createJob(params, type = "analysis") {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    phase: "queued",
+    params,
+    progress: INITIAL_PROGRESS[type](),
+    phaseStartedAt: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    events: new EventEmitter(),
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+// Look up a job by ID
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Estimate remaining milliseconds from the measured rate of the current phase
+function estimateRemainingMs(job) {
+  const { progress, params } = job;
+  const phaseElapsed = job.phaseStartedAt ? Date.now() - job.phaseStartedAt : 0;
+
+  if (job.type === "batch") {
+    const finishedRepos =
+      progress.reposCompleted + progress.reposFailed + progress.reposSkipped;
+    const repoMs =
+      finishedRepos > 0 ? phaseElapsed / finishedRepos : ESTIMATED_REPO_MS;
+    const remainingRepos = Math.max(
+      (progress.reposTotal ?? 0) - finishedRepos,
+      0
+    );
+    return remainingRepos * repoMs;
+  }
+
+  const expectedStars = progress.expectedStargazers ?? params.maxStars;
+  const expectedPages = Math.ceil(expectedStars / 100);
+  const expectedUsers = params.deepAnalysis
+    ? progress.usersToProfile ?? Math.min(expectedStars, params.maxUsers)
+    : 0;
+  const expectedAccounts =
+    params.deepAnalysis && params.activityAnalysis
+      ? progress.accountsToCheck ??
+        Math.min(expectedUsers, params.maxActivityUsers)
+      : 0;
+  const activityMs = expectedAccounts * ESTIMATED_ACCOUNT_MS;
+
+  if (job.phase === "queued" || job.phase === "repository") {
+    return (
+      expectedPages * ESTIMATED_PAGE_MS +
+      expectedUsers * ESTIMATED_USER_MS +
+      activityMs
+    );
+  }
+
+  if (job.phase === "stargazers") {
+    const pageMs =
+      progress.pagesFetched > 0
+        ? phaseElapsed / progress.pagesFetched
+        : ESTIMATED_PAGE_MS;
+    const remainingPages = Math.max(expectedPages - progress.pagesFetched, 0);
+    return (
+      remainingPages * pageMs + expectedUsers * ESTIMATED_USER_MS + activityMs
+    );
+  }
+
+  if (job.phase === "users") {
+    const userMs =
+      progress.usersProfiled > 0
+        ? phaseElapsed / progress.usersProfiled
+        : ESTIMATED_USER_MS;
+    const remainingUsers = Math.max(expectedUsers - progress.usersProfiled, 0);
+    return remainingUsers * userMs + activityMs;
+  }
+
+  if (job.phase === "activity") {
+    const accountMs =
+      progress.accountsChecked > 0
+        ? phaseElapsed / progress.accountsChecked
+        : ESTIMATED_ACCOUNT_MS;
+    return Math.max(expectedAccounts - progress.accountsChecked, 0) * accountMs;
+  }
+
+  return 0;
+}
+
+// Public view of a job
+function serializeJob(job) {
+  const finished = job.status === "completed" || job.status === "failed";
+  const remainingMs = finished ? 0 : Math.round(estimateRemainingMs(job));
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    phase: job.phase,
+    repository:
+      job.type === "analysis"
+        ? `${job.params.repoOwner}/${job.params.repoName}`
+        : null,
+    progress: { ...job.progress },
+    eta: {
+      seconds: Math.ceil(remainingMs / 1000),
+      estimatedCompletion: finished
+        ? job.finishedAt
+        : new Date(Date.now() + remainingMs).toISOString(),
+    },
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+// Apply a structured progress event to a job and notify listeners
+function reportProgress(job, event) {
+  if (job.status === "queued") {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+  }
+
+  if (event.phase && event.phase !== job.phase) {
+    job.phase = event.phase;
+    job.phaseStartedAt = Date.now();
+  }
+
+  for (const key of Object.keys(job.progress)) {
+    if (event[key] !== undefined) job.progress[key] = event[key];
+  }
+
+  job.events.emit("progress", serializeJob(job));
+}
+
+// Mark a job as finished and schedule its removal
+function finishJob(job, status, payload) {
+  job.status = status;
+  job.phase = status;
+  job.finishedAt = new Date().toISOString();
+  if (status === "completed") job.result = payload;
+  else job.error = payload;
+
+  job.events.emit(status, serializeJob(job));
+  job.events.removeAllListeners();
+
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// Run an analysis function in the background, feeding its progress into the job
+function runJob(job, task) {
+  setImmediate(async () => {
+    try {
+      const result = await task((event) => reportProgress(job, event));
+      finishJob(job, "completed", result);
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      const { code, message, details } = toApiError(error);
+      finishJob(job, "failed", { code, message, details });
+    }
+  });
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  serializeJob,
+  runJob,
+};
@@ -0,0 +1,305 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+const MINUTE_MS = 60 * 1000;
+
+// Shortest interval a watch may run at, to keep GitHub quota for everyone else
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_SCHEDULE = "@daily";
+const DEFAULT_THRESHOLD = 70;
+
+const DEFAULT_TICK_SECONDS = 60;
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_ATTEMPTS = 3;
+
+const WATCH_EVENTS = [
+  "score.threshold_crossed",
+  "burst.detected",
+  "indicator.appeared",
+];
+
+const SCHEDULE_PRESETS = {
+  "@hourly": 60,
+  "@daily": 24 * 60,
+  "@weekly": 7 * 24 * 60,
+};
+
+const SCHEDULE_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// Interval in minutes for "@hourly", "@daily", "@weekly" or "<n>m|h|d".
+// Returns null for anything else.
+function parseSchedule(schedule) {
+  if (SCHEDULE_PRESETS[schedule]) return SCHEDULE_PRESETS[schedule];
+
+  const match = String(schedule).match(/^(\d+)\s*([mhd])$/);
+  if (!match) return null;
+  return parseInt(match[1]) * SCHEDULE_UNITS[match[2]];
+}
+
+// What the next run is compared against. Results scored before ruleset
+// 1.4.1 kept offset messages in `indicator`; their negative points give
+// them away.
+function snapshotOf(analysis) {
+  const indicators = {};
+  (analysis.scoreBreakdown || []).forEach((entry) => {
+    if (entry.indicator && entry.points >= 0) {
+      indicators[entry.rule] = entry.indicator;
+    }
+  });
+
+  return {
+    score: analysis.suspicionScore,
+    indicators,
+    bursts: (analysis.patterns.starVelocitySpikes || []).map((b) => b.start),
+  };
+}
+
+// Events between two snapshots. Without a previous snapshot only a score
+// already at or above the threshold is reported.
+function detectChanges(previous, current, analysis, threshold) {
+  const events = [];
+
+  if (!previous) {
+    if (current.score >= threshold) {
+      events.push({
+        event: "score.threshold_crossed",
+        data: {
+          direction: "up",
+          threshold,
+          previousScore: null,
+          score: current.score,
+        },
+      });
+    }
+    return events;
+  }
+
+  const wasAbove = previous.score >= threshold;
+  const isAbove = current.score >= threshold;
+  if (wasAbove !== isAbove) {
+    events.push({
+      event: "score.threshold_crossed",
+      data: {
+        direction: isAbove ? "up" : "down",
+        threshold,
+        previousScore: previous.score,
+        score: current.score,
+      },
+    });
+  }
+
+  const knownBursts = new Set(previous.bursts);
+  const newBursts = (analysis.patterns.starVelocitySpikes || []).filter(
+    (burst) => !knownBursts.has(burst.start)
+  );
+  if (newBursts.length > 0) {
+    events.push({ event: "burst.detected", data: { bursts: newBursts } });
+  }
+
+  const newIndicators = Object.entries(current.indicators)
+    .filter(([rule]) => !(rule in previous.indicators))
+    .map(([rule, message]) => ({ rule, message }));
+  if (newIndicators.length > 0) {
+    events.push({
+      event: "indicator.appeared",
+      data: { indicators: newIndicators },
+    });
+  }
+
+  return events;
+}
+
+// HMAC-SHA256 of the raw body, sent as "sha256=<hex>"
+function signPayload(secret, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex")}`;
+}
+
+// POST one event to a webhook, retrying failed deliveries with backoff.
+// Returns { status, error } of the last attempt.
+async function deliverWebhook(webhook, event, payload) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "star-buster-webhooks",
+    "X-StarBuster-Event": event,
+    "X-StarBuster-Delivery": crypto.randomUUID(),
+    "X-StarBuster-Signature": signPayload(webhook.secret, body),
+  };
+
+  let result = null;
+  for (let attempt = 0; attempt < WEBHOOK_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, 1000 * Math.pow(2, attempt))
+      );
+    }
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+      });
+      return { status: response.status, error: null };
+    } catch (error) {
+      result = {
+        status: error.response?.status || null,
+        error: error.message,
+      };
+      // The receiver rejected the payload itself; retrying will not help
+      if (error.response?.status >= 400 && error.response?.status < 500) break;
+    }
+  }
+
+  return result;
+}
+
+// In-process scheduler: every tick, run the watches that are due one at a
+// time and notify subscribed webhooks of what changed
+function createMonitor({
+  storage,
+  runAnalysis,
+  tickMs = DEFAULT_TICK_SECONDS * 1000,
+}) {
+  let timer = null;
+  let running = false;
+
+  async function notify(watch, result, events) {
+    if (events.length === 0) return;
+
+    const webhooks = (await storage.listWebhooks()).filter((w) => w.enabled);
+    for (const { event, data } of events) {
+      // An empty subscription receives nothing
+      const subscribed = webhooks.filter((w) =>
+        (w.events ?? WATCH_EVENTS).includes(event)
+      );
+
+      for (const webhook of subscribed) {
+        const outcome = await deliverWebhook(webhook, event, {
+          event,
+          deliveredAt: new Date().toISOString(),
+          watch: {
+            id: watch.id,
+            repository: `${watch.repo_owner}/${watch.repo_name}`,
+          },
+          resultId: result.id,
+          suspicionScore: result.analysis.suspicionScore,
+          data,
+        });
+
+        if (outcome.error) {
+          console.error(
+            `Webhook ${webhook.id} failed for ${event}:`,
+            outcome.error
+          );
+        }
+        await storage.updateWebhook(webhook.id, {
+          last_delivery_at: new Date().toISOString(),
+          last_delivery_status: outcome.status,
+          last_delivery_error: outcome.error,
+        });
+      }
+    }
+  }
+
+  // Analyze one watched repo now and report changes since its last run
+  async function runWatch(watch) {
+    const startedAt = new Date();
+    const nextRunAt = new Date(
+      startedAt.getTime() + watch.interval_minutes * MINUTE_MS
+    ).toISOString();
+
+    try {
+      const result = await runAnalysis({
+        repoOwner: watch.repo_owner,
+        repoName: watch.repo_name,
+        deepAnalysis: watch.deep_analysis,
+        maxStars: watch.max_stars,
+        maxUsers: watch.max_users,
+        force: true,
+      });
+
+      const snapshot = snapshotOf(result.analysis);
+      const events = detectChanges(
+        watch.last_snapshot,
+        snapshot,
+        result.analysis,
+        watch.threshold
+      );
+
+      const updated = await storage.updateWatch(watch.id, {
+        last_run_at: startedAt.toISOString(),
+        next_run_at: nextRunAt,
+        last_result_id: result.id,
+        last_snapshot: snapshot,
+        last_error: null,
+      });
+
+      // Deliveries retry with long timeouts; neither a request running the
+      // watch nor the scheduler waits for them
+      notify(watch, result, events).catch((error) =>
+        console.error(`Webhooks of watch ${watch.id} failed:`, error.message)
+      );
+      return { watch: updated, resultId: result.id, events };
+    } catch (error) {
+      console.error(
+        `Watch ${watch.id} (${watch.repo_owner}/${watch.repo_name}) failed:`,
+        error.message
+      );
+      const updated = await storage.updateWatch(watch.id, {
+        last_run_at: startedAt.toISOString(),
+        next_run_at: nextRunAt,
+        last_error: error.message,
+      });
+      return { watch: updated, resultId: null, events: [], error };
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date().toISOString();
+      const due = (await storage.listWatches()).filter(
+        (w) => w.enabled && (!w.next_run_at || w.next_run_at <= now)
+      );
+
+      for (const watch of due) {
+        await runWatch(watch);
+      }
+    } catch (error) {
+      console.error("Monitor tick failed:", error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runWatch,
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, tickMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  MIN_INTERVAL_MINUTES,
+  DEFAULT_SCHEDULE,
+  DEFAULT_THRESHOLD,
+  DEFAULT_TICK_SECONDS,
+  WATCH_EVENTS,
+  parseSchedule,
+  signPayload,
+  createMonitor,
+};
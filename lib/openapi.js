@@ -0,0 +1,551 @@
+const { toJsonSchema, toObjectSchema } = require("./validation");
+const { RESPONSE_SCHEMAS } = require("./responses");
+const { ERROR_CODES } = require("./errors");
+const schemas = require("./schemas");
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid request (invalid_request)",
+  401: "Missing, invalid or revoked API key (unauthorized)",
+  403: "Not allowed for this API key (forbidden)",
+  404: "Not found (not_found)",
+  422: "The request cannot be applied to these resources (unprocessable)",
+  429: "Rate limit, daily quota or key cap exceeded (rate_limited, quota_exceeded, limit_exceeded); see Retry-After",
+  501: "Not available on this server (not_implemented)",
+  502: "GitHub API failure (upstream_error)",
+  503: "Service unavailable (unavailable)",
+};
+
+// Every route: operation ID (the method name in the JS client), method,
+// OpenAPI path, request schemas, auth level ("key" needs an API key when keys
+// are required, "admin" the admin key), extra error statuses and the success
+// responses with the name of their schema in RESPONSE_SCHEMAS
+const ROUTES = [
+  {
+    operationId: "getOverview",
+    method: "get",
+    path: "/",
+    summary: "API overview",
+    tag: "Meta",
+    success: { 200: { description: "OK", schema: "Overview" } },
+  },
+  {
+    operationId: "getHealth",
+    method: "get",
+    path: "/health",
+    summary: "Health check",
+    tag: "Meta",
+    success: { 200: { description: "OK", schema: "Health" } },
+  },
+  {
+    operationId: "getOpenApi",
+    method: "get",
+    path: "/openapi.json",
+    summary: "This OpenAPI document",
+    tag: "Meta",
+    success: { 200: { description: "OpenAPI 3 document" } },
+  },
+  {
+    operationId: "getRules",
+    method: "get",
+    path: "/rules",
+    summary: "Active scoring rule set",
+    tag: "Meta",
+    success: { 200: { description: "OK", schema: "Ruleset" } },
+  },
+  {
+    operationId: "analyze",
+    method: "post",
+    path: "/analyze",
+    summary: "Analyze a repository's stargazers",
+    tag: "Analysis",
+    body: schemas.ANALYZE_BODY,
+    auth: "key",
+    errors: [404, 502],
+    success: {
+      200: { description: "Analysis result", schema: "AnalysisResult" },
+      202: { description: "Job started (async: true)", schema: "JobAccepted" },
+    },
+  },
+  {
+    operationId: "analyzeBatch",
+    method: "post",
+    path: "/analyze/batch",
+    summary: "Analyze many repositories, ranked by suspicion score",
+    tag: "Analysis",
+    body: schemas.BATCH_BODY,
+    auth: "key",
+    errors: [404, 502],
+    success: {
+      200: {
+        description: "Batch summary (async: false)",
+        schema: "BatchSummary",
+      },
+      202: { description: "Job started", schema: "JobAccepted" },
+    },
+  },
+  {
+    operationId: "getJob",
+    method: "get",
+    path: "/jobs/{id}",
+    summary: "Analysis job status",
+    tag: "Jobs",
+    params: schemas.ID_PARAMS,
+    errors: [404],
+    success: { 200: { description: "OK", schema: "Job" } },
+  },
+  {
+    operationId: "streamJobEvents",
+    method: "get",
+    path: "/jobs/{id}/events",
+    summary: "Job progress as server-sent events",
+    tag: "Jobs",
+    params: schemas.ID_PARAMS,
+    errors: [404],
+    success: {
+      200: {
+        description:
+          "progress events, then one completed or failed event; each carries a Job",
+        contentType: "text/event-stream",
+      },
+    },
+  },
+  {
+    operationId: "getRepo",
+    method: "get",
+    path: "/repo/{owner}/{repo}",
+    summary: "Repository information",
+    tag: "Repositories",
+    params: schemas.REPO_PARAMS,
+    auth: "key",
+    errors: [404, 502],
+    success: { 200: { description: "OK", schema: "Repository" } },
+  },
+  {
+    operationId: "getStarHistory",
+    method: "get",
+    path: "/repo/{owner}/{repo}/star-history",
+    summary: "Star history with flagged bursts",
+    tag: "Repositories",
+    params: schemas.REPO_PARAMS,
+    query: schemas.STAR_HISTORY_QUERY,
+    auth: "key",
+    errors: [404, 502],
+    success: { 200: { description: "OK", schema: "StarHistory" } },
+  },
+  {
+    operationId: "getHistory",
+    method: "get",
+    path: "/repo/{owner}/{repo}/history",
+    summary: "Stored analyses of a repository, oldest first",
+    tag: "Repositories",
+    params: schemas.REPO_PARAMS,
+    query: schemas.HISTORY_QUERY,
+    errors: [404],
+    success: { 200: { description: "OK", schema: "History" } },
+  },
+  {
+    operationId: "getBadge",
+    method: "get",
+    path: "/badge/{owner}/{repo}.svg",
+    summary: "SVG badge with the repository's suspicion score",
+    tag: "Repositories",
+    params: schemas.REPO_PARAMS,
+    query: schemas.BADGE_QUERY,
+    success: {
+      200: { description: "SVG badge", contentType: "image/svg+xml" },
+    },
+  },
+  {
+    operationId: "getResult",
+    method: "get",
+    path: "/results/{id}",
+    summary: "Stored analysis result, as JSON or an export format",
+    tag: "Results",
+    params: schemas.ID_PARAMS,
+    query: schemas.RESULT_QUERY,
+    errors: [404, 501, 503],
+    success: {
+      200: {
+        description: "The result in the requested format",
+        schema: "StoredResult",
+        exports: [
+          "text/csv",
+          "application/x-ndjson",
+          "text/html",
+          "application/pdf",
+        ],
+      },
+    },
+  },
+  {
+    operationId: "diffResults",
+    method: "get",
+    path: "/results/{id}/diff/{otherId}",
+    summary: "Compare two results of the same repository",
+    tag: "Results",
+    params: schemas.DIFF_PARAMS,
+    errors: [404, 422],
+    success: { 200: { description: "OK", schema: "ResultDiff" } },
+  },
+  {
+    operationId: "getAccounts",
+    method: "get",
+    path: "/results/{id}/accounts",
+    summary: "Per-account verdicts of a result",
+    tag: "Results",
+    params: schemas.ID_PARAMS,
+    query: schemas.ACCOUNTS_QUERY,
+    errors: [404, 422],
+    success: { 200: { description: "OK", schema: "AccountPage" } },
+  },
+  {
+    operationId: "getOverlap",
+    method: "get",
+    path: "/results/{id}/overlap",
+    summary: "Cross-repository overlap of suspicious stargazers",
+    tag: "Results",
+    params: schemas.ID_PARAMS,
+    query: schemas.OVERLAP_QUERY,
+    errors: [404],
+    success: { 200: { description: "OK", schema: "Overlap" } },
+  },
+  {
+    operationId: "createWatch",
+    method: "post",
+    path: "/watches",
+    summary: "Watch a repository",
+    tag: "Monitoring",
+    body: schemas.WATCH_BODY,
+    auth: "admin",
+    errors: [503],
+    success: { 201: { description: "Watch created", schema: "Watch" } },
+  },
+  {
+    operationId: "listWatches",
+    method: "get",
+    path: "/watches",
+    summary: "List watches",
+    tag: "Monitoring",
+    auth: "admin",
+    errors: [503],
+    success: { 200: { description: "OK", schema: "WatchList" } },
+  },
+  {
+    operationId: "getWatch",
+    method: "get",
+    path: "/watches/{id}",
+    summary: "Get a watch",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "OK", schema: "Watch" } },
+  },
+  {
+    operationId: "updateWatch",
+    method: "patch",
+    path: "/watches/{id}",
+    summary: "Update a watch",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    body: schemas.WATCH_FIELDS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "OK", schema: "Watch" } },
+  },
+  {
+    operationId: "deleteWatch",
+    method: "delete",
+    path: "/watches/{id}",
+    summary: "Delete a watch",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 204: { description: "Deleted" } },
+  },
+  {
+    operationId: "runWatch",
+    method: "post",
+    path: "/watches/{id}/run",
+    summary: "Run a watch now",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 502, 503],
+    success: { 200: { description: "OK", schema: "WatchRun" } },
+  },
+  {
+    operationId: "createWebhook",
+    method: "post",
+    path: "/webhooks",
+    summary: "Register a webhook",
+    tag: "Monitoring",
+    body: schemas.WEBHOOK_BODY,
+    auth: "admin",
+    errors: [503],
+    success: {
+      201: {
+        description: "Webhook created, with its secret",
+        schema: "WebhookCreated",
+      },
+    },
+  },
+  {
+    operationId: "listWebhooks",
+    method: "get",
+    path: "/webhooks",
+    summary: "List webhooks",
+    tag: "Monitoring",
+    auth: "admin",
+    errors: [503],
+    success: { 200: { description: "OK", schema: "WebhookList" } },
+  },
+  {
+    operationId: "getWebhook",
+    method: "get",
+    path: "/webhooks/{id}",
+    summary: "Get a webhook",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "OK", schema: "Webhook" } },
+  },
+  {
+    operationId: "updateWebhook",
+    method: "patch",
+    path: "/webhooks/{id}",
+    summary: "Update a webhook",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    body: schemas.WEBHOOK_FIELDS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "OK", schema: "Webhook" } },
+  },
+  {
+    operationId: "deleteWebhook",
+    method: "delete",
+    path: "/webhooks/{id}",
+    summary: "Delete a webhook",
+    tag: "Monitoring",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 204: { description: "Deleted" } },
+  },
+  {
+    operationId: "createApiKey",
+    method: "post",
+    path: "/admin/keys",
+    summary: "Issue an API key",
+    tag: "Admin",
+    body: schemas.API_KEY_BODY,
+    auth: "admin",
+    errors: [503],
+    success: {
+      201: {
+        description: "Key created; the key itself is only returned here",
+        schema: "ApiKeyCreated",
+      },
+    },
+  },
+  {
+    operationId: "listApiKeys",
+    method: "get",
+    path: "/admin/keys",
+    summary: "List API keys",
+    tag: "Admin",
+    auth: "admin",
+    errors: [503],
+    success: { 200: { description: "OK", schema: "ApiKeyList" } },
+  },
+  {
+    operationId: "getApiKey",
+    method: "get",
+    path: "/admin/keys/{id}",
+    summary: "Get an API key with today's usage",
+    tag: "Admin",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "OK", schema: "ApiKeyUsage" } },
+  },
+  {
+    operationId: "revokeApiKey",
+    method: "delete",
+    path: "/admin/keys/{id}",
+    summary: "Revoke an API key",
+    tag: "Admin",
+    params: schemas.ID_PARAMS,
+    auth: "admin",
+    errors: [404, 503],
+    success: { 200: { description: "Revoked key", schema: "ApiKey" } },
+  },
+];
+
+function parametersOf({ params = {}, query = {} }) {
+  return [
+    ...Object.entries(params).map(([name, field]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: toJsonSchema(field),
+    })),
+    ...Object.entries(query).map(([name, field]) => ({
+      name,
+      in: "query",
+      required: Boolean(field.required),
+      schema: toJsonSchema(field),
+    })),
+  ];
+}
+
+// Media types of a success response. JSON responses without a schema name
+// are free-form objects; other types are plain text, or binary for PDF.
+function contentOf({ schema, contentType = "application/json", exports = [] }) {
+  const content = {
+    [contentType]: {
+      schema:
+        contentType !== "application/json"
+          ? { type: "string" }
+          : schema
+          ? { $ref: `#/components/schemas/${schema}` }
+          : { type: "object" },
+    },
+  };
+  exports.forEach((type) => {
+    content[type] = {
+      schema:
+        type === "application/pdf"
+          ? { type: "string", format: "binary" }
+          : { type: "string" },
+    };
+  });
+  return content;
+}
+
+function operationOf(route) {
+  const statuses = new Set(route.errors || []);
+  if (route.params || route.query || route.body) statuses.add(400);
+  if (route.auth) [401, 403].forEach((status) => statuses.add(status));
+  // Every route counts against the request rate limit
+  statuses.add(429);
+
+  const responses = {};
+  Object.entries(route.success).forEach(([status, response]) => {
+    responses[status] = {
+      description: response.description,
+      ...(status !== "204" && { content: contentOf(response) }),
+    };
+  });
+  [...statuses]
+    .sort()
+    .forEach(
+      (status) =>
+        (responses[status] = { $ref: `#/components/responses/${status}` })
+    );
+  responses.default = { $ref: "#/components/responses/default" };
+
+  return {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: [route.tag],
+    ...(route.auth && {
+      security: [{ apiKey: [] }, { bearer: [] }],
+      description:
+        route.auth === "admin"
+          ? "Needs the admin key; unavailable until ADMIN_API_KEY is set"
+          : "Needs an API key when API keys are required",
+    }),
+    parameters: parametersOf(route),
+    ...(route.body && {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: toObjectSchema(route.body) } },
+      },
+    }),
+    responses,
+  };
+}
+
+// The OpenAPI 3 document served at /openapi.json
+function buildOpenApiSpec({ version, serverUrl } = {}) {
+  const paths = {};
+  ROUTES.forEach((route) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = operationOf(route);
+  });
+
+  const errorResponses = {};
+  Object.entries(ERROR_DESCRIPTIONS).forEach(([status, description]) => {
+    errorResponses[status] = {
+      description,
+      content: {
+        "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+      },
+      ...(status === "429" && {
+        headers: {
+          "Retry-After": {
+            description: "Seconds to wait before retrying",
+            schema: { type: "integer" },
+          },
+        },
+      }),
+    };
+  });
+  errorResponses.default = {
+    description: "Unexpected error (internal_error)",
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  };
+
+  const componentSchemas = {};
+  Object.entries(RESPONSE_SCHEMAS).forEach(([name, field]) => {
+    componentSchemas[name] = toJsonSchema(field);
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Star Buster API",
+      description: "GitHub star pattern analysis",
+      version: version || "1.0.0",
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    paths,
+    components: {
+      schemas: {
+        ...componentSchemas,
+        Error: {
+          type: "object",
+          required: ["error"],
+          properties: {
+            error: {
+              type: "object",
+              required: ["code", "message"],
+              properties: {
+                code: { type: "string", enum: Object.keys(ERROR_CODES) },
+                message: { type: "string" },
+                details: {
+                  nullable: true,
+                  description:
+                    "For invalid_request, the offending fields as [{ field, message }]; for 429s, retryAfter",
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: errorResponses,
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+}
+
+module.exports = { ROUTES, buildOpenApiSpec };
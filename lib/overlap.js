@@ -0,0 +1,256 @@
+const MINUTE_MS = 1000 * 60;
+
+const DEFAULT_WINDOW_MINUTES = 60;
+const DEFAULT_MIN_GROUP = 3;
+
+// Ring detection: accounts are linked when their starred-repo sets are this
+// similar (Jaccard) and share at least MIN_SHARED_REPOS repos
+const RING_SIMILARITY = 0.6;
+const MIN_SHARED_REPOS = 2;
+const MIN_RING_SIZE = 3;
+
+// Distinct repo sets compared pairwise for rings; sets with suspicious
+// members, then the most shared ones, are kept
+const MAX_RING_SETS = 1000;
+
+// Index rows for one analysis: one (account, repo, starred_at) per stargazer
+function buildIndexRows(repo, resultId, stargazers) {
+  const indexedAt = new Date().toISOString();
+  return stargazers.map((s) => ({
+    login: s.user.login.toLowerCase(),
+    repo,
+    starred_at: s.starred_at,
+    result_id: resultId,
+    indexed_at: indexedAt,
+  }));
+}
+
+// Index rows describing the accounts of one stored result: their stars of
+// other repos from the index, and their star of `repo` at the time the
+// result recorded (or, when it recorded none, as indexed). `starTimes` maps
+// each lowercased login of the result to its starredAt or null.
+function rowsForResult(repo, starTimes, indexRows) {
+  const indexedHere = new Map();
+  const rows = [];
+  indexRows.forEach((row) => {
+    if (!starTimes.has(row.login)) return;
+    if (row.repo === repo) indexedHere.set(row.login, row.starred_at);
+    else rows.push(row);
+  });
+
+  starTimes.forEach((starredAt, login) => {
+    const time = starredAt || indexedHere.get(login);
+    if (time) rows.push({ login, repo, starred_at: time });
+  });
+  return rows;
+}
+
+// Group times into clusters no wider than windowMs (greedy, in time order)
+function clusterByTime(items, windowMs, minSize) {
+  const sorted = [...items].sort((a, b) => a.time - b.time);
+  const clusters = [];
+  let i = 0;
+
+  while (i < sorted.length) {
+    let j = i;
+    while (
+      j + 1 < sorted.length &&
+      sorted[j + 1].time - sorted[i].time <= windowMs
+    ) {
+      j++;
+    }
+
+    if (j - i + 1 >= minSize) {
+      clusters.push(sorted.slice(i, j + 1));
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return clusters;
+}
+
+// Which suspicious stargazers of repo also starred other analyzed repos, and
+// which other repos they starred together within windowMinutes
+function findCrossRepoOverlap(
+  repo,
+  suspiciousLogins,
+  rows,
+  { windowMinutes = DEFAULT_WINDOW_MINUTES, minGroup = DEFAULT_MIN_GROUP } = {}
+) {
+  const windowMs = windowMinutes * MINUTE_MS;
+  const suspicious = new Set(suspiciousLogins);
+  const starredHere = new Map();
+  const elsewhere = new Map();
+
+  rows.forEach((row) => {
+    if (!suspicious.has(row.login)) return;
+    if (row.repo === repo) {
+      starredHere.set(row.login, new Date(row.starred_at).getTime());
+    } else {
+      if (!elsewhere.has(row.login)) elsewhere.set(row.login, []);
+      elsewhere.get(row.login).push(row);
+    }
+  });
+
+  const overlappingAccounts = [...elsewhere.entries()]
+    .map(([login, others]) => {
+      const here = starredHere.get(login);
+      return {
+        login,
+        otherRepos: others.map((row) => {
+          const deltaMinutes =
+            here === undefined
+              ? null
+              : Math.round(
+                  Math.abs(new Date(row.starred_at).getTime() - here) /
+                    MINUTE_MS
+                );
+          return {
+            repo: row.repo,
+            starredAt: row.starred_at,
+            deltaMinutes,
+            withinWindow:
+              deltaMinutes !== null && deltaMinutes <= windowMinutes,
+          };
+        }),
+      };
+    })
+    .sort((a, b) => b.otherRepos.length - a.otherRepos.length);
+
+  // Suspicious accounts from this repo starring another repo together
+  const byOtherRepo = new Map();
+  elsewhere.forEach((others, login) => {
+    others.forEach((row) => {
+      if (!byOtherRepo.has(row.repo)) byOtherRepo.set(row.repo, []);
+      byOtherRepo
+        .get(row.repo)
+        .push({ login, time: new Date(row.starred_at).getTime() });
+    });
+  });
+
+  const sharedWindows = [];
+  byOtherRepo.forEach((items, otherRepo) => {
+    clusterByTime(items, windowMs, minGroup).forEach((cluster) => {
+      sharedWindows.push({
+        repo: otherRepo,
+        start: new Date(cluster[0].time).toISOString(),
+        end: new Date(cluster[cluster.length - 1].time).toISOString(),
+        count: cluster.length,
+        members: cluster.map((item) => item.login),
+      });
+    });
+  });
+  sharedWindows.sort((a, b) => b.count - a.count);
+
+  return {
+    checkedAccounts: suspicious.size,
+    overlappingAccounts,
+    sharedWindows,
+  };
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared++;
+  });
+  return { shared, similarity: shared / (a.size + b.size - shared) };
+}
+
+// Cluster accounts that star the same sets of repos into suspected rings.
+// Accounts with identical repo sets are grouped first, then groups with
+// similar sets are merged (union-find over the distinct sets).
+function detectRings(
+  rows,
+  {
+    similarity = RING_SIMILARITY,
+    minSharedRepos = MIN_SHARED_REPOS,
+    minSize = MIN_RING_SIZE,
+    suspiciousLogins = [],
+    maxSets = MAX_RING_SETS,
+  } = {}
+) {
+  const suspicious = new Set(suspiciousLogins);
+
+  const reposByLogin = new Map();
+  rows.forEach((row) => {
+    if (!reposByLogin.has(row.login)) reposByLogin.set(row.login, new Set());
+    reposByLogin.get(row.login).add(row.repo);
+  });
+
+  const groups = new Map();
+  reposByLogin.forEach((repos, login) => {
+    if (repos.size < minSharedRepos) return;
+    const key = [...repos].sort().join("\n");
+    if (!groups.has(key)) groups.set(key, { repos, members: [] });
+    groups.get(key).members.push(login);
+  });
+
+  const hasSuspicious = (set) =>
+    set.members.some((login) => suspicious.has(login));
+  const sets = [...groups.values()]
+    .sort(
+      (a, b) =>
+        hasSuspicious(b) - hasSuspicious(a) ||
+        b.members.length - a.members.length
+    )
+    .slice(0, maxSets);
+  const parent = sets.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      const { shared, similarity: score } = jaccard(
+        sets[i].repos,
+        sets[j].repos
+      );
+      if (shared >= minSharedRepos && score >= similarity) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  sets.forEach((set, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(set);
+  });
+
+  return [...clusters.values()]
+    .map((clusterSets) => {
+      const members = clusterSets.flatMap((set) => set.members);
+      const repoCounts = new Map();
+      clusterSets.forEach((set) =>
+        set.repos.forEach((repo) =>
+          repoCounts.set(repo, (repoCounts.get(repo) || 0) + set.members.length)
+        )
+      );
+
+      return {
+        size: members.length,
+        members: members.sort(),
+        // Repos starred by at least half of the ring
+        repos: [...repoCounts.entries()]
+          .filter(([, count]) => count >= members.length / 2)
+          .map(([repo]) => repo)
+          .sort(),
+        suspiciousMembers: members.filter((login) => suspicious.has(login))
+          .length,
+      };
+    })
+    .filter((ring) => ring.size >= minSize)
+    .sort((a, b) => b.size - a.size);
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MINUTES,
+  DEFAULT_MIN_GROUP,
+  MAX_RING_SETS,
+  buildIndexRows,
+  rowsForResult,
+  findCrossRepoOverlap,
+  detectRings,
+};
@@ -0,0 +1,106 @@
+const { GITHUB_API, makeGitHubRequest } = require("./github");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_PROFILE_TTL_HOURS = 72;
+const DEFAULT_PROFILE_CONCURRENCY = 5;
+const MAX_PROFILE_CONCURRENCY = 20;
+
+// Profile cache settings from env config
+function profileCacheConfig(env = process.env) {
+  const ttlHours = parseFloat(env.PROFILE_CACHE_TTL_HOURS);
+  const concurrency = parseInt(env.PROFILE_FETCH_CONCURRENCY);
+
+  return {
+    ttlMs:
+      (Number.isFinite(ttlHours) && ttlHours >= 0
+        ? ttlHours
+        : DEFAULT_PROFILE_TTL_HOURS) * HOUR_MS,
+    concurrency: Math.min(
+      Math.max(concurrency || DEFAULT_PROFILE_CONCURRENCY, 1),
+      MAX_PROFILE_CONCURRENCY
+    ),
+  };
+}
+
+// Run task over items with at most `limit` in flight, keeping result order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Fetch /users/:login profiles, serving live ones from the storage cache.
+// Returns a Map of lowercased login -> profile (failed logins are left out)
+// and counts of cache hits, fetches and failures. onProfiled gets the number
+// of logins done so far.
+async function fetchUserProfiles(
+  logins,
+  { storage, ttlMs, concurrency, onProfiled = () => {} }
+) {
+  const keys = [...new Set(logins.map((login) => login.toLowerCase()))];
+  const profiles = new Map();
+  const stats = { cached: 0, fetched: 0, failed: 0 };
+
+  if (ttlMs > 0 && keys.length > 0) {
+    try {
+      const rows = await storage.getUserProfiles(keys);
+      rows.forEach((row) => profiles.set(row.login, row.profile));
+    } catch (error) {
+      console.error("Error reading profile cache:", error.message);
+    }
+  }
+  stats.cached = profiles.size;
+  let done = profiles.size;
+  onProfiled(done);
+
+  const missing = keys.filter((key) => !profiles.has(key));
+  const fetchedAt = new Date();
+  const fresh = [];
+
+  await mapWithConcurrency(missing, concurrency, async (login) => {
+    try {
+      const profile = await makeGitHubRequest(`${GITHUB_API}/users/${login}`);
+      profiles.set(login, profile);
+      fresh.push({
+        login,
+        profile,
+        fetched_at: fetchedAt.toISOString(),
+        expires_at: new Date(fetchedAt.getTime() + ttlMs).toISOString(),
+      });
+      stats.fetched++;
+    } catch (error) {
+      console.error(`Error fetching user ${login}:`, error.message);
+      stats.failed++;
+    } finally {
+      onProfiled(++done);
+    }
+  });
+
+  if (ttlMs > 0 && fresh.length > 0) {
+    try {
+      await storage.saveUserProfiles(fresh);
+    } catch (error) {
+      console.error("Error saving profile cache:", error.message);
+    }
+  }
+
+  return { profiles, stats };
+}
+
+module.exports = {
+  profileCacheConfig,
+  mapWithConcurrency,
+  fetchUserProfiles,
+};
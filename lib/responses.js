@@ -0,0 +1,759 @@
+const {
+  integer,
+  number,
+  boolean,
+  string,
+  array,
+  object,
+  map,
+  ref,
+  oneOf,
+  any,
+} = require("./validation");
+const { SAMPLING_STRATEGIES } = require("./sampling");
+const { WATCH_EVENTS } = require("./monitor");
+const { DATA_SOURCES } = require("./detectors");
+const { REASON_WEIGHTS } = require("./usernames");
+const { BENCHMARK_METRICS } = require("./benchmark");
+
+// Response schemas, published as the components of the OpenAPI document and
+// checked against real responses by the contract tests
+
+// Object whose properties are always present, except the `optional` ones
+function shape(properties, { optional = [], ...options } = {}) {
+  const fields = {};
+  Object.entries(properties).forEach(([name, field]) => {
+    fields[name] = { ...field, required: !optional.includes(name) };
+  });
+  return object(fields, options);
+}
+
+const timestamp = (options = {}) => string({ format: "date-time", ...options });
+const nullableInteger = (options = {}) =>
+  integer({ nullable: true, ...options });
+const nullableNumber = (options = {}) => number({ nullable: true, ...options });
+const nullableString = (options = {}) => string({ nullable: true, ...options });
+
+const REPOSITORY_FIELDS = {
+  fullName: string({ description: "owner/name" }),
+  stars: integer(),
+  forks: integer(),
+  createdAt: timestamp(),
+  language: nullableString(),
+  description: nullableString(),
+  openIssues: integer(),
+  watchers: integer(),
+};
+
+const WATCH_FIELDS = {
+  id: string({ format: "uuid" }),
+  repository: string(),
+  schedule: string(),
+  intervalMinutes: integer(),
+  threshold: number(),
+  deepAnalysis: boolean(),
+  maxStars: integer(),
+  maxUsers: integer(),
+  enabled: boolean(),
+  lastRunAt: timestamp({ nullable: true }),
+  nextRunAt: timestamp({ nullable: true }),
+  lastResultId: nullableString({ format: "uuid" }),
+  lastScore: nullableInteger(),
+  lastError: nullableString(),
+  createdAt: timestamp(),
+};
+
+const WEBHOOK_FIELDS = {
+  id: string({ format: "uuid" }),
+  url: string(),
+  events: array(string({ enum: WATCH_EVENTS })),
+  enabled: boolean(),
+  lastDeliveryAt: timestamp({ nullable: true }),
+  lastDeliveryStatus: nullableInteger({
+    description: "HTTP status of the last delivery attempt",
+  }),
+  lastDeliveryError: nullableString(),
+  createdAt: timestamp(),
+};
+
+const quota = () => nullableInteger({ description: "null means unlimited" });
+
+const API_KEY_FIELDS = {
+  id: string({ format: "uuid" }),
+  name: string(),
+  prefix: string({ description: "First characters of the key" }),
+  quotas: shape({
+    analysesPerDay: quota(),
+    deepAnalysesPerDay: quota(),
+    maxStars: quota(),
+    maxUsers: quota(),
+    requestsPerMinute: quota(),
+  }),
+  createdAt: timestamp(),
+  lastUsedAt: timestamp({ nullable: true }),
+  revokedAt: timestamp({ nullable: true }),
+};
+
+const RESPONSE_SCHEMAS = {
+  Overview: shape({
+    name: string(),
+    version: string(),
+    status: string(),
+    features: array(string()),
+    endpoints: map(string()),
+  }),
+
+  Health: shape({
+    status: string(),
+    timestamp: timestamp(),
+    uptime: number({ description: "Seconds" }),
+    memory: map(number()),
+    environment: string(),
+    storage: string({ enum: ["supabase", "sqlite", "memory"] }),
+    features: map(boolean()),
+    rateLimit: shape({
+      tokens: array(
+        shape({
+          label: string(),
+          pausedUntil: timestamp({ nullable: true }),
+          resources: map(
+            shape({
+              limit: integer(),
+              remaining: integer(),
+              reset: timestamp(),
+              updatedAt: timestamp({ nullable: true }),
+            })
+          ),
+        })
+      ),
+      resources: map(shape({ limit: integer(), remaining: integer() })),
+      etagCache: shape({
+        entries: integer(),
+        hits: integer(),
+        misses: integer(),
+      }),
+    }),
+  }),
+
+  Ruleset: object(
+    {
+      name: string({ required: true }),
+      version: string({ required: true }),
+      description: string(),
+      accountModel: any(),
+      rules: array(any(), { required: true }),
+    },
+    {
+      additionalProperties: true,
+      description: "The scoring rule file (see rules/scoring.json)",
+    }
+  ),
+
+  Repository: shape(REPOSITORY_FIELDS),
+
+  // GitHub's own repository object, as stored with a result
+  GitHubRepository: object(
+    {
+      full_name: string({ required: true }),
+      stargazers_count: integer({ required: true }),
+      forks_count: integer(),
+      created_at: timestamp(),
+      language: nullableString(),
+      description: nullableString(),
+    },
+    {
+      additionalProperties: true,
+      description: "Repository as returned by GitHub's REST API",
+    }
+  ),
+
+  Coverage: shape({
+    source: string({ enum: ["graphql", "rest"] }),
+    fetched: integer(),
+    totalStars: nullableInteger(),
+    ratio: number({ min: 0, max: 1 }),
+    complete: boolean(),
+    partialReason: nullableString({
+      enum: ["maxStars", "error", "restPaginationLimit"],
+    }),
+    error: nullableString(),
+    resumedFrom: integer(),
+  }),
+
+  StarBurst: shape({
+    start: timestamp(),
+    end: timestamp(),
+    stars: integer(),
+    expectedStars: number(),
+    excessStars: integer(),
+    peak: integer(),
+    peakTime: timestamp(),
+    maxZScore: number(),
+  }),
+
+  StarWindow: shape({
+    start: timestamp({ description: "First star of the burst" }),
+    end: timestamp({ description: "Last star of the burst" }),
+    count: integer(),
+    expected: number({
+      description: "Stars the baseline rate predicts in the window",
+    }),
+    window: integer({ description: "Window size (seconds) that found it" }),
+    significance: number({
+      description:
+        "-log10 of the chance of the window by chance, corrected for the windows tried",
+    }),
+    logins: array(string()),
+  }),
+
+  UsernameScore: shape({
+    login: string(),
+    score: number({ min: 0, max: 1 }),
+    reasons: array(string({ enum: Object.keys(REASON_WEIGHTS) })),
+  }),
+
+  UsernameFamily: shape({
+    stem: string(),
+    count: integer(),
+    from: integer({ description: "Lowest number in the batch" }),
+    to: integer({ description: "Highest number in the batch" }),
+  }),
+
+  OrganicActivity: shape({
+    issuesOpened: nullableInteger({ description: "In the last 90 days" }),
+    pullRequestsOpened: nullableInteger({
+      description: "In the last 90 days",
+    }),
+    participants: nullableInteger({
+      description: "People who opened them",
+    }),
+    contributors: nullableInteger({ description: "Up to 100" }),
+    releases: nullableInteger(),
+    releaseDownloads: nullableInteger({
+      description: "Asset downloads over all releases",
+    }),
+    watchers: nullableInteger(),
+    topReferrers: array(string(), {
+      nullable: true,
+      description: "Top traffic sources; null without push access",
+    }),
+  }),
+
+  BurstExplanation: shape({
+    start: timestamp(),
+    end: timestamp(),
+    stars: integer(),
+    release: nullableString({
+      description: "Tag published shortly before or during the burst",
+    }),
+    trafficSpike: nullableString({
+      description: "Day of a traffic spike at the burst",
+    }),
+    explained: boolean(),
+  }),
+
+  GrowthExplanation: shape({
+    offset: number({
+      description: "Points the organic growth signals took off the score",
+    }),
+    reasons: array(string()),
+    activity: ref("OrganicActivity"),
+    explainedBursts: array(ref("BurstExplanation")),
+  }),
+
+  Patterns: shape(
+    {
+      genericUsernames: nullableInteger(),
+      genericUsernamesList: array(string(), { nullable: true }),
+      botLikeNames: nullableInteger(),
+      botLikeNamesList: array(string(), { nullable: true }),
+      suspiciousUsernames: array(ref("UsernameScore"), {
+        nullable: true,
+        description: "Generic and bot-like logins, highest score first",
+      }),
+      usernameFamilies: array(ref("UsernameFamily"), {
+        nullable: true,
+        description: "Batches of sequentially numbered logins",
+      }),
+      starVelocitySpikes: array(ref("StarBurst"), {
+        nullable: true,
+        description: "Daily star bursts, largest first",
+      }),
+      newAccounts: nullableInteger(),
+      noRepos: nullableInteger(),
+      noEmail: nullableInteger(),
+      lowEngagement: nullableInteger(),
+      realStars: nullableInteger(),
+      fakeStars: nullableInteger(),
+      sameDayPattern: nullableInteger(),
+      coordinated: nullableInteger(),
+      suspiciousTimeWindows: array(ref("StarWindow"), {
+        nullable: true,
+        description: "Coordinated starring bursts, most unlikely first",
+      }),
+      suspiciousCreationDates: map(integer(), {
+        nullable: true,
+        description: "Profiled accounts created per day (YYYY-MM-DD)",
+      }),
+      forkRatio: nullableNumber({ description: "Forks per star" }),
+      onlyStarring: nullableInteger(),
+      rapidStarring: nullableInteger(),
+      promotedOverlap: nullableInteger(),
+      promotedReposStarred: map(integer(), { nullable: true }),
+      organicActivity: ref("OrganicActivity", { nullable: true }),
+      burstExplanations: array(ref("BurstExplanation"), {
+        nullable: true,
+        description:
+          "Daily star bursts and whether growth context explains them",
+      }),
+    },
+    {
+      additionalProperties: true,
+      description:
+        "Fields reported by the detectors; null when a detector lacked the data it needs (see Analysis.detectors). Custom detectors add their own fields",
+    }
+  ),
+
+  TimelineEntry: shape({
+    date: string({ format: "date" }),
+    user: string(),
+    isFake: integer({ enum: [0, 1] }),
+    accountAge: integer({ description: "Days" }),
+    followers: integer(),
+    repos: integer(),
+  }),
+
+  Account: shape(
+    {
+      login: string(),
+      score: number({ min: 0, max: 1 }),
+      verdict: string(),
+      signals: array(
+        shape({ id: string(), weight: number(), description: string() })
+      ),
+      starredAt: timestamp(),
+      createdAt: timestamp(),
+      followers: integer(),
+      following: integer(),
+      publicRepos: integer(),
+      activity: shape({
+        events: integer(),
+        contributions: nullableInteger(),
+        starredRepos: integer(),
+        maxStarsInWindow: integer(),
+        promotedStarred: array(string()),
+      }),
+    },
+    { optional: ["activity"] }
+  ),
+
+  Sampling: shape(
+    {
+      strategy: string({ enum: SAMPLING_STRATEGIES }),
+      seed: integer(),
+      population: integer(),
+      sampleSize: integer(),
+      representative: boolean(),
+      strata: array(
+        shape({
+          start: timestamp(),
+          end: timestamp(),
+          population: integer(),
+          sampled: integer(),
+        })
+      ),
+      spikeDays: array(string({ format: "date" })),
+      spikeWeight: number(),
+    },
+    { optional: ["strata", "spikeDays", "spikeWeight"] }
+  ),
+
+  Estimate: shape({
+    estimate: number({ min: 0, max: 1 }),
+    lower: number({ min: 0, max: 1 }),
+    upper: number({ min: 0, max: 1 }),
+    confidence: number(),
+    sampleSize: integer(),
+    effectiveSampleSize: number(),
+  }),
+
+  ScoreContribution: shape({
+    rule: string(),
+    signal: string(),
+    value: number(),
+    points: number(),
+    indicator: nullableString(),
+    offset: nullableString({
+      description: "Message of a rule that took points off",
+    }),
+  }),
+
+  DetectorStatus: shape({
+    ran: boolean(),
+    missing: array(string({ enum: Object.keys(DATA_SOURCES) }), {
+      description: "Data the detector needs but the analysis lacked",
+    }),
+  }),
+
+  Analysis: shape(
+    {
+      totalStars: integer(),
+      analyzedSample: integer({ description: "Stargazers fetched" }),
+      detailedSample: integer({ description: "Stargazers profiled" }),
+      activitySample: integer({ description: "Accounts activity-checked" }),
+      patterns: ref("Patterns"),
+      detectors: map(ref("DetectorStatus"), {
+        description: "Whether each detector ran, by detector id",
+      }),
+      timeline: array(ref("TimelineEntry")),
+      suspicionScore: integer({ min: 0, max: 100 }),
+      suspicionIndicators: array(string()),
+      growthExplanation: ref("GrowthExplanation", {
+        nullable: true,
+        description: "null when the growth context was not fetched",
+      }),
+      scoreBreakdown: array(ref("ScoreContribution")),
+      ruleset: shape({ name: nullableString(), version: string() }),
+      coverage: ref("Coverage"),
+      accounts: array(ref("Account"), { nullable: true }),
+      accountVerdicts: map(integer(), { nullable: true }),
+      sampling: ref("Sampling", { nullable: true }),
+      confidenceIntervals: map(ref("Estimate", { nullable: true }), {
+        nullable: true,
+      }),
+    },
+    {
+      optional: ["coverage"],
+      description:
+        "Every analysis has the same fields. timeline is empty and accounts, accountVerdicts, sampling and confidenceIntervals are null without profiled stargazers",
+    }
+  ),
+
+  BenchmarkMetric: shape({
+    value: number(),
+    percentile: integer({ min: 0, max: 100 }),
+    median: number({ description: "Median among the peers" }),
+    peers: integer(),
+  }),
+
+  Benchmark: shape({
+    cohort: shape({
+      description: string(),
+      language: nullableString(),
+      stars: nullableString({ description: "Star band, null when widened" }),
+      age: nullableString({ description: "Age band, null when widened" }),
+      repos: integer({ description: "Repositories in the cohort" }),
+    }),
+    metrics: shape(
+      Object.fromEntries(
+        Object.keys(BENCHMARK_METRICS).map((name) => [
+          name,
+          ref("BenchmarkMetric", { nullable: true }),
+        ])
+      ),
+      { description: "null when the analysis or too few peers lack it" }
+    ),
+    summary: array(string()),
+  }),
+
+  AnalysisResult: shape({
+    id: string({ format: "uuid" }),
+    repository: ref("Repository"),
+    analysis: ref("Analysis"),
+    shareUrl: string(),
+    metadata: shape({
+      analyzedAt: timestamp(),
+      analysisType: string({ enum: ["advanced", "basic"] }),
+      sampleSize: integer(),
+      detailedSample: integer(),
+      coverage: ref("Coverage", { nullable: true }),
+      fromCache: boolean({
+        description: "A recent stored result was returned",
+      }),
+      processingTime: integer({ description: "Milliseconds" }),
+    }),
+    benchmark: ref("Benchmark", {
+      nullable: true,
+      description: "Present when benchmark was requested",
+    }),
+  }),
+
+  JobAccepted: shape(
+    {
+      jobId: string({ format: "uuid" }),
+      status: string({ enum: ["queued"] }),
+      repos: array(string(), { description: "Batch jobs only" }),
+      statusUrl: string(),
+      eventsUrl: string(),
+    },
+    { optional: ["repos"] }
+  ),
+
+  BatchSummary: shape({
+    summary: array(
+      shape(
+        {
+          rank: integer(),
+          repository: string(),
+          status: string({ enum: ["completed", "failed", "skipped"] }),
+          id: string({ format: "uuid" }),
+          suspicionScore: integer(),
+          analysisType: string({ enum: ["advanced", "basic"] }),
+          stars: integer(),
+          sampleSize: integer(),
+          detailedSample: integer(),
+          fromCache: boolean(),
+          topIndicators: array(string()),
+          reason: string({ description: "Why a repo was skipped" }),
+          error: string({ description: "Why a repo failed" }),
+        },
+        {
+          optional: [
+            "id",
+            "suspicionScore",
+            "analysisType",
+            "stars",
+            "sampleSize",
+            "detailedSample",
+            "fromCache",
+            "topIndicators",
+            "reason",
+            "error",
+          ],
+        }
+      )
+    ),
+    totals: shape({
+      repos: integer(),
+      completed: integer(),
+      failed: integer(),
+      skipped: integer(),
+    }),
+    budget: shape({
+      share: number(),
+      limit: map(nullableInteger(), {
+        description: "Requests per resource; null without a quota reading",
+      }),
+      spent: map(integer()),
+    }),
+  }),
+
+  Job: shape({
+    id: string({ format: "uuid" }),
+    type: string({ enum: ["analysis", "batch"] }),
+    status: string({ enum: ["queued", "running", "completed", "failed"] }),
+    phase: string(),
+    repository: nullableString({ description: "Analysis jobs only" }),
+    progress: shape(
+      {
+        pagesFetched: integer(),
+        stargazersFetched: integer(),
+        expectedStargazers: nullableInteger(),
+        usersProfiled: integer(),
+        usersToProfile: nullableInteger(),
+        accountsChecked: integer(),
+        accountsToCheck: nullableInteger(),
+        reposTotal: nullableInteger(),
+        reposCompleted: integer(),
+        reposFailed: integer(),
+        reposSkipped: integer(),
+        currentRepo: nullableString(),
+      },
+      {
+        optional: [
+          "pagesFetched",
+          "stargazersFetched",
+          "expectedStargazers",
+          "usersProfiled",
+          "usersToProfile",
+          "accountsChecked",
+          "accountsToCheck",
+          "reposTotal",
+          "reposCompleted",
+          "reposFailed",
+          "reposSkipped",
+          "currentRepo",
+        ],
+      }
+    ),
+    eta: shape({
+      seconds: integer(),
+      estimatedCompletion: timestamp({ nullable: true }),
+    }),
+    createdAt: timestamp(),
+    startedAt: timestamp({ nullable: true }),
+    finishedAt: timestamp({ nullable: true }),
+    result: oneOf([ref("AnalysisResult"), ref("BatchSummary")], {
+      nullable: true,
+      description: "AnalysisResult or BatchSummary once completed",
+    }),
+    error: shape(
+      { code: string(), message: string(), details: any({ nullable: true }) },
+      { nullable: true }
+    ),
+  }),
+
+  StarHistory: shape({
+    repository: string(),
+    interval: string({ enum: ["day", "hour"] }),
+    window: integer(),
+    threshold: number(),
+    coverage: ref("Coverage"),
+    series: array(
+      shape(
+        {
+          time: timestamp(),
+          count: integer(),
+          cumulative: integer(),
+          zScore: number(),
+          isBurst: boolean(),
+        },
+        { optional: ["zScore", "isBurst"] }
+      )
+    ),
+    bursts: array(ref("StarBurst")),
+  }),
+
+  ResultSummary: shape({
+    id: string({ format: "uuid" }),
+    analyzedAt: timestamp(),
+    analysisType: string({ enum: ["advanced", "basic"] }),
+    suspicionScore: integer(),
+    totalStars: integer(),
+    analyzedSample: integer(),
+    detailedSample: integer(),
+    ruleset: nullableString({ description: "Rule set version" }),
+    indicators: integer({ description: "Number of indicators" }),
+    signals: map(nullableNumber(), {
+      description: "Tracked signal values; null when unavailable",
+    }),
+  }),
+
+  History: shape({
+    repository: string(),
+    count: integer(),
+    trend: shape(
+      {
+        from: timestamp(),
+        to: timestamp(),
+        scoreChange: integer(),
+        minScore: integer(),
+        maxScore: integer(),
+      },
+      { nullable: true }
+    ),
+    history: array(ref("ResultSummary")),
+  }),
+
+  StoredResult: shape({
+    id: string({ format: "uuid" }),
+    repository: ref("GitHubRepository"),
+    analysis: ref("Analysis"),
+    createdAt: timestamp(),
+    shareUrl: string(),
+  }),
+
+  ResultDiff: shape({
+    repository: string(),
+    from: ref("ResultSummary"),
+    to: ref("ResultSummary"),
+    scoreChange: integer(),
+    sameRuleset: boolean(),
+    indicators: shape({
+      appeared: array(shape({ rule: nullableString(), message: string() })),
+      disappeared: array(shape({ rule: nullableString(), message: string() })),
+      changed: array(
+        shape({ rule: nullableString(), from: string(), to: string() })
+      ),
+      unchanged: array(shape({ rule: nullableString(), message: string() })),
+    }),
+    signals: map(
+      shape({
+        from: nullableNumber(),
+        to: nullableNumber(),
+        change: nullableNumber(),
+      })
+    ),
+  }),
+
+  AccountPage: shape({
+    id: string({ format: "uuid" }),
+    verdicts: map(integer()),
+    total: integer(),
+    page: integer(),
+    perPage: integer(),
+    totalPages: integer(),
+    accounts: array(ref("Account")),
+  }),
+
+  Overlap: shape({
+    id: string({ format: "uuid" }),
+    repository: string(),
+    windowMinutes: integer(),
+    checkedAccounts: integer(),
+    overlappingAccounts: array(
+      shape({
+        login: string(),
+        otherRepos: array(
+          shape({
+            repo: string(),
+            starredAt: timestamp(),
+            deltaMinutes: nullableInteger(),
+            withinWindow: boolean(),
+          })
+        ),
+      })
+    ),
+    sharedWindows: array(
+      shape({
+        repo: string(),
+        start: timestamp(),
+        end: timestamp(),
+        count: integer(),
+        members: array(string()),
+      })
+    ),
+    rings: array(
+      shape({
+        size: integer(),
+        members: array(string()),
+        repos: array(string()),
+        suspiciousMembers: integer(),
+      })
+    ),
+  }),
+
+  Watch: shape(WATCH_FIELDS),
+  WatchList: shape({ watches: array(ref("Watch")) }),
+  WatchRun: shape({
+    watch: ref("Watch"),
+    resultId: nullableString({ format: "uuid" }),
+    events: array(string({ enum: WATCH_EVENTS })),
+  }),
+
+  Webhook: shape(WEBHOOK_FIELDS),
+  WebhookCreated: shape({
+    ...WEBHOOK_FIELDS,
+    secret: string({
+      description: "Only returned when the webhook is created",
+    }),
+  }),
+  WebhookList: shape({ webhooks: array(ref("Webhook")) }),
+
+  ApiKey: shape(API_KEY_FIELDS),
+  ApiKeyCreated: shape({
+    ...API_KEY_FIELDS,
+    key: string({ description: "Only returned when the key is issued" }),
+  }),
+  ApiKeyUsage: shape({
+    ...API_KEY_FIELDS,
+    usage: shape({
+      day: string({ format: "date" }),
+      analyses: integer(),
+      deepAnalyses: integer(),
+    }),
+  }),
+  ApiKeyList: shape({ keys: array(ref("ApiKey")) }),
+};
+
+module.exports = { RESPONSE_SCHEMAS };
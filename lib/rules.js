@@ -0,0 +1,321 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { peakBurstVelocity } = require("./star-history");
+const { ACCOUNT_SIGNALS } = require("./accounts");
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "rules", "scoring.json");
+
+// Confidence interval suffix for indicator messages
+function formatInterval(analysis, pattern) {
+  const interval = analysis.confidenceIntervals?.[pattern];
+  if (!interval) return "";
+  return ` (95% CI ${(interval.lower * 100).toFixed(1)}-${(
+    interval.upper * 100
+  ).toFixed(1)}%)`;
+}
+
+// Sampled pattern ratio, using the sampling-weighted estimate when available
+function sampledRatio(analysis, pattern) {
+  const interval = analysis.confidenceIntervals?.[pattern];
+  if (interval) return interval.estimate;
+  return analysis.patterns[pattern] / analysis.detailedSample;
+}
+
+// Per-user ratio signal, only available when the detector reporting the
+// pattern ran (its field is null otherwise)
+function sampledSignal(analysis, pattern) {
+  if (analysis.patterns[pattern] == null) return null;
+  return {
+    value: sampledRatio(analysis, pattern),
+    context: { interval: formatInterval(analysis, pattern) },
+  };
+}
+
+// Activity ratio signal, only available when the activity tier ran
+function activitySignal(analysis, pattern) {
+  if (analysis.patterns[pattern] == null) return null;
+  return {
+    value:
+      analysis.confidenceIntervals?.[pattern]?.estimate ??
+      analysis.patterns[pattern] / analysis.activitySample,
+    context: { interval: formatInterval(analysis, pattern) },
+  };
+}
+
+// Organic growth count, only available when its part of the growth context
+// was fetched
+function growthSignal(analysis, field, per = 1) {
+  const value = analysis.patterns.organicActivity?.[field];
+  return value == null ? null : { value: value / Math.max(per, 1) };
+}
+
+// Signals rules can refer to. Each returns { value, context } or null when
+// the analysis does not have the data (e.g. per-user ratios in basic mode).
+// Custom detectors can add their own (see lib/detectors).
+const SIGNALS = {
+  burstVelocity: (analysis) => {
+    const spikes = analysis.patterns.starVelocitySpikes;
+    if (!spikes) return null;
+    return {
+      value: peakBurstVelocity(spikes),
+      context: { topSpikeDate: spikes[0]?.start.split("T")[0] },
+    };
+  },
+  burstCount: (analysis) => {
+    const spikes = analysis.patterns.starVelocitySpikes;
+    if (!spikes) return null;
+    return {
+      value: spikes.length,
+      context: {
+        largestBurstStars: spikes[0]?.stars,
+        largestBurstExpected: spikes[0]?.expectedStars,
+      },
+    };
+  },
+  sameDayRatio: (analysis) => sampledSignal(analysis, "sameDayPattern"),
+  fakeRatio: (analysis) => sampledSignal(analysis, "fakeStars"),
+  lowEngagementRatio: (analysis) => sampledSignal(analysis, "lowEngagement"),
+  newAccountRatio: (analysis) => sampledSignal(analysis, "newAccounts"),
+  onlyStarringRatio: (analysis) => activitySignal(analysis, "onlyStarring"),
+  rapidStarringRatio: (analysis) => activitySignal(analysis, "rapidStarring"),
+  promotedOverlapRatio: (analysis) =>
+    activitySignal(analysis, "promotedOverlap"),
+  genericRatio: (analysis) =>
+    analysis.analyzedSample > 0 && analysis.patterns.genericUsernames != null
+      ? { value: analysis.patterns.genericUsernames / analysis.analyzedSample }
+      : null,
+  botRatio: (analysis) =>
+    analysis.analyzedSample > 0 && analysis.patterns.botLikeNames != null
+      ? { value: analysis.patterns.botLikeNames / analysis.analyzedSample }
+      : null,
+  coordinated: (analysis) =>
+    analysis.patterns.coordinated == null
+      ? null
+      : {
+          value: analysis.patterns.coordinated,
+          context: {
+            largestBurst: Math.max(
+              ...(analysis.patterns.suspiciousTimeWindows || []).map(
+                (w) => w.count
+              ),
+              0
+            ),
+          },
+        },
+  // Results stored before the fork ratio detector only have the repository
+  forkRatio: (analysis, repoInfo) => ({
+    value:
+      analysis.patterns.forkRatio ??
+      repoInfo.forks_count / Math.max(repoInfo.stargazers_count, 1),
+  }),
+  totalStars: (analysis, repoInfo) => ({ value: repoInfo.stargazers_count }),
+  communityParticipants: (analysis) => growthSignal(analysis, "participants"),
+  contributorCount: (analysis) => growthSignal(analysis, "contributors"),
+  releaseDownloadsPerStar: (analysis, repoInfo) =>
+    growthSignal(analysis, "releaseDownloads", repoInfo.stargazers_count),
+  watcherRatio: (analysis, repoInfo) =>
+    growthSignal(analysis, "watchers", repoInfo.stargazers_count),
+  explainedBurstRatio: (analysis) => {
+    const bursts = analysis.patterns.burstExplanations;
+    if (!bursts || bursts.length === 0) return null;
+    const explained = bursts.filter((burst) => burst.explained).length;
+    return {
+      value: explained / bursts.length,
+      context: { explained, bursts: bursts.length },
+    };
+  },
+  maxSameDayCreations: (analysis) =>
+    analysis.patterns.suspiciousCreationDates == null
+      ? null
+      : {
+          value: Math.max(
+            ...Object.values(analysis.patterns.suspiciousCreationDates),
+            0
+          ),
+        },
+};
+
+// A condition is { above } and/or { below }, both exclusive
+function matches(condition, value) {
+  if (condition.above !== undefined && !(value > condition.above)) return false;
+  if (condition.below !== undefined && !(value < condition.below)) return false;
+  return true;
+}
+
+function isCondition(condition) {
+  return (
+    condition &&
+    (typeof condition.above === "number" || typeof condition.below === "number")
+  );
+}
+
+// Fill {value}, {percent}, {percent:2} and context placeholders
+function renderMessage(template, value, context = {}) {
+  return template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, key, digits) => {
+    if (key === "percent") return (value * 100).toFixed(digits ? +digits : 1);
+    if (key === "value") {
+      if (digits) return value.toFixed(+digits);
+      return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+    return context[key] !== undefined ? String(context[key]) : match;
+  });
+}
+
+// Check a parsed rule set and throw a descriptive error if it is malformed
+function validateRuleset(ruleset, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid scoring rules in ${source}: ${message}`);
+  };
+
+  if (!ruleset || typeof ruleset !== "object") fail("expected an object");
+  if (typeof ruleset.version !== "string" || !ruleset.version) {
+    fail("version must be a non-empty string");
+  }
+  if (!Array.isArray(ruleset.rules)) fail("rules must be an array");
+
+  const ids = new Set();
+  ruleset.rules.forEach((rule, index) => {
+    const label = rule?.id || `#${index}`;
+    if (!rule?.id) fail(`rule ${label} needs an id`);
+    if (ids.has(rule.id)) fail(`duplicate rule id ${rule.id}`);
+    ids.add(rule.id);
+
+    if (!SIGNALS[rule.signal]) fail(`rule ${label} has unknown signal`);
+
+    const hasWeight = typeof rule.weight === "number";
+    const hasTiers = Array.isArray(rule.tiers);
+    if (hasWeight === hasTiers) {
+      fail(`rule ${label} needs exactly one of weight or tiers`);
+    }
+    if (
+      hasTiers &&
+      !rule.tiers.every((t) => isCondition(t) && typeof t.weight === "number")
+    ) {
+      fail(`rule ${label} has a tier without a threshold and weight`);
+    }
+
+    (rule.indicators || []).forEach((indicator) => {
+      if (!isCondition(indicator) || typeof indicator.message !== "string") {
+        fail(`rule ${label} has an indicator without a threshold and message`);
+      }
+    });
+
+    if (rule.when) {
+      if (!SIGNALS[rule.when.signal] || !isCondition(rule.when)) {
+        fail(`rule ${label} has an invalid when condition`);
+      }
+    }
+  });
+
+  // Optional per-account model; without it accounts get no verdicts
+  const model = ruleset.accountModel;
+  if (model !== undefined) {
+    if (typeof model?.bias !== "number") {
+      fail("accountModel.bias must be a number");
+    }
+    Object.entries(model.weights || {}).forEach(([id, weight]) => {
+      if (!ACCOUNT_SIGNALS[id] || typeof weight !== "number") {
+        fail(`accountModel has an invalid weight for ${id}`);
+      }
+    });
+    if (
+      !Array.isArray(model.verdicts) ||
+      !model.verdicts.every(
+        (v) => typeof v.minScore === "number" && typeof v.verdict === "string"
+      ) ||
+      !model.verdicts.some((v) => v.minScore <= 0)
+    ) {
+      fail(
+        "accountModel.verdicts must be { minScore, verdict } entries covering 0"
+      );
+    }
+    model.weights = model.weights || {};
+    model.verdicts = [...model.verdicts].sort(
+      (a, b) => b.minScore - a.minScore
+    );
+  }
+
+  return ruleset;
+}
+
+// Load a rule set from a JSON or YAML file
+function loadRuleset(file = DEFAULT_RULES_FILE) {
+  const source = path.resolve(file);
+  const text = fs.readFileSync(source, "utf8");
+  const parsed = /\.ya?ml$/i.test(source) ? yaml.load(text) : JSON.parse(text);
+  return validateRuleset(parsed, source);
+}
+
+// Run every rule against an analysis.
+// Returns the clamped score, the indicator messages in rule order and a
+// per-rule breakdown of the points and indicator each one contributed.
+// Messages of rules that took points off (organic growth context) are
+// offsets, not indicators: they are returned with the points they took and
+// recorded in the breakdown's offset field, so nothing reading indicators
+// from the breakdown mistakes them for suspicion.
+function evaluateRuleset(ruleset, analysis, repoInfo) {
+  let score = 0;
+  const indicators = [];
+  const offsets = { points: 0, reasons: [] };
+  const breakdown = [];
+
+  ruleset.rules.forEach((rule) => {
+    const signal = SIGNALS[rule.signal](analysis, repoInfo);
+    if (!signal || !Number.isFinite(signal.value)) return;
+
+    if (rule.when) {
+      const gate = SIGNALS[rule.when.signal](analysis, repoInfo);
+      if (!gate || !matches(rule.when, gate.value)) return;
+    }
+
+    let points = 0;
+    if (rule.tiers) {
+      const tier = rule.tiers.find((t) => matches(t, signal.value));
+      points = tier ? tier.weight : 0;
+    } else {
+      points = signal.value * rule.weight;
+    }
+
+    const indicator = (rule.indicators || []).find((i) =>
+      matches(i, signal.value)
+    );
+    const message = indicator
+      ? renderMessage(indicator.message, signal.value, signal.context)
+      : null;
+    if (points < 0) {
+      offsets.points += points;
+      if (message) offsets.reasons.push(message);
+    } else if (message) {
+      indicators.push(message);
+    }
+
+    score += points;
+    breakdown.push({
+      rule: rule.id,
+      signal: rule.signal,
+      value: Math.round(signal.value * 10000) / 10000,
+      points: Math.round(points * 100) / 100,
+      indicator: points < 0 ? null : message,
+      offset: points < 0 ? message : null,
+    });
+  });
+
+  return {
+    score: Math.min(Math.max(Math.round(score), 0), 100),
+    indicators,
+    offsets: {
+      points: Math.round(offsets.points * 100) / 100,
+      reasons: offsets.reasons,
+    },
+    breakdown,
+    ruleset: { name: ruleset.name || null, version: ruleset.version },
+  };
+}
+
+module.exports = {
+  SIGNALS,
+  loadRuleset,
+  validateRuleset,
+  evaluateRuleset,
+};
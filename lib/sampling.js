@@ -0,0 +1,245 @@
+const { findStarVelocitySpikes } = require("./star-history");
+
+// How stargazers are picked for deep (per-user) profiling:
+// - oldest: the first N stargazers, the original behaviour
+// - uniform: simple random sample
+// - stratified: proportional random sample from equal-length time buckets
+// - spikes: random sample weighted toward days with unusual star velocity
+const SAMPLING_STRATEGIES = ["oldest", "uniform", "stratified", "spikes"];
+const DEFAULT_SAMPLING_STRATEGY = "stratified";
+
+const STRATA_COUNT = 10;
+const SPIKE_WEIGHT = 5;
+
+// 95% two-sided normal quantile
+const Z_95 = 1.96;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Small seeded PRNG (mulberry32) so a sample can be reproduced from its seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Pick k items without replacement (partial Fisher-Yates)
+function pickRandom(items, k, random) {
+  const pool = [...items];
+  const count = Math.min(k, pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+// Split size across groups in proportion to their populations (largest remainder)
+function allocateProportionally(populations, size) {
+  const total = populations.reduce((sum, n) => sum + n, 0);
+  const exact = populations.map((n) => (n / total) * size);
+  const allocation = exact.map(Math.floor);
+
+  let remaining = size - allocation.reduce((sum, n) => sum + n, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { index } of byRemainder) {
+    if (remaining === 0) break;
+    if (allocation[index] < populations[index]) {
+      allocation[index]++;
+      remaining--;
+    }
+  }
+
+  return allocation;
+}
+
+// Days covered by detected star bursts
+function findSpikeDays(stargazers) {
+  const days = new Set();
+  findStarVelocitySpikes(stargazers).forEach((spike) => {
+    const end = new Date(spike.end).getTime();
+    for (let t = new Date(spike.start).getTime(); t < end; t += DAY_MS) {
+      days.add(new Date(t).toISOString().split("T")[0]);
+    }
+  });
+  return days;
+}
+
+function sampleOldest(stargazers, size) {
+  return {
+    users: stargazers.slice(0, size),
+    weights: null,
+    details: { representative: false },
+  };
+}
+
+function sampleUniform(stargazers, size, random) {
+  return {
+    users: pickRandom(stargazers, size, random),
+    weights: null,
+    details: {},
+  };
+}
+
+function sampleStratified(stargazers, size, random) {
+  const times = stargazers.map((s) => new Date(s.starred_at).getTime());
+  const start = Math.min(...times);
+  const span = Math.max(...times) - start + 1;
+  const strataCount = Math.min(STRATA_COUNT, size);
+
+  const strata = Array.from({ length: strataCount }, () => []);
+  stargazers.forEach((s, i) => {
+    const index = Math.floor(((times[i] - start) / span) * strataCount);
+    strata[index].push(s);
+  });
+
+  const allocation = allocateProportionally(
+    strata.map((stratum) => stratum.length),
+    size
+  );
+
+  const users = [];
+  const weights = {};
+  strata.forEach((stratum, index) => {
+    pickRandom(stratum, allocation[index], random).forEach((s) => {
+      users.push(s);
+      weights[s.user.login] = stratum.length / allocation[index];
+    });
+  });
+
+  return {
+    users,
+    weights,
+    details: {
+      strata: strata.map((stratum, index) => ({
+        start: new Date(start + (span * index) / strataCount).toISOString(),
+        end: new Date(start + (span * (index + 1)) / strataCount).toISOString(),
+        population: stratum.length,
+        sampled: allocation[index],
+      })),
+    },
+  };
+}
+
+// Weighted sampling without replacement (Efraimidis-Spirakis keys); each
+// user's estimation weight is the inverse of its approximate inclusion odds
+function sampleSpikes(stargazers, size, random) {
+  const spikeDays = findSpikeDays(stargazers);
+  const drawWeight = (s) =>
+    spikeDays.has(s.starred_at.split("T")[0]) ? SPIKE_WEIGHT : 1;
+  const totalWeight = stargazers.reduce((sum, s) => sum + drawWeight(s), 0);
+
+  const users = stargazers
+    .map((s) => ({ s, key: Math.pow(random(), 1 / drawWeight(s)) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, size)
+    .map(({ s }) => s);
+
+  const weights = {};
+  users.forEach((s) => {
+    const inclusion = Math.min((size * drawWeight(s)) / totalWeight, 1);
+    weights[s.user.login] = 1 / inclusion;
+  });
+
+  return {
+    users,
+    weights,
+    details: {
+      spikeDays: [...spikeDays].sort(),
+      spikeWeight: SPIKE_WEIGHT,
+    },
+  };
+}
+
+// Pick the stargazers to profile. Returns the chosen users, their estimation
+// weights by login (null when every user counts equally) and sampling metadata.
+function selectSample(stargazers, size, { strategy, seed } = {}) {
+  strategy = strategy || DEFAULT_SAMPLING_STRATEGY;
+  if (!SAMPLING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown sampling strategy: ${strategy}`);
+  }
+
+  seed = Number.isInteger(seed) ? seed : Math.floor(Math.random() * 2 ** 31);
+  const random = createRandom(seed);
+  const sampleSize = Math.min(size, stargazers.length);
+
+  let sample;
+  if (sampleSize === stargazers.length) {
+    sample = { users: [...stargazers], weights: null, details: {} };
+  } else if (strategy === "uniform") {
+    sample = sampleUniform(stargazers, sampleSize, random);
+  } else if (strategy === "stratified") {
+    sample = sampleStratified(stargazers, sampleSize, random);
+  } else if (strategy === "spikes") {
+    sample = sampleSpikes(stargazers, sampleSize, random);
+  } else {
+    sample = sampleOldest(stargazers, sampleSize);
+  }
+
+  return {
+    users: sample.users,
+    weights: sample.weights,
+    meta: {
+      strategy,
+      seed,
+      population: stargazers.length,
+      sampleSize,
+      representative: true,
+      ...sample.details,
+    },
+  };
+}
+
+// Weighted proportion with a 95% Wilson interval.
+// Uses Kish's effective sample size for unequal weights and a finite
+// population correction, since the population is the fetched stargazer list.
+function estimateProportion(observations, population) {
+  const n = observations.length;
+  if (n === 0) return null;
+
+  const totalWeight = observations.reduce((sum, o) => sum + o.weight, 0);
+  const hitWeight = observations
+    .filter((o) => o.value)
+    .reduce((sum, o) => sum + o.weight, 0);
+  const squaredWeight = observations.reduce((sum, o) => sum + o.weight ** 2, 0);
+
+  const p = hitWeight / totalWeight;
+  const effectiveN = totalWeight ** 2 / squaredWeight;
+  const z2 = Z_95 ** 2;
+
+  const center = (p + z2 / (2 * effectiveN)) / (1 + z2 / effectiveN);
+  let halfWidth =
+    (Z_95 *
+      Math.sqrt((p * (1 - p)) / effectiveN + z2 / (4 * effectiveN ** 2))) /
+    (1 + z2 / effectiveN);
+
+  if (population > 1) {
+    halfWidth *= Math.sqrt(Math.max(population - n, 0) / (population - 1));
+  }
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    estimate: round(p),
+    lower: round(Math.max(Math.min(center - halfWidth, p), 0)),
+    upper: round(Math.min(Math.max(center + halfWidth, p), 1)),
+    confidence: 0.95,
+    sampleSize: n,
+    effectiveSampleSize: Math.round(effectiveN * 10) / 10,
+  };
+}
+
+module.exports = {
+  SAMPLING_STRATEGIES,
+  DEFAULT_SAMPLING_STRATEGY,
+  selectSample,
+  estimateProportion,
+};
@@ -0,0 +1,246 @@
+const {
+  integer,
+  number,
+  boolean,
+  string,
+  array,
+  ownerName,
+  repoName,
+  uuid,
+} = require("./validation");
+const {
+  SAMPLING_STRATEGIES,
+  DEFAULT_SAMPLING_STRATEGY,
+} = require("./sampling");
+const { INTERVALS, DEFAULT_Z_THRESHOLD } = require("./star-history");
+const { DEFAULT_WINDOW_MINUTES, DEFAULT_MIN_GROUP } = require("./overlap");
+const {
+  DEFAULT_ACCOUNTS_PER_PAGE,
+  MAX_ACCOUNTS_PER_PAGE,
+} = require("./accounts");
+const { DEFAULT_ACTIVITY_USERS, MAX_ACTIVITY_USERS } = require("./activity");
+const { DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT } = require("./history");
+const { DEFAULT_BATCH_REPOS, MAX_BATCH_REPOS } = require("./batch");
+const { WATCH_EVENTS } = require("./monitor");
+const { EXPORT_FORMATS } = require("./export");
+
+const DEFAULT_MAX_STARS = 5000;
+const MAX_STARS = 100000;
+const DEFAULT_MAX_USERS = 200;
+const MAX_USERS = 2000;
+
+// Request schemas per route, used to validate requests and to describe them
+// in the OpenAPI document
+
+const REPO_PARAMS = {
+  owner: ownerName({ required: true }),
+  repo: repoName({ required: true }),
+};
+
+const ID_PARAMS = { id: uuid({ required: true }) };
+
+// Analysis settings shared by single, batch and watched analyses
+const ANALYSIS_FIELDS = {
+  deepAnalysis: boolean({
+    default: true,
+    description: "Profile a sample of stargazers",
+  }),
+  maxStars: integer({
+    min: 1,
+    max: MAX_STARS,
+    default: DEFAULT_MAX_STARS,
+    description: "Stargazers to fetch",
+  }),
+  maxUsers: integer({
+    min: 1,
+    max: MAX_USERS,
+    default: DEFAULT_MAX_USERS,
+    description: "Stargazers to profile in a deep analysis",
+  }),
+  sampling: string({
+    enum: SAMPLING_STRATEGIES,
+    default: DEFAULT_SAMPLING_STRATEGY,
+    description: "How profiled stargazers are picked",
+  }),
+  sampleSeed: integer({
+    min: 0,
+    max: 2 ** 31 - 1,
+    description: "Seed to reproduce a random sample",
+  }),
+};
+
+const REPO_REF_FIELDS = {
+  repoUrl: string({
+    maxLength: 300,
+    description: "https://github.com/<owner>/<repo>",
+  }),
+  owner: ownerName(),
+  repo: repoName(),
+};
+
+const ANALYZE_BODY = {
+  ...REPO_REF_FIELDS,
+  ...ANALYSIS_FIELDS,
+  activityAnalysis: boolean({
+    default: false,
+    description: "Check the recent activity of profiled accounts",
+  }),
+  maxActivityUsers: integer({
+    min: 1,
+    max: MAX_ACTIVITY_USERS,
+    default: DEFAULT_ACTIVITY_USERS,
+  }),
+  benchmark: boolean({
+    default: false,
+    description:
+      "Compare pattern ratios with stored analyses of similar repositories",
+  }),
+  async: boolean({
+    default: false,
+    description: "Return a job to poll instead of waiting for the result",
+  }),
+};
+
+const BATCH_BODY = {
+  repos: array(string({ maxLength: 300 }), {
+    minItems: 1,
+    maxItems: MAX_BATCH_REPOS,
+    description: "GitHub URLs or owner/repo names",
+  }),
+  org: ownerName({ description: "Analyze an organization's repositories" }),
+  user: ownerName({ description: "Analyze a user's repositories" }),
+  includeForks: boolean({ default: false }),
+  maxRepos: integer({
+    min: 1,
+    max: MAX_BATCH_REPOS,
+    default: DEFAULT_BATCH_REPOS,
+  }),
+  ...ANALYSIS_FIELDS,
+  async: boolean({ default: true }),
+};
+
+const STAR_HISTORY_QUERY = {
+  interval: string({ enum: Object.keys(INTERVALS), default: "day" }),
+  maxStars: integer({ min: 1, max: MAX_STARS, default: DEFAULT_MAX_STARS }),
+  threshold: number({
+    min: 0.5,
+    max: 20,
+    default: DEFAULT_Z_THRESHOLD,
+    description: "z-score a bucket must exceed to count as a burst",
+  }),
+  window: integer({
+    min: 1,
+    max: 1000,
+    description: "Trailing buckets in the baseline (default per interval)",
+  }),
+};
+
+const HISTORY_QUERY = {
+  limit: integer({
+    min: 1,
+    max: MAX_HISTORY_LIMIT,
+    default: DEFAULT_HISTORY_LIMIT,
+  }),
+};
+
+const BADGE_QUERY = {
+  analyze: boolean({
+    default: false,
+    description: "Start a basic analysis when there is no recent result",
+  }),
+};
+
+const RESULT_QUERY = {
+  format: string({
+    enum: Object.keys(EXPORT_FORMATS),
+    description: "Export format; defaults to the Accept header, then json",
+  }),
+};
+
+const DIFF_PARAMS = {
+  id: uuid({ required: true }),
+  otherId: uuid({ required: true }),
+};
+
+const OVERLAP_QUERY = {
+  windowMinutes: integer({
+    min: 1,
+    max: 7 * 24 * 60,
+    default: DEFAULT_WINDOW_MINUTES,
+  }),
+  minGroup: integer({ min: 2, max: 1000, default: DEFAULT_MIN_GROUP }),
+};
+
+const ACCOUNTS_QUERY = {
+  verdict: string({ maxLength: 50, description: "Only accounts with it" }),
+  page: integer({ min: 1, default: 1 }),
+  perPage: integer({
+    min: 1,
+    max: MAX_ACCOUNTS_PER_PAGE,
+    default: DEFAULT_ACCOUNTS_PER_PAGE,
+  }),
+};
+
+// Watch settings without defaults, so PATCH only changes what is sent
+const WATCH_FIELDS = {
+  schedule: string({
+    maxLength: 20,
+    description: "@hourly, @daily, @weekly or an interval like 30m, 6h, 2d",
+  }),
+  threshold: number({ min: 0, max: 100 }),
+  deepAnalysis: boolean(),
+  maxStars: integer({ min: 1, max: MAX_STARS }),
+  maxUsers: integer({ min: 1, max: MAX_USERS }),
+  enabled: boolean(),
+};
+
+const WATCH_BODY = { ...REPO_REF_FIELDS, ...WATCH_FIELDS };
+
+const WEBHOOK_FIELDS = {
+  url: string({ maxLength: 2000, description: "http or https URL" }),
+  events: array(string({ enum: WATCH_EVENTS }), {
+    minItems: 1,
+    description: "Events to send; all when omitted",
+  }),
+  enabled: boolean(),
+};
+
+const WEBHOOK_BODY = {
+  ...WEBHOOK_FIELDS,
+  url: { ...WEBHOOK_FIELDS.url, required: true },
+  secret: string({
+    minLength: 16,
+    maxLength: 256,
+    description: "Signing secret; generated when missing",
+  }),
+};
+
+const API_KEY_BODY = {
+  name: string({ required: true, maxLength: 100 }),
+  analysesPerDay: integer({ min: 0, nullable: true }),
+  deepAnalysesPerDay: integer({ min: 0, nullable: true }),
+  maxStars: integer({ min: 0, nullable: true }),
+  maxUsers: integer({ min: 0, nullable: true }),
+  requestsPerMinute: integer({ min: 0, nullable: true }),
+};
+
+module.exports = {
+  DEFAULT_MAX_STARS,
+  DEFAULT_MAX_USERS,
+  REPO_PARAMS,
+  ID_PARAMS,
+  ANALYZE_BODY,
+  BATCH_BODY,
+  STAR_HISTORY_QUERY,
+  HISTORY_QUERY,
+  BADGE_QUERY,
+  RESULT_QUERY,
+  DIFF_PARAMS,
+  OVERLAP_QUERY,
+  ACCOUNTS_QUERY,
+  WATCH_BODY,
+  WATCH_FIELDS,
+  WEBHOOK_BODY,
+  WEBHOOK_FIELDS,
+  API_KEY_BODY,
+};
@@ -0,0 +1,141 @@
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+const INTERVALS = {
+  hour: { ms: HOUR_MS, window: 24 * 7 },
+  day: { ms: DAY_MS, window: 28 },
+};
+
+const DEFAULT_Z_THRESHOLD = 3;
+
+// A burst bucket needs at least this many stars, whatever its z-score
+const MIN_BURST_STARS = 5;
+
+// Start of the UTC bucket containing t
+function bucketStart(t, intervalMs) {
+  return Math.floor(t / intervalMs) * intervalMs;
+}
+
+// Star counts per hour or day from starred_at, including empty buckets
+function buildStarSeries(stargazers, interval = "day") {
+  const { ms } = INTERVALS[interval];
+  const counts = new Map();
+
+  stargazers.forEach((s) => {
+    const bucket = bucketStart(new Date(s.starred_at).getTime(), ms);
+    counts.set(bucket, (counts.get(bucket) || 0) + 1);
+  });
+
+  if (counts.size === 0) return [];
+
+  const buckets = [...counts.keys()];
+  const first = Math.min(...buckets);
+  const last = Math.max(...buckets);
+  const series = [];
+  let cumulative = 0;
+
+  for (let t = first; t <= last; t += ms) {
+    const count = counts.get(t) || 0;
+    cumulative += count;
+    series.push({ time: new Date(t).toISOString(), count, cumulative });
+  }
+
+  return series;
+}
+
+// Flag buckets whose count is far above the trailing window (rolling z-score)
+// and merge consecutive flagged buckets into bursts. Each point is annotated
+// with its zScore and isBurst flag.
+// The spread never drops below the Poisson sqrt(mean), so a quiet repo
+// with a flat history does not flag every small bump.
+function detectBursts(
+  series,
+  { interval = "day", window, threshold = DEFAULT_Z_THRESHOLD } = {}
+) {
+  const { ms, window: defaultWindow } = INTERVALS[interval];
+  window = window || defaultWindow;
+
+  const bursts = [];
+  let current = null;
+
+  series.forEach((point, index) => {
+    // Earlier burst buckets are left out so a long burst cannot raise its
+    // own baseline
+    const history = series
+      .slice(Math.max(0, index - window), index)
+      .filter((p) => !p.isBurst)
+      .map((p) => p.count);
+
+    let flagged = false;
+    let zScore = 0;
+    let baseline = 0;
+
+    if (history.length > 0) {
+      baseline = history.reduce((sum, n) => sum + n, 0) / history.length;
+      const variance =
+        history.reduce((sum, n) => sum + (n - baseline) ** 2, 0) /
+        history.length;
+      const spread = Math.max(Math.sqrt(variance), Math.sqrt(baseline), 1);
+      zScore = (point.count - baseline) / spread;
+      flagged = zScore >= threshold && point.count >= MIN_BURST_STARS;
+    }
+
+    point.zScore = Math.round(zScore * 100) / 100;
+    point.isBurst = flagged;
+
+    if (!flagged) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = {
+        start: point.time,
+        end: null,
+        stars: 0,
+        expectedStars: 0,
+        peak: 0,
+        peakTime: null,
+        maxZScore: 0,
+      };
+      bursts.push(current);
+    }
+
+    current.end = new Date(new Date(point.time).getTime() + ms).toISOString();
+    current.stars += point.count;
+    current.expectedStars += baseline;
+    if (point.count > current.peak) {
+      current.peak = point.count;
+      current.peakTime = point.time;
+    }
+    current.maxZScore = Math.max(current.maxZScore, point.zScore);
+  });
+
+  return bursts.map((burst) => ({
+    ...burst,
+    expectedStars: Math.round(burst.expectedStars * 10) / 10,
+    excessStars: Math.round(burst.stars - burst.expectedStars),
+  }));
+}
+
+// Daily bursts for the analysis patterns, largest first
+function findStarVelocitySpikes(stargazers) {
+  const series = buildStarSeries(stargazers, "day");
+  return detectBursts(series, { interval: "day" }).sort(
+    (a, b) => b.peak - a.peak
+  );
+}
+
+// Peak stars/day inside a detected burst; 0 when growth has no anomalies
+function peakBurstVelocity(spikes) {
+  return Math.max(...(spikes || []).map((spike) => spike.peak), 0);
+}
+
+module.exports = {
+  INTERVALS,
+  DEFAULT_Z_THRESHOLD,
+  buildStarSeries,
+  detectBursts,
+  findStarVelocitySpikes,
+  peakBurstVelocity,
+};
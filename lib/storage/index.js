@@ -0,0 +1,34 @@
+const { createSupabaseStorage } = require("./supabase");
+const { createMemoryStorage } = require("./memory");
+const { createSqliteStorage } = require("./sqlite");
+
+// Pick a storage backend from env config.
+// STORAGE_BACKEND=supabase|sqlite|memory; defaults to supabase when
+// SUPABASE_URL is set and to in-memory storage otherwise.
+function createStorage(env = process.env) {
+  const backend =
+    env.STORAGE_BACKEND || (env.SUPABASE_URL ? "supabase" : "memory");
+
+  switch (backend) {
+    case "supabase":
+      if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
+        throw new Error(
+          "SUPABASE_URL and SUPABASE_ANON_KEY are required for supabase storage"
+        );
+      }
+      return createSupabaseStorage({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_ANON_KEY,
+      });
+    case "sqlite":
+      return createSqliteStorage({
+        file: env.STORAGE_FILE || "data/star-buster.db",
+      });
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = { createStorage };
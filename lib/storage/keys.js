@@ -0,0 +1,7 @@
+// GitHub owner and repository names are case-insensitive, so stored results
+// are looked up by "owner/name" in lowercase
+function repoKey(repoOwner, repoName) {
+  return `${repoOwner}/${repoName}`.toLowerCase();
+}
+
+module.exports = { repoKey };
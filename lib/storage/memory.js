@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const { repoKey } = require("./keys");
+
+// Rows are live until their expires_at passes, same as the Supabase queries
+function isLive(row, now = new Date().toISOString()) {
+  return !row.expires_at || row.expires_at > now;
+}
+
+// Newest first, matching order("created_at", { ascending: false })
+function byNewest(a, b) {
+  return b.created_at.localeCompare(a.created_at);
+}
+
+// Storage kept in process memory
+function createMemoryStorage() {
+  const tables = {
+    analysis_results: [],
+    crawl_states: [],
+    stargazer_index: [],
+    user_profiles: [],
+    watches: [],
+    webhooks: [],
+    api_keys: [],
+    api_key_usage: [],
+  };
+
+  // Small CRUD helpers for the id-keyed watches, webhooks and api_keys tables
+  async function insertRecord(table, row) {
+    const record = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...row,
+    };
+    tables[table].push(record);
+    return record;
+  }
+
+  async function updateRecord(table, id, patch) {
+    const record = tables[table].find((r) => r.id === id);
+    if (!record) return null;
+    Object.assign(record, patch);
+    return record;
+  }
+
+  async function deleteRecord(table, id) {
+    const before = tables[table].length;
+    tables[table] = tables[table].filter((r) => r.id !== id);
+    return tables[table].length < before;
+  }
+
+  return {
+    name: "memory",
+    tables,
+
+    async insertAnalysisResult(row) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        created_at: now,
+        ...row,
+      };
+
+      // Drop expired rows as we go so the table does not grow forever
+      tables.analysis_results = tables.analysis_results.filter((r) =>
+        isLive(r, now)
+      );
+      tables.analysis_results.push(record);
+
+      return record.id;
+    },
+
+    async findLatestAnalysisResult(repoOwner, repoName) {
+      const now = new Date().toISOString();
+      const key = repoKey(repoOwner, repoName);
+      const rows = tables.analysis_results
+        .filter(
+          (row) =>
+            repoKey(row.repo_owner, row.repo_name) === key && isLive(row, now)
+        )
+        .sort(byNewest);
+
+      return rows[0] || null;
+    },
+
+    async listAnalysisResults(repoOwner, repoName, { limit } = {}) {
+      const now = new Date().toISOString();
+      const key = repoKey(repoOwner, repoName);
+      return tables.analysis_results
+        .filter(
+          (row) =>
+            repoKey(row.repo_owner, row.repo_name) === key && isLive(row, now)
+        )
+        .sort(byNewest)
+        .slice(0, limit);
+    },
+
+    async findResultsByLanguage(language, { limit } = {}) {
+      const now = new Date().toISOString();
+      return tables.analysis_results
+        .filter(
+          (row) =>
+            (row.repository_data?.language ?? null) === language &&
+            isLive(row, now)
+        )
+        .sort(byNewest)
+        .slice(0, limit);
+    },
+
+    async getAnalysisResult(id) {
+      const row = tables.analysis_results.find((r) => r.id === id);
+      return row && isLive(row) ? row : null;
+    },
+
+    async findFlaggedRepos(minScore) {
+      const now = new Date().toISOString();
+      return tables.analysis_results
+        .filter((r) => r.suspicion_score >= minScore && isLive(r, now))
+        .map(({ repo_owner, repo_name }) => ({ repo_owner, repo_name }));
+    },
+
+    async getCrawlState(repoOwner, repoName) {
+      return (
+        tables.crawl_states.find(
+          (s) => s.repo_owner === repoOwner && s.repo_name === repoName
+        ) || null
+      );
+    },
+
+    async saveCrawlState(state) {
+      tables.crawl_states = tables.crawl_states.filter(
+        (s) =>
+          s.repo_owner !== state.repo_owner || s.repo_name !== state.repo_name
+      );
+      tables.crawl_states.push({ ...state, stargazers: [...state.stargazers] });
+    },
+
+    async deleteCrawlState(repoOwner, repoName) {
+      tables.crawl_states = tables.crawl_states.filter(
+        (s) => s.repo_owner !== repoOwner || s.repo_name !== repoName
+      );
+    },
+
+    async replaceStargazerIndex(repo, rows) {
+      tables.stargazer_index = tables.stargazer_index
+        .filter((r) => r.repo !== repo)
+        .concat(rows);
+    },
+
+    async findStargazerIndex({ repo, logins } = {}) {
+      const loginSet = logins ? new Set(logins) : null;
+      return tables.stargazer_index.filter(
+        (r) =>
+          (!repo || r.repo === repo) && (!loginSet || loginSet.has(r.login))
+      );
+    },
+
+    async getUserProfiles(logins) {
+      const now = new Date().toISOString();
+      const loginSet = new Set(logins);
+      return tables.user_profiles.filter(
+        (r) => loginSet.has(r.login) && isLive(r, now)
+      );
+    },
+
+    async saveUserProfiles(rows) {
+      const now = new Date().toISOString();
+      const replaced = new Set(rows.map((r) => r.login));
+      tables.user_profiles = tables.user_profiles
+        .filter((r) => !replaced.has(r.login) && isLive(r, now))
+        .concat(rows);
+    },
+
+    async listWatches() {
+      return [...tables.watches];
+    },
+
+    async getWatch(id) {
+      return tables.watches.find((w) => w.id === id) || null;
+    },
+
+    async insertWatch(row) {
+      return insertRecord("watches", row);
+    },
+
+    async updateWatch(id, patch) {
+      return updateRecord("watches", id, patch);
+    },
+
+    async deleteWatch(id) {
+      return deleteRecord("watches", id);
+    },
+
+    async listWebhooks() {
+      return [...tables.webhooks];
+    },
+
+    async getWebhook(id) {
+      return tables.webhooks.find((w) => w.id === id) || null;
+    },
+
+    async insertWebhook(row) {
+      return insertRecord("webhooks", row);
+    },
+
+    async updateWebhook(id, patch) {
+      return updateRecord("webhooks", id, patch);
+    },
+
+    async deleteWebhook(id) {
+      return deleteRecord("webhooks", id);
+    },
+
+    async listApiKeys() {
+      return [...tables.api_keys];
+    },
+
+    async getApiKey(id) {
+      return tables.api_keys.find((k) => k.id === id) || null;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return tables.api_keys.find((k) => k.key_hash === keyHash) || null;
+    },
+
+    async insertApiKey(row) {
+      return insertRecord("api_keys", row);
+    },
+
+    async updateApiKey(id, patch) {
+      return updateRecord("api_keys", id, patch);
+    },
+
+    async getApiKeyUsage(keyId, day) {
+      return (
+        tables.api_key_usage.find((u) => u.key_id === keyId && u.day === day) ||
+        null
+      );
+    },
+
+    // Add to a key's counts for the day and return the new totals. Nothing
+    // is awaited, so concurrent calls never read the same totals.
+    async addApiKeyUsage(keyId, day, { analyses = 0, deepAnalyses = 0 }) {
+      let usage = tables.api_key_usage.find(
+        (u) => u.key_id === keyId && u.day === day
+      );
+      if (!usage) {
+        usage = { key_id: keyId, day, analyses: 0, deep_analyses: 0 };
+        tables.api_key_usage.push(usage);
+      }
+      usage.analyses += analyses;
+      usage.deep_analyses += deepAnalyses;
+      return { ...usage };
+    },
+  };
+}
+
+module.exports = { createMemoryStorage, isLive, byNewest };
@@ -0,0 +1,399 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { repoKey } = require("./keys");
+
+// Each row is kept whole as JSON in `data`; the other columns are copies of
+// the fields queries filter and sort on
+const SCHEMA = `
+  create table if not exists analysis_results (
+    id text primary key,
+    repo_key text not null,
+    language text,
+    suspicion_score real,
+    created_at text not null,
+    expires_at text,
+    data text not null
+  );
+  create index if not exists analysis_results_repo_key
+    on analysis_results (repo_key, created_at);
+  create index if not exists analysis_results_language
+    on analysis_results (language, created_at);
+
+  create table if not exists crawl_states (
+    repo_owner text not null,
+    repo_name text not null,
+    data text not null,
+    primary key (repo_owner, repo_name)
+  );
+
+  create table if not exists stargazer_index (
+    login text not null,
+    repo text not null,
+    data text not null
+  );
+  create index if not exists stargazer_index_login on stargazer_index (login);
+  create index if not exists stargazer_index_repo on stargazer_index (repo);
+
+  create table if not exists user_profiles (
+    login text primary key,
+    expires_at text,
+    data text not null
+  );
+
+  create table if not exists watches (
+    id text primary key,
+    created_at text not null,
+    data text not null
+  );
+
+  create table if not exists webhooks (
+    id text primary key,
+    created_at text not null,
+    data text not null
+  );
+
+  create table if not exists api_keys (
+    id text primary key,
+    created_at text not null,
+    key_hash text unique,
+    data text not null
+  );
+
+  create table if not exists api_key_usage (
+    key_id text not null,
+    day text not null,
+    analyses integer not null default 0,
+    deep_analyses integer not null default 0,
+    primary key (key_id, day)
+  );
+`;
+
+// Rows are live until their expires_at passes, as in the other backends
+const LIVE = "(expires_at is null or expires_at > @now)";
+
+// SQLite limits the number of parameters per statement
+const CHUNK_SIZE = 500;
+
+function chunk(items, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function parse(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+// Storage in a local SQLite database, for deployments without Supabase.
+// Every change writes only the rows it touches.
+function createSqliteStorage({ file }) {
+  const filePath = path.resolve(file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const now = () => new Date().toISOString();
+
+  // Small CRUD helpers for the id-keyed watches, webhooks and api_keys tables.
+  // `columns` copies the fields a table indexes besides id and created_at.
+  function listRecords(table) {
+    return db
+      .prepare(`select data from ${table} order by created_at, rowid`)
+      .all()
+      .map(parse);
+  }
+
+  function getRecord(table, id) {
+    return parse(db.prepare(`select data from ${table} where id = ?`).get(id));
+  }
+
+  function writeRecord(table, record, columns = []) {
+    const names = ["id", "created_at", ...columns, "data"];
+    db.prepare(
+      `insert or replace into ${table} (${names.join(", ")})
+       values (${names.map((name) => `@${name}`).join(", ")})`
+    ).run({
+      ...Object.fromEntries(
+        columns.map((name) => [name, record[name] ?? null])
+      ),
+      id: record.id,
+      created_at: record.created_at,
+      data: JSON.stringify(record),
+    });
+    return record;
+  }
+
+  function insertRecord(table, row, columns) {
+    return writeRecord(
+      table,
+      { id: crypto.randomUUID(), created_at: now(), ...row },
+      columns
+    );
+  }
+
+  const updateRecord = (table, id, patch, columns) =>
+    db.transaction(() => {
+      const record = getRecord(table, id);
+      if (!record) return null;
+      return writeRecord(table, Object.assign(record, patch), columns);
+    })();
+
+  function deleteRecord(table, id) {
+    return db.prepare(`delete from ${table} where id = ?`).run(id).changes > 0;
+  }
+
+  const selectResults = (where, params, limit = -1) =>
+    db
+      .prepare(
+        `select data from analysis_results where ${where} and ${LIVE}
+         order by created_at desc limit @limit`
+      )
+      .all({ ...params, now: now(), limit })
+      .map(parse);
+
+  const replaceIndex = db.transaction((repo, rows) => {
+    db.prepare("delete from stargazer_index where repo = ?").run(repo);
+    const insert = db.prepare(
+      "insert into stargazer_index (login, repo, data) values (?, ?, ?)"
+    );
+    rows.forEach((row) => insert.run(row.login, row.repo, JSON.stringify(row)));
+  });
+
+  const saveProfiles = db.transaction((rows) => {
+    db.prepare("delete from user_profiles where expires_at <= ?").run(now());
+    const upsert = db.prepare(
+      "insert or replace into user_profiles (login, expires_at, data) values (?, ?, ?)"
+    );
+    rows.forEach((row) =>
+      upsert.run(row.login, row.expires_at ?? null, JSON.stringify(row))
+    );
+  });
+
+  return {
+    name: "sqlite",
+
+    async insertAnalysisResult(row) {
+      const record = { id: crypto.randomUUID(), created_at: now(), ...row };
+
+      // Drop expired rows as we go so the table does not grow forever
+      db.prepare("delete from analysis_results where expires_at <= ?").run(
+        record.created_at
+      );
+      db.prepare(
+        `insert into analysis_results
+           (id, repo_key, language, suspicion_score, created_at, expires_at, data)
+         values (?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        record.id,
+        repoKey(record.repo_owner, record.repo_name),
+        record.repository_data?.language ?? null,
+        record.suspicion_score ?? null,
+        record.created_at,
+        record.expires_at ?? null,
+        JSON.stringify(record)
+      );
+      return record.id;
+    },
+
+    async findLatestAnalysisResult(repoOwner, repoName) {
+      const [row] = selectResults(
+        "repo_key = @key",
+        { key: repoKey(repoOwner, repoName) },
+        1
+      );
+      return row || null;
+    },
+
+    async listAnalysisResults(repoOwner, repoName, { limit } = {}) {
+      return selectResults(
+        "repo_key = @key",
+        { key: repoKey(repoOwner, repoName) },
+        limit
+      );
+    },
+
+    async findResultsByLanguage(language, { limit } = {}) {
+      return selectResults("language is @language", { language }, limit);
+    },
+
+    async getAnalysisResult(id) {
+      const [row] = selectResults("id = @id", { id });
+      return row || null;
+    },
+
+    async findFlaggedRepos(minScore) {
+      return db
+        .prepare(
+          `select json_extract(data, '$.repo_owner') as repo_owner,
+                  json_extract(data, '$.repo_name') as repo_name
+           from analysis_results
+           where suspicion_score >= @minScore and ${LIVE}`
+        )
+        .all({ minScore, now: now() });
+    },
+
+    async getCrawlState(repoOwner, repoName) {
+      return parse(
+        db
+          .prepare(
+            "select data from crawl_states where repo_owner = ? and repo_name = ?"
+          )
+          .get(repoOwner, repoName)
+      );
+    },
+
+    async saveCrawlState(state) {
+      db.prepare(
+        "insert or replace into crawl_states (repo_owner, repo_name, data) values (?, ?, ?)"
+      ).run(state.repo_owner, state.repo_name, JSON.stringify(state));
+    },
+
+    async deleteCrawlState(repoOwner, repoName) {
+      db.prepare(
+        "delete from crawl_states where repo_owner = ? and repo_name = ?"
+      ).run(repoOwner, repoName);
+    },
+
+    async replaceStargazerIndex(repo, rows) {
+      replaceIndex(repo, rows);
+    },
+
+    async findStargazerIndex({ repo, logins } = {}) {
+      const where = repo ? "repo = ?" : "1 = 1";
+      const params = repo ? [repo] : [];
+      if (!logins) {
+        return db
+          .prepare(`select data from stargazer_index where ${where}`)
+          .all(...params)
+          .map(parse);
+      }
+
+      const rows = [];
+      for (const part of chunk(logins)) {
+        rows.push(
+          ...db
+            .prepare(
+              `select data from stargazer_index where ${where}
+               and login in (${part.map(() => "?").join(", ")})`
+            )
+            .all(...params, ...part)
+            .map(parse)
+        );
+      }
+      return rows;
+    },
+
+    async getUserProfiles(logins) {
+      const rows = [];
+      for (const part of chunk(logins)) {
+        rows.push(
+          ...db
+            .prepare(
+              `select data from user_profiles where ${LIVE}
+               and login in (${part.map(() => "?").join(", ")})`
+            )
+            .all(...part, { now: now() })
+            .map(parse)
+        );
+      }
+      return rows;
+    },
+
+    async saveUserProfiles(rows) {
+      saveProfiles(rows);
+    },
+
+    async listWatches() {
+      return listRecords("watches");
+    },
+
+    async getWatch(id) {
+      return getRecord("watches", id);
+    },
+
+    async insertWatch(row) {
+      return insertRecord("watches", row);
+    },
+
+    async updateWatch(id, patch) {
+      return updateRecord("watches", id, patch);
+    },
+
+    async deleteWatch(id) {
+      return deleteRecord("watches", id);
+    },
+
+    async listWebhooks() {
+      return listRecords("webhooks");
+    },
+
+    async getWebhook(id) {
+      return getRecord("webhooks", id);
+    },
+
+    async insertWebhook(row) {
+      return insertRecord("webhooks", row);
+    },
+
+    async updateWebhook(id, patch) {
+      return updateRecord("webhooks", id, patch);
+    },
+
+    async deleteWebhook(id) {
+      return deleteRecord("webhooks", id);
+    },
+
+    async listApiKeys() {
+      return listRecords("api_keys");
+    },
+
+    async getApiKey(id) {
+      return getRecord("api_keys", id);
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return parse(
+        db.prepare("select data from api_keys where key_hash = ?").get(keyHash)
+      );
+    },
+
+    async insertApiKey(row) {
+      return insertRecord("api_keys", row, ["key_hash"]);
+    },
+
+    async updateApiKey(id, patch) {
+      return updateRecord("api_keys", id, patch, ["key_hash"]);
+    },
+
+    async getApiKeyUsage(keyId, day) {
+      return (
+        db
+          .prepare("select * from api_key_usage where key_id = ? and day = ?")
+          .get(keyId, day) || null
+      );
+    },
+
+    // One upsert-and-increment statement, so concurrent calls cannot
+    // overspend a quota
+    async addApiKeyUsage(keyId, day, { analyses = 0, deepAnalyses = 0 }) {
+      return db
+        .prepare(
+          `insert into api_key_usage (key_id, day, analyses, deep_analyses)
+           values (?, ?, ?, ?)
+           on conflict (key_id, day) do update set
+             analyses = analyses + excluded.analyses,
+             deep_analyses = deep_analyses + excluded.deep_analyses
+           returning *`
+        )
+        .get(keyId, day, analyses, deepAnalyses);
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
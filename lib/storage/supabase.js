@@ -0,0 +1,374 @@
+const { createClient } = require("@supabase/supabase-js");
+const { repoKey } = require("./keys");
+
+// PostgREST codes that mean "nothing to return" rather than a real failure
+const NO_ROWS_CODES = new Set([
+  "PGRST116", // no rows returned
+  "22P02", // malformed id, can never match a row
+]);
+
+// Keeps .in() filters and bulk inserts within PostgREST request limits
+const CHUNK_SIZE = 500;
+
+// PostgREST returns at most 1000 rows per request by default
+const PAGE_SIZE = 1000;
+
+function chunk(items, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Fetch every row of a query by paging through it with range()
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + PAGE_SIZE - 1
+    );
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// .or() filter for rows that have not expired; no expires_at means kept forever
+function liveFilter() {
+  return `expires_at.is.null,expires_at.gt.${new Date().toISOString()}`;
+}
+
+// Storage backed by the Supabase analysis_results table
+function createSupabaseStorage({ url, key }) {
+  const supabase = createClient(url, key);
+
+  // Unwrap a .single() response, treating "no rows" as null
+  function singleRow({ data, error }) {
+    if (error) {
+      if (NO_ROWS_CODES.has(error.code)) return null;
+      throw error;
+    }
+    return data || null;
+  }
+
+  // Small CRUD helpers for the id-keyed watches, webhooks and api_keys tables
+  async function listRecords(table) {
+    return selectAll(() =>
+      supabase.from(table).select("*").order("created_at", { ascending: true })
+    );
+  }
+
+  async function getRecord(table, id) {
+    return singleRow(
+      await supabase.from(table).select("*").eq("id", id).single()
+    );
+  }
+
+  async function insertRecord(table, row) {
+    const { data, error } = await supabase
+      .from(table)
+      .insert(row)
+      .select("*")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async function updateRecord(table, id, patch) {
+    return singleRow(
+      await supabase.from(table).update(patch).eq("id", id).select("*").single()
+    );
+  }
+
+  async function deleteRecord(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .delete()
+      .eq("id", id)
+      .select("id");
+    if (error && !NO_ROWS_CODES.has(error.code)) throw error;
+    return (data || []).length > 0;
+  }
+
+  return {
+    name: "supabase",
+
+    async insertAnalysisResult(row) {
+      const { data, error } = await supabase
+        .from("analysis_results")
+        .insert({ ...row, repo_key: repoKey(row.repo_owner, row.repo_name) })
+        .select("id")
+        .single();
+
+      if (error) throw error;
+      return data.id;
+    },
+
+    async findLatestAnalysisResult(repoOwner, repoName) {
+      return singleRow(
+        await supabase
+          .from("analysis_results")
+          .select("*")
+          .eq("repo_key", repoKey(repoOwner, repoName))
+          .or(liveFilter())
+          .order("created_at", { ascending: false })
+          .limit(1)
+          .single()
+      );
+    },
+
+    async listAnalysisResults(repoOwner, repoName, { limit } = {}) {
+      const { data, error } = await supabase
+        .from("analysis_results")
+        .select("*")
+        .eq("repo_key", repoKey(repoOwner, repoName))
+        .or(liveFilter())
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data;
+    },
+
+    // Only the parts of analysis_data that benchmarks read
+    async findResultsByLanguage(language, { limit } = {}) {
+      let query = supabase
+        .from("analysis_results")
+        .select(
+          "id, repo_owner, repo_name, created_at, total_stars, repository_data, " +
+            "patterns:analysis_data->patterns, " +
+            "confidenceIntervals:analysis_data->confidenceIntervals, " +
+            "analyzedSample:analysis_data->analyzedSample, " +
+            "detailedSample:analysis_data->detailedSample"
+        );
+      query =
+        language === null
+          ? query.is("repository_data->>language", null)
+          : query.eq("repository_data->>language", language);
+
+      const { data, error } = await query
+        .or(liveFilter())
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data.map(
+        ({
+          patterns,
+          confidenceIntervals,
+          analyzedSample,
+          detailedSample,
+          ...row
+        }) => ({
+          ...row,
+          analysis_data: {
+            patterns,
+            confidenceIntervals,
+            analyzedSample,
+            detailedSample,
+          },
+        })
+      );
+    },
+
+    async getAnalysisResult(id) {
+      return singleRow(
+        await supabase
+          .from("analysis_results")
+          .select("*")
+          .eq("id", id)
+          .or(liveFilter())
+          .single()
+      );
+    },
+
+    async findFlaggedRepos(minScore) {
+      return selectAll(() =>
+        supabase
+          .from("analysis_results")
+          .select("repo_owner, repo_name")
+          .gte("suspicion_score", minScore)
+          .or(liveFilter())
+      );
+    },
+
+    async getCrawlState(repoOwner, repoName) {
+      return singleRow(
+        await supabase
+          .from("crawl_states")
+          .select("*")
+          .eq("repo_owner", repoOwner)
+          .eq("repo_name", repoName)
+          .single()
+      );
+    },
+
+    async saveCrawlState(state) {
+      const { error } = await supabase
+        .from("crawl_states")
+        .upsert(state, { onConflict: "repo_owner,repo_name" });
+
+      if (error) throw error;
+    },
+
+    async deleteCrawlState(repoOwner, repoName) {
+      const { error } = await supabase
+        .from("crawl_states")
+        .delete()
+        .eq("repo_owner", repoOwner)
+        .eq("repo_name", repoName);
+
+      if (error) throw error;
+    },
+
+    async replaceStargazerIndex(repo, rows) {
+      const { error } = await supabase
+        .from("stargazer_index")
+        .delete()
+        .eq("repo", repo);
+      if (error) throw error;
+
+      for (const part of chunk(rows)) {
+        const { error: insertError } = await supabase
+          .from("stargazer_index")
+          .insert(part);
+        if (insertError) throw insertError;
+      }
+    },
+
+    async findStargazerIndex({ repo, logins } = {}) {
+      const query = () => {
+        let q = supabase.from("stargazer_index").select("*");
+        if (repo) q = q.eq("repo", repo);
+        return q;
+      };
+
+      if (!logins) return selectAll(query);
+
+      const rows = [];
+      for (const part of chunk(logins, 100)) {
+        rows.push(...(await selectAll(() => query().in("login", part))));
+      }
+      return rows;
+    },
+
+    async getUserProfiles(logins) {
+      const now = new Date().toISOString();
+      const rows = [];
+      for (const part of chunk(logins, 100)) {
+        const { data, error } = await supabase
+          .from("user_profiles")
+          .select("*")
+          .in("login", part)
+          .gt("expires_at", now);
+        if (error) throw error;
+        rows.push(...data);
+      }
+      return rows;
+    },
+
+    async saveUserProfiles(rows) {
+      for (const part of chunk(rows)) {
+        const { error } = await supabase
+          .from("user_profiles")
+          .upsert(part, { onConflict: "login" });
+        if (error) throw error;
+      }
+    },
+
+    async listWatches() {
+      return listRecords("watches");
+    },
+
+    async getWatch(id) {
+      return getRecord("watches", id);
+    },
+
+    async insertWatch(row) {
+      return insertRecord("watches", row);
+    },
+
+    async updateWatch(id, patch) {
+      return updateRecord("watches", id, patch);
+    },
+
+    async deleteWatch(id) {
+      return deleteRecord("watches", id);
+    },
+
+    async listWebhooks() {
+      return listRecords("webhooks");
+    },
+
+    async getWebhook(id) {
+      return getRecord("webhooks", id);
+    },
+
+    async insertWebhook(row) {
+      return insertRecord("webhooks", row);
+    },
+
+    async updateWebhook(id, patch) {
+      return updateRecord("webhooks", id, patch);
+    },
+
+    async deleteWebhook(id) {
+      return deleteRecord("webhooks", id);
+    },
+
+    async listApiKeys() {
+      return listRecords("api_keys");
+    },
+
+    async getApiKey(id) {
+      return getRecord("api_keys", id);
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return singleRow(
+        await supabase
+          .from("api_keys")
+          .select("*")
+          .eq("key_hash", keyHash)
+          .single()
+      );
+    },
+
+    async insertApiKey(row) {
+      return insertRecord("api_keys", row);
+    },
+
+    async updateApiKey(id, patch) {
+      return updateRecord("api_keys", id, patch);
+    },
+
+    async getApiKeyUsage(keyId, day) {
+      return singleRow(
+        await supabase
+          .from("api_key_usage")
+          .select("*")
+          .eq("key_id", keyId)
+          .eq("day", day)
+          .single()
+      );
+    },
+
+    // Atomic upsert-and-increment in the add_api_key_usage function
+    async addApiKeyUsage(keyId, day, { analyses = 0, deepAnalyses = 0 }) {
+      const { data, error } = await supabase
+        .rpc("add_api_key_usage", {
+          p_key_id: keyId,
+          p_day: day,
+          p_analyses: analyses,
+          p_deep_analyses: deepAnalyses,
+        })
+        .single();
+      if (error) throw error;
+      return data;
+    },
+  };
+}
+
+module.exports = { createSupabaseStorage };
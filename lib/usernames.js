@@ -0,0 +1,223 @@
+// Username anomaly scoring. Each login gets a graded score (0-1) from
+// several weak signals instead of a yes/no regex match:
+//
+//   random-letters   letters that do not read like words or names: mostly
+//                    rare letter pairs, high letter entropy, unpronounceable
+//   repetitive       low letter-pair entropy, e.g. "asdasdasd"
+//   digit-heavy      6+ trailing digits, or digits making up most of the login
+//   digit-suffix     4-5 trailing digits that are not a year ("john1987" is fine)
+//   generic-word     placeholder words: user123, test, dev_x42, spambot
+//   sequence-family  one of a batch like alice001..alice050 in the same list
+//
+// Signals combine like independent probabilities: 1 - prod(1 - weight).
+
+const REASON_WEIGHTS = {
+  "random-letters": 0.8,
+  repetitive: 0.5,
+  "digit-heavy": 0.7,
+  "digit-suffix": 0.4,
+  "generic-word": 0.5,
+  "sequence-family": 0.7,
+};
+
+// A login scoring from GENERIC_THRESHOLD up to BOT_LIKE_THRESHOLD is
+// generic, and one scoring BOT_LIKE_THRESHOLD or more bot-like. The classes
+// do not overlap, so no login is scored by both rules.
+const GENERIC_THRESHOLD = 0.4;
+const BOT_LIKE_THRESHOLD = 0.7;
+
+// A family needs this many members numbered at most this many apart on
+// average (alice001..alice050 is 50 members over 50 numbers)
+const FAMILY_MIN_SIZE = 5;
+const FAMILY_MAX_SPACING = 3;
+
+// Trailing four digits read as a birth or founding year
+const YEAR_RANGE = [1950, 2029];
+
+// Frequent letter pairs in English words and names
+const COMMON_BIGRAMS = new Set(
+  (
+    "th he in er an re on at en nd ti es or te of ed is it al ar st to nt ng " +
+    "se ha as ou io le ve co me de hi ri ro ic ne ea ra ce li ch ll be ma si " +
+    "om ur ca el ta la ns di fo ho pe ec pr no ct us ac ot il tr ly nc et ut " +
+    "ss so rs un lo wa ge ie wh ee wi em ad ol rt po we na ul ni ts mo ow pa " +
+    "im mi ai sh ir su id os iv ia am fi ci vi pl ig tu ev ld ry mp fe bl ab " +
+    "gh ty op wo sa ay ex ke fr oo av ag if ap gr od bo sp rd do uc bu ei ov " +
+    "by rm ep tt oc fa ef cu rn sc gi da yo cr cl du ga qu ue ff ba ey ls va " +
+    "um pp ua up lu go ht ru ug ds lt pi rc rr eg au ck ew mu br bi pt ak pu " +
+    "ui rg ib tl ny ki rk ys ob mm fu ph og ms ye ud mb ip ub oi rl gu dr hr " +
+    "cc tw ft wn nu ja jo ka ko ze za"
+  ).split(" ")
+);
+
+const VOWELS = /[aeiouy]/;
+
+const GENERIC_WORDS = [
+  /^(user|test|demo|sample|temp|dev|acc|account|github|star)([-_]?\d+|[-_][a-z0-9]*\d+)?$/,
+  /^(fake|spam)|(fake|spam)$/,
+  /bot\d*$/,
+];
+
+// Shannon entropy of the n-grams of a text, as a share of the maximum for
+// that many n-grams (1 when no n-gram repeats)
+function ngramEntropy(text, n = 1) {
+  const counts = new Map();
+  for (let i = 0; i + n <= text.length; i++) {
+    const gram = text.slice(i, i + n);
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+
+  const total = text.length - n + 1;
+  if (total < 2) return 1;
+
+  let bits = 0;
+  counts.forEach((count) => {
+    const p = count / total;
+    bits -= p * Math.log2(p);
+  });
+  return bits / Math.log2(total);
+}
+
+// Letter pairs within each run of letters ("ada-lovelace" has no "al")
+function letterBigrams(login) {
+  return (login.match(/[a-z]+/g) || []).flatMap((run) =>
+    Array.from({ length: run.length - 1 }, (_, i) => run.slice(i, i + 2))
+  );
+}
+
+// How much the letters look like a random string, 0-1
+function letterRandomness(login) {
+  const letters = login.replace(/[^a-z]/g, "");
+  const bigrams = letterBigrams(login);
+  if (letters.length < 5 || bigrams.length === 0) return 0;
+
+  const rare = bigrams.filter((b) => !COMMON_BIGRAMS.has(b)).length;
+  const rareRatio = rare / bigrams.length;
+  if (rareRatio < 0.5) return 0;
+
+  const vowelRatio =
+    letters.split("").filter((c) => VOWELS.test(c)).length / letters.length;
+  const consonantRun = Math.max(
+    0,
+    ...(letters.match(/[^aeiouy]+/g) || []).map((run) => run.length)
+  );
+  const pronounceable = vowelRatio >= 0.2 && consonantRun < 4;
+
+  return (
+    Math.min((rareRatio - 0.3) / 0.5, 1) *
+    ngramEntropy(letters, 1) *
+    (pronounceable ? 0.5 : 1)
+  );
+}
+
+function isYear(digits) {
+  const year = Number(digits);
+  return digits.length === 4 && year >= YEAR_RANGE[0] && year <= YEAR_RANGE[1];
+}
+
+// Name stem and trailing number of a login like "alice-007"
+function splitNumbered(login) {
+  const match = login.match(/^(.*[a-z])[-_.]?(\d+)$/);
+  if (!match || match[1].replace(/[^a-z]/g, "").length < 2) return null;
+  return { stem: match[1], number: Number(match[2]) };
+}
+
+// Batches of logins sharing a stem with closely spaced numbers, largest
+// first: { stem, count, from, to, logins }
+function findSequenceFamilies(logins) {
+  const byStem = new Map();
+  logins.forEach((login) => {
+    const numbered = splitNumbered(login.toLowerCase());
+    if (!numbered) return;
+    if (!byStem.has(numbered.stem)) byStem.set(numbered.stem, []);
+    byStem.get(numbered.stem).push({ login, number: numbered.number });
+  });
+
+  const families = [];
+  byStem.forEach((members, stem) => {
+    if (members.length < FAMILY_MIN_SIZE) return;
+    const numbers = members.map((m) => m.number);
+    const from = Math.min(...numbers);
+    const to = Math.max(...numbers);
+    if (to - from + 1 > members.length * FAMILY_MAX_SPACING) return;
+
+    families.push({
+      stem,
+      count: members.length,
+      from,
+      to,
+      logins: members.map((m) => m.login),
+    });
+  });
+
+  return families.sort((a, b) => b.count - a.count);
+}
+
+// Score one login. `family` marks it as part of a sequence family.
+// Returns { score, reasons }, reasons ordered by weight.
+function scoreUsername(login, { family = false } = {}) {
+  const name = login.toLowerCase();
+  const found = {};
+
+  const randomness = letterRandomness(name);
+  if (randomness > 0) found["random-letters"] = randomness;
+
+  const letters = name.replace(/[^a-z]/g, "");
+  if (letters.length >= 6 && ngramEntropy(letters, 2) < 0.75) {
+    found.repetitive = 1;
+  }
+
+  const digits = name.replace(/\D/g, "").length;
+  const suffix = name.match(/\d*$/)[0];
+  if (
+    suffix.length >= 6 ||
+    (digits >= 4 && digits / name.length > 0.5 && !isYear(suffix))
+  ) {
+    found["digit-heavy"] = 1;
+  } else if (suffix.length >= 4 && !isYear(suffix)) {
+    found["digit-suffix"] = 1;
+  }
+
+  if (GENERIC_WORDS.some((pattern) => pattern.test(name))) {
+    found["generic-word"] = 1;
+  }
+  if (family) found["sequence-family"] = 1;
+
+  const weighted = Object.entries(found).map(([reason, strength]) => ({
+    reason,
+    weight: REASON_WEIGHTS[reason] * strength,
+  }));
+  const score =
+    1 - weighted.reduce((product, { weight }) => product * (1 - weight), 1);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: weighted
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ reason }) => reason),
+  };
+}
+
+// Score every login of a stargazer list, with the sequence families in it
+function scoreUsernames(logins) {
+  const families = findSequenceFamilies(logins);
+  const inFamily = new Set(families.flatMap((f) => f.logins));
+
+  return {
+    scores: logins.map((login) => ({
+      login,
+      ...scoreUsername(login, { family: inFamily.has(login) }),
+    })),
+    families,
+  };
+}
+
+module.exports = {
+  REASON_WEIGHTS,
+  GENERIC_THRESHOLD,
+  BOT_LIKE_THRESHOLD,
+  ngramEntropy,
+  findSequenceFamilies,
+  scoreUsername,
+  scoreUsernames,
+};
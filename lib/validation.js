@@ -0,0 +1,334 @@
+const { ValidationError } = require("./errors");
+
+// GitHub login: alphanumerics and single inner hyphens, at most 39 chars
+const OWNER_PATTERN = "^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$";
+// Repository name: letters, digits, ".", "-" and "_", at most 100 chars
+const REPO_PATTERN = "^(?!\\.{1,2}$)[A-Za-z0-9._-]{1,100}$";
+const UUID_PATTERN =
+  "^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$";
+
+const OWNER_RE = new RegExp(OWNER_PATTERN);
+const REPO_RE = new RegExp(REPO_PATTERN);
+
+// Field types. Each is a plain description that validate() checks values
+// against and toJsonSchema() turns into the OpenAPI schema.
+function integer(options = {}) {
+  return { type: "integer", ...options };
+}
+
+function number(options = {}) {
+  return { type: "number", ...options };
+}
+
+function boolean(options = {}) {
+  return { type: "boolean", ...options };
+}
+
+function string(options = {}) {
+  return { type: "string", ...options };
+}
+
+function array(items, options = {}) {
+  return { type: "array", items, ...options };
+}
+
+// Object with known properties; `required` on a property means it is always
+// present. additionalProperties: true allows properties not listed.
+function object(properties, options = {}) {
+  return { type: "object", properties, ...options };
+}
+
+// Object used as a dictionary: any keys, values of one field type
+function map(values, options = {}) {
+  return { type: "object", values, ...options };
+}
+
+// Reference to a named schema in the OpenAPI components
+function ref(name, options = {}) {
+  return { ref: name, ...options };
+}
+
+// Value matching one of several fields
+function oneOf(fields, options = {}) {
+  return { oneOf: fields, ...options };
+}
+
+// Any JSON value
+function any(options = {}) {
+  return { ...options };
+}
+
+function ownerName(options = {}) {
+  return string({
+    pattern: OWNER_PATTERN,
+    patternMessage: "must be a valid GitHub user or organization name",
+    description: "GitHub user or organization",
+    ...options,
+  });
+}
+
+function repoName(options = {}) {
+  return string({
+    pattern: REPO_PATTERN,
+    patternMessage: "must be a valid GitHub repository name",
+    description: "Repository name",
+    ...options,
+  });
+}
+
+function uuid(options = {}) {
+  return string({
+    pattern: UUID_PATTERN,
+    patternMessage: "must be a UUID",
+    format: "uuid",
+    ...options,
+  });
+}
+
+function isValidOwner(owner) {
+  return typeof owner === "string" && OWNER_RE.test(owner);
+}
+
+function isValidRepo(repo) {
+  return typeof repo === "string" && REPO_RE.test(repo);
+}
+
+// Query strings only carry text, so numbers and booleans are parsed there
+function coerce(field, value) {
+  if (typeof value !== "string") return value;
+  if (field.type === "integer" || field.type === "number") {
+    return value.trim() === "" ? NaN : Number(value);
+  }
+  if (field.type === "boolean") {
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+  }
+  return value;
+}
+
+// Problem with one value, or null when it fits the field
+function checkValue(field, value) {
+  switch (field.type) {
+    case "integer":
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `must be a${field.type === "integer" ? "n integer" : " number"}`;
+      }
+      if (field.type === "integer" && !Number.isInteger(value)) {
+        return "must be an integer";
+      }
+      if (field.min !== undefined && value < field.min) {
+        return `must be at least ${field.min}`;
+      }
+      if (field.max !== undefined && value > field.max) {
+        return `must be at most ${field.max}`;
+      }
+      return null;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "string": {
+      if (typeof value !== "string") return "must be a string";
+      if (field.enum && !field.enum.includes(value)) {
+        return `must be one of: ${field.enum.join(", ")}`;
+      }
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return `must be at least ${field.minLength} characters`;
+      }
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return `must be at most ${field.maxLength} characters`;
+      }
+      if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        return field.patternMessage || "has an invalid format";
+      }
+      return null;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return "must be an array";
+      if (field.minItems !== undefined && value.length < field.minItems) {
+        return `must have at least ${field.minItems} items`;
+      }
+      if (field.maxItems !== undefined && value.length > field.maxItems) {
+        return `must have at most ${field.maxItems} items`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkValue(field.items, value[i]);
+        if (problem) return `item ${i} ${problem}`;
+      }
+      return null;
+    }
+    case "object": {
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return "must be an object";
+      }
+      const entries = field.values
+        ? Object.keys(value).map((name) => [name, field.values])
+        : Object.entries(field.properties || {});
+      for (const [name, property] of entries) {
+        const item = value[name];
+        if (item === undefined || (item === null && property.nullable)) {
+          if (item === undefined && property.required) {
+            return `${name} is required`;
+          }
+          continue;
+        }
+        const problem = checkValue(property, item);
+        if (problem) return `${name} ${problem}`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Check `input` against a schema ({ name: field }). Returns the known fields
+// with defaults filled in; unknown fields are dropped. Throws a
+// ValidationError listing every offending field.
+function validate(schema, input = {}, { source = "body", coerceStrings } = {}) {
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    throw new ValidationError(`Request ${source} must be an object`);
+  }
+
+  const values = {};
+  const details = [];
+
+  Object.entries(schema).forEach(([name, field]) => {
+    let value = input[name];
+    if (value === undefined || (value === null && !field.nullable)) {
+      if (field.required) {
+        details.push({ field: `${source}.${name}`, message: "is required" });
+      } else if (field.default !== undefined) {
+        values[name] = field.default;
+      }
+      return;
+    }
+    if (value === null) {
+      values[name] = null;
+      return;
+    }
+
+    if (coerceStrings) value = coerce(field, value);
+    const problem = checkValue(field, value);
+    if (problem) {
+      details.push({ field: `${source}.${name}`, message: problem });
+    } else {
+      values[name] = value;
+    }
+  });
+
+  if (details.length > 0) {
+    throw new ValidationError(
+      details.map((d) => `${d.field} ${d.message}`).join("; "),
+      details
+    );
+  }
+  return values;
+}
+
+// Middleware checking route params, query and body against their schemas.
+// The checked values are put on req.input.
+function validateRequest({ params, query, body } = {}) {
+  return (req, res, next) => {
+    req.input = {
+      params: params
+        ? validate(params, req.params, { source: "path", coerceStrings: true })
+        : req.params,
+      query: query
+        ? validate(query, req.query, { source: "query", coerceStrings: true })
+        : {},
+      body: body ? validate(body, req.body ?? {}, { source: "body" }) : {},
+    };
+    next();
+  };
+}
+
+// JSON Schema of a field for the OpenAPI document
+function toJsonSchema(field) {
+  if (field.ref) {
+    const target = { $ref: `#/components/schemas/${field.ref}` };
+    // OpenAPI 3.0 ignores siblings of $ref, so wrap it to keep them
+    return field.nullable || field.description
+      ? {
+          allOf: [target],
+          ...(field.nullable && { nullable: true }),
+          ...(field.description && { description: field.description }),
+        }
+      : target;
+  }
+  if (field.oneOf) {
+    return {
+      oneOf: field.oneOf.map(toJsonSchema),
+      ...(field.nullable && { nullable: true }),
+      ...(field.description && { description: field.description }),
+    };
+  }
+  if (!field.type) {
+    return {
+      ...(field.nullable && { nullable: true }),
+      ...(field.description && { description: field.description }),
+    };
+  }
+  if (field.type === "object") {
+    return {
+      ...toObjectSchema(field.properties || {}),
+      ...(field.values && { additionalProperties: toJsonSchema(field.values) }),
+      ...(field.additionalProperties && { additionalProperties: true }),
+      ...(field.nullable && { nullable: true }),
+      ...(field.description && { description: field.description }),
+    };
+  }
+
+  const schema = { type: field.type };
+  if (field.nullable) schema.nullable = true;
+  if (field.description) schema.description = field.description;
+  if (field.min !== undefined) schema.minimum = field.min;
+  if (field.max !== undefined) schema.maximum = field.max;
+  if (field.enum) schema.enum = field.enum;
+  if (field.pattern) schema.pattern = field.pattern;
+  if (field.format) schema.format = field.format;
+  if (field.minLength !== undefined) schema.minLength = field.minLength;
+  if (field.maxLength !== undefined) schema.maxLength = field.maxLength;
+  if (field.items) schema.items = toJsonSchema(field.items);
+  if (field.minItems !== undefined) schema.minItems = field.minItems;
+  if (field.maxItems !== undefined) schema.maxItems = field.maxItems;
+  if (field.default !== undefined) schema.default = field.default;
+  return schema;
+}
+
+// Object schema for a request body schema
+function toObjectSchema(schema) {
+  const properties = {};
+  const required = [];
+  Object.entries(schema).forEach(([name, field]) => {
+    properties[name] = toJsonSchema(field);
+    if (field.required) required.push(name);
+  });
+  return {
+    type: "object",
+    ...(Object.keys(properties).length > 0 && { properties }),
+    ...(required.length > 0 && { required }),
+  };
+}
+
+module.exports = {
+  integer,
+  number,
+  boolean,
+  string,
+  array,
+  object,
+  map,
+  ref,
+  oneOf,
+  any,
+  ownerName,
+  repoName,
+  uuid,
+  isValidOwner,
+  isValidRepo,
+  validate,
+  validateRequest,
+  toJsonSchema,
+  toObjectSchema,
+};
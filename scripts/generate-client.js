@@ -0,0 +1,242 @@
+// Generate the JS client's operation table and TypeScript declarations from
+// the OpenAPI document. Run `npm run generate:client` after changing routes,
+// request schemas or response schemas; the client tests fail until then.
+const fs = require("fs");
+const path = require("path");
+const { buildOpenApiSpec } = require("../lib/openapi");
+
+const CLIENT_DIR = path.join(__dirname, "..", "client");
+const HEADER =
+  "// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.\n";
+
+const SUCCESS_STATUSES = ["200", "201", "202", "204"];
+
+function refName(ref) {
+  return ref.replace("#/components/schemas/", "");
+}
+
+function typeName(operationId) {
+  return operationId[0].toUpperCase() + operationId.slice(1);
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function indent(text, depth) {
+  return text.replace(/\n/g, `\n${"  ".repeat(depth)}`);
+}
+
+function comment(text) {
+  return text ? `/** ${text.replace(/\*\//g, "* /")} */\n` : "";
+}
+
+// TypeScript type of a JSON schema
+function tsType(schema) {
+  let type;
+  if (schema.$ref) type = refName(schema.$ref);
+  else if (schema.allOf) type = schema.allOf.map(tsType).join(" & ");
+  else if (schema.oneOf) type = schema.oneOf.map(tsType).join(" | ");
+  else if (schema.enum)
+    type = schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  else if (schema.type === "string")
+    type = schema.format === "binary" ? "ArrayBuffer" : "string";
+  else if (schema.type === "integer" || schema.type === "number")
+    type = "number";
+  else if (schema.type === "boolean") type = "boolean";
+  else if (schema.type === "array") {
+    const items = tsType(schema.items);
+    type = /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+  } else if (schema.type === "object") type = objectType(schema);
+  else type = "unknown";
+
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function objectType(schema) {
+  const required = new Set(schema.required || []);
+  const lines = Object.entries(schema.properties || {}).map(
+    ([name, property]) =>
+      comment(property.description) +
+      `${propertyKey(name)}${required.has(name) ? "" : "?"}: ${tsType(
+        property
+      )};`
+  );
+
+  if (schema.additionalProperties === true) {
+    lines.push("[key: string]: unknown;");
+  } else if (schema.additionalProperties) {
+    if (lines.length === 0) {
+      return `Record<string, ${tsType(schema.additionalProperties)}>`;
+    }
+    lines.push(`[key: string]: ${tsType(schema.additionalProperties)};`);
+  }
+
+  if (lines.length === 0) return "Record<string, unknown>";
+  return `{\n  ${indent(lines.join("\n"), 1)}\n}`;
+}
+
+// Input of an operation: path and query parameters plus body fields, flat
+function inputSchema(operation) {
+  const properties = {};
+  const required = [];
+
+  (operation.parameters || []).forEach((parameter) => {
+    properties[parameter.name] = {
+      ...parameter.schema,
+      description: parameter.schema.description,
+    };
+    if (parameter.required) required.push(parameter.name);
+  });
+
+  const body = operation.requestBody?.content["application/json"].schema;
+  if (body) {
+    Object.assign(properties, body.properties);
+    // Fields with a server-side default can be left out
+    (body.required || []).forEach((name) => {
+      if (body.properties[name].default === undefined) required.push(name);
+    });
+  }
+
+  return { type: "object", properties, required };
+}
+
+function resultType(operation) {
+  const types = new Set();
+  Object.entries(operation.responses)
+    .filter(([status]) => SUCCESS_STATUSES.includes(status))
+    .forEach(([status, response]) => {
+      if (status === "204") return types.add("void");
+      Object.entries(response.content).forEach(([mediaType, { schema }]) => {
+        if (mediaType === "text/event-stream") types.add("Response");
+        else types.add(tsType(schema));
+      });
+    });
+  return [...types].join(" | ");
+}
+
+function eachOperation(spec, callback) {
+  Object.entries(spec.paths).forEach(([route, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) =>
+      callback(operation, method, route)
+    );
+  });
+}
+
+// client/operations.js: how each client method maps onto an HTTP request
+function generateOperations(spec) {
+  const operations = {};
+  eachOperation(spec, (operation, method, route) => {
+    const parameters = operation.parameters || [];
+    operations[operation.operationId] = {
+      method: method.toUpperCase(),
+      path: route,
+      pathParams: parameters.filter((p) => p.in === "path").map((p) => p.name),
+      query: parameters.filter((p) => p.in === "query").map((p) => p.name),
+      body: Boolean(operation.requestBody),
+    };
+  });
+
+  return `${HEADER}\nmodule.exports = ${JSON.stringify(
+    operations,
+    null,
+    2
+  )};\n`;
+}
+
+// client/index.d.ts: component schemas, operation inputs and the client
+function generateTypes(spec) {
+  const declarations = Object.entries(spec.components.schemas).map(
+    ([name, schema]) => {
+      const type = tsType(schema);
+      return (
+        comment(schema.description) +
+        (type.startsWith("{")
+          ? `export interface ${name} ${type}`
+          : `export type ${name} = ${type};`)
+      );
+    }
+  );
+
+  const methods = [];
+  eachOperation(spec, (operation) => {
+    const input = inputSchema(operation);
+    const hasInput = Object.keys(input.properties).length > 0;
+    const inputName = `${typeName(operation.operationId)}Input`;
+
+    if (hasInput) {
+      declarations.push(`export interface ${inputName} ${objectType(input)}`);
+    }
+
+    const argument = hasInput
+      ? `input${input.required.length > 0 ? "" : "?"}: ${inputName}`
+      : "";
+    methods.push(
+      comment(`${operation.summary} (${operation["x-route"]})`) +
+        `${operation.operationId}(${argument}): Promise<${resultType(
+          operation
+        )}>;`
+    );
+  });
+
+  return `${HEADER}
+${declarations.join("\n\n")}
+
+export interface ClientOptions {
+  /** Base URL of the API, e.g. https://stars.example.com */
+  baseUrl: string;
+  /** Sent as X-API-Key */
+  apiKey?: string;
+  /** fetch implementation; defaults to the global fetch */
+  fetch?: typeof fetch;
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+}
+
+export interface StarBusterClient {
+  ${indent(methods.join("\n"), 1)}
+}
+
+/** Error response of the API ({ error: { code, message, details } }) */
+export class StarBusterError extends Error {
+  status: number;
+  code: string;
+  details: unknown;
+  /** Seconds to wait, from the Retry-After header of 429 responses */
+  retryAfter: number | null;
+}
+
+export function createClient(options: ClientOptions): StarBusterClient;
+
+export const operations: Record<
+  string,
+  {
+    method: string;
+    path: string;
+    pathParams: string[];
+    query: string[];
+    body: boolean;
+  }
+>;
+`;
+}
+
+// Both generated files, keyed by their name in client/
+function generateClient(spec = buildOpenApiSpec()) {
+  eachOperation(spec, (operation, method, route) => {
+    operation["x-route"] = `${method.toUpperCase()} ${route}`;
+  });
+  return {
+    "operations.js": generateOperations(spec),
+    "index.d.ts": generateTypes(spec),
+  };
+}
+
+if (require.main === module) {
+  Object.entries(generateClient()).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(CLIENT_DIR, file), content);
+    console.log(`Wrote client/${file}`);
+  });
+}
+
+module.exports = { CLIENT_DIR, generateClient };
@@ -1,9 +1,112 @@
+require("dotenv").config();
 const express = require("express");
+const crypto = require("crypto");
 const cors = require("cors");
-const axios = require("axios");
-const { createClient } = require("@supabase/supabase-js");
-const { default: puppeteer } = require("puppeteer");
-require("dotenv").config();
+const { createJob, getJob, serializeJob, runJob } = require("./lib/jobs");
+const { createStorage } = require("./lib/storage");
+const {
+  GITHUB_API,
+  GITHUB_TOKEN,
+  GITHUB_TOKENS,
+  makeGitHubRequest,
+  fetchRateLimit,
+  getRateLimitStatus,
+} = require("./lib/github");
+const { crawlStargazers } = require("./lib/crawler");
+const { DEFAULT_SAMPLING_STRATEGY, selectSample } = require("./lib/sampling");
+const {
+  INTERVALS,
+  buildStarSeries,
+  detectBursts,
+} = require("./lib/star-history");
+const { loadRuleset } = require("./lib/rules");
+const { analyzeStargazers } = require("./lib/detection");
+const { coordinationConfig } = require("./lib/coordination");
+const { MAX_BASELINE_RESULTS, buildBenchmark } = require("./lib/benchmark");
+const { fetchGrowthContext } = require("./lib/growth");
+const { loadDetectors } = require("./lib/detectors");
+const { pageAccounts } = require("./lib/accounts");
+const {
+  buildIndexRows,
+  rowsForResult,
+  findCrossRepoOverlap,
+  detectRings,
+} = require("./lib/overlap");
+const { profileCacheConfig, fetchUserProfiles } = require("./lib/profiles");
+const {
+  DEFAULT_ACTIVITY_USERS,
+  PROMOTED_MIN_SCORE,
+  analyzeAccountActivity,
+} = require("./lib/activity");
+const { historyConfig, buildHistory, diffResults } = require("./lib/history");
+const {
+  MIN_INTERVAL_MINUTES,
+  DEFAULT_SCHEDULE,
+  DEFAULT_THRESHOLD,
+  DEFAULT_TICK_SECONDS,
+  WATCH_EVENTS,
+  parseSchedule,
+  createMonitor,
+} = require("./lib/monitor");
+const { expandOwnerRepos, runBatch } = require("./lib/batch");
+const {
+  EXPORT_FORMATS,
+  exportFilename,
+  toCsv,
+  toNdjson,
+  toHtml,
+  toPdf,
+} = require("./lib/export");
+const {
+  BADGE_CACHE_SECONDS,
+  PENDING_BADGE_CACHE_SECONDS,
+  badgeConfig,
+  renderBadge,
+  scoreBadge,
+  pendingBadge,
+} = require("./lib/badge");
+const {
+  DEFAULT_KEY_QUOTAS,
+  hashKey,
+  generateKey,
+  usageDay,
+  authConfig,
+  createAuth,
+} = require("./lib/auth");
+const {
+  ValidationError,
+  NotFoundError,
+  UnprocessableError,
+  UpstreamError,
+  toApiError,
+  errorBody,
+} = require("./lib/errors");
+const {
+  validateRequest,
+  isValidOwner,
+  isValidRepo,
+} = require("./lib/validation");
+const {
+  DEFAULT_MAX_STARS,
+  DEFAULT_MAX_USERS,
+  REPO_PARAMS,
+  ID_PARAMS,
+  ANALYZE_BODY,
+  BATCH_BODY,
+  STAR_HISTORY_QUERY,
+  HISTORY_QUERY,
+  BADGE_QUERY,
+  RESULT_QUERY,
+  DIFF_PARAMS,
+  OVERLAP_QUERY,
+  ACCOUNTS_QUERY,
+  WATCH_BODY,
+  WATCH_FIELDS,
+  WEBHOOK_BODY,
+  WEBHOOK_FIELDS,
+  API_KEY_BODY,
+} = require("./lib/schemas");
+const { buildOpenApiSpec } = require("./lib/openapi");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,31 +115,40 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// GitHub API configuration
-const GITHUB_API = "https://api.github.com";
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+// Initialize storage (Supabase, file or in-memory, see lib/storage)
+const storage = createStorage();
 
-const axiosConfig = GITHUB_TOKEN
-  ? {
-      headers: {
-        Authorization: `token ${GITHUB_TOKEN}`,
-        Accept: "application/vnd.github.v3+json",
-      },
-    }
-  : {
-      headers: {
-        Accept: "application/vnd.github.v3+json",
-      },
-    };
+// API keys, quotas and request limits (ADMIN_API_KEY, API_KEYS_REQUIRED,
+// ANONYMOUS_REQUESTS_PER_MINUTE)
+const auth = createAuth({ storage, ...authConfig() });
+app.use(auth.authenticate);
+
+// Shared /users/:login cache (PROFILE_CACHE_TTL_HOURS, PROFILE_FETCH_CONCURRENCY)
+const profileCache = profileCacheConfig();
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
+// Result retention and cache reuse (RESULT_RETENTION_DAYS, ANALYSIS_CACHE_HOURS)
+const resultHistory = historyConfig();
+
+// How recent a result must be to show on a badge (BADGE_MAX_AGE_DAYS)
+const badges = badgeConfig();
+
+// Coordinated starring window sizes (COORDINATION_WINDOWS)
+const coordination = coordinationConfig();
+
+// Custom detectors (CUSTOM_DETECTORS, comma-separated module paths), loaded
+// before the rules so rules can use the signals they add
+loadDetectors(
+  (process.env.CUSTOM_DETECTORS || "")
+    .split(",")
+    .map((file) => file.trim())
+    .filter(Boolean)
 );
 
-// Enhanced delay with exponential backoff
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Scoring rules (rules/scoring.json unless SCORING_RULES points elsewhere)
+const scoringRules = loadRuleset(process.env.SCORING_RULES || undefined);
+
+// OpenAPI description of the routes below, served at /openapi.json
+const openApiSpec = buildOpenApiSpec({ version: "2.0.0" });
 
 // Save analysis result function
 async function saveAnalysisResult(
@@ -46,93 +158,65 @@ async function saveAnalysisResult(
   analysis,
   repoInfo
 ) {
-  // Set expiration to 24 hours from now
-  const expiresAt = new Date();
-  expiresAt.setHours(expiresAt.getHours() + 24);
-
-  const { data, error } = await supabase
-    .from("analysis_results")
-    .insert({
-      repo_owner: repoOwner,
-      repo_name: repoName,
-      repo_url: repoUrl,
-      suspicion_score: analysis.suspicionScore,
-      total_stars: analysis.totalStars,
-      analyzed_sample: analysis.analyzedSample,
-      analysis_type: analysis.detailedSample > 0 ? "advanced" : "basic",
-      suspicion_indicators: analysis.suspicionIndicators,
-      repository_data: repoInfo,
-      analysis_data: analysis,
-      expires_at: expiresAt.toISOString(),
-    })
-    .select("id")
-    .single();
-
-  if (error) throw error;
-  return data.id;
+  // Kept as history for the retention period (or forever)
+  const expiresAt = resultHistory.retentionMs
+    ? new Date(Date.now() + resultHistory.retentionMs).toISOString()
+    : null;
+
+  return storage.insertAnalysisResult({
+    repo_owner: repoOwner,
+    repo_name: repoName,
+    repo_url: repoUrl,
+    suspicion_score: analysis.suspicionScore,
+    total_stars: analysis.totalStars,
+    analyzed_sample: analysis.analyzedSample,
+    analysis_type: analysis.detailedSample > 0 ? "advanced" : "basic",
+    suspicion_indicators: analysis.suspicionIndicators,
+    repository_data: repoInfo,
+    analysis_data: analysis,
+    expires_at: expiresAt,
+  });
 }
 
-// Rate limit handler with retry logic
-async function handleRateLimit(error, retryCount = 0) {
-  if (
-    error.response?.status === 403 &&
-    error.response?.headers["x-ratelimit-remaining"] === "0"
-  ) {
-    const resetTime =
-      parseInt(error.response.headers["x-ratelimit-reset"]) * 1000;
-    const waitTime = resetTime - Date.now() + 1000;
-
-    console.log(
-      `Rate limit hit. Waiting ${Math.round(waitTime / 1000)} seconds...`
+// Parse a repository URL like https://github.com/<owner>/<repo>(.git).
+// Returns null for other hosts, deeper paths and names GitHub would reject.
+function parseGitHubUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(
+      /^[a-z][a-z\d+.-]*:\/\//i.test(url) ? url : `https://${url}`
     );
-    await delay(waitTime);
-    return true;
+  } catch {
+    return null;
   }
 
-  if (error.response?.status === 502 || error.response?.status === 503) {
-    const waitTime = Math.min(1000 * Math.pow(2, retryCount), 30000);
-    console.log(`Server error. Retrying in ${waitTime / 1000} seconds...`);
-    await delay(waitTime);
-    return retryCount < 3;
+  if (
+    !["http:", "https:"].includes(parsed.protocol) ||
+    !["github.com", "www.github.com"].includes(parsed.hostname.toLowerCase())
+  ) {
+    return null;
   }
 
-  return false;
-}
-
-// Enhanced API call with retry logic
-async function makeGitHubRequest(url, params = {}) {
-  let retryCount = 0;
-
-  while (retryCount < 5) {
-    try {
-      const response = await axios.get(url, {
-        ...axiosConfig,
-        params,
-      });
-      return response.data;
-    } catch (error) {
-      const shouldRetry = await handleRateLimit(error, retryCount);
-      if (shouldRetry) {
-        retryCount++;
-        continue;
-      }
-      throw error;
-    }
-  }
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  if (segments.length !== 2) return null;
 
-  throw new Error("Max retries exceeded");
+  const owner = segments[0];
+  const repo = segments[1].replace(/\.git$/, "");
+  return isValidOwner(owner) && isValidRepo(repo) ? { owner, repo } : null;
 }
 
-// Parse GitHub URL
-function parseGitHubUrl(url) {
-  const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-  if (match) {
-    return {
-      owner: match[1],
-      repo: match[2].replace(".git", ""),
-    };
-  }
-  return null;
+// Public view of a GitHub repository
+function repositoryView(repoInfo) {
+  return {
+    fullName: repoInfo.full_name,
+    stars: repoInfo.stargazers_count,
+    forks: repoInfo.forks_count,
+    createdAt: repoInfo.created_at,
+    language: repoInfo.language,
+    description: repoInfo.description,
+    openIssues: repoInfo.open_issues_count || 0,
+    watchers: repoInfo.watchers_count || 0,
+  };
 }
 
 // Fetch repository information
@@ -141,784 +225,1378 @@ async function fetchRepoInfo(owner, repo) {
     return await makeGitHubRequest(`${GITHUB_API}/repos/${owner}/${repo}`);
   } catch (error) {
     if (error.response?.status === 404) {
-      throw new Error("Repository not found");
+      throw new NotFoundError("Repository not found");
     }
-    throw new Error("Failed to fetch repository information");
+    throw new UpstreamError("Failed to fetch repository information", {
+      status: error.response?.status || null,
+      reason: error.message,
+    });
   }
 }
 
-// Fetch stargazers with timestamps
-async function fetchAllStargazersWithDates(owner, repo, maxStars = 10000) {
-  const stargazers = [];
-  let page = 1;
+// Log progress events at the cadence the console output has always used
+function logProgress(event) {
+  if (
+    event.phase === "stargazers" &&
+    event.stargazersFetched > 0 &&
+    event.stargazersFetched % 500 === 0
+  ) {
+    console.log(`Fetched ${event.stargazersFetched} stargazers...`);
+  }
 
-  console.log(`Fetching stargazers with timestamps for ${owner}/${repo}...`);
+  if (
+    event.phase === "users" &&
+    event.usersProfiled > 0 &&
+    event.usersProfiled % 50 === 0
+  ) {
+    console.log(
+      `Processed ${event.usersProfiled}/${event.usersToProfile} users...`
+    );
+  }
+}
 
-  while (stargazers.length < maxStars) {
-    try {
-      // Use the correct Accept header for starred_at timestamps
-      const response = await axios.get(
-        `${GITHUB_API}/repos/${owner}/${repo}/stargazers`,
-        {
-          headers: {
-            ...axiosConfig.headers,
-            Accept: "application/vnd.github.v3.star+json",
-          },
-          params: {
-            page: page,
-            per_page: 100,
-          },
-        }
-      );
+// Fetch detailed user information.
+// Stargazers crawled through GraphQL already carry their profile; the rest
+// come from the shared profile cache or are fetched a few at a time.
+async function fetchDetailedUserInfo(
+  users,
+  maxUsers = 200,
+  onProgress = logProgress
+) {
+  const selected = users.slice(0, maxUsers);
+  const usersToProfile = selected.length;
+
+  console.log(`Fetching detailed info for ${usersToProfile} users...`);
+  onProgress({ phase: "users", usersProfiled: 0, usersToProfile });
+
+  const withProfile = selected.filter((user) => user.profile).length;
+  const { profiles, stats } = await fetchUserProfiles(
+    selected.filter((user) => !user.profile).map((user) => user.user.login),
+    {
+      storage,
+      ...profileCache,
+      onProfiled: (done) =>
+        onProgress({
+          phase: "users",
+          usersProfiled: withProfile + done,
+          usersToProfile,
+        }),
+    }
+  );
 
-      if (response.data.length === 0) break;
+  if (stats.cached + stats.fetched + stats.failed > 0) {
+    console.log(
+      `Profiles: ${stats.cached} cached, ${stats.fetched} fetched, ${stats.failed} failed`
+    );
+  }
 
-      stargazers.push(...response.data);
-      page++;
+  return selected
+    .map((user) => {
+      const profile =
+        user.profile || profiles.get(user.user.login.toLowerCase());
+      return profile && { ...profile, starred_at: user.starred_at };
+    })
+    .filter(Boolean);
+}
 
-      if (stargazers.length % 500 === 0) {
-        console.log(`Fetched ${stargazers.length} stargazers...`);
-      }
+// Routes
+app.get("/", (req, res) => {
+  res.json({
+    name: "GitHub Star Analyzer API - Professional Edition",
+    version: "2.0.0",
+    status: "running",
+    features: [
+      "Advanced fake star detection",
+      "Same-day pattern analysis",
+      "Deep user profiling",
+      "Coordinated starring detection",
+    ],
+    endpoints: {
+      health: "GET /health",
+      analyze: "POST /analyze",
+      batch: "POST /analyze/batch",
+      job: "GET /jobs/:id",
+      jobEvents: "GET /jobs/:id/events",
+      repo: "GET /repo/:owner/:repo",
+      starHistory: "GET /repo/:owner/:repo/star-history",
+      history: "GET /repo/:owner/:repo/history",
+      badge: "GET /badge/:owner/:repo.svg",
+      rules: "GET /rules",
+      results: "GET /results/:id?format=json|csv|ndjson|html|pdf",
+      diff: "GET /results/:id/diff/:otherId",
+      accounts: "GET /results/:id/accounts",
+      overlap: "GET /results/:id/overlap",
+      watches: "GET|POST /watches, GET|PATCH|DELETE /watches/:id",
+      runWatch: "POST /watches/:id/run",
+      webhooks: "GET|POST /webhooks, GET|PATCH|DELETE /webhooks/:id",
+      apiKeys: "GET|POST /admin/keys, GET|DELETE /admin/keys/:id",
+      openapi: "GET /openapi.json",
+    },
+  });
+});
 
-      await delay(100);
-    } catch (error) {
-      console.error(`Error fetching stargazers page ${page}:`, error.message);
-      break;
-    }
+app.get("/health", (req, res) => {
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    environment: process.env.NODE_ENV || "development",
+    storage: storage.name,
+    features: {
+      advancedAnalysis: true,
+      deepUserProfiling: true,
+      rateLimitHandling: true,
+      apiKeysRequired: auth.required,
+    },
+    rateLimit: getRateLimitStatus(),
+  });
+});
+
+// Repos treated as promoted: PROMOTED_REPOS plus analyzed repos that scored
+// PROMOTED_MIN_SCORE or more, as lowercased "owner/name"
+async function findPromotedRepos() {
+  const promoted = new Set(
+    (process.env.PROMOTED_REPOS || "")
+      .split(",")
+      .map((repo) => repo.trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+  try {
+    const rows = await storage.findFlaggedRepos(PROMOTED_MIN_SCORE);
+    rows.forEach((row) =>
+      promoted.add(`${row.repo_owner}/${row.repo_name}`.toLowerCase())
+    );
+  } catch (error) {
+    console.error("Error loading flagged repos:", error.message);
   }
 
-  return stargazers;
+  return promoted;
 }
 
-// Fetch detailed user information
-async function fetchDetailedUserInfo(users, maxUsers = 200) {
-  const userDetails = [];
+// Add the requested benchmark against stored results of similar repos
+// (null when not requested)
+async function withBenchmark(requested, repoInfo, result) {
+  result.benchmark = null;
+  if (!requested) return result;
 
-  console.log(
-    `Fetching detailed info for ${Math.min(users.length, maxUsers)} users...`
-  );
+  const rows = await storage.findResultsByLanguage(repoInfo.language || null, {
+    limit: MAX_BASELINE_RESULTS,
+  });
+  result.benchmark = buildBenchmark(result.analysis, repoInfo, rows);
+  return result;
+}
+
+// Run a full analysis, reusing a recent cached result when possible
+async function runAnalysis(
+  {
+    repoOwner,
+    repoName,
+    deepAnalysis,
+    maxStars,
+    maxUsers,
+    sampling = DEFAULT_SAMPLING_STRATEGY,
+    sampleSeed,
+    activityAnalysis = false,
+    maxActivityUsers = DEFAULT_ACTIVITY_USERS,
+    benchmark = false,
+    force = false,
+  },
+  onProgress = () => {}
+) {
+  const startTime = Date.now();
+  const report = (event) => {
+    logProgress(event);
+    onProgress(event);
+  };
 
-  for (let i = 0; i < Math.min(users.length, maxUsers); i++) {
+  // Check if we already have a recent analysis for this repo
+  // (scheduled runs always analyze afresh)
+  let existingAnalysis = null;
+  if (!force) {
     try {
-      const user = users[i];
-      const userInfo = await makeGitHubRequest(
-        `${GITHUB_API}/users/${user.user.login}`
+      existingAnalysis = await storage.findLatestAnalysisResult(
+        repoOwner,
+        repoName
       );
+    } catch (searchError) {
+      console.error("Error searching for existing analysis:", searchError);
+    }
+  }
 
-      userDetails.push({
-        ...userInfo,
-        starred_at: user.starred_at,
+  // If we have a recent analysis with same or higher sample size and same analysis type, return it
+  if (existingAnalysis) {
+    const isFresh =
+      Date.now() - new Date(existingAnalysis.created_at).getTime() <
+      resultHistory.cacheMaxAgeMs;
+    const existingAnalysisData = existingAnalysis.analysis_data;
+    const existingIsAdvanced = existingAnalysisData.detailedSample > 0;
+    const requestedIsAdvanced = deepAnalysis;
+    const samplingMatches =
+      !requestedIsAdvanced ||
+      (existingAnalysisData.sampling?.strategy || "oldest") === sampling;
+    const rulesetMatches =
+      existingAnalysisData.ruleset?.version === scoringRules.version;
+    // Results from before the detector pipeline have another shape
+    const schemaMatches = Boolean(existingAnalysisData.detectors);
+    const activityMatches =
+      !requestedIsAdvanced ||
+      !activityAnalysis ||
+      existingAnalysisData.activitySample > 0;
+
+    // Check if analysis type, sampling, rules and sample size all fit the request
+    if (
+      isFresh &&
+      existingIsAdvanced === requestedIsAdvanced &&
+      samplingMatches &&
+      rulesetMatches &&
+      schemaMatches &&
+      activityMatches &&
+      existingAnalysisData.analyzedSample >= maxStars
+    ) {
+      console.log(
+        `Returning existing ${
+          requestedIsAdvanced ? "advanced" : "basic"
+        } analysis for ${repoOwner}/${repoName}`
+      );
+      return withBenchmark(benchmark, existingAnalysis.repository_data, {
+        id: existingAnalysis.id,
+        repository: repositoryView(existingAnalysis.repository_data),
+        analysis: existingAnalysisData,
+        shareUrl: `${process.env.FRONTEND_URL}/results/${existingAnalysis.id}`,
+        metadata: {
+          analyzedAt: existingAnalysis.created_at,
+          analysisType: existingIsAdvanced ? "advanced" : "basic",
+          sampleSize: existingAnalysisData.analyzedSample,
+          detailedSample: existingAnalysisData.detailedSample || 0,
+          coverage: existingAnalysisData.coverage || null,
+          fromCache: true,
+          processingTime: Date.now() - startTime,
+        },
       });
+    } else {
+      console.log(
+        `Found existing analysis but ${
+          !isFresh
+            ? "it is too old to reuse"
+            : existingIsAdvanced !== requestedIsAdvanced
+            ? "analysis type differs"
+            : !samplingMatches
+            ? "sampling strategy differs"
+            : !rulesetMatches
+            ? "scoring rules changed"
+            : !schemaMatches
+            ? "analysis schema changed"
+            : !activityMatches
+            ? "activity analysis was not run"
+            : "sample size too small"
+        }. Performing new analysis.`
+      );
+    }
+  }
 
-      if ((i + 1) % 50 === 0) {
-        console.log(
-          `Processed ${i + 1}/${Math.min(users.length, maxUsers)} users...`
-        );
-      }
+  console.log(
+    `Starting ${
+      deepAnalysis ? "advanced" : "basic"
+    } analysis for ${repoOwner}/${repoName}`
+  );
 
-      await delay(150);
-    } catch (error) {
-      console.error(
-        `Error fetching user ${users[i]?.user?.login}:`,
-        error.message
-      );
-      continue;
+  // If no recent analysis found or sample size is smaller, perform new analysis
+  report({ phase: "repository" });
+  const repoInfo = await fetchRepoInfo(repoOwner, repoName);
+  const growth = await fetchGrowthContext(repoOwner, repoName, repoInfo);
+
+  // Fetch stargazers with timestamps
+  report({
+    phase: "stargazers",
+    expectedStargazers: Math.min(maxStars, repoInfo.stargazers_count),
+  });
+  const { stargazers, coverage } = await crawlStargazers(
+    repoOwner,
+    repoName,
+    maxStars,
+    { storage, onProgress: report, totalStars: repoInfo.stargazers_count }
+  );
+
+  let analysis;
+
+  if (deepAnalysis && stargazers.length > 0) {
+    // Pick which stargazers to profile
+    const sample = selectSample(stargazers, maxUsers, {
+      strategy: sampling,
+      seed: sampleSeed,
+    });
+
+    // Fetch detailed user information for advanced analysis
+    const detailedUsers = await fetchDetailedUserInfo(
+      sample.users,
+      maxUsers,
+      report
+    );
+
+    // Optional activity tier on top of the profiles
+    if (activityAnalysis) {
+      await analyzeAccountActivity(detailedUsers, {
+        count: maxActivityUsers,
+        concurrency: profileCache.concurrency,
+        promotedRepos: await findPromotedRepos(),
+        repo: `${repoOwner}/${repoName}`,
+        onProgress: report,
+      });
     }
+
+    // Run advanced pattern analysis
+    report({ phase: "analysis" });
+    analysis = analyzeStargazers({
+      stargazers,
+      profiles: detailedUsers,
+      repository: repoInfo,
+      growth,
+      sample,
+      rules: scoringRules,
+      options: { coordination },
+    });
+  } else {
+    // Fallback to basic analysis: the detectors that need no profiles
+    report({ phase: "analysis" });
+    analysis = analyzeStargazers({
+      stargazers,
+      repository: repoInfo,
+      growth,
+      rules: scoringRules,
+      options: { coordination },
+    });
   }
 
-  return userDetails;
-}
+  analysis.coverage = coverage;
 
-// Advanced fake detection algorithm
-function validateStar(user) {
-  const createdAt = new Date(user.created_at);
-  const updatedAt = new Date(user.updated_at);
-  const starredAt = new Date(user.starred_at);
-
-  const createdDate = createdAt.toDateString();
-  const updatedDate = updatedAt.toDateString();
-  const starredDate = starredAt.toDateString();
-
-  const isFake =
-    user.followers < 2 &&
-    user.following < 2 &&
-    user.public_gists === 0 &&
-    user.public_repos < 5 &&
-    createdAt > new Date("2022-01-01") &&
-    !user.email &&
-    createdDate === updatedDate &&
-    updatedDate === starredDate &&
-    user.hireable !== true &&
-    user.hireable !== false;
-
-  return isFake ? 1 : 0;
-}
+  const processingTime = Date.now() - startTime;
 
-// Generic username detection
-function isGenericUsername(username) {
-  const patterns = [
-    /^user\d+$/i,
-    /^dev\w*\d+$/i,
-    /^\w*bot\d*$/i,
-    /^\w+\d{4,}$/,
-    /^[a-z]+\d{6,}$/,
-    /^(test|demo|sample)\w*\d*$/i,
-  ];
+  console.log(
+    `Analysis complete. Suspicion score: ${analysis.suspicionScore} (${processingTime}ms)`
+  );
 
-  return patterns.some((pattern) => pattern.test(username));
-}
+  // Save result to database
+  report({ phase: "saving" });
+  const resultId = await saveAnalysisResult(
+    repoOwner,
+    repoName,
+    `https://github.com/${repoOwner}/${repoName}`,
+    analysis,
+    repoInfo
+  );
 
-// Bot-like name detection
-function isBotLikeName(username) {
-  const botPatterns = [
-    /^user\d+$/i,
-    /^dev\w*\d+$/i,
-    /^\w*bot\d*$/i,
-    /^\w+\d{4,}$/,
-    /^[a-z]+\d{6,}$/,
-    /^(test|demo|sample|fake|temp)\w*\d*$/i,
-    /^[a-z]{1,3}\d{4,}$/,
-    /^\w*github\w*\d*$/i,
-    /^\w*star\w*\d*$/i,
-  ];
+  // Index (account, repo, starred_at) for cross-repository overlap checks.
+  // Repos are keyed in lowercase, however the owner and name were typed.
+  const indexKey = `${repoOwner}/${repoName}`.toLowerCase();
+  try {
+    await storage.replaceStargazerIndex(
+      indexKey,
+      buildIndexRows(indexKey, resultId, stargazers)
+    );
+  } catch (error) {
+    console.error("Error indexing stargazers:", error);
+  }
 
-  return botPatterns.some((pattern) => pattern.test(username));
+  return withBenchmark(benchmark, repoInfo, {
+    id: resultId,
+    repository: repositoryView(repoInfo),
+    analysis: analysis,
+    shareUrl: `${process.env.FRONTEND_URL}/results/${resultId}`,
+    metadata: {
+      analyzedAt: new Date().toISOString(),
+      analysisType: deepAnalysis ? "advanced" : "basic",
+      sampleSize: stargazers.length,
+      detailedSample: analysis.detailedSample || 0,
+      coverage: coverage,
+      fromCache: false,
+      processingTime: processingTime,
+    },
+  });
 }
 
-// Advanced pattern analysis
-function analyzeAdvancedPatterns(stargazers, detailedUsers, repoInfo) {
-  const analysis = {
-    totalStars: repoInfo.stargazers_count,
-    analyzedSample: stargazers.length,
-    detailedSample: detailedUsers.length,
-    patterns: {
-      genericUsernames: 0,
-      genericUsernamesList: [],
-      botLikeNames: 0,
-      botLikeNamesList: [],
-      newAccounts: 0,
-      noRepos: 0,
-      noEmail: 0,
-      lowEngagement: 0,
-      sameDayPattern: 0,
-      coordinated: 0,
-      suspiciousCreationDates: {},
-      starVelocitySpikes: [],
-      realStars: 0,
-      fakeStars: 0,
-      suspiciousTimeWindows: [],
-    },
-    timeline: [],
-    suspicionIndicators: [],
-    suspicionScore: 0,
-  };
+// Active scoring rule set
+app.get("/rules", (req, res) => {
+  res.json(scoringRules);
+});
 
-  // Analyze basic patterns from all stargazers
-  stargazers.forEach((stargazer) => {
-    const username = stargazer.user.login.toLowerCase();
+// This API described as OpenAPI 3
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiSpec);
+});
 
-    if (isGenericUsername(username)) {
-      analysis.patterns.genericUsernames++;
-      analysis.patterns.genericUsernamesList.push(username);
+// Repository named by repoUrl, or owner and repo, in a validated body
+function repoFromBody({ repoUrl, owner, repo }) {
+  if (repoUrl) {
+    const parsed = parseGitHubUrl(repoUrl);
+    if (!parsed) {
+      throw new ValidationError("Invalid GitHub repository URL", [
+        {
+          field: "body.repoUrl",
+          message: "must look like https://github.com/<owner>/<repo>",
+        },
+      ]);
     }
+    return { repoOwner: parsed.owner, repoName: parsed.repo };
+  }
+  if (owner && repo) return { repoOwner: owner, repoName: repo };
 
-    if (isBotLikeName(username)) {
-      analysis.patterns.botLikeNames++;
-      analysis.patterns.botLikeNamesList.push(username);
-    }
-  });
+  throw new ValidationError(
+    "Please provide either repoUrl or both owner and repo"
+  );
+}
+
+// Main analysis endpoint
+app.post(
+  "/analyze",
+  auth.requireApiKey,
+  validateRequest({ body: ANALYZE_BODY }),
+  async (req, res) => {
+    const {
+      repoUrl,
+      owner,
+      repo,
+      async: runAsync,
+      ...settings
+    } = req.input.body;
+
+    const params = { ...repoFromBody({ repoUrl, owner, repo }), ...settings };
+
+    // A failed analysis does not count against the key's quota
+    const refund = await auth.consumeAnalysisQuota(req.client, params);
+    const task = (onProgress) =>
+      runAnalysis(params, onProgress).catch(async (error) => {
+        await refund();
+        throw error;
+      });
+
+    // Async mode: hand back a job ID and let the client poll or subscribe
+    if (runAsync) {
+      const job = createJob(params);
+      runJob(job, task);
 
-  // Advanced analysis on detailed users
-  const currentDate = new Date();
-  const starsByMinute = {};
-
-  detailedUsers.forEach((user) => {
-    const createdAt = new Date(user.created_at);
-    const updatedAt = new Date(user.updated_at);
-    const starredAt = new Date(user.starred_at);
-    const accountAge = (currentDate - createdAt) / (1000 * 60 * 60 * 24);
-
-    // Basic patterns
-    if (accountAge < 30) analysis.patterns.newAccounts++;
-    if (user.public_repos === 0) analysis.patterns.noRepos++;
-    if (!user.email) analysis.patterns.noEmail++;
-    if (user.followers < 2 && user.following < 2)
-      analysis.patterns.lowEngagement++;
-
-    // Same day pattern detection
-    const createdDate = createdAt.toDateString();
-    const updatedDate = updatedAt.toDateString();
-    const starredDate = starredAt.toDateString();
-
-    if (createdDate === updatedDate && updatedDate === starredDate) {
-      analysis.patterns.sameDayPattern++;
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`,
+      });
     }
 
-    // Coordinated starring detection
-    const starMinute = starredAt.toISOString().slice(0, 16);
-    starsByMinute[starMinute] = (starsByMinute[starMinute] || 0) + 1;
+    res.json(await task());
+  }
+);
+
+// Parse a batch entry given as a GitHub URL or "owner/repo"
+function parseRepoRef(ref) {
+  const short = ref.trim().match(/^([^/]+)\/([^/]+)$/);
+  if (short) {
+    return isValidOwner(short[1]) && isValidRepo(short[2])
+      ? { owner: short[1], repo: short[2] }
+      : null;
+  }
+  return parseGitHubUrl(ref);
+}
+
+// Analyze many repositories, ranked by suspicion score
+app.post(
+  "/analyze/batch",
+  auth.requireApiKey,
+  validateRequest({ body: BATCH_BODY }),
+  async (req, res) => {
+    const {
+      repos,
+      org,
+      user,
+      includeForks,
+      maxRepos,
+      async: runAsync,
+      ...analysisParams
+    } = req.input.body;
+
+    if ([repos, org, user].filter(Boolean).length !== 1) {
+      throw new ValidationError(
+        "Please provide exactly one of repos, org or user"
+      );
+    }
 
-    // Track creation date clustering
-    const creationDate = createdAt.toISOString().split("T")[0];
-    analysis.patterns.suspiciousCreationDates[creationDate] =
-      (analysis.patterns.suspiciousCreationDates[creationDate] || 0) + 1;
+    let targets;
+    if (repos) {
+      const parsed = repos.map(parseRepoRef);
+      const details = repos
+        .map((ref, index) => ({
+          field: `body.repos[${index}]`,
+          message: `${ref} is not a GitHub repository URL or owner/repo name`,
+        }))
+        .filter((detail, index) => !parsed[index]);
+      if (details.length > 0) {
+        throw new ValidationError("Invalid repository references", details);
+      }
 
-    // Apply fake detection algorithm
-    const isFake = validateStar(user);
-    if (isFake) {
-      analysis.patterns.fakeStars++;
+      const seen = new Set();
+      targets = parsed
+        .filter(({ owner, repo }) => {
+          const key = `${owner}/${repo}`.toLowerCase();
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map(({ owner, repo }) => ({ repoOwner: owner, repoName: repo }));
+
+      if (targets.length > maxRepos) {
+        throw new ValidationError(
+          `A batch can contain at most ${maxRepos} repositories`
+        );
+      }
     } else {
-      analysis.patterns.realStars++;
+      targets = await expandOwnerRepos(
+        { org, user },
+        { maxRepos, includeForks }
+      );
+      if (targets.length === 0) {
+        throw new NotFoundError("No repositories found");
+      }
     }
 
-    // Build timeline
-    analysis.timeline.push({
-      date: starredAt.toISOString().split("T")[0],
-      user: user.login,
-      isFake: isFake,
-      accountAge: Math.round(accountAge),
-      followers: user.followers,
-      repos: user.public_repos,
+    const params = {
+      source: repos ? "repos" : org ? `org:${org}` : `user:${user}`,
+      repos: targets.map((t) => `${t.repoOwner}/${t.repoName}`),
+      ...analysisParams,
+    };
+
+    // Repos that failed or were skipped do not count against the quota
+    const refund = await auth.consumeAnalysisQuota(req.client, {
+      ...analysisParams,
+      count: targets.length,
     });
-  });
+    const task = async (onProgress) => {
+      let result;
+      try {
+        result = await runBatch(targets, analysisParams, {
+          runAnalysis,
+          onProgress,
+        });
+      } catch (error) {
+        await refund();
+        throw error;
+      }
+      await refund(result.totals.repos - result.totals.completed);
+      return result;
+    };
+
+    if (runAsync) {
+      const job = createJob(params, "batch");
+      runJob(job, task);
 
-  // Detect coordinated starring
-  Object.entries(starsByMinute).forEach(([minute, count]) => {
-    if (count > 3) {
-      analysis.patterns.coordinated += count;
-      analysis.patterns.suspiciousTimeWindows.push({
-        time: minute,
-        count: count,
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        repos: params.repos,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`,
       });
     }
-  });
-
-  // Calculate suspicion score
-  analysis.suspicionScore = calculateAdvancedSuspicionScore(analysis, repoInfo);
 
-  // Generate suspicion indicators
-  analysis.suspicionIndicators = generateAdvancedSuspicionIndicators(
-    analysis,
-    repoInfo
-  );
+    res.json(await task(logProgress));
+  }
+);
 
-  return analysis;
+// Job by ID from validated route params
+function findJob(req) {
+  const job = getJob(req.input.params.id);
+  if (!job) throw new NotFoundError("Job not found or expired");
+  return job;
 }
 
-// Enhanced suspicion score calculation
-function calculateAdvancedSuspicionScore(analysis, repoInfo) {
-  let score = 0;
-  const { patterns } = analysis;
+// Get analysis job status
+app.get("/jobs/:id", validateRequest({ params: ID_PARAMS }), (req, res) => {
+  res.json(serializeJob(findJob(req)));
+});
 
-  // Repository velocity
-  const repoAge =
-    (new Date() - new Date(repoInfo.created_at)) / (1000 * 60 * 60 * 24);
-  const starsPerDay = repoInfo.stargazers_count / Math.max(repoAge, 1);
+// Stream analysis job progress as server-sent events
+app.get(
+  "/jobs/:id/events",
+  validateRequest({ params: ID_PARAMS }),
+  (req, res) => {
+    const job = findJob(req);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
 
-  if (starsPerDay > 1000) score += 35;
-  else if (starsPerDay > 500) score += 30;
-  else if (starsPerDay > 100) score += 20;
-  else if (starsPerDay > 50) score += 10;
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-  // Advanced patterns (only if we have detailed sample)
-  if (analysis.detailedSample > 0) {
-    const sameDayRatio = patterns.sameDayPattern / analysis.detailedSample;
-    score += sameDayRatio * 40;
+    const snapshot = serializeJob(job);
+    if (job.status === "completed" || job.status === "failed") {
+      send(job.status, snapshot);
+      return res.end();
+    }
 
-    const fakeRatio = patterns.fakeStars / analysis.detailedSample;
-    score += fakeRatio * 35;
+    send("progress", snapshot);
 
-    const lowEngagementRatio = patterns.lowEngagement / analysis.detailedSample;
-    score += lowEngagementRatio * 20;
+    const onProgress = (data) => send("progress", data);
+    const onFinished = (event) => (data) => {
+      send(event, data);
+      res.end();
+    };
+    const onCompleted = onFinished("completed");
+    const onFailed = onFinished("failed");
+
+    job.events.on("progress", onProgress);
+    job.events.once("completed", onCompleted);
+    job.events.once("failed", onFailed);
 
-    const newAccountRatio = patterns.newAccounts / analysis.detailedSample;
-    score += newAccountRatio * 15;
+    req.on("close", () => {
+      job.events.off("progress", onProgress);
+      job.events.off("completed", onCompleted);
+      job.events.off("failed", onFailed);
+    });
   }
+);
 
-  // Basic patterns
-  const genericRatio = patterns.genericUsernames / analysis.analyzedSample;
-  score += genericRatio * 15;
+// Get repository basic info only
+app.get(
+  "/repo/:owner/:repo",
+  auth.requireApiKey,
+  validateRequest({ params: REPO_PARAMS }),
+  async (req, res) => {
+    const { owner, repo } = req.input.params;
+    const repoInfo = await auth.withAnalysisQuota(req.client, {}, () =>
+      fetchRepoInfo(owner, repo)
+    );
+    res.json(repositoryView(repoInfo));
+  }
+);
 
-  const botRatio = patterns.botLikeNames / analysis.analyzedSample;
-  score += botRatio * 20;
+// Star history time series with flagged bursts
+app.get(
+  "/repo/:owner/:repo/star-history",
+  auth.requireApiKey,
+  validateRequest({ params: REPO_PARAMS, query: STAR_HISTORY_QUERY }),
+  async (req, res) => {
+    const { owner, repo } = req.input.params;
+    const { interval, maxStars, threshold } = req.input.query;
+    const window = req.input.query.window || INTERVALS[interval].window;
+
+    // Counts as one analysis, within the key's maxStars cap
+    const { repoInfo, stargazers, coverage } = await auth.withAnalysisQuota(
+      req.client,
+      { maxStars },
+      async () => {
+        const repoInfo = await fetchRepoInfo(owner, repo);
+        const crawl = await crawlStargazers(owner, repo, maxStars, {
+          storage,
+          onProgress: logProgress,
+          totalStars: repoInfo.stargazers_count,
+        });
+        return { repoInfo, ...crawl };
+      }
+    );
 
-  // Coordinated starring
-  if (patterns.coordinated > 10) {
-    score += 25;
-  } else if (patterns.coordinated > 5) {
-    score += 15;
-  }
+    const series = buildStarSeries(stargazers, interval);
+    const bursts = detectBursts(series, { interval, window, threshold });
 
-  // Fork engagement
-  const forkRatio =
-    repoInfo.forks_count / Math.max(repoInfo.stargazers_count, 1);
-  if (forkRatio < 0.005 && repoInfo.stargazers_count > 1000) {
-    score += 20;
+    res.json({
+      repository: repoInfo.full_name,
+      interval,
+      window,
+      threshold,
+      coverage,
+      series,
+      bursts,
+    });
   }
+);
 
-  // Creation date clustering
-  const maxSameDayCreations = Math.max(
-    ...Object.values(patterns.suspiciousCreationDates),
-    0
-  );
-  if (maxSameDayCreations > 10) {
-    score += 15;
-  } else if (maxSameDayCreations > 5) {
-    score += 10;
+// Score and key pattern ratios of a repo's stored analyses, oldest first
+app.get(
+  "/repo/:owner/:repo/history",
+  validateRequest({ params: REPO_PARAMS, query: HISTORY_QUERY }),
+  async (req, res) => {
+    const { owner, repo } = req.input.params;
+    const { limit } = req.input.query;
+
+    const rows = await storage.listAnalysisResults(owner, repo, { limit });
+
+    if (rows.length === 0) {
+      throw new NotFoundError("No stored analyses for this repository");
+    }
+
+    res.json({
+      repository: `${owner}/${repo}`,
+      ...buildHistory(rows),
+    });
   }
+);
 
-  return Math.min(Math.round(score), 100);
-}
+// Basic analyses started by badge requests, by lowercased "owner/repo"
+const badgeJobs = new Map();
 
-// Enhanced suspicion indicators
-function generateAdvancedSuspicionIndicators(analysis, repoInfo) {
-  const indicators = [];
-  const { patterns } = analysis;
+// Embeddable SVG badge with the score of the repo's latest result. Without
+// a recent one it reads "not analyzed"; ?analyze=true starts a basic analysis.
+app.get(
+  "/badge/:owner/:repo.svg",
+  validateRequest({ params: REPO_PARAMS, query: BADGE_QUERY }),
+  async (req, res) => {
+    const { owner, repo } = req.input.params;
+    res.type("image/svg+xml");
 
-  const repoAge =
-    (new Date() - new Date(repoInfo.created_at)) / (1000 * 60 * 60 * 24);
-  const starsPerDay = repoInfo.stargazers_count / Math.max(repoAge, 1);
+    try {
+      const row = await storage.findLatestAnalysisResult(owner, repo);
+      const isFresh =
+        row &&
+        Date.now() - new Date(row.created_at).getTime() < badges.maxAgeMs;
+
+      if (isFresh) {
+        res.set({
+          "Cache-Control": `public, max-age=${BADGE_CACHE_SECONDS}`,
+          "Last-Modified": new Date(row.created_at).toUTCString(),
+        });
+        return res.send(
+          renderBadge(scoreBadge(row.analysis_data.suspicionScore))
+        );
+      }
 
-  if (starsPerDay > 500) {
-    indicators.push(
-      `Extremely high star velocity: ${starsPerDay.toFixed(1)} stars/day`
-    );
-  } else if (starsPerDay > 100) {
-    indicators.push(
-      `Very high star velocity: ${starsPerDay.toFixed(1)} stars/day`
-    );
-  }
+      const key = `${owner}/${repo}`.toLowerCase();
+      let job = badgeJobs.get(key);
+      if (job && ["completed", "failed"].includes(job.status)) {
+        badgeJobs.delete(key);
+        job = null;
+      }
 
-  if (analysis.detailedSample > 0) {
-    const sameDayRatio =
-      (patterns.sameDayPattern / analysis.detailedSample) * 100;
-    if (sameDayRatio > 20) {
-      indicators.push(
-        `High same-day pattern: ${sameDayRatio.toFixed(
-          1
-        )}% of users created account, starred, and last updated on same day`
-      );
-    }
+      // Anonymous badge requests cannot spend quota once keys are required
+      if (!job && req.input.query.analyze && !auth.required) {
+        const params = {
+          repoOwner: owner,
+          repoName: repo,
+          deepAnalysis: false,
+          maxStars: DEFAULT_MAX_STARS,
+          maxUsers: DEFAULT_MAX_USERS,
+        };
+        job = createJob(params);
+        badgeJobs.set(key, job);
+        runJob(job, (onProgress) => runAnalysis(params, onProgress));
+      }
 
-    const fakeRatio = (patterns.fakeStars / analysis.detailedSample) * 100;
-    if (fakeRatio > 30) {
-      indicators.push(
-        `High fake star ratio: ${fakeRatio.toFixed(
-          1
-        )}% of analyzed users match fake profile criteria`
+      res.set(
+        "Cache-Control",
+        `public, max-age=${PENDING_BADGE_CACHE_SECONDS}`
       );
+      res.send(renderBadge(pendingBadge(Boolean(job))));
+    } catch (error) {
+      // Keep answering with an image so embedding pages do not break
+      console.error("Error rendering badge:", error);
+      res.set("Cache-Control", "no-cache");
+      res.status(500).send(renderBadge(pendingBadge(false)));
     }
+  }
+);
 
-    const lowEngagementRatio =
-      (patterns.lowEngagement / analysis.detailedSample) * 100;
-    if (lowEngagementRatio > 50) {
-      indicators.push(
-        `Low engagement accounts: ${lowEngagementRatio.toFixed(
-          1
-        )}% have <2 followers and <2 following`
-      );
-    }
+// Export format from ?format=, otherwise from the Accept header (JSON when
+// nothing else is asked for)
+function resultFormat(req) {
+  if (req.input.query.format) return req.input.query.format;
 
-    const newAccountRatio =
-      (patterns.newAccounts / analysis.detailedSample) * 100;
-    if (newAccountRatio > 30) {
-      indicators.push(
-        `Many new accounts: ${newAccountRatio.toFixed(
-          1
-        )}% created within last 30 days`
-      );
+  const types = Object.values(EXPORT_FORMATS);
+  const accepted = req.accepts(types);
+  return (
+    Object.keys(EXPORT_FORMATS).find((f) => EXPORT_FORMATS[f] === accepted) ||
+    "json"
+  );
+}
+
+// Stored result by ID, or a NotFoundError
+async function findResult(id) {
+  const data = await storage.getAnalysisResult(id);
+  if (!data) throw new NotFoundError("Analysis result not found or expired");
+  return data;
+}
+
+// Get analysis result by ID
+app.get(
+  "/results/:id",
+  validateRequest({ params: ID_PARAMS, query: RESULT_QUERY }),
+  async (req, res) => {
+    const data = await findResult(req.input.params.id);
+    const format = resultFormat(req);
+
+    if (format === "json") {
+      return res.json({
+        id: data.id,
+        repository: data.repository_data,
+        analysis: data.analysis_data,
+        createdAt: data.created_at,
+        shareUrl: `${process.env.FRONTEND_URL}/results/${data.id}`,
+      });
     }
-  }
 
-  if (patterns.coordinated > 5) {
-    indicators.push(
-      `Coordinated starring detected: ${patterns.coordinated} stars within same minute windows`
+    let body;
+    if (format === "csv") body = toCsv(data.analysis_data);
+    else if (format === "ndjson") body = toNdjson(data.analysis_data);
+    else if (format === "html") body = toHtml(data);
+    else body = await toPdf(data);
+
+    // The HTML report opens in the browser, everything else downloads.
+    // The type is set last: attachment() would guess one from the file
+    // extension, and Express knows no type for .ndjson.
+    if (format !== "html") {
+      res.attachment(exportFilename(data, format));
+    }
+    res.set(
+      "Content-Type",
+      format === "pdf"
+        ? EXPORT_FORMATS.pdf
+        : `${EXPORT_FORMATS[format]}; charset=utf-8`
     );
+    res.send(body);
   }
+);
 
-  const genericRatio =
-    (patterns.genericUsernames / analysis.analyzedSample) * 100;
-  if (genericRatio > 15) {
-    indicators.push(`High generic username ratio: ${genericRatio.toFixed(1)}%`);
-  }
+// Logins an analysis flagged: non-real verdicts plus suspicious usernames
+function suspiciousLoginsOf(analysis) {
+  return [
+    ...new Set([
+      ...(analysis.accounts || [])
+        .filter((account) => account.verdict !== "likely-real")
+        .map((account) => account.login.toLowerCase()),
+      ...(analysis.patterns.genericUsernamesList || []),
+      ...(analysis.patterns.botLikeNamesList || []),
+    ]),
+  ];
+}
 
-  const botRatio = (patterns.botLikeNames / analysis.analyzedSample) * 100;
-  if (botRatio > 10) {
-    indicators.push(`Bot-like usernames detected: ${botRatio.toFixed(1)}%`);
+// Compare a result with a later (or earlier) result of the same repo
+app.get(
+  "/results/:id/diff/:otherId",
+  validateRequest({ params: DIFF_PARAMS }),
+  async (req, res) => {
+    const [from, to] = await Promise.all([
+      findResult(req.input.params.id),
+      findResult(req.input.params.otherId),
+    ]);
+
+    if (
+      from.repo_owner.toLowerCase() !== to.repo_owner.toLowerCase() ||
+      from.repo_name.toLowerCase() !== to.repo_name.toLowerCase()
+    ) {
+      throw new UnprocessableError("Results belong to different repositories", {
+        repositories: [
+          `${from.repo_owner}/${from.repo_name}`,
+          `${to.repo_owner}/${to.repo_name}`,
+        ],
+      });
+    }
+
+    res.json({
+      repository: `${from.repo_owner}/${from.repo_name}`,
+      ...diffResults(from, to),
+    });
   }
+);
 
-  const forkRatio = (repoInfo.forks_count / repoInfo.stargazers_count) * 100;
-  if (forkRatio < 0.5 && repoInfo.stargazers_count > 1000) {
-    indicators.push(
-      `Very low fork engagement: ${forkRatio.toFixed(2)}% fork-to-star ratio`
+// Suspicious stargazers of a result that also starred other analyzed repos,
+// plus suspected star-farm rings among the result's accounts. Only accounts
+// the stored result holds are checked, not the repo's current stargazers.
+app.get(
+  "/results/:id/overlap",
+  validateRequest({ params: ID_PARAMS, query: OVERLAP_QUERY }),
+  async (req, res) => {
+    const { windowMinutes, minGroup } = req.input.query;
+    const data = await findResult(req.input.params.id);
+
+    const repo = `${data.repo_owner}/${data.repo_name}`;
+    const indexKey = repo.toLowerCase();
+    const suspiciousLogins = suspiciousLoginsOf(data.analysis_data);
+
+    const starTimes = new Map(suspiciousLogins.map((login) => [login, null]));
+    (data.analysis_data.accounts || []).forEach((account) =>
+      starTimes.set(account.login.toLowerCase(), account.starredAt || null)
     );
+    const rows = rowsForResult(
+      indexKey,
+      starTimes,
+      await storage.findStargazerIndex({ logins: [...starTimes.keys()] })
+    );
+
+    res.json({
+      id: data.id,
+      repository: repo,
+      windowMinutes,
+      ...findCrossRepoOverlap(indexKey, suspiciousLogins, rows, {
+        windowMinutes,
+        minGroup,
+      }),
+      rings: detectRings(rows, { suspiciousLogins }),
+    });
   }
+);
 
-  const maxSameDayCreations = Math.max(
-    ...Object.values(patterns.suspiciousCreationDates),
-    0
-  );
-  if (maxSameDayCreations > 5) {
-    indicators.push(
-      `Account creation clustering: ${maxSameDayCreations} accounts created on same day`
-    );
+// Page through the per-account verdicts of an analysis result
+app.get(
+  "/results/:id/accounts",
+  validateRequest({ params: ID_PARAMS, query: ACCOUNTS_QUERY }),
+  async (req, res) => {
+    const { verdict, page, perPage } = req.input.query;
+    const data = await findResult(req.input.params.id);
+
+    const accounts = data.analysis_data.accounts;
+    if (!accounts) {
+      throw new UnprocessableError(
+        "Analysis result has no per-account verdicts (basic analysis)"
+      );
+    }
+
+    const verdicts = Object.keys(data.analysis_data.accountVerdicts || {});
+    if (verdict && !verdicts.includes(verdict)) {
+      throw new ValidationError(
+        `verdict must be one of: ${verdicts.join(", ")}`,
+        [
+          {
+            field: "query.verdict",
+            message: `must be one of: ${verdicts.join(", ")}`,
+          },
+        ]
+      );
+    }
+
+    res.json({
+      id: data.id,
+      verdicts: data.analysis_data.accountVerdicts,
+      ...pageAccounts(accounts, { verdict, page, perPage }),
+    });
   }
+);
 
-  return indicators;
+// Public view of a watch
+function watchView(watch) {
+  return {
+    id: watch.id,
+    repository: `${watch.repo_owner}/${watch.repo_name}`,
+    schedule: watch.schedule,
+    intervalMinutes: watch.interval_minutes,
+    threshold: watch.threshold,
+    deepAnalysis: watch.deep_analysis,
+    maxStars: watch.max_stars,
+    maxUsers: watch.max_users,
+    enabled: watch.enabled,
+    lastRunAt: watch.last_run_at || null,
+    nextRunAt: watch.next_run_at || null,
+    lastResultId: watch.last_result_id || null,
+    lastScore: watch.last_snapshot?.score ?? null,
+    lastError: watch.last_error || null,
+    createdAt: watch.created_at,
+  };
 }
 
-// Basic analysis fallback
-async function analyzeBasicPatterns(stargazers, repoInfo) {
-  const analysis = {
-    totalStars: repoInfo.stargazers_count,
-    analyzedSample: stargazers.length,
-    patterns: {
-      genericUsernames: 0,
-      genericUsernamesList: [], // Added to track generic usernames
-      botLikeNames: 0,
-      botLikeNamesList: [], // Added to track bot-like names
-      suspiciousCreationDates: {},
-    },
-    suspicionIndicators: [],
-    suspicionScore: 0,
+// Public view of a webhook; the secret is only returned when it is created
+function webhookView(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    enabled: webhook.enabled,
+    lastDeliveryAt: webhook.last_delivery_at || null,
+    lastDeliveryStatus: webhook.last_delivery_status ?? null,
+    lastDeliveryError: webhook.last_delivery_error || null,
+    createdAt: webhook.created_at,
   };
+}
 
-  // Basic pattern analysis
-  stargazers.forEach((stargazer) => {
-    const username = stargazer.user.login.toLowerCase();
-
-    if (isGenericUsername(username)) {
-      analysis.patterns.genericUsernames++;
-      analysis.patterns.genericUsernamesList.push(username);
-    }
+// Validated watch settings as storage columns; only keys present in the
+// body are set
+function parseWatchFields(body) {
+  const fields = {};
 
-    if (isBotLikeName(username)) {
-      analysis.patterns.botLikeNames++;
-      analysis.patterns.botLikeNamesList.push(username);
+  if (body.schedule !== undefined) {
+    const interval = parseSchedule(body.schedule);
+    if (!interval || interval < MIN_INTERVAL_MINUTES) {
+      throw new ValidationError("Invalid schedule", [
+        {
+          field: "body.schedule",
+          message: `must be @hourly, @daily, @weekly or an interval like 30m, 6h or 2d (at least ${MIN_INTERVAL_MINUTES}m)`,
+        },
+      ]);
     }
-  });
+    fields.schedule = body.schedule;
+    fields.interval_minutes = interval;
+  }
 
-  // Basic suspicion score
-  const repoAge =
-    (new Date() - new Date(repoInfo.created_at)) / (1000 * 60 * 60 * 24);
-  const starsPerDay = repoInfo.stargazers_count / Math.max(repoAge, 1);
+  if (body.threshold !== undefined) fields.threshold = body.threshold;
+  if (body.deepAnalysis !== undefined) {
+    fields.deep_analysis = body.deepAnalysis;
+  }
+  if (body.maxStars !== undefined) fields.max_stars = body.maxStars;
+  if (body.maxUsers !== undefined) fields.max_users = body.maxUsers;
+  if (body.enabled !== undefined) fields.enabled = body.enabled;
 
-  let score = 0;
-  if (starsPerDay > 500) score += 30;
-  else if (starsPerDay > 100) score += 20;
-  else if (starsPerDay > 50) score += 10;
+  return fields;
+}
 
-  const genericRatio =
-    analysis.patterns.genericUsernames / analysis.analyzedSample;
-  score += genericRatio * 20;
+// Watch by ID from validated route params
+async function findWatch(req) {
+  const watch = await storage.getWatch(req.input.params.id);
+  if (!watch) throw new NotFoundError("Watch not found");
+  return watch;
+}
 
-  const botRatio = analysis.patterns.botLikeNames / analysis.analyzedSample;
-  score += botRatio * 25;
+// Watch a repository: re-analyze it on a schedule and alert webhooks
+app.post(
+  "/watches",
+  auth.requireAdmin,
+  validateRequest({ body: WATCH_BODY }),
+  async (req, res) => {
+    const { repoUrl, owner, repo, ...settings } = req.input.body;
+    const { repoOwner, repoName } = repoFromBody({ repoUrl, owner, repo });
+
+    const fields = parseWatchFields({
+      schedule: DEFAULT_SCHEDULE,
+      threshold: DEFAULT_THRESHOLD,
+      deepAnalysis: true,
+      maxStars: DEFAULT_MAX_STARS,
+      maxUsers: DEFAULT_MAX_USERS,
+      enabled: true,
+      ...settings,
+    });
 
-  analysis.suspicionScore = Math.min(Math.round(score), 100);
+    const watch = await storage.insertWatch({
+      repo_owner: repoOwner,
+      repo_name: repoName,
+      ...fields,
+      // Due right away so the first run sets the baseline
+      next_run_at: new Date().toISOString(),
+      last_run_at: null,
+      last_result_id: null,
+      last_snapshot: null,
+      last_error: null,
+    });
 
-  // Basic indicators
-  if (starsPerDay > 100) {
-    analysis.suspicionIndicators.push(
-      `High star velocity: ${starsPerDay.toFixed(1)} stars/day`
-    );
+    res.status(201).json(watchView(watch));
   }
+);
 
-  if (genericRatio > 0.1) {
-    analysis.suspicionIndicators.push(
-      `Generic usernames: ${(genericRatio * 100).toFixed(1)}%`
-    );
-  }
+app.get("/watches", auth.requireAdmin, async (req, res) => {
+  const watches = await storage.listWatches();
+  res.json({ watches: watches.map(watchView) });
+});
 
-  if (botRatio > 0.05) {
-    analysis.suspicionIndicators.push(
-      `Bot-like usernames: ${(botRatio * 100).toFixed(1)}%`
-    );
+app.get(
+  "/watches/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    res.json(watchView(await findWatch(req)));
   }
+);
 
-  return analysis;
-}
+app.patch(
+  "/watches/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS, body: WATCH_FIELDS }),
+  async (req, res) => {
+    const watch = await findWatch(req);
+    const fields = parseWatchFields(req.input.body);
+
+    // A new schedule counts from the last run
+    if (fields.interval_minutes && watch.last_run_at) {
+      fields.next_run_at = new Date(
+        new Date(watch.last_run_at).getTime() + fields.interval_minutes * 60000
+      ).toISOString();
+    }
 
-// Routes
-app.get("/", (req, res) => {
-  res.json({
-    name: "GitHub Star Analyzer API - Professional Edition",
-    version: "2.0.0",
-    status: "running",
-    features: [
-      "Advanced fake star detection",
-      "Same-day pattern analysis",
-      "Deep user profiling",
-      "Coordinated starring detection",
-    ],
-    endpoints: {
-      health: "GET /health",
-      analyze: "POST /analyze",
-      repo: "GET /repo/:owner/:repo",
-    },
-  });
-});
+    res.json(watchView(await storage.updateWatch(watch.id, fields)));
+  }
+);
 
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    environment: process.env.NODE_ENV || "development",
-    features: {
-      advancedAnalysis: true,
-      deepUserProfiling: true,
-      rateLimitHandling: true,
-    },
-    rateLimit: {
-      estimated: GITHUB_TOKEN ? "5000/hour" : "60/hour",
-    },
-  });
-});
+app.delete(
+  "/watches/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    const deleted = await storage.deleteWatch(req.input.params.id);
+    if (!deleted) throw new NotFoundError("Watch not found");
+    res.status(204).end();
+  }
+);
 
-// Main analysis endpoint
-app.post("/analyze", async (req, res) => {
-  const startTime = Date.now();
+// Run a watch now instead of waiting for its schedule
+app.post(
+  "/watches/:id/run",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    const watch = await findWatch(req);
 
-  try {
     const {
-      repoUrl,
-      owner,
-      repo,
-      deepAnalysis = true,
-      maxStars = 5000,
-      maxUsers = 200,
-    } = req.body;
+      watch: updated,
+      resultId,
+      events,
+      error,
+    } = await monitor.runWatch(watch);
+    if (error) throw toApiError(error);
 
-    let repoOwner, repoName;
+    res.json({
+      watch: watchView(updated),
+      resultId,
+      events: events.map((e) => e.event),
+    });
+  }
+);
 
-    if (repoUrl) {
-      const parsed = parseGitHubUrl(repoUrl);
-      if (!parsed) {
-        return res.status(400).json({ error: "Invalid GitHub URL" });
-      }
-      repoOwner = parsed.owner;
-      repoName = parsed.repo;
-    } else if (owner && repo) {
-      repoOwner = owner;
-      repoName = repo;
-    } else {
-      return res.status(400).json({
-        error: "Please provide either repoUrl or both owner and repo",
-      });
-    }
+// Validated webhook settings as storage columns
+function parseWebhookFields(body) {
+  const fields = {};
 
-    // Check if we already have a recent analysis for this repo
-    const { data: existingAnalysis, error: searchError } = await supabase
-      .from("analysis_results")
-      .select("*")
-      .eq("repo_owner", repoOwner)
-      .eq("repo_name", repoName)
-      .gt("expires_at", new Date().toISOString())
-      .order("created_at", { ascending: false })
-      .single();
-
-    if (searchError && searchError.code !== "PGRST116") {
-      // PGRST116 is "no rows returned"
-      console.error("Error searching for existing analysis:", searchError);
+  if (body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      url = null;
     }
-
-    // If we have a recent analysis with same or higher sample size and same analysis type, return it
-    if (existingAnalysis) {
-      const existingAnalysisData = existingAnalysis.analysis_data;
-      const existingIsAdvanced = existingAnalysisData.detailedSample > 0;
-      const requestedIsAdvanced = deepAnalysis;
-
-      // Check if analysis type matches and sample size is sufficient
-      if (
-        existingIsAdvanced === requestedIsAdvanced &&
-        existingAnalysisData.analyzedSample >= maxStars
-      ) {
-        console.log(
-          `Returning existing ${
-            requestedIsAdvanced ? "advanced" : "basic"
-          } analysis for ${repoOwner}/${repoName}`
-        );
-        return res.json({
-          id: existingAnalysis.id,
-          repository: existingAnalysis.repository_data,
-          analysis: existingAnalysisData,
-          shareUrl: `${process.env.FRONTEND_URL}/results/${existingAnalysis.id}`,
-          metadata: {
-            analyzedAt: existingAnalysis.created_at,
-            analysisType: existingIsAdvanced ? "advanced" : "basic",
-            sampleSize: existingAnalysisData.analyzedSample,
-            detailedSample: existingAnalysisData.detailedSample || 0,
-            fromCache: true,
-          },
-        });
-      } else {
-        console.log(
-          `Found existing analysis but ${
-            existingIsAdvanced !== requestedIsAdvanced
-              ? "analysis type differs"
-              : "sample size too small"
-          }. Performing new analysis.`
-        );
-      }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw new ValidationError("Invalid webhook URL", [
+        { field: "body.url", message: "must be an http or https URL" },
+      ]);
     }
+    fields.url = url.toString();
+  }
 
-    console.log(
-      `Starting ${
-        deepAnalysis ? "advanced" : "basic"
-      } analysis for ${repoOwner}/${repoName}`
-    );
+  if (body.events !== undefined) fields.events = body.events;
+  if (body.enabled !== undefined) fields.enabled = body.enabled;
 
-    // If no recent analysis found or sample size is smaller, perform new analysis
-    const repoInfo = await fetchRepoInfo(repoOwner, repoName);
+  return fields;
+}
 
-    // Fetch stargazers with timestamps
-    const stargazers = await fetchAllStargazersWithDates(
-      repoOwner,
-      repoName,
-      maxStars
-    );
+// Webhook by ID from validated route params
+async function findWebhook(req) {
+  const webhook = await storage.getWebhook(req.input.params.id);
+  if (!webhook) throw new NotFoundError("Webhook not found");
+  return webhook;
+}
 
-    let analysis;
+// Register a webhook; payloads are signed with its secret
+app.post(
+  "/webhooks",
+  auth.requireAdmin,
+  validateRequest({ body: WEBHOOK_BODY }),
+  async (req, res) => {
+    const { secret: givenSecret, ...settings } = req.input.body;
+    const fields = parseWebhookFields({
+      events: WATCH_EVENTS,
+      enabled: true,
+      ...settings,
+    });
+    const secret = givenSecret || crypto.randomBytes(32).toString("hex");
 
-    if (deepAnalysis && stargazers.length > 0) {
-      // Fetch detailed user information for advanced analysis
-      const detailedUsers = await fetchDetailedUserInfo(stargazers, maxUsers);
+    const webhook = await storage.insertWebhook({ ...fields, secret });
+    res.status(201).json({ ...webhookView(webhook), secret });
+  }
+);
 
-      // Run advanced pattern analysis
-      analysis = analyzeAdvancedPatterns(stargazers, detailedUsers, repoInfo);
-    } else {
-      // Fallback to basic analysis
-      analysis = await analyzeBasicPatterns(stargazers, repoInfo);
-    }
+app.get("/webhooks", auth.requireAdmin, async (req, res) => {
+  const webhooks = await storage.listWebhooks();
+  res.json({ webhooks: webhooks.map(webhookView) });
+});
 
-    const processingTime = Date.now() - startTime;
+app.get(
+  "/webhooks/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    res.json(webhookView(await findWebhook(req)));
+  }
+);
 
-    console.log(
-      `Analysis complete. Suspicion score: ${analysis.suspicionScore} (${processingTime}ms)`
-    );
+app.patch(
+  "/webhooks/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS, body: WEBHOOK_FIELDS }),
+  async (req, res) => {
+    const webhook = await findWebhook(req);
+    const fields = parseWebhookFields(req.input.body);
+    res.json(webhookView(await storage.updateWebhook(webhook.id, fields)));
+  }
+);
 
-    // Save result to database
-    const resultId = await saveAnalysisResult(
-      repoOwner,
-      repoName,
-      `https://github.com/${repoOwner}/${repoName}`,
-      analysis,
-      repoInfo
-    );
+app.delete(
+  "/webhooks/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    const deleted = await storage.deleteWebhook(req.input.params.id);
+    if (!deleted) throw new NotFoundError("Webhook not found");
+    res.status(204).end();
+  }
+);
 
-    const response = {
-      id: resultId,
-      repository: {
-        fullName: repoInfo.full_name,
-        stars: repoInfo.stargazers_count,
-        forks: repoInfo.forks_count,
-        createdAt: repoInfo.created_at,
-        language: repoInfo.language,
-        description: repoInfo.description,
-        openIssues: repoInfo.open_issues_count || 0,
-        watchers: repoInfo.watchers_count || 0,
-      },
-      analysis: analysis,
-      shareUrl: `${process.env.FRONTEND_URL}/results/${resultId}`,
-      metadata: {
-        analyzedAt: new Date().toISOString(),
-        analysisType: deepAnalysis ? "advanced" : "basic",
-        sampleSize: stargazers.length,
-        detailedSample: analysis.detailedSample || 0,
-        processingTime: processingTime,
-      },
-    };
+// Quota fields of an API key, as accepted by POST /admin/keys
+const KEY_QUOTA_FIELDS = {
+  analysesPerDay: "analyses_per_day",
+  deepAnalysesPerDay: "deep_analyses_per_day",
+  maxStars: "max_stars",
+  maxUsers: "max_users",
+  requestsPerMinute: "requests_per_minute",
+};
+
+// Public view of an API key; the key itself is only returned when issued
+function apiKeyView(key) {
+  const quotas = {};
+  Object.entries(KEY_QUOTA_FIELDS).forEach(([field, column]) => {
+    quotas[field] = key[column];
+  });
 
-    res.json(response);
-  } catch (error) {
-    console.error("Analysis error:", error);
-    res.status(500).json({
-      error: error.message || "Internal server error",
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.key_prefix,
+    quotas,
+    createdAt: key.created_at,
+    lastUsedAt: key.last_used_at || null,
+    revokedAt: key.revoked_at || null,
+  };
+}
+
+// API key by ID from validated route params
+async function findApiKey(req) {
+  const key = await storage.getApiKey(req.input.params.id);
+  if (!key) throw new NotFoundError("API key not found");
+  return key;
+}
+
+// Issue an API key. Quotas left out of the body get DEFAULT_KEY_QUOTAS;
+// null means unlimited.
+app.post(
+  "/admin/keys",
+  auth.requireAdmin,
+  validateRequest({ body: API_KEY_BODY }),
+  async (req, res) => {
+    const { name, ...quotas } = req.input.body;
+    if (!name.trim()) {
+      throw new ValidationError("name must not be empty", [
+        { field: "body.name", message: "must not be empty" },
+      ]);
+    }
+
+    const fields = { ...DEFAULT_KEY_QUOTAS };
+    Object.entries(quotas).forEach(([field, value]) => {
+      fields[KEY_QUOTA_FIELDS[field]] = value;
+    });
+
+    const key = generateKey();
+    const row = await storage.insertApiKey({
+      name: name.trim(),
+      key_hash: hashKey(key),
+      key_prefix: key.slice(0, 12),
+      ...fields,
+      last_used_at: null,
+      revoked_at: null,
     });
+
+    res.status(201).json({ ...apiKeyView(row), key });
   }
+);
+
+app.get("/admin/keys", auth.requireAdmin, async (req, res) => {
+  const keys = await storage.listApiKeys();
+  res.json({ keys: keys.map(apiKeyView) });
 });
 
-// Get repository basic info only
-app.get("/repo/:owner/:repo", async (req, res) => {
-  try {
-    const { owner, repo } = req.params;
-    const repoInfo = await fetchRepoInfo(owner, repo);
+// One key with today's usage
+app.get(
+  "/admin/keys/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    const key = await findApiKey(req);
 
+    const day = usageDay();
+    const usage = await storage.getApiKeyUsage(key.id, day);
     res.json({
-      fullName: repoInfo.full_name,
-      stars: repoInfo.stargazers_count,
-      forks: repoInfo.forks_count,
-      createdAt: repoInfo.created_at,
-      language: repoInfo.language,
-      description: repoInfo.description,
+      ...apiKeyView(key),
+      usage: {
+        day,
+        analyses: usage?.analyses || 0,
+        deepAnalyses: usage?.deep_analyses || 0,
+      },
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
+);
+
+// Revoke a key; it stays listed with its revocation time
+app.delete(
+  "/admin/keys/:id",
+  auth.requireAdmin,
+  validateRequest({ params: ID_PARAMS }),
+  async (req, res) => {
+    const key = await findApiKey(req);
+
+    const revoked = key.revoked_at
+      ? key
+      : await storage.updateApiKey(key.id, {
+          revoked_at: new Date().toISOString(),
+        });
+    res.json(apiKeyView(revoked));
+  }
+);
+
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
 });
 
-// Get analysis result by ID
-app.get("/results/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from("analysis_results")
-      .select("*")
-      .eq("id", id)
-      .gt("expires_at", new Date().toISOString())
-      .single();
-
-    if (error || !data) {
-      return res
-        .status(404)
-        .json({ error: "Analysis result not found or expired" });
-    }
+// Every error is answered as { error: { code, message, details } }
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
 
-    res.json({
-      id: data.id,
-      repository: data.repository_data,
-      analysis: data.analysis_data,
-      createdAt: data.created_at,
-      shareUrl: `${process.env.FRONTEND_URL}/results/${data.id}`,
-    });
-  } catch (error) {
-    console.error("Error fetching result:", error);
-    res.status(500).json({ error: "Failed to fetch result" });
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
   }
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).json(errorBody(error));
 });
 
-// Error handlers
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message:
-      process.env.NODE_ENV === "production"
-        ? "Something went wrong"
-        : err.message,
-  });
+// Scheduled re-analysis of watched repos (MONITOR_ENABLED=false turns it off)
+const monitor = createMonitor({
+  storage,
+  runAnalysis,
+  tickMs:
+    (parseInt(process.env.MONITOR_TICK_SECONDS) || DEFAULT_TICK_SECONDS) * 1000,
 });
 
-app.use((req, res) => {
-  res.status(404).json({
-    error: "Not found",
-    message: `Route ${req.originalUrl} not found`,
+// Start server when run directly; tests require the app without listening
+if (require.main === module) {
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`GitHub Star Analyzer API v2.0 running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log(
+      `GitHub Token: ${
+        GITHUB_TOKEN
+          ? `Configured (${GITHUB_TOKENS.length} in pool)`
+          : "Not configured (limited rate)"
+      }`
+    );
+    console.log(`Storage: ${storage.name}`);
+    console.log(`Scoring rules: ${scoringRules.name} v${scoringRules.version}`);
+    console.log(
+      "Features: Advanced analysis, Deep profiling, Coordinated detection"
+    );
+
+    if (process.env.MONITOR_ENABLED !== "false") {
+      monitor.start();
+      console.log("Monitor: watching scheduled repos");
+    }
+
+    // Prime the quota shown on /health
+    fetchRateLimit().catch((error) =>
+      console.error("Error reading rate limit:", error.message)
+    );
   });
-});
+}
 
-// Start server
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`GitHub Star Analyzer API v2.0 running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(
-    `GitHub Token: ${
-      GITHUB_TOKEN ? "Configured" : "Not configured (limited rate)"
-    }`
-  );
-  console.log(
-    "Features: Advanced analysis, Deep profiling, Coordinated detection"
-  );
-});
+module.exports = app;
@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_KEY_QUOTAS, usageDay, createAuth } = require("../lib/auth");
+const {
+  ForbiddenError,
+  RateLimitError,
+  UnavailableError,
+} = require("../lib/errors");
+const { createMemoryStorage } = require("../lib/storage/memory");
+
+function setup({ required = true } = {}) {
+  const storage = createMemoryStorage();
+  const auth = createAuth({
+    storage,
+    adminKey: "admin-key",
+    required,
+    anonymousRequestsPerMinute: 0,
+  });
+  return { storage, auth };
+}
+
+test("the admin key guards admin routes even when keys are optional", () => {
+  const { auth } = setup({ required: false });
+  const guard = auth.requireAdmin;
+
+  assert.throws(() => guard({ client: null }, {}, () => {}), ForbiddenError);
+  let passed = false;
+  guard({ client: { admin: true } }, {}, () => (passed = true));
+  assert.equal(passed, true);
+});
+
+test("concurrent requests cannot spend more than the daily quota", async () => {
+  const { storage, auth } = setup();
+  const key = {
+    ...DEFAULT_KEY_QUOTAS,
+    id: "key-1",
+    analyses_per_day: 3,
+  };
+  const request = { deepAnalysis: false, maxStars: 100, maxUsers: 10 };
+
+  const outcomes = await Promise.allSettled(
+    Array.from({ length: 5 }, () => auth.consumeAnalysisQuota({ key }, request))
+  );
+
+  assert.equal(outcomes.filter((o) => o.status === "fulfilled").length, 3);
+  outcomes
+    .filter((o) => o.status === "rejected")
+    .forEach((o) => assert.ok(o.reason instanceof RateLimitError));
+  const usage = await storage.getApiKeyUsage("key-1", usageDay());
+  assert.equal(usage.analyses, 3);
+});
+
+test("admin routes are disabled until an admin key is set", () => {
+  const auth = createAuth({
+    storage: createMemoryStorage(),
+    adminKey: null,
+    required: false,
+    anonymousRequestsPerMinute: 0,
+  });
+  assert.throws(
+    () => auth.requireAdmin({ client: null }, {}, () => {}),
+    UnavailableError
+  );
+});
+
+test("requests over a key's caps get a 429 limit error", async () => {
+  const { auth } = setup();
+  const key = { ...DEFAULT_KEY_QUOTAS, id: "key-1", max_stars: 10 };
+
+  await assert.rejects(
+    auth.consumeAnalysisQuota({ key }, { maxStars: 100 }),
+    (error) =>
+      error instanceof RateLimitError &&
+      error.code === "limit_exceeded" &&
+      error.retryAfter > 0
+  );
+});
+
+test("analyses that fail are given back", async () => {
+  const { storage, auth } = setup();
+  const key = { ...DEFAULT_KEY_QUOTAS, id: "key-1" };
+  const request = { deepAnalysis: true, maxStars: 100, maxUsers: 10 };
+
+  await assert.rejects(
+    auth.withAnalysisQuota({ key }, request, async () => {
+      throw new Error("GitHub is down");
+    })
+  );
+  await auth.withAnalysisQuota({ key }, request, async () => "done");
+
+  const usage = await storage.getApiKeyUsage("key-1", usageDay());
+  assert.equal(usage.analyses, 1);
+  assert.equal(usage.deep_analyses, 1);
+});
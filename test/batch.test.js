@@ -0,0 +1,66 @@
+// Batch budgets against a stubbed rate-limit endpoint
+delete process.env.GITHUB_TOKEN;
+delete process.env.GITHUB_TOKENS;
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const github = require("../lib/github");
+const { runBatch } = require("../lib/batch");
+
+// GitHub always reports 100 core requests left, so 80 go to batches
+github.setGitHubTransport(async () => ({
+  status: 200,
+  headers: {},
+  data: {
+    resources: {
+      core: { limit: 100, remaining: 100, used: 0, reset: 0 },
+      graphql: { limit: 0, remaining: 0, used: 0, reset: 0 },
+    },
+  },
+}));
+
+// Without a token, 5,900 stars are 59 pages plus the repo: 60 core requests
+const params = { deepAnalysis: false, maxStars: 10000, maxUsers: 0 };
+const target = (repoName) => ({ repoOwner: "acme", repoName, stars: 5900 });
+
+function analyzed(repoName) {
+  return {
+    id: repoName,
+    analysis: { suspicionScore: 0, totalStars: 5900, suspicionIndicators: [] },
+    metadata: { analysisType: "basic", sampleSize: 0, detailedSample: 0 },
+  };
+}
+
+test("concurrent batches share one budget", async () => {
+  let started;
+  let finish;
+  const analyzing = new Promise((resolve) => (started = resolve));
+  const first = runBatch([target("first")], params, {
+    runAnalysis: () => {
+      started();
+      return new Promise((resolve) => (finish = resolve));
+    },
+    onProgress: () => {},
+  });
+  await analyzing;
+
+  // The first batch holds all 80 requests while it runs
+  const second = await runBatch([target("second")], params, {
+    runAnalysis: async () => analyzed("second"),
+    onProgress: () => {},
+  });
+  assert.equal(second.totals.skipped, 1);
+  assert.equal(second.budget.limit.core, 0);
+
+  finish(analyzed("first"));
+  const done = await first;
+  assert.equal(done.totals.completed, 1);
+  assert.equal(done.budget.limit.core, 80);
+
+  // Finished batches give back what they did not spend
+  const third = await runBatch([target("third")], params, {
+    runAnalysis: async () => analyzed("third"),
+    onProgress: () => {},
+  });
+  assert.equal(third.totals.completed, 1);
+});
@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MIN_PEERS, percentileOf, buildBenchmark } = require("../lib/benchmark");
+
+const NOW = new Date("2025-01-01T00:00:00Z");
+
+function repoInfo(name, { stars = 2000, createdAt = "2024-06-01" } = {}) {
+  return {
+    full_name: name,
+    stargazers_count: stars,
+    forks_count: stars / 10,
+    created_at: `${createdAt}T00:00:00Z`,
+    language: "JavaScript",
+  };
+}
+
+// Detailed analysis of 100 profiles with `lowEngagement` of them empty
+function analysis(lowEngagement) {
+  return {
+    detailedSample: 100,
+    patterns: {
+      newAccounts: 5,
+      lowEngagement,
+      sameDayPattern: 2,
+      forkRatio: null,
+    },
+  };
+}
+
+// Stored result of another repository, as the storage returns it
+function row(name, lowEngagement, options = {}) {
+  const [owner, repo] = name.split("/");
+  const info = repoInfo(name, options);
+  return {
+    repo_owner: owner,
+    repo_name: repo,
+    created_at: options.analyzedAt || "2024-12-01T00:00:00Z",
+    total_stars: info.stargazers_count,
+    repository_data: info,
+    analysis_data: analysis(lowEngagement),
+  };
+}
+
+test("percentiles count ties as half", () => {
+  assert.equal(percentileOf(5, [1, 2, 3, 4]), 100);
+  assert.equal(percentileOf(0, [1, 2, 3, 4]), 0);
+  assert.equal(percentileOf(2, [1, 2, 3, 4]), 38);
+});
+
+test("metrics are placed among repos of the same size and age", () => {
+  const rows = [
+    ...[1, 2, 3, 4, 5, 6].map((i) => row(`peer/p${i}`, i)),
+    // Different size band and older: outside the cohort
+    row("big/one", 90, { stars: 50000 }),
+    row("old/one", 90, { createdAt: "2019-01-01" }),
+  ];
+  const benchmark = buildBenchmark(
+    analysis(40),
+    repoInfo("acme/widget"),
+    rows,
+    { now: NOW }
+  );
+
+  assert.deepEqual(benchmark.cohort, {
+    description: "JavaScript repos with 1k-10k stars under a year old",
+    language: "JavaScript",
+    stars: "1k-10k stars",
+    age: "under a year old",
+    repos: 6,
+  });
+  assert.deepEqual(benchmark.metrics.lowEngagementRatio, {
+    value: 0.4,
+    percentile: 100,
+    median: 0.035,
+    peers: 6,
+  });
+  assert.equal(benchmark.metrics.newAccountRatio.percentile, 50);
+  assert.equal(benchmark.metrics.forkRatio.value, 0.1);
+  assert.ok(
+    benchmark.summary.includes(
+      "Low-engagement ratio is in the 100th percentile for JavaScript repos with 1k-10k stars under a year old (6 repos)"
+    )
+  );
+});
+
+test("the repo itself and older results of a peer are left out", () => {
+  const rows = [
+    row("acme/widget", 1),
+    row("Peer/P1", 1),
+    row("peer/p1", 99, { analyzedAt: "2024-07-01T00:00:00Z" }),
+    ...[2, 3, 4, 5].map((i) => row(`peer/p${i}`, i)),
+  ];
+  const benchmark = buildBenchmark(analysis(3), repoInfo("acme/widget"), rows, {
+    now: NOW,
+  });
+
+  assert.equal(benchmark.cohort.repos, MIN_PEERS);
+  assert.equal(benchmark.metrics.lowEngagementRatio.percentile, 50);
+});
+
+test("small cohorts widen to the size band, then the language", () => {
+  const older = [1, 2, 3, 4, 5].map((i) =>
+    row(`old/p${i}`, i, { createdAt: "2020-01-01" })
+  );
+  const bySize = buildBenchmark(analysis(3), repoInfo("acme/widget"), older, {
+    now: NOW,
+  });
+  assert.equal(bySize.cohort.description, "JavaScript repos with 1k-10k stars");
+  assert.equal(bySize.cohort.age, null);
+
+  const mixed = [1, 2, 3, 4, 5].map((i) =>
+    row(`mixed/p${i}`, i, { stars: 10 ** i })
+  );
+  const byLanguage = buildBenchmark(
+    analysis(3),
+    repoInfo("acme/widget"),
+    mixed,
+    { now: NOW }
+  );
+  assert.equal(byLanguage.cohort.description, "JavaScript repos");
+  assert.equal(byLanguage.cohort.repos, 5);
+});
+
+test("metrics without enough peers or data are null", () => {
+  const rows = [1, 2, 3].map((i) => row(`peer/p${i}`, i));
+  const few = buildBenchmark(analysis(3), repoInfo("acme/widget"), rows, {
+    now: NOW,
+  });
+  assert.equal(few.metrics.lowEngagementRatio, null);
+  assert.deepEqual(few.summary, []);
+
+  // Basic analyses have no per-profile ratios
+  const basic = { detailedSample: 0, patterns: { lowEngagement: null } };
+  const peers = [1, 2, 3, 4, 5].map((i) => row(`peer/p${i}`, i));
+  const benchmark = buildBenchmark(basic, repoInfo("acme/widget"), peers, {
+    now: NOW,
+  });
+  assert.equal(benchmark.metrics.lowEngagementRatio, null);
+  assert.equal(benchmark.metrics.newAccountRatio, null);
+  assert.notEqual(benchmark.metrics.forkRatio, null);
+});
@@ -0,0 +1,109 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { CLIENT_DIR, generateClient } = require("../scripts/generate-client");
+const { createClient, StarBusterError, operations } = require("../client");
+const { buildOpenApiSpec } = require("../lib/openapi");
+
+// fetch stand-in that records requests and answers with `response`
+function recordingFetch(response) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url: new URL(url), ...init });
+    return new Response(response.body ?? null, {
+      status: response.status || 200,
+      headers: response.headers || { "Content-Type": "application/json" },
+    });
+  };
+  return { fetch, requests };
+}
+
+test("generated client files are up to date", () => {
+  Object.entries(generateClient()).forEach(([file, content]) => {
+    assert.equal(
+      fs.readFileSync(path.join(CLIENT_DIR, file), "utf8"),
+      content,
+      `client/${file} is stale; run npm run generate:client`
+    );
+  });
+});
+
+test("the client has a method per operation", () => {
+  const spec = buildOpenApiSpec();
+  const client = createClient({ baseUrl: "http://localhost", fetch() {} });
+  Object.values(spec.paths).forEach((methods) => {
+    Object.values(methods).forEach(({ operationId }) => {
+      assert.equal(typeof client[operationId], "function", operationId);
+    });
+  });
+  assert.equal(Object.keys(operations).length, Object.keys(client).length);
+});
+
+test("path and query parameters go into the URL", async () => {
+  const { fetch, requests } = recordingFetch({ body: "{}" });
+  const client = createClient({
+    baseUrl: "http://localhost:3000/",
+    apiKey: "key",
+    fetch,
+  });
+
+  await client.getStarHistory({
+    owner: "acme",
+    repo: "widget",
+    interval: "hour",
+    window: undefined,
+  });
+
+  const [request] = requests;
+  assert.equal(request.method, "GET");
+  assert.equal(request.url.pathname, "/repo/acme/widget/star-history");
+  assert.equal(request.url.search, "?interval=hour");
+  assert.equal(request.headers["X-API-Key"], "key");
+  assert.equal(request.body, undefined);
+});
+
+test("other fields go into the JSON body", async () => {
+  const { fetch, requests } = recordingFetch({ body: "{}" });
+  const client = createClient({ baseUrl: "http://localhost", fetch });
+
+  await client.updateWatch({ id: "abc", threshold: 40, enabled: false });
+
+  const [request] = requests;
+  assert.equal(request.method, "PATCH");
+  assert.equal(request.url.pathname, "/watches/abc");
+  assert.equal(request.headers["Content-Type"], "application/json");
+  assert.deepEqual(JSON.parse(request.body), { threshold: 40, enabled: false });
+});
+
+test("error responses throw a StarBusterError", async () => {
+  const { fetch } = recordingFetch({
+    status: 429,
+    headers: { "Content-Type": "application/json", "Retry-After": "30" },
+    body: JSON.stringify({
+      error: {
+        code: "rate_limited",
+        message: "Too many requests",
+        details: { retryAfter: 30 },
+      },
+    }),
+  });
+  const client = createClient({ baseUrl: "http://localhost", fetch });
+
+  await assert.rejects(client.getHealth(), (error) => {
+    assert.ok(error instanceof StarBusterError);
+    assert.equal(error.status, 429);
+    assert.equal(error.code, "rate_limited");
+    assert.equal(error.message, "Too many requests");
+    assert.equal(error.retryAfter, 30);
+    return true;
+  });
+});
+
+test("missing path parameters are rejected before sending", async () => {
+  const { fetch, requests } = recordingFetch({ body: "{}" });
+  const client = createClient({ baseUrl: "http://localhost", fetch });
+
+  await assert.rejects(client.getJob({}), /Missing path parameter: id/);
+  assert.equal(requests.length, 0);
+});
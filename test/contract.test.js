@@ -0,0 +1,344 @@
+// Contract tests: every operation of the OpenAPI document is called through
+// the generated client against the real app (in-memory storage, GitHub
+// replaced by a local stand-in) and each response is checked against the
+// schema the document declares for it.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeGitHub, STARS } = require("./helpers/fake-github");
+const { check, responseSchema } = require("./helpers/schema");
+const { createClient, StarBusterError } = require("../client");
+
+const ADMIN_KEY = "contract-test-admin-key";
+
+let github;
+let server;
+let spec;
+let client;
+const called = new Set();
+
+// Assert a value matches the response schema of a route and status
+function assertResponse(method, path, status, value, mediaType) {
+  const errors = check(
+    spec,
+    responseSchema(spec, method, path, status, mediaType),
+    value
+  );
+  assert.deepEqual(errors, [], `${method.toUpperCase()} ${path} ${status}`);
+}
+
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const job = await client.getJob({ id });
+    assertResponse("get", "/jobs/{id}", 200, job);
+    if (job.status === "completed" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+before(async () => {
+  github = await startFakeGitHub();
+  Object.assign(process.env, {
+    GITHUB_API_URL: github.url,
+    STORAGE_BACKEND: "memory",
+    ADMIN_API_KEY: ADMIN_KEY,
+    MONITOR_ENABLED: "false",
+  });
+  delete process.env.GITHUB_TOKEN;
+  delete process.env.GITHUB_TOKENS;
+  // The server logs every step of an analysis
+  console.log = () => {};
+
+  const app = require("../server");
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  const raw = createClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    apiKey: ADMIN_KEY,
+  });
+  // Record which operations the tests exercise
+  client = {};
+  Object.entries(raw).forEach(([operationId, method]) => {
+    client[operationId] = (input) => {
+      called.add(operationId);
+      return method(input);
+    };
+  });
+  spec = await client.getOpenApi();
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await github.close();
+});
+
+test("serves the OpenAPI document", () => {
+  assert.equal(spec.openapi, "3.0.3");
+  assert.ok(Object.keys(spec.paths).length > 0);
+});
+
+test("meta routes", async () => {
+  assertResponse("get", "/", 200, await client.getOverview());
+  assertResponse("get", "/health", 200, await client.getHealth());
+  assertResponse("get", "/rules", 200, await client.getRules());
+});
+
+test("analyses, results and repository routes", async () => {
+  const repo = { owner: "acme", repo: "widget" };
+
+  const basic = await client.analyze({ ...repo, deepAnalysis: false });
+  assertResponse("post", "/analyze", 200, basic);
+  assert.equal(basic.metadata.fromCache, false);
+
+  const advanced = await client.analyze({
+    repoUrl: "https://github.com/acme/widget",
+    maxStars: STARS,
+    maxUsers: STARS,
+  });
+  assertResponse("post", "/analyze", 200, advanced);
+  assert.ok(advanced.analysis.detailedSample > 0);
+  assert.equal(advanced.analysis.growthExplanation.activity.contributors, 1);
+  assert.equal(advanced.analysis.growthExplanation.activity.topReferrers, null);
+
+  // The cache path returns the same shape
+  const cached = await client.analyze({ ...repo, maxStars: STARS });
+  assertResponse("post", "/analyze", 200, cached);
+  assert.equal(cached.metadata.fromCache, true);
+  assert.equal(cached.id, advanced.id);
+  assert.equal(cached.benchmark, null);
+
+  // Too few other stored repositories for any percentile
+  const benchmarked = await client.analyze({ ...repo, benchmark: true });
+  assertResponse("post", "/analyze", 200, benchmarked);
+  assert.equal(benchmarked.benchmark.cohort.repos, 0);
+  assert.deepEqual(benchmarked.benchmark.summary, []);
+
+  const accepted = await client.analyze({ ...repo, async: true });
+  assertResponse("post", "/analyze", 202, accepted);
+  const job = await waitForJob(accepted.jobId);
+  assert.equal(job.status, "completed");
+
+  const stream = await client.streamJobEvents({ id: accepted.jobId });
+  assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+  const events = (await stream.text()).trim().split("\n\n");
+  assert.ok(events.length > 0);
+  events.forEach((event) => {
+    const data = event.split("\n").find((line) => line.startsWith("data: "));
+    assertResponse("get", "/jobs/{id}", 200, JSON.parse(data.slice(6)));
+  });
+
+  assertResponse(
+    "post",
+    "/analyze/batch",
+    200,
+    await client.analyzeBatch({
+      repos: ["acme/widget"],
+      deepAnalysis: false,
+      async: false,
+    })
+  );
+  const batch = await client.analyzeBatch({ org: "acme", deepAnalysis: false });
+  assertResponse("post", "/analyze/batch", 202, batch);
+  assert.equal((await waitForJob(batch.jobId)).status, "completed");
+
+  assertResponse(
+    "get",
+    "/repo/{owner}/{repo}",
+    200,
+    await client.getRepo(repo)
+  );
+  assertResponse(
+    "get",
+    "/repo/{owner}/{repo}/star-history",
+    200,
+    await client.getStarHistory({ ...repo, interval: "day" })
+  );
+  assertResponse(
+    "get",
+    "/repo/{owner}/{repo}/history",
+    200,
+    await client.getHistory(repo)
+  );
+  assert.match(await client.getBadge(repo), /^<svg/);
+  // Owner and repository names are matched case-insensitively
+  assert.equal(
+    (await client.getHistory({ owner: "ACME", repo: "Widget" })).count,
+    (await client.getHistory(repo)).count
+  );
+  assert.doesNotMatch(
+    await client.getBadge({ owner: "ACME", repo: "Widget" }),
+    /not analyzed/
+  );
+
+  assertResponse(
+    "get",
+    "/results/{id}",
+    200,
+    await client.getResult({ id: advanced.id })
+  );
+  assert.match(
+    await client.getResult({ id: advanced.id, format: "csv" }),
+    /^date,user,/
+  );
+  const ndjson = await fetch(
+    `http://127.0.0.1:${server.address().port}/results/${
+      advanced.id
+    }?format=ndjson`
+  );
+  assert.equal(
+    ndjson.headers.get("content-type"),
+    "application/x-ndjson; charset=utf-8"
+  );
+  assertResponse(
+    "get",
+    "/results/{id}/diff/{otherId}",
+    200,
+    await client.diffResults({ id: basic.id, otherId: advanced.id })
+  );
+  assertResponse(
+    "get",
+    "/results/{id}/accounts",
+    200,
+    await client.getAccounts({ id: advanced.id, perPage: 10 })
+  );
+  assertResponse(
+    "get",
+    "/results/{id}/overlap",
+    200,
+    await client.getOverlap({ id: advanced.id })
+  );
+});
+
+test("watches and webhooks", async () => {
+  const watch = await client.createWatch({
+    repoUrl: "https://github.com/acme/widget",
+    schedule: "@daily",
+    deepAnalysis: false,
+  });
+  assertResponse("post", "/watches", 201, watch);
+  assertResponse("get", "/watches", 200, await client.listWatches());
+  assertResponse(
+    "get",
+    "/watches/{id}",
+    200,
+    await client.getWatch({ id: watch.id })
+  );
+  assertResponse(
+    "patch",
+    "/watches/{id}",
+    200,
+    await client.updateWatch({ id: watch.id, threshold: 50 })
+  );
+  assertResponse(
+    "post",
+    "/watches/{id}/run",
+    200,
+    await client.runWatch({ id: watch.id })
+  );
+  assert.equal(await client.deleteWatch({ id: watch.id }), undefined);
+
+  const webhook = await client.createWebhook({
+    url: "http://127.0.0.1:9/hook",
+    events: ["score.threshold_crossed"],
+  });
+  assertResponse("post", "/webhooks", 201, webhook);
+  assertResponse("get", "/webhooks", 200, await client.listWebhooks());
+  assertResponse(
+    "get",
+    "/webhooks/{id}",
+    200,
+    await client.getWebhook({ id: webhook.id })
+  );
+  assertResponse(
+    "patch",
+    "/webhooks/{id}",
+    200,
+    await client.updateWebhook({ id: webhook.id, enabled: false })
+  );
+  assert.equal(await client.deleteWebhook({ id: webhook.id }), undefined);
+
+  // A subscription to no events is refused rather than stored
+  await assert.rejects(
+    client.createWebhook({ url: "http://127.0.0.1:9/hook", events: [] }),
+    (error) => error.status === 400 && error.code === "invalid_request"
+  );
+});
+
+test("API keys", async () => {
+  const created = await client.createApiKey({
+    name: "contract",
+    analysesPerDay: 5,
+  });
+  assertResponse("post", "/admin/keys", 201, created);
+  assertResponse("get", "/admin/keys", 200, await client.listApiKeys());
+  assertResponse(
+    "get",
+    "/admin/keys/{id}",
+    200,
+    await client.getApiKey({ id: created.id })
+  );
+  assertResponse(
+    "delete",
+    "/admin/keys/{id}",
+    200,
+    await client.revokeApiKey({ id: created.id })
+  );
+});
+
+test("a capped key stays within its caps on repository routes", async () => {
+  const created = await client.createApiKey({
+    name: "capped",
+    maxStars: 10,
+    analysesPerDay: 5,
+  });
+  const keyed = createClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    apiKey: created.key,
+  });
+
+  await assert.rejects(
+    keyed.getStarHistory({ owner: "acme", repo: "widget", maxStars: 100000 }),
+    (error) =>
+      error.status === 429 &&
+      error.code === "limit_exceeded" &&
+      error.retryAfter > 0
+  );
+  await keyed.getStarHistory({ owner: "acme", repo: "widget", maxStars: 10 });
+
+  // A repository that does not exist costs nothing
+  await assert.rejects(
+    keyed.getRepo({ owner: "acme", repo: "missing" }),
+    (error) => error.status === 404
+  );
+  const { usage } = await client.getApiKey({ id: created.id });
+  assert.equal(usage.analyses, 1);
+});
+
+test("errors match the Error schema", async () => {
+  const response = await fetch(
+    `http://127.0.0.1:${server.address().port}/results/not-a-uuid`
+  );
+  assert.equal(response.status, 400);
+  assertResponse("get", "/results/{id}", 400, await response.json());
+
+  await assert.rejects(
+    client.getResult({ id: "00000000-0000-4000-8000-000000000000" }),
+    (error) =>
+      error instanceof StarBusterError &&
+      error.status === 404 &&
+      error.code === "not_found"
+  );
+});
+
+test("every operation is covered", () => {
+  const operations = Object.values(spec.paths).flatMap((methods) =>
+    Object.values(methods).map((operation) => operation.operationId)
+  );
+  assert.deepEqual(
+    operations.filter((operationId) => !called.has(operationId)),
+    []
+  );
+});
@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseDuration,
+  coordinationConfig,
+  logPoissonTail,
+  findCoordinatedWindows,
+} = require("../lib/coordination");
+const { SYNTHETIC_REPOS } = require("./helpers/synthetic");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One star a day for `days` days from `from`, plus `extra` stars
+function history(from, days, extra = []) {
+  const stars = Array.from({ length: days }, (_, i) => ({
+    starred_at: new Date(Date.parse(from) + i * DAY_MS).toISOString(),
+    user: { login: `steady${i}` },
+  }));
+  return [...stars, ...extra];
+}
+
+function star(login, at) {
+  return { starred_at: at, user: { login } };
+}
+
+test("window sizes come from COORDINATION_WINDOWS", () => {
+  assert.equal(parseDuration("90"), 90000);
+  assert.equal(parseDuration("90s"), 90000);
+  assert.equal(parseDuration("5m"), 300000);
+  assert.equal(parseDuration("2h"), 7200000);
+  assert.equal(parseDuration("soon"), null);
+
+  assert.deepEqual(
+    coordinationConfig({}).windows,
+    [10000, 60000, 600000, 3600000]
+  );
+  assert.deepEqual(
+    coordinationConfig({ COORDINATION_WINDOWS: "1h, 30s,30s" }).windows,
+    [30000, 3600000]
+  );
+  assert.throws(
+    () => coordinationConfig({ COORDINATION_WINDOWS: "2d" }),
+    /Invalid COORDINATION_WINDOWS entry: 2d/
+  );
+  assert.throws(
+    () => coordinationConfig({ COORDINATION_WINDOWS: "25h" }),
+    /up to 24h/
+  );
+});
+
+test("logPoissonTail matches the exact tail", () => {
+  // P(X >= 2) for mean 1 is 1 - 2/e
+  assert.ok(Math.abs(Math.exp(logPoissonTail(2, 1)) - (1 - 2 / Math.E)) < 1e-9);
+  assert.equal(logPoissonTail(1, 3), 0);
+  assert.ok(logPoissonTail(60, 0.01) < -300);
+});
+
+test("bursts straddling a minute boundary are found with their members", () => {
+  const burst = [
+    "2024-05-01T12:00:48Z",
+    "2024-05-01T12:00:53Z",
+    "2024-05-01T12:00:58Z",
+    "2024-05-01T12:01:03Z",
+    "2024-05-01T12:01:08Z",
+  ].map((at, i) => star(`batch${i}`, at));
+
+  const windows = findCoordinatedWindows(
+    history("2024-01-01T08:00:00Z", 300, burst)
+  );
+
+  assert.equal(windows.length, 1);
+  const [window] = windows;
+  assert.equal(window.start, "2024-05-01T12:00:48.000Z");
+  assert.equal(window.end, "2024-05-01T12:01:08.000Z");
+  assert.equal(window.count, 5);
+  assert.deepEqual(
+    window.logins,
+    burst.map((s) => s.user.login)
+  );
+  assert.ok(window.significance > 3);
+});
+
+test("window sizes can be narrowed", () => {
+  // 6 stars spread over 40 minutes
+  const burst = Array.from({ length: 6 }, (_, i) =>
+    star(
+      `slow${i}`,
+      new Date(Date.parse("2024-05-01T12:00:00Z") + i * 8 * 60000).toISOString()
+    )
+  );
+  const stargazers = history("2024-01-01T08:00:00Z", 300, burst);
+
+  assert.equal(findCoordinatedWindows(stargazers).length, 1);
+  assert.deepEqual(
+    findCoordinatedWindows(stargazers, { windows: [10000, 60000] }),
+    []
+  );
+});
+
+test("a busy launch day raises its own baseline", () => {
+  assert.deepEqual(
+    findCoordinatedWindows(SYNTHETIC_REPOS.viralLaunch.stargazers),
+    []
+  );
+  assert.deepEqual(
+    findCoordinatedWindows(SYNTHETIC_REPOS.clean.stargazers),
+    []
+  );
+
+  const [bought] = findCoordinatedWindows(
+    SYNTHETIC_REPOS.boughtStars.stargazers
+  );
+  assert.equal(bought.count, 60);
+  assert.equal(bought.window, 600);
+  assert.equal(bought.start, "2024-03-14T10:00:00.000Z");
+  assert.equal(bought.end, "2024-03-14T10:09:50.000Z");
+});
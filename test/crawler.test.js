@@ -0,0 +1,115 @@
+// Resumable GraphQL crawls against a stubbed transport and in-memory storage
+process.env.GITHUB_TOKEN = "test-token";
+delete process.env.GITHUB_TOKENS;
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const github = require("../lib/github");
+const { crawlStargazers } = require("../lib/crawler");
+const { createMemoryStorage } = require("../lib/storage/memory");
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+// A repository with `stars` stargazers; the cursor is the index reached.
+// `failAt` makes the request after that many stargazers fail.
+const repo = { stars: 0, failAt: null, calls: 0 };
+
+function edge(index) {
+  const count = (totalCount) => ({ totalCount });
+  return {
+    starredAt: new Date(Date.UTC(2024, 0, 1) + index * 60000).toISOString(),
+    node: {
+      login: `user${index}`,
+      databaseId: index + 1,
+      name: null,
+      email: "",
+      bio: null,
+      company: null,
+      location: null,
+      websiteUrl: null,
+      isHireable: false,
+      createdAt: "2020-01-01T00:00:00Z",
+      updatedAt: "2024-01-01T00:00:00Z",
+      followers: count(1),
+      following: count(1),
+      repositories: count(1),
+      gists: count(0),
+    },
+  };
+}
+
+github.setGitHubTransport(async (config) => {
+  repo.calls++;
+  const { first, after } = config.data.variables;
+  const from = after ? Number(after) : 0;
+  if (repo.failAt !== null && from >= repo.failAt) {
+    const error = new Error("Request failed with status code 500");
+    error.response = { status: 500, headers: {}, data: {} };
+    throw error;
+  }
+
+  const to = Math.min(from + first, repo.stars);
+  return {
+    status: 200,
+    headers: {},
+    data: {
+      data: {
+        repository: {
+          stargazerCount: repo.stars,
+          stargazers: {
+            pageInfo: { hasNextPage: to < repo.stars, endCursor: String(to) },
+            edges: Array.from({ length: to - from }, (_, i) => edge(from + i)),
+          },
+        },
+      },
+    },
+  };
+});
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+  Object.assign(repo, { stars: 0, failAt: null, calls: 0 });
+});
+
+test("a crawl that reached maxStars is fetched afresh next time", async () => {
+  repo.stars = 150;
+  const first = await crawlStargazers("acme", "widget", 100, { storage });
+  assert.equal(first.coverage.partialReason, "maxStars");
+  assert.equal(await storage.getCrawlState("acme", "widget"), null);
+
+  repo.stars = 400;
+  repo.calls = 0;
+  const second = await crawlStargazers("acme", "widget", 100, { storage });
+  assert.ok(repo.calls > 0);
+  assert.equal(second.coverage.totalStars, 400);
+  assert.equal(second.coverage.resumedFrom, 0);
+});
+
+test("a crawl cut off by an error resumes where it stopped", async () => {
+  repo.stars = 300;
+  repo.failAt = 200;
+  const first = await crawlStargazers("acme", "widget", 300, { storage });
+  assert.equal(first.coverage.partialReason, "error");
+  const saved = await storage.getCrawlState("acme", "widget");
+  assert.equal(saved.stargazers.length, 200);
+  const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await storage.saveCrawlState({ ...saved, updated_at: anHourAgo });
+
+  // Still failing: nothing fetched, so the checkpoint keeps its age
+  await crawlStargazers("acme", "widget", 300, { storage });
+  assert.equal(
+    (await storage.getCrawlState("acme", "widget")).updated_at,
+    anHourAgo
+  );
+
+  repo.failAt = null;
+  const resumed = await crawlStargazers("acme", "widget", 300, { storage });
+  assert.equal(resumed.coverage.resumedFrom, 200);
+  assert.equal(resumed.stargazers.length, 300);
+  assert.equal(resumed.coverage.complete, true);
+  assert.equal(await storage.getCrawlState("acme", "widget"), null);
+});
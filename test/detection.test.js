@@ -0,0 +1,240 @@
+// Same-day checks compare local calendar days; pin them to UTC
+process.env.TZ = "UTC";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateStar, analyzeStargazers } = require("../lib/detection");
+const { selectSample } = require("../lib/sampling");
+const { loadRuleset } = require("../lib/rules");
+const {
+  SYNTHETIC_NOW,
+  SYNTHETIC_REPOS,
+  detailedUsersOf,
+} = require("./helpers/synthetic");
+
+const rules = loadRuleset();
+
+// Deep analysis the way the server runs it with default settings
+function analyzeDeep(repo) {
+  const sample = selectSample(repo.stargazers, 200, { strategy: "stratified" });
+  return analyzeStargazers({
+    stargazers: repo.stargazers,
+    profiles: detailedUsersOf(repo, sample.users),
+    repository: repo.repoInfo,
+    growth: repo.growth,
+    sample,
+    rules,
+    now: SYNTHETIC_NOW,
+  });
+}
+
+// Basic analysis: no profiles
+function analyzeBasic(repo) {
+  return analyzeStargazers({
+    stargazers: repo.stargazers,
+    repository: repo.repoInfo,
+    growth: repo.growth,
+    rules,
+    now: SYNTHETIC_NOW,
+  });
+}
+
+const EMPTY_PROFILE = {
+  followers: 0,
+  following: 0,
+  public_gists: 0,
+  public_repos: 0,
+  email: null,
+  hireable: null,
+  created_at: "2024-03-14T09:30:00Z",
+  updated_at: "2024-03-14T10:05:00Z",
+  starred_at: "2024-03-14T10:00:00Z",
+};
+
+test("validateStar flags empty accounts made on the day they starred", () => {
+  assert.equal(validateStar(EMPTY_PROFILE), 1);
+  assert.equal(validateStar({ ...EMPTY_PROFILE, followers: 2 }), 0);
+  assert.equal(validateStar({ ...EMPTY_PROFILE, email: "a@b.c" }), 0);
+  assert.equal(validateStar({ ...EMPTY_PROFILE, hireable: false }), 0);
+  assert.equal(
+    validateStar({ ...EMPTY_PROFILE, updated_at: "2024-05-01T00:00:00Z" }),
+    0
+  );
+  assert.equal(
+    validateStar({
+      ...EMPTY_PROFILE,
+      created_at: "2021-06-01T00:00:00Z",
+      updated_at: "2021-06-01T00:00:00Z",
+      starred_at: "2021-06-01T00:00:00Z",
+    }),
+    0
+  );
+});
+
+test("clean repository scores 0 with no indicators", () => {
+  const analysis = analyzeDeep(SYNTHETIC_REPOS.clean);
+
+  assert.equal(analysis.suspicionScore, 0);
+  assert.deepEqual(analysis.suspicionIndicators, []);
+  assert.deepEqual(analysis.accountVerdicts, {
+    "likely-fake": 0,
+    suspicious: 0,
+    "likely-real": 150,
+  });
+  assert.deepEqual(analysis.patterns.starVelocitySpikes, []);
+});
+
+test("bought stars score high and name every signal", () => {
+  const analysis = analyzeDeep(SYNTHETIC_REPOS.boughtStars);
+
+  assert.equal(analysis.suspicionScore, 96);
+  assert.deepEqual(analysis.suspicionIndicators, [
+    "Star bursts detected: 1 (largest 60 stars vs 0.2 expected)",
+    "High same-day pattern: 40.0% of users created account, starred, and last updated on same day (95% CI 40.0-40.3%)",
+    "High fake star ratio: 40.0% of analyzed users match fake profile criteria (95% CI 40.0-40.3%)",
+    "Coordinated starring detected: 60 stars in tight bursts (largest 60 stars)",
+    "Bot-like usernames detected: 40.0%",
+    "Account creation clustering: 60 accounts created on same day",
+  ]);
+  assert.deepEqual(analysis.accountVerdicts, {
+    "likely-fake": 60,
+    suspicious: 0,
+    "likely-real": 90,
+  });
+  assert.equal(analysis.patterns.fakeStars, 60);
+});
+
+test("viral launch velocity is offset by its release and community", () => {
+  const analysis = analyzeDeep(SYNTHETIC_REPOS.viralLaunch);
+
+  assert.equal(analysis.suspicionScore, 0);
+  assert.deepEqual(analysis.suspicionIndicators, [
+    "Very high star velocity: 120 stars/day in burst starting 2024-02-20",
+    "Star bursts detected: 1 (largest 120 stars vs 0.1 expected)",
+  ]);
+  assert.deepEqual(analysis.accountVerdicts, {
+    "likely-fake": 0,
+    suspicious: 0,
+    "likely-real": 190,
+  });
+  assert.equal(analysis.growthExplanation.offset, -38);
+  assert.deepEqual(analysis.growthExplanation.reasons, [
+    "Star bursts explained by releases or traffic spikes: 1 of 1",
+    "Active community: 12 people opened issues or pull requests in the last 90 days",
+    "Multiple contributors: 6 people contributed code",
+    "Watched closely: 4.2% of stargazers also watch the repository",
+  ]);
+  assert.deepEqual(analysis.growthExplanation.explainedBursts, [
+    {
+      start: "2024-02-20T00:00:00.000Z",
+      end: "2024-02-21T00:00:00.000Z",
+      stars: 120,
+      release: "v1.0.0",
+      trafficSpike: null,
+      explained: true,
+    },
+  ]);
+
+  // Without the growth context only the velocity counts
+  const repo = SYNTHETIC_REPOS.viralLaunch;
+  const withoutGrowth = analyzeDeep({ ...repo, growth: null });
+  assert.equal(withoutGrowth.suspicionScore, 20);
+  assert.equal(withoutGrowth.growthExplanation, null);
+  assert.equal(withoutGrowth.patterns.organicActivity, null);
+});
+
+test("organic signals leave bought and clean scores alone", () => {
+  const bought = analyzeDeep(SYNTHETIC_REPOS.boughtStars);
+  assert.equal(bought.growthExplanation.offset, 0);
+  assert.deepEqual(bought.growthExplanation.reasons, []);
+  assert.deepEqual(bought.patterns.burstExplanations, [
+    {
+      start: "2024-03-14T00:00:00.000Z",
+      end: "2024-03-15T00:00:00.000Z",
+      stars: 60,
+      release: null,
+      trafficSpike: null,
+      explained: false,
+    },
+  ]);
+
+  const clean = analyzeDeep(SYNTHETIC_REPOS.clean);
+  assert.equal(clean.growthExplanation.offset, 0);
+  assert.equal(clean.growthExplanation.activity.participants, 3);
+});
+
+test("basic analysis scores from usernames, bursts and coordination", () => {
+  assert.equal(analyzeBasic(SYNTHETIC_REPOS.clean).suspicionScore, 0);
+
+  const bought = analyzeBasic(SYNTHETIC_REPOS.boughtStars);
+  assert.equal(bought.suspicionScore, 43);
+  assert.deepEqual(bought.suspicionIndicators, [
+    "Star bursts detected: 1 (largest 60 stars vs 0.2 expected)",
+    "Coordinated starring detected: 60 stars in tight bursts (largest 60 stars)",
+    "Bot-like usernames detected: 40.0%",
+  ]);
+
+  assert.equal(analyzeBasic(SYNTHETIC_REPOS.viralLaunch).suspicionScore, 0);
+});
+
+test("basic and deep analyses share one result shape", () => {
+  const repo = SYNTHETIC_REPOS.boughtStars;
+  const basic = analyzeBasic(repo);
+  const deep = analyzeDeep(repo);
+
+  assert.deepEqual(Object.keys(basic).sort(), Object.keys(deep).sort());
+  assert.deepEqual(
+    Object.keys(basic.patterns).sort(),
+    Object.keys(deep.patterns).sort()
+  );
+
+  // Detectors without profiles are skipped and their fields are null
+  assert.equal(basic.patterns.fakeStars, null);
+  assert.equal(basic.patterns.suspiciousCreationDates, null);
+  assert.equal(basic.patterns.onlyStarring, null);
+  assert.deepEqual(basic.detectors.profile, {
+    ran: false,
+    missing: ["profiles"],
+  });
+  assert.deepEqual(basic.timeline, []);
+  assert.equal(basic.accounts, null);
+  assert.equal(basic.confidenceIntervals, null);
+  assert.equal(basic.detailedSample, 0);
+
+  // Both report the same username and repository patterns
+  assert.equal(basic.patterns.genericUsernames, deep.patterns.genericUsernames);
+  assert.deepEqual(
+    basic.patterns.suspiciousTimeWindows,
+    deep.patterns.suspiciousTimeWindows
+  );
+  assert.equal(basic.patterns.forkRatio, 3 / 150);
+  assert.deepEqual(deep.detectors.profile, { ran: true, missing: [] });
+
+  // Activity was not checked, even in the deep analysis
+  assert.deepEqual(deep.detectors.activity, {
+    ran: false,
+    missing: ["activity"],
+  });
+  assert.equal(deep.patterns.promotedReposStarred, null);
+  assert.equal(deep.confidenceIntervals.onlyStarring, undefined);
+});
+
+test("new accounts are counted relative to now", () => {
+  const repo = SYNTHETIC_REPOS.boughtStars;
+  const sample = selectSample(repo.stargazers, 200, { strategy: "stratified" });
+  const analyze = (now) =>
+    analyzeStargazers({
+      stargazers: repo.stargazers,
+      profiles: detailedUsersOf(repo, sample.users),
+      repository: repo.repoInfo,
+      sample,
+      rules,
+      now,
+    });
+
+  assert.equal(analyze(SYNTHETIC_NOW).patterns.newAccounts, 0);
+  assert.equal(
+    analyze(new Date("2024-03-20T00:00:00Z")).patterns.newAccounts,
+    60
+  );
+});
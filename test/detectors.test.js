@@ -0,0 +1,147 @@
+process.env.TZ = "UTC";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  BUILTIN_DETECTORS,
+  registerDetector,
+  listDetectors,
+  runDetectors,
+} = require("../lib/detectors");
+const { analyzeStargazers } = require("../lib/detection");
+const { validateRuleset } = require("../lib/rules");
+const { SYNTHETIC_NOW, SYNTHETIC_REPOS } = require("./helpers/synthetic");
+
+// Share of stargazers that starred on a weekend
+const weekendDetector = {
+  id: "weekend",
+  description: "Stars given on Saturdays and Sundays",
+  requires: ["stargazers"],
+  fields: ["weekendStars"],
+  signals: {
+    weekendRatio: (analysis) =>
+      analysis.patterns.weekendStars == null
+        ? null
+        : {
+            value: analysis.patterns.weekendStars / analysis.analyzedSample,
+          },
+  },
+  detect: ({ stargazers }) => ({
+    weekendStars: stargazers.filter((s) =>
+      [0, 6].includes(new Date(s.starred_at).getUTCDay())
+    ).length,
+  }),
+};
+
+test("built-in detectors are registered in order", () => {
+  assert.deepEqual(
+    listDetectors().map((d) => d.id),
+    BUILTIN_DETECTORS.map((d) => d.id)
+  );
+  assert.deepEqual(
+    BUILTIN_DETECTORS.map((d) => d.id),
+    [
+      "username",
+      "velocity",
+      "profile",
+      "sameDay",
+      "coordination",
+      "creationClustering",
+      "forkRatio",
+      "activity",
+      "growth",
+    ]
+  );
+});
+
+test("detectors run only when their data is available", () => {
+  const detect = () => ({ answer: 42 });
+  const detector = { id: "x", requires: ["profiles"], fields: ["answer"] };
+
+  assert.deepEqual(
+    runDetectors({}, { profiles: false }, [{ ...detector, detect }]),
+    {
+      patterns: { answer: null },
+      status: { x: { ran: false, missing: ["profiles"] } },
+    }
+  );
+  assert.deepEqual(
+    runDetectors({}, { profiles: true }, [{ ...detector, detect }]),
+    {
+      patterns: { answer: 42 },
+      status: { x: { ran: true, missing: [] } },
+    }
+  );
+});
+
+test("malformed or clashing detectors are rejected", () => {
+  const valid = {
+    id: "ok",
+    requires: ["stargazers"],
+    fields: ["okCount"],
+    detect: () => ({}),
+  };
+
+  assert.throws(
+    () => registerDetector({ ...valid, id: "username" }),
+    /duplicate detector id username/
+  );
+  assert.throws(
+    () => registerDetector({ ...valid, requires: ["tea"] }),
+    /must require some of stargazers, profiles, activity, repository/
+  );
+  assert.throws(
+    () => registerDetector({ ...valid, fields: ["fakeStars"] }),
+    /field fakeStars is already reported by profile/
+  );
+  assert.throws(
+    () => registerDetector({ ...valid, estimates: ["other"] }),
+    /can only estimate its own fields/
+  );
+  assert.throws(
+    () => registerDetector({ ...valid, signals: { fakeRatio: () => null } }),
+    /signal fakeRatio already exists/
+  );
+  assert.throws(
+    () => registerDetector({ ...valid, detect: undefined }),
+    /needs a detect function/
+  );
+  assert.equal(listDetectors().length, BUILTIN_DETECTORS.length);
+});
+
+test("custom detectors report fields and signals rules can score", () => {
+  registerDetector(weekendDetector);
+
+  const rules = validateRuleset(
+    {
+      version: "test",
+      rules: [
+        {
+          id: "weekend-stars",
+          signal: "weekendRatio",
+          weight: 100,
+          indicators: [{ above: 0, message: "Weekend stars: {percent}%" }],
+        },
+      ],
+    },
+    "test"
+  );
+  const repo = SYNTHETIC_REPOS.clean;
+  const analysis = analyzeStargazers({
+    stargazers: repo.stargazers,
+    repository: repo.repoInfo,
+    rules,
+    now: SYNTHETIC_NOW,
+  });
+
+  const weekend = repo.stargazers.filter((s) =>
+    [0, 6].includes(new Date(s.starred_at).getUTCDay())
+  ).length;
+  assert.ok(weekend > 0);
+  assert.equal(analysis.patterns.weekendStars, weekend);
+  assert.deepEqual(analysis.detectors.weekend, { ran: true, missing: [] });
+  assert.equal(analysis.suspicionScore, Math.round((weekend / 150) * 100));
+  assert.deepEqual(analysis.suspicionIndicators, [
+    `Weekend stars: ${((weekend / 150) * 100).toFixed(1)}%`,
+  ]);
+});
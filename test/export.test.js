@@ -0,0 +1,56 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { default: puppeteer } = require("puppeteer");
+const { toPdf } = require("../lib/export");
+
+console.error = () => {};
+
+const launch = puppeteer.launch;
+afterEach(() => {
+  puppeteer.launch = launch;
+});
+
+const row = {
+  id: "r",
+  created_at: "2025-01-01T00:00:00Z",
+  repository_data: { full_name: "acme/widget" },
+  analysis_data: { suspicionScore: 10, suspicionIndicators: [], patterns: {} },
+};
+
+// A browser whose pages fail to render with `error`
+function brokenBrowser(error) {
+  const browser = new EventEmitter();
+  browser.newPage = async () => ({
+    setDefaultTimeout() {},
+    setContent: async () => {
+      throw error;
+    },
+    pdf: async () => Buffer.from(""),
+    close: async () => {},
+  });
+  return browser;
+}
+
+test("PDF export without a browser is not implemented", async () => {
+  puppeteer.launch = async () => {
+    throw new Error("Could not find Chrome (ver. 1.2.3)");
+  };
+  await assert.rejects(toPdf(row), (error) => {
+    assert.equal(error.status, 501);
+    assert.equal(error.code, "not_implemented");
+    assert.equal(error.details, null);
+    return true;
+  });
+});
+
+test("render failures are internal errors without their message", async () => {
+  puppeteer.launch = async () =>
+    brokenBrowser(new Error("Navigation timeout of 30000 ms exceeded"));
+  await assert.rejects(toPdf(row), (error) => {
+    assert.equal(error.status, 500);
+    assert.equal(error.code, "internal_error");
+    assert.doesNotMatch(error.message, /timeout/);
+    return true;
+  });
+});
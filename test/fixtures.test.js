@@ -0,0 +1,136 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fixtureConfig, createFixtureTransport } = require("../lib/fixtures");
+const { syntheticTransport } = require("./helpers/synthetic");
+
+const BASE_URL = "https://api.github.com";
+const ACCEPT = "application/vnd.github.v3+json";
+
+const dirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "star-buster-fixtures-"));
+  dirs.push(dir);
+  return dir;
+}
+
+after(() => {
+  dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function get(url, params) {
+  return {
+    method: "get",
+    url: `${BASE_URL}${url}`,
+    params,
+    headers: { Accept: ACCEPT, Authorization: "token secret-token" },
+  };
+}
+
+test("fixtureConfig reads GITHUB_FIXTURES and GITHUB_FIXTURES_DIR", () => {
+  assert.equal(fixtureConfig({}), null);
+  assert.deepEqual(fixtureConfig({ GITHUB_FIXTURES: "replay" }), {
+    mode: "replay",
+    dir: "fixtures/github",
+  });
+  assert.deepEqual(
+    fixtureConfig({ GITHUB_FIXTURES: "record", GITHUB_FIXTURES_DIR: "x" }),
+    { mode: "record", dir: "x" }
+  );
+  assert.throws(
+    () => fixtureConfig({ GITHUB_FIXTURES: "live" }),
+    /Unknown GITHUB_FIXTURES mode/
+  );
+});
+
+test("recorded responses replay without the live API", async () => {
+  const dir = tempDir();
+  const record = createFixtureTransport({
+    mode: "record",
+    dir,
+    baseUrl: BASE_URL,
+    transport: syntheticTransport(BASE_URL),
+  });
+  const replay = createFixtureTransport({
+    mode: "replay",
+    dir,
+    baseUrl: BASE_URL,
+  });
+
+  const live = await record(
+    get("/repos/shady/rocket/stargazers", { per_page: 100, page: 1 })
+  );
+  const replayed = await replay(
+    get("/repos/shady/rocket/stargazers", { page: 1, per_page: 100 })
+  );
+
+  assert.equal(replayed.status, 200);
+  assert.deepEqual(replayed.data, live.data);
+  assert.equal(replayed.data.length, 100);
+
+  const [file] = fs.readdirSync(dir);
+  assert.match(file, /^GET_repos_shady_rocket_stargazers_page_1_per_page_100-/);
+  const recording = fs.readFileSync(path.join(dir, file), "utf8");
+  assert.doesNotMatch(recording, /secret-token/);
+});
+
+test("error responses replay as errors", async () => {
+  const dir = tempDir();
+  const record = createFixtureTransport({
+    mode: "record",
+    dir,
+    baseUrl: BASE_URL,
+    transport: syntheticTransport(BASE_URL),
+  });
+  const replay = createFixtureTransport({
+    mode: "replay",
+    dir,
+    baseUrl: BASE_URL,
+  });
+
+  await assert.rejects(record(get("/users/nobody")), (error) => {
+    assert.equal(error.response.status, 404);
+    return true;
+  });
+  await assert.rejects(replay(get("/users/nobody")), (error) => {
+    assert.equal(error.response.status, 404);
+    assert.deepEqual(error.response.data, { message: "Not Found" });
+    return true;
+  });
+});
+
+test("requests that were never recorded fail", async () => {
+  const replay = createFixtureTransport({
+    mode: "replay",
+    dir: tempDir(),
+    baseUrl: BASE_URL,
+  });
+
+  await assert.rejects(
+    replay(get("/users/octocat")),
+    /No recorded GitHub fixture for GET \/users\/octocat/
+  );
+});
+
+test("unchanged and rate limited responses are not recorded", async () => {
+  const dir = tempDir();
+  const responses = [
+    { status: 304, headers: {}, data: "" },
+    { status: 403, headers: { "x-ratelimit-remaining": "0" }, data: {} },
+    { status: 502, headers: {}, data: {} },
+  ];
+  const record = createFixtureTransport({
+    mode: "record",
+    dir,
+    baseUrl: BASE_URL,
+    transport: async () => responses.shift(),
+  });
+
+  await record(get("/repos/shady/rocket"));
+  await record(get("/repos/shady/rocket"));
+  await record(get("/repos/shady/rocket"));
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
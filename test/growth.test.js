@@ -0,0 +1,286 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  growthContext,
+  summarizeGrowth,
+  findTrafficSpikes,
+  explainBursts,
+} = require("../lib/growth");
+const { loadRuleset, evaluateRuleset } = require("../lib/rules");
+const { diffResults } = require("../lib/history");
+const { createMonitor } = require("../lib/monitor");
+const { createMemoryStorage } = require("../lib/storage/memory");
+
+const NOW = new Date("2025-01-01T00:00:00Z");
+
+function issue(createdAt, login, pullRequest = false) {
+  return {
+    created_at: createdAt,
+    user: { login },
+    ...(pullRequest && { pull_request: { url: "" } }),
+  };
+}
+
+function views(counts) {
+  return {
+    views: counts.map((count, i) => ({
+      timestamp: new Date(Date.UTC(2024, 11, 18 + i)).toISOString(),
+      count,
+      uniques: Math.ceil(count / 2),
+    })),
+  };
+}
+
+test("growth context keeps what GitHub gave and nulls the rest", () => {
+  const growth = growthContext(
+    {
+      issues: [issue("2024-12-01T00:00:00Z", "ada", true)],
+      // An empty repository has no contributors body
+      contributors: "",
+      releases: [
+        {
+          tag_name: "v2",
+          draft: false,
+          published_at: "2024-12-10T00:00:00Z",
+          assets: [{ download_count: 40 }, { download_count: 2 }],
+        },
+        { tag_name: "v3", draft: true, published_at: null, assets: [] },
+      ],
+    },
+    { subscribers_count: 7 }
+  );
+
+  assert.deepEqual(growth, {
+    issues: [
+      { createdAt: "2024-12-01T00:00:00Z", author: "ada", pullRequest: true },
+    ],
+    contributors: 0,
+    releases: [
+      { tag: "v2", publishedAt: "2024-12-10T00:00:00Z", downloads: 42 },
+    ],
+    watchers: 7,
+    traffic: null,
+  });
+
+  const missing = growthContext(
+    { issues: null, contributors: null, releases: null },
+    {}
+  );
+  assert.deepEqual(summarizeGrowth(missing, NOW), {
+    issuesOpened: null,
+    pullRequestsOpened: null,
+    participants: null,
+    contributors: null,
+    releases: null,
+    releaseDownloads: null,
+    watchers: null,
+    topReferrers: null,
+  });
+});
+
+test("only issues and pull requests of the last 90 days count", () => {
+  const growth = growthContext(
+    {
+      issues: [
+        issue("2024-12-20T00:00:00Z", "ada", true),
+        issue("2024-11-02T00:00:00Z", "ada"),
+        issue("2024-10-10T00:00:00Z", "grace"),
+        issue("2024-06-01T00:00:00Z", "linus"),
+      ],
+      contributors: [{ login: "ada" }, { login: "grace" }],
+      releases: [],
+      views: views([10, 12]),
+      referrers: [{ referrer: "news.ycombinator.com", count: 80, uniques: 70 }],
+    },
+    { subscribers_count: 3 }
+  );
+
+  assert.deepEqual(summarizeGrowth(growth, NOW), {
+    issuesOpened: 2,
+    pullRequestsOpened: 1,
+    participants: 2,
+    contributors: 2,
+    releases: 0,
+    releaseDownloads: 0,
+    watchers: 3,
+    topReferrers: ["news.ycombinator.com"],
+  });
+});
+
+test("traffic spikes are days far above the median", () => {
+  const growth = growthContext(
+    {
+      issues: [],
+      contributors: [],
+      releases: [],
+      views: views([10, 12, 9, 400, 11, 25]),
+    },
+    {}
+  );
+  assert.deepEqual(findTrafficSpikes(growth.traffic.views), [
+    "2024-12-21T00:00:00.000Z",
+  ]);
+
+  // Small repos need a real jump, not a few extra views
+  assert.deepEqual(
+    findTrafficSpikes(
+      [0, 0, 3, 0].map((count, i) => ({ date: String(i), count }))
+    ),
+    []
+  );
+});
+
+test("bursts line up with recent releases or traffic spikes", () => {
+  const growth = growthContext(
+    {
+      issues: [],
+      contributors: [],
+      releases: [
+        { tag_name: "v1", draft: false, published_at: "2024-06-09T20:00:00Z" },
+        { tag_name: "v0", draft: false, published_at: "2024-01-01T00:00:00Z" },
+      ],
+      views: views([10, 12, 9, 400, 11, 25]),
+    },
+    {}
+  );
+  const burst = (day) => ({
+    start: `${day}T00:00:00.000Z`,
+    end: new Date(Date.parse(day) + 24 * 60 * 60 * 1000).toISOString(),
+    stars: 50,
+  });
+
+  assert.deepEqual(
+    explainBursts(
+      [burst("2024-06-11"), burst("2024-12-22"), burst("2024-03-01")],
+      growth
+    ).map(({ release, trafficSpike, explained }) => ({
+      release,
+      trafficSpike,
+      explained,
+    })),
+    [
+      { release: "v1", trafficSpike: null, explained: true },
+      {
+        release: null,
+        trafficSpike: "2024-12-21T00:00:00.000Z",
+        explained: true,
+      },
+      { release: null, trafficSpike: null, explained: false },
+    ]
+  );
+});
+
+const REPO_INFO = { stargazers_count: 1000, forks_count: 100 };
+
+// Patterns of a repo with one large star burst and, with `organic`, the
+// growth signals that explain it
+function burstPatterns(organic) {
+  return {
+    starVelocitySpikes: [
+      {
+        start: "2024-06-11T00:00:00.000Z",
+        stars: 150,
+        expectedStars: 2,
+        peak: 150,
+      },
+    ],
+    ...(organic && {
+      organicActivity: {
+        participants: 30,
+        contributors: 4,
+        releaseDownloads: 500,
+        watchers: 10,
+      },
+      burstExplanations: [{ explained: true }, { explained: false }],
+    }),
+  };
+}
+
+// Scored analysis as stored with a result
+function scoredAnalysis(organic) {
+  const patterns = burstPatterns(organic);
+  const evaluation = evaluateRuleset(loadRuleset(), { patterns }, REPO_INFO);
+  return {
+    suspicionScore: evaluation.score,
+    suspicionIndicators: evaluation.indicators,
+    scoreBreakdown: evaluation.breakdown,
+    patterns,
+  };
+}
+
+test("organic signals take points off without becoming indicators", () => {
+  const evaluation = evaluateRuleset(
+    loadRuleset(),
+    { patterns: burstPatterns(true) },
+    REPO_INFO
+  );
+  assert.deepEqual(evaluation.indicators, [
+    "Very high star velocity: 150 stars/day in burst starting 2024-06-11",
+    "Star bursts detected: 1 (largest 150 stars vs 2 expected)",
+  ]);
+  assert.deepEqual(evaluation.offsets, {
+    points: -25.5,
+    reasons: [
+      "Star bursts explained by releases or traffic spikes: 1 of 2",
+      "Active community: 30 people opened issues or pull requests in the last 90 days",
+      "Multiple contributors: 4 people contributed code",
+    ],
+  });
+  assert.equal(evaluation.score, 0);
+});
+
+test("offsets are kept apart from indicators in the breakdown", () => {
+  const { scoreBreakdown } = scoredAnalysis(true);
+  const offsets = scoreBreakdown.filter((entry) => entry.points < 0);
+  assert.equal(offsets.length, 3);
+  offsets.forEach((entry) => {
+    assert.equal(entry.indicator, null);
+    assert.equal(typeof entry.offset, "string");
+  });
+  scoreBreakdown
+    .filter((entry) => entry.points > 0)
+    .forEach((entry) => assert.equal(entry.offset, null));
+});
+
+test("offsets gained between results are not diffed as new indicators", () => {
+  const row = (analysis) => ({
+    id: "r",
+    created_at: "2025-01-01T00:00:00Z",
+    repository_data: REPO_INFO,
+    analysis_data: analysis,
+  });
+  const diff = diffResults(
+    row(scoredAnalysis(false)),
+    row(scoredAnalysis(true))
+  );
+
+  assert.deepEqual(diff.indicators.appeared, []);
+  assert.deepEqual(diff.indicators.disappeared, []);
+  assert.equal(diff.indicators.unchanged.length, 2);
+});
+
+test("watches do not report offsets as new indicators", async () => {
+  const storage = createMemoryStorage();
+  const watch = await storage.insertWatch({
+    repo_owner: "acme",
+    repo_name: "widget",
+    interval_minutes: 60,
+    threshold: 100,
+    last_snapshot: null,
+  });
+  let organic = false;
+  const monitor = createMonitor({
+    storage,
+    runAnalysis: async () => ({ id: "r", analysis: scoredAnalysis(organic) }),
+  });
+
+  const first = await monitor.runWatch(watch);
+  organic = true;
+  const second = await monitor.runWatch(first.watch);
+
+  assert.equal(Object.keys(second.watch.last_snapshot.indicators).length, 2);
+  assert.deepEqual(
+    second.events.filter((e) => e.event === "indicator.appeared"),
+    []
+  );
+});
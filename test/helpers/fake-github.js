@@ -0,0 +1,200 @@
+const http = require("http");
+
+// Local stand-in for the parts of GitHub's REST API the server uses. It
+// serves one repository, acme/widget, whose stargazers are steady organic
+// accounts plus a burst of empty accounts created on the day they starred.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORGANIC_STARS = 40;
+const BURST_STARS = 20;
+const STARS = ORGANIC_STARS + BURST_STARS;
+const START = Date.parse("2024-01-01T00:00:00Z");
+const BURST_AT = START + 200 * DAY_MS;
+
+function isBurst(index) {
+  return index >= ORGANIC_STARS;
+}
+
+function loginOf(index) {
+  return isBurst(index) ? `stargazer${1000 + index}` : `dev-${index}`;
+}
+
+function indexOf(login) {
+  const match = login.match(/^(?:dev-|stargazer1)(\d+)$/);
+  if (!match) return null;
+  const index = Number(match[1]);
+  return index < STARS && loginOf(index) === login ? index : null;
+}
+
+function starredAt(index) {
+  const time = isBurst(index)
+    ? BURST_AT + (index - ORGANIC_STARS) * 60 * 1000
+    : START + index * 5 * DAY_MS;
+  return new Date(time).toISOString();
+}
+
+function stargazer(index) {
+  return {
+    starred_at: starredAt(index),
+    user: { login: loginOf(index), id: index + 1, type: "User" },
+  };
+}
+
+function profile(index) {
+  const login = loginOf(index);
+  if (isBurst(index)) {
+    return {
+      login,
+      id: index + 1,
+      name: null,
+      company: null,
+      blog: "",
+      location: null,
+      email: null,
+      hireable: null,
+      bio: null,
+      public_repos: 0,
+      public_gists: 0,
+      followers: 0,
+      following: 0,
+      created_at: starredAt(index),
+      updated_at: starredAt(index),
+    };
+  }
+  return {
+    login,
+    id: index + 1,
+    name: `Developer ${index}`,
+    company: index % 3 === 0 ? "Acme" : null,
+    blog: "",
+    location: "Berlin",
+    email: index % 2 === 0 ? `${login}@example.com` : null,
+    hireable: null,
+    bio: "Writes software",
+    public_repos: 10 + index,
+    public_gists: index % 4,
+    followers: 5 + index * 3,
+    following: 4 + index,
+    created_at: new Date(START - (400 + index * 20) * DAY_MS).toISOString(),
+    updated_at: new Date(START + 300 * DAY_MS).toISOString(),
+  };
+}
+
+const REPOSITORY = {
+  id: 1,
+  name: "widget",
+  full_name: "acme/widget",
+  owner: { login: "acme", id: 100, type: "Organization" },
+  fork: false,
+  archived: false,
+  description: "A widget",
+  language: "JavaScript",
+  stargazers_count: STARS,
+  watchers_count: STARS,
+  forks_count: 4,
+  open_issues_count: 2,
+  subscribers_count: 3,
+  created_at: new Date(START - 30 * DAY_MS).toISOString(),
+  updated_at: new Date(START + 300 * DAY_MS).toISOString(),
+  pushed_at: new Date(START + 300 * DAY_MS).toISOString(),
+};
+
+function rateLimitHeaders() {
+  return {
+    "x-ratelimit-limit": "5000",
+    "x-ratelimit-remaining": "4999",
+    "x-ratelimit-reset": String(Math.floor(Date.now() / 1000) + 3600),
+    "x-ratelimit-resource": "core",
+  };
+}
+
+function page(items, query) {
+  const perPage = Number(query.get("per_page")) || 30;
+  const pageNumber = Number(query.get("page")) || 1;
+  return items.slice((pageNumber - 1) * perPage, pageNumber * perPage);
+}
+
+function route(pathname, query) {
+  if (pathname === "/rate_limit") {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    return {
+      resources: {
+        core: { limit: 5000, remaining: 4999, reset },
+        graphql: { limit: 5000, remaining: 5000, reset },
+      },
+    };
+  }
+  if (pathname === "/repos/acme/widget") return REPOSITORY;
+  if (pathname === "/repos/acme/widget/stargazers") {
+    return page(
+      Array.from({ length: STARS }, (_, i) => stargazer(i)),
+      query
+    );
+  }
+  // Growth context; traffic is left out, as for a token without push access
+  if (pathname === "/repos/acme/widget/issues") {
+    return [
+      {
+        number: 2,
+        created_at: new Date(START + 290 * DAY_MS).toISOString(),
+        user: { login: "dev-1" },
+        pull_request: { url: "" },
+      },
+      {
+        number: 1,
+        created_at: new Date(START + 250 * DAY_MS).toISOString(),
+        user: { login: "dev-2" },
+      },
+    ];
+  }
+  if (pathname === "/repos/acme/widget/contributors") {
+    return [{ login: "acme-bot", contributions: 12 }];
+  }
+  if (pathname === "/repos/acme/widget/releases") {
+    return [
+      {
+        tag_name: "v0.1.0",
+        draft: false,
+        published_at: new Date(START + 10 * DAY_MS).toISOString(),
+        assets: [],
+      },
+    ];
+  }
+  if (pathname === "/orgs/acme/repos" || pathname === "/users/acme/repos") {
+    return page([REPOSITORY], query);
+  }
+
+  const user = pathname.match(
+    /^\/users\/([^/]+)(\/events\/public|\/starred)?$/
+  );
+  const index = user && indexOf(user[1]);
+  if (index !== null && index !== undefined) {
+    return user[2] ? [] : profile(index);
+  }
+  return null;
+}
+
+// Start the stand-in on a free port; resolves to { url, close }
+function startFakeGitHub() {
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const body = req.method === "GET" ? route(pathname, searchParams) : null;
+
+    res.writeHead(body ? 200 : 404, {
+      "Content-Type": "application/json",
+      ...rateLimitHeaders(),
+    });
+    res.end(JSON.stringify(body || { message: "Not Found" }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startFakeGitHub, STARS };
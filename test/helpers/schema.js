@@ -0,0 +1,119 @@
+// Strict checker for the subset of OpenAPI 3.0 schemas the spec uses.
+// Unlike a plain JSON Schema validator it reports properties the schema does
+// not declare, so undocumented response fields fail the contract tests too.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function resolve(spec, schema) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  const target = spec.components.schemas[name];
+  if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return target;
+}
+
+// Problems of a value against a schema, as "path: message" strings
+function check(spec, schema, value, path = "$") {
+  schema = resolve(spec, schema);
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${path}: unexpected null`];
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap((part) => check(spec, part, value, path));
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map((option) =>
+      check(spec, option, value, path)
+    );
+    const matches = results.filter((errors) => errors.length === 0).length;
+    if (matches === 1) return [];
+    if (matches > 1) return [`${path}: matches more than one oneOf schema`];
+    // Report the closest option
+    return results.sort((a, b) => a.length - b.length)[0];
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const matchesType =
+      actual === schema.type ||
+      (schema.type === "number" && actual === "integer");
+    if (!matchesType)
+      return [`${path}: expected ${schema.type}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${JSON.stringify(value)} is not one of ${schema.enum}`];
+  }
+  if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+    return [`${path}: ${JSON.stringify(value)} is not a date-time`];
+  }
+
+  if (actual === "array" && schema.items) {
+    return value.flatMap((item, i) =>
+      check(spec, schema.items, item, `${path}[${i}]`)
+    );
+  }
+
+  if (actual === "object" && schema.type === "object") {
+    const errors = [];
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) errors.push(`${path}.${name}: missing`);
+    });
+    Object.entries(value).forEach(([name, property]) => {
+      if (property === undefined) return;
+      if (properties[name]) {
+        errors.push(
+          ...check(spec, properties[name], property, `${path}.${name}`)
+        );
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...check(
+            spec,
+            schema.additionalProperties,
+            property,
+            `${path}.${name}`
+          )
+        );
+      } else if (!schema.additionalProperties) {
+        errors.push(`${path}.${name}: not in the schema`);
+      }
+    });
+    return errors;
+  }
+
+  return [];
+}
+
+// Schema of an operation's response, by route and status
+function responseSchema(
+  spec,
+  method,
+  path,
+  status,
+  mediaType = "application/json"
+) {
+  const operation = spec.paths[path]?.[method];
+  if (!operation)
+    throw new Error(`No operation ${method.toUpperCase()} ${path}`);
+  const response = operation.responses[status];
+  if (!response) {
+    throw new Error(
+      `${method.toUpperCase()} ${path} has no ${status} response`
+    );
+  }
+  const content = response.$ref
+    ? spec.components.responses[response.$ref.split("/").pop()].content
+    : response.content;
+  return content[mediaType].schema;
+}
+
+module.exports = { check, responseSchema };
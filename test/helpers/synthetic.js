@@ -0,0 +1,361 @@
+// Synthetic repositories with known histories, for pinning what the
+// heuristics make of them. Everything is seeded, so each build is identical.
+//
+//   clean        steady organic stars from established accounts, a few
+//                issues and contributors
+//   boughtStars  organic stars plus 60 empty accounts, created the day they
+//                starred, starring within 10 minutes; no issues or releases
+//   viralLaunch  a quiet start, then 120 established accounts in one day
+//                (a front-page launch the day after a release), a long tail
+//                and an active issue tracker
+
+const { growthContext } = require("../../lib/growth");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "Today" for account ages; every synthetic date is well before it
+const SYNTHETIC_NOW = new Date("2025-01-01T00:00:00Z");
+
+const FIRST_NAMES = [
+  "ada",
+  "grace",
+  "linus",
+  "margaret",
+  "alan",
+  "barbara",
+  "dennis",
+  "frances",
+  "guido",
+  "hedy",
+  "ken",
+  "radia",
+  "tim",
+  "katherine",
+  "edsger",
+  "sophie",
+];
+const LAST_NAMES = [
+  "lovelace",
+  "hopper",
+  "torvalds",
+  "hamilton",
+  "turing",
+  "liskov",
+  "ritchie",
+  "allen",
+  "rossum",
+  "lamarr",
+  "thompson",
+  "perlman",
+  "berners",
+  "johnson",
+];
+
+// mulberry32: small seeded PRNG
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function between(rand, from, to) {
+  return from + Math.floor(rand() * (to - from));
+}
+
+function iso(time) {
+  return new Date(time).toISOString();
+}
+
+// Unique human-looking logins without digits
+function humanLogins(rand, count, taken = new Set()) {
+  const logins = [];
+  const separators = ["-", "", "_"];
+  while (logins.length < count) {
+    const login = [
+      FIRST_NAMES[between(rand, 0, FIRST_NAMES.length)],
+      separators[between(rand, 0, separators.length)],
+      LAST_NAMES[between(rand, 0, LAST_NAMES.length)],
+    ].join("");
+    if (!taken.has(login)) {
+      taken.add(login);
+      logins.push(login);
+    }
+  }
+  return logins;
+}
+
+// An established account, created years before it starred
+function organicProfile(rand, login, starredAt) {
+  const createdAt = Date.parse("2012-01-01") + rand() * 8 * 365 * DAY_MS;
+  const hireable = [true, false, null][between(rand, 0, 3)];
+  return {
+    login,
+    id: between(rand, 1e5, 9e7),
+    name: login.replace(/[-_]/g, " "),
+    email: rand() < 0.6 ? `${login}@example.com` : null,
+    bio: rand() < 0.5 ? "Software engineer" : null,
+    hireable,
+    public_repos: between(rand, 3, 80),
+    public_gists: between(rand, 0, 10),
+    followers: between(rand, 3, 300),
+    following: between(rand, 1, 100),
+    created_at: iso(createdAt),
+    updated_at: iso(Math.max(starredAt, Date.parse("2024-11-01")) + DAY_MS),
+  };
+}
+
+// An empty account made to star: created, updated and starring within a day
+function boughtProfile(rand, login, starredAt) {
+  const createdAt = starredAt - between(rand, 10, 60) * 60 * 1000;
+  return {
+    login,
+    id: between(rand, 9e7, 1e8),
+    name: null,
+    email: null,
+    bio: null,
+    hireable: null,
+    public_repos: 0,
+    public_gists: 0,
+    followers: 0,
+    following: 0,
+    created_at: iso(createdAt),
+    updated_at: iso(starredAt + 5 * 60 * 1000),
+  };
+}
+
+// Spread `count` stars over [from, to)
+function spread(rand, count, from, to) {
+  return Array.from({ length: count }, () => from + rand() * (to - from));
+}
+
+// Issues and pull requests as the REST API lists them, newest first:
+// `count` of them from `authors` spread over [from, to), every third a PR
+function issuesOf(rand, count, authors, from, to) {
+  return spread(rand, count, from, to)
+    .sort((a, b) => b - a)
+    .map((createdAt, i) => ({
+      number: count - i,
+      created_at: iso(createdAt),
+      user: { login: authors[i % authors.length] },
+      ...(i % 3 === 2 && { pull_request: { url: "" } }),
+    }));
+}
+
+function contributorsOf(logins) {
+  return logins.map((login, i) => ({ login, contributions: 100 - i }));
+}
+
+// `github` holds the issues, contributors and releases responses behind the
+// growth context; traffic needs push access, so there is none
+function buildRepo({ owner, name, createdAt, forks, watchers, stars, github }) {
+  stars.sort((a, b) => a.starredAt - b.starredAt);
+  const profiles = new Map(
+    stars.map(({ profile }) => [profile.login.toLowerCase(), profile])
+  );
+
+  const repoInfo = {
+    full_name: `${owner}/${name}`,
+    name,
+    owner: { login: owner },
+    stargazers_count: stars.length,
+    forks_count: forks,
+    watchers_count: stars.length,
+    subscribers_count: watchers,
+    open_issues_count: 4,
+    created_at: createdAt,
+    language: "JavaScript",
+    description: `Synthetic ${name} repository`,
+    fork: false,
+    archived: false,
+  };
+
+  return {
+    owner,
+    name,
+    repoInfo,
+    // As the REST API lists them with the star+json media type
+    stargazers: stars.map(({ profile, starredAt }) => ({
+      starred_at: iso(starredAt),
+      user: { login: profile.login, id: profile.id, type: "User" },
+    })),
+    profiles,
+    github,
+    // As the server hands it to the analysis
+    growth: growthContext(github, repoInfo),
+  };
+}
+
+function organicStars(rand, times, taken) {
+  const logins = humanLogins(rand, times.length, taken);
+  return times.map((starredAt, i) => ({
+    starredAt,
+    profile: organicProfile(rand, logins[i], starredAt),
+  }));
+}
+
+function clean() {
+  const rand = random(1);
+  return buildRepo({
+    owner: "acme",
+    name: "steady",
+    createdAt: "2022-01-01T00:00:00Z",
+    forks: 12,
+    watchers: 3,
+    stars: organicStars(
+      rand,
+      spread(rand, 150, Date.parse("2022-02-01"), Date.parse("2024-10-01")),
+      new Set()
+    ),
+    github: {
+      issues: issuesOf(
+        rand,
+        6,
+        ["acme", "ada-lovelace", "alan_turing"],
+        Date.parse("2024-10-15"),
+        Date.parse("2024-12-20")
+      ),
+      contributors: contributorsOf(["acme", "ada-lovelace"]),
+      releases: [],
+    },
+  });
+}
+
+function boughtStars() {
+  const rand = random(2);
+  const taken = new Set();
+  const organic = organicStars(
+    rand,
+    spread(rand, 90, Date.parse("2023-06-15"), Date.parse("2024-10-01")),
+    taken
+  );
+
+  const burstStart = Date.parse("2024-03-14T10:00:00Z");
+  const prefixes = ["user", "star", "dev", "gh", "acc"];
+  const bought = Array.from({ length: 60 }, (_, i) => {
+    const starredAt = burstStart + i * 10 * 1000;
+    const login = `${prefixes[i % prefixes.length]}${between(rand, 1e5, 1e6)}`;
+    return { starredAt, profile: boughtProfile(rand, login, starredAt) };
+  });
+
+  return buildRepo({
+    owner: "shady",
+    name: "rocket",
+    createdAt: "2023-06-01T00:00:00Z",
+    forks: 3,
+    watchers: 1,
+    stars: [...organic, ...bought],
+    github: {
+      issues: [],
+      contributors: contributorsOf(["shady"]),
+      releases: [],
+    },
+  });
+}
+
+function viralLaunch() {
+  const rand = random(3);
+  const taken = new Set();
+  const launch = Date.parse("2024-02-20T06:00:00Z");
+  const times = [
+    ...spread(rand, 40, Date.parse("2023-09-05"), Date.parse("2024-02-15")),
+    ...spread(rand, 120, launch, launch + 18 * 60 * 60 * 1000),
+    ...spread(rand, 30, Date.parse("2024-02-25"), Date.parse("2024-10-01")),
+  ];
+
+  return buildRepo({
+    owner: "indie",
+    name: "launchpad",
+    createdAt: "2023-09-01T00:00:00Z",
+    forks: 25,
+    watchers: 8,
+    stars: organicStars(rand, times, taken),
+    github: {
+      issues: issuesOf(
+        rand,
+        30,
+        humanLogins(rand, 12, taken),
+        Date.parse("2024-10-05"),
+        Date.parse("2024-12-28")
+      ),
+      contributors: contributorsOf(humanLogins(rand, 6, taken)),
+      releases: [
+        {
+          tag_name: "v1.0.0",
+          draft: false,
+          published_at: "2024-02-19T17:00:00Z",
+          assets: [{ name: "launchpad.tar.gz", download_count: 150 }],
+        },
+      ],
+    },
+  });
+}
+
+const SYNTHETIC_REPOS = {
+  clean: clean(),
+  boughtStars: boughtStars(),
+  viralLaunch: viralLaunch(),
+};
+
+// Profiles of sampled stargazers, as the server hands them to the analysis
+function detailedUsersOf(repo, users) {
+  return users.map((user) => ({
+    ...repo.profiles.get(user.user.login.toLowerCase()),
+    starred_at: user.starred_at,
+  }));
+}
+
+// GitHub transport (see setGitHubTransport) serving the synthetic repos
+function syntheticTransport(baseUrl, repos = Object.values(SYNTHETIC_REPOS)) {
+  const reply = (config, status, data) => {
+    const validateStatus =
+      config.validateStatus || ((s) => s >= 200 && s < 300);
+    const response = { status, headers: {}, data };
+    if (validateStatus(status)) return response;
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = response;
+    throw error;
+  };
+
+  return async (config) => {
+    const path = config.url.slice(baseUrl.length);
+    const params = config.params || {};
+
+    for (const repo of repos) {
+      const root = `/repos/${repo.owner}/${repo.name}`;
+      if (path === root) return reply(config, 200, repo.repoInfo);
+      const part = path.startsWith(`${root}/`) && path.slice(root.length + 1);
+      if (["issues", "contributors", "releases"].includes(part)) {
+        return reply(config, 200, repo.github[part]);
+      }
+      if (path === `${root}/stargazers`) {
+        const perPage = params.per_page || 30;
+        const page = params.page || 1;
+        return reply(
+          config,
+          200,
+          repo.stargazers.slice((page - 1) * perPage, page * perPage)
+        );
+      }
+    }
+
+    const login = path.match(/^\/users\/([^/]+)$/)?.[1];
+    const profile = repos
+      .map((repo) => repo.profiles.get(login?.toLowerCase()))
+      .find(Boolean);
+    if (profile) return reply(config, 200, profile);
+
+    return reply(config, 404, { message: "Not Found" });
+  };
+}
+
+module.exports = {
+  SYNTHETIC_NOW,
+  SYNTHETIC_REPOS,
+  detailedUsersOf,
+  syntheticTransport,
+};
@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createMonitor } = require("../lib/monitor");
+const { createMemoryStorage } = require("../lib/storage/memory");
+
+// A slow webhook receiver that records "<path> <event>" per delivery and
+// resolves `delivered` once `expected` deliveries arrived
+async function startReceiver(t, expected) {
+  const deliveries = [];
+  let done;
+  const delivered = new Promise((resolve) => (done = resolve));
+  const receiver = http.createServer((req, res) => {
+    // Answer well after the watch has run
+    setTimeout(() => {
+      deliveries.push(`${req.url} ${req.headers["x-starbuster-event"]}`);
+      res.end();
+      if (deliveries.length === expected) done();
+    }, 200);
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    receiver.closeAllConnections();
+    receiver.close();
+  });
+  return {
+    url: (path) => `http://127.0.0.1:${receiver.address().port}${path}`,
+    deliveries,
+    delivered,
+  };
+}
+
+// Monitor over a watch whose every run scores 80, above its threshold
+async function scoringMonitor(storage) {
+  const watch = await storage.insertWatch({
+    repo_owner: "acme",
+    repo_name: "widget",
+    interval_minutes: 60,
+    threshold: 50,
+    last_snapshot: null,
+  });
+  const monitor = createMonitor({
+    storage,
+    runAnalysis: async () => ({
+      id: "r",
+      analysis: { suspicionScore: 80, scoreBreakdown: [], patterns: {} },
+    }),
+  });
+  return { monitor, watch };
+}
+
+test("running a watch does not wait for webhook deliveries", async (t) => {
+  const receiver = await startReceiver(t, 1);
+  const storage = createMemoryStorage();
+  await storage.insertWebhook({
+    url: receiver.url("/hook"),
+    secret: "a-secret-of-16-chars",
+    events: ["score.threshold_crossed"],
+    enabled: true,
+  });
+  const { monitor, watch } = await scoringMonitor(storage);
+
+  const run = await monitor.runWatch(watch);
+  assert.deepEqual(
+    run.events.map((e) => e.event),
+    ["score.threshold_crossed"]
+  );
+  assert.deepEqual(receiver.deliveries, []);
+
+  await receiver.delivered;
+  assert.deepEqual(receiver.deliveries, ["/hook score.threshold_crossed"]);
+});
+
+test("webhooks subscribed to no events receive none", async (t) => {
+  const receiver = await startReceiver(t, 1);
+  const storage = createMemoryStorage();
+  // Registered first, so its delivery would arrive first
+  await storage.insertWebhook({
+    url: receiver.url("/none"),
+    secret: "a-secret-of-16-chars",
+    events: [],
+    enabled: true,
+  });
+  await storage.insertWebhook({
+    url: receiver.url("/all"),
+    secret: "a-secret-of-16-chars",
+    enabled: true,
+  });
+  const { monitor, watch } = await scoringMonitor(storage);
+
+  await monitor.runWatch(watch);
+  await receiver.delivered;
+  assert.deepEqual(receiver.deliveries, ["/all score.threshold_crossed"]);
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { rowsForResult, detectRings } = require("../lib/overlap");
+
+const row = (login, repo, starredAt = "2024-01-01T00:00:00Z") => ({
+  login,
+  repo,
+  starred_at: starredAt,
+});
+
+test("overlap rows come from the accounts of the result", () => {
+  const indexRows = [
+    row("alice", "acme/widget", "2024-06-01T00:00:00Z"),
+    row("alice", "other/repo"),
+    row("bob", "acme/widget", "2024-05-01T00:00:00Z"),
+    // Starred after the result was stored
+    row("newcomer", "acme/widget"),
+    row("newcomer", "other/repo"),
+  ];
+  const starTimes = new Map([
+    ["alice", "2024-03-01T00:00:00Z"],
+    ["bob", null],
+  ]);
+
+  assert.deepEqual(rowsForResult("acme/widget", starTimes, indexRows), [
+    row("alice", "other/repo"),
+    row("alice", "acme/widget", "2024-03-01T00:00:00Z"),
+    row("bob", "acme/widget", "2024-05-01T00:00:00Z"),
+  ]);
+});
+
+test("ring detection compares a bounded number of repo sets", () => {
+  const rows = [];
+  // Many accounts with repo sets of their own
+  for (let i = 0; i < 50; i++) {
+    rows.push(row(`solo${i}`, `solo/${i}a`), row(`solo${i}`, `solo/${i}b`));
+  }
+  ["ring1", "ring2", "ring3"].forEach((login) =>
+    rows.push(row(login, "farm/a"), row(login, "farm/b"))
+  );
+
+  const rings = detectRings(rows, {
+    suspiciousLogins: ["ring1"],
+    maxSets: 1,
+  });
+  assert.deepEqual(rings, [
+    {
+      size: 3,
+      members: ["ring1", "ring2", "ring3"],
+      repos: ["farm/a", "farm/b"],
+      suspiciousMembers: 1,
+    },
+  ]);
+});
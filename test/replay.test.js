@@ -0,0 +1,110 @@
+// End to end: analyses recorded from the synthetic repos replay from disk
+// with the same scores, with no GitHub and in-memory storage.
+process.env.TZ = "UTC";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFixtureTransport } = require("../lib/fixtures");
+const { createClient, StarBusterError } = require("../client");
+const { SYNTHETIC_REPOS, syntheticTransport } = require("./helpers/synthetic");
+
+// Scores pinned by the detection tests for the same repositories
+const EXPECTED_SCORES = { clean: 0, boughtStars: 96, viralLaunch: 0 };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "star-buster-replay-"));
+let server;
+let client;
+let github;
+
+before(async () => {
+  Object.assign(process.env, {
+    STORAGE_BACKEND: "memory",
+    // Analyze afresh every time instead of reusing results and profiles
+    ANALYSIS_CACHE_HOURS: "0",
+    PROFILE_CACHE_TTL_HOURS: "0",
+    MONITOR_ENABLED: "false",
+  });
+  delete process.env.GITHUB_TOKEN;
+  delete process.env.GITHUB_TOKENS;
+  delete process.env.ADMIN_API_KEY;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  github = require("../lib/github");
+  const app = require("../server");
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  client = createClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+  });
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function analyzeAll() {
+  return Promise.all(
+    Object.entries(SYNTHETIC_REPOS).map(async ([name, repo]) => [
+      name,
+      await client.analyze({ owner: repo.owner, repo: repo.name }),
+    ])
+  ).then(Object.fromEntries);
+}
+
+test("replayed analyses match the recorded ones", async () => {
+  github.setGitHubTransport(
+    createFixtureTransport({
+      mode: "record",
+      dir,
+      baseUrl: github.GITHUB_API,
+      transport: syntheticTransport(github.GITHUB_API),
+    })
+  );
+  const recorded = await analyzeAll();
+  assert.ok(fs.readdirSync(dir).length > 0);
+
+  github.setGitHubTransport(
+    createFixtureTransport({ mode: "replay", dir, baseUrl: github.GITHUB_API })
+  );
+  const replayed = await analyzeAll();
+
+  Object.entries(EXPECTED_SCORES).forEach(([name, score]) => {
+    assert.equal(recorded[name].metadata.fromCache, false, name);
+    assert.equal(replayed[name].metadata.fromCache, false, name);
+    assert.notEqual(replayed[name].id, recorded[name].id, name);
+
+    assert.equal(replayed[name].analysis.suspicionScore, score, name);
+    assert.deepEqual(
+      replayed[name].analysis.suspicionIndicators,
+      recorded[name].analysis.suspicionIndicators,
+      name
+    );
+    assert.deepEqual(
+      replayed[name].analysis.accountVerdicts,
+      recorded[name].analysis.accountVerdicts,
+      name
+    );
+  });
+});
+
+test("unrecorded requests fail the analysis", async () => {
+  github.setGitHubTransport(
+    createFixtureTransport({ mode: "replay", dir, baseUrl: github.GITHUB_API })
+  );
+
+  await assert.rejects(
+    client.analyze({ owner: "someone", repo: "unrecorded" }),
+    (error) =>
+      error instanceof StarBusterError &&
+      error.status === 502 &&
+      error.code === "upstream_error"
+  );
+});
@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryStorage } = require("../lib/storage/memory");
+const { createSqliteStorage } = require("../lib/storage/sqlite");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  return path.join(dir, "star-buster.db");
+}
+
+const hourFrom = (hours) =>
+  new Date(Date.now() + hours * 3600000).toISOString();
+
+function result(overrides) {
+  return {
+    repo_owner: "acme",
+    repo_name: "widget",
+    suspicion_score: 40,
+    repository_data: { language: "JavaScript" },
+    analysis_data: { patterns: {} },
+    expires_at: hourFrom(1),
+    ...overrides,
+  };
+}
+
+// Both local backends must answer the same way
+const backends = {
+  memory: () => createMemoryStorage(),
+  sqlite: (t) => createSqliteStorage({ file: tempFile(t) }),
+};
+
+Object.entries(backends).forEach(([name, create]) => {
+  test(`${name} storage treats expired and missing results as not found`, async (t) => {
+    const storage = create(t);
+    const live = await storage.insertAnalysisResult(result());
+    const expired = await storage.insertAnalysisResult(
+      result({ repo_name: "old", expires_at: hourFrom(-1) })
+    );
+
+    assert.equal((await storage.getAnalysisResult(live)).id, live);
+    assert.equal(await storage.getAnalysisResult(expired), null);
+    assert.equal(
+      await storage.getAnalysisResult("00000000-0000-4000-8000-000000000000"),
+      null
+    );
+    assert.equal(await storage.findLatestAnalysisResult("acme", "old"), null);
+    assert.equal(
+      (await storage.findLatestAnalysisResult("ACME", "Widget")).id,
+      live
+    );
+    assert.deepEqual(await storage.findFlaggedRepos(40), [
+      { repo_owner: "acme", repo_name: "widget" },
+    ]);
+    assert.deepEqual(
+      (await storage.findResultsByLanguage("JavaScript")).map((r) => r.id),
+      [live]
+    );
+  });
+
+  test(`${name} storage counts API key usage atomically`, async (t) => {
+    const storage = create(t);
+    await Promise.all(
+      Array.from({ length: 5 }, () =>
+        storage.addApiKeyUsage("key", "2026-01-01", { analyses: 1 })
+      )
+    );
+    assert.deepEqual(await storage.getApiKeyUsage("key", "2026-01-01"), {
+      key_id: "key",
+      day: "2026-01-01",
+      analyses: 5,
+      deep_analyses: 0,
+    });
+  });
+});
+
+test("sqlite storage keeps its rows across restarts", async (t) => {
+  const file = tempFile(t);
+  const first = createSqliteStorage({ file });
+  const id = await first.insertAnalysisResult(result());
+  const watch = await first.insertWatch({ repo_owner: "acme", threshold: 50 });
+  await first.updateWatch(watch.id, { threshold: 70 });
+  const key = await first.insertApiKey({ name: "ci", key_hash: "hash" });
+  await first.replaceStargazerIndex("acme/widget", [
+    { login: "alice", repo: "acme/widget", starred_at: null },
+  ]);
+
+  const second = createSqliteStorage({ file });
+  assert.equal((await second.getAnalysisResult(id)).id, id);
+  assert.deepEqual(
+    (await second.listWatches()).map((w) => w.threshold),
+    [70]
+  );
+  assert.equal((await second.findApiKeyByHash("hash")).id, key.id);
+  assert.deepEqual(
+    (await second.findStargazerIndex({ logins: ["alice"] })).map((r) => r.repo),
+    ["acme/widget"]
+  );
+  assert.equal(await second.deleteWatch(watch.id), true);
+  assert.equal(await second.getWatch(watch.id), null);
+});
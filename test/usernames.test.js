@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GENERIC_THRESHOLD,
+  BOT_LIKE_THRESHOLD,
+  ngramEntropy,
+  findSequenceFamilies,
+  scoreUsername,
+  scoreUsernames,
+} = require("../lib/usernames");
+const { usernameDetector } = require("../lib/detectors/username");
+const { loadRuleset, evaluateRuleset } = require("../lib/rules");
+
+const scoreOf = (login) => scoreUsername(login).score;
+
+test("ordinary handles score 0", () => {
+  [
+    "octocat",
+    "ada-lovelace",
+    "linus_torvalds",
+    "bob99",
+    "sindresorhus",
+    "tjholowaychuk",
+    "kentcdodds",
+    "mygithub",
+    "stargazer",
+  ].forEach((login) => assert.equal(scoreOf(login), 0, login));
+});
+
+test("birth-year handles are not generic", () => {
+  ["john1987", "maria2003", "dev-ops1999"].forEach((login) =>
+    assert.ok(!scoreUsername(login).reasons.includes("digit-suffix"), login)
+  );
+  assert.equal(scoreOf("john1987"), 0);
+  assert.deepEqual(scoreUsername("john4821").reasons, ["digit-suffix"]);
+});
+
+test("placeholder words and long numbers are generic", () => {
+  ["user123", "dev_ops42", "test", "demo", "temp42", "fakeacct"].forEach(
+    (login) => {
+      assert.ok(scoreOf(login) >= GENERIC_THRESHOLD, login);
+      assert.ok(scoreOf(login) < BOT_LIKE_THRESHOLD, login);
+    }
+  );
+  ["abc123456", "ab1234", "user123456"].forEach((login) =>
+    assert.ok(scoreOf(login) >= BOT_LIKE_THRESHOLD, login)
+  );
+  assert.deepEqual(scoreUsername("user123456").reasons, [
+    "digit-heavy",
+    "generic-word",
+  ]);
+});
+
+test("random letter strings are flagged, graded by pronounceability", () => {
+  const farm = scoreUsername("xkqzpvlm");
+  assert.deepEqual(farm.reasons, ["random-letters"]);
+  assert.ok(farm.score >= BOT_LIKE_THRESHOLD);
+
+  // Random but with vowels: suspicious, less so
+  const vowels = scoreOf("bqeoxumz");
+  assert.ok(vowels >= GENERIC_THRESHOLD && vowels < farm.score);
+
+  assert.deepEqual(scoreUsername("asdasdasd").reasons, ["repetitive"]);
+});
+
+test("ngramEntropy is 1 without repeats and lower with them", () => {
+  assert.equal(ngramEntropy("abcdef"), 1);
+  assert.equal(ngramEntropy("aaaa"), 0);
+  assert.ok(ngramEntropy("asdasdasd", 2) < 0.75);
+});
+
+test("sequence families are found among the whole list", () => {
+  const batch = Array.from(
+    { length: 50 },
+    (_, i) => `alice${String(i + 1).padStart(3, "0")}`
+  );
+  // Unrelated numbered logins with the same stem are spread too far apart
+  const scattered = ["bob1987", "bob42", "bob7", "bob2024", "bob311"];
+  const logins = [...batch, ...scattered, "octocat"];
+
+  const families = findSequenceFamilies(logins);
+  assert.equal(families.length, 1);
+  assert.deepEqual(
+    { ...families[0], logins: families[0].logins.length },
+    { stem: "alice", count: 50, from: 1, to: 50, logins: 50 }
+  );
+
+  const { scores } = scoreUsernames(logins);
+  const byLogin = Object.fromEntries(scores.map((s) => [s.login, s]));
+  assert.deepEqual(byLogin.alice007.reasons, ["sequence-family"]);
+  assert.ok(byLogin.alice007.score >= BOT_LIKE_THRESHOLD);
+  assert.equal(byLogin.bob42.score, 0);
+  assert.equal(scoreOf("alice007"), 0);
+});
+
+test("bot-like usernames do not also count as generic", () => {
+  const logins = Array.from({ length: 20 }, (_, i) => `user${100000 + i}`);
+  const patterns = usernameDetector.detect({
+    stargazers: logins.map((login) => ({ user: { login } })),
+    observations: [],
+  });
+  assert.equal(patterns.botLikeNames, 20);
+  assert.equal(patterns.genericUsernames, 0);
+
+  const evaluation = evaluateRuleset(
+    loadRuleset(),
+    { analyzedSample: 20, patterns },
+    { stargazers_count: 20, forks_count: 2 }
+  );
+  assert.deepEqual(evaluation.indicators, [
+    "Bot-like usernames detected: 100.0%",
+  ]);
+});